@@ -443,7 +443,8 @@ class Scratch3LooksBlocks {
                     const upperBound = numCostumes - 1;
                     const costumeToExclude = stage.currentCostume;
 
-                    const nextCostume = MathUtil.inclusiveRandIntWithout(lowerBound, upperBound, costumeToExclude);
+                    const nextCostume = MathUtil.inclusiveRandIntWithout(lowerBound, upperBound, costumeToExclude,
+                        () => this.runtime.recorder.random());
 
                     stage.setCostume(nextCostume);
                 }
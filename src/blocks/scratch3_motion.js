@@ -84,8 +84,8 @@ class Scratch3MotionBlocks {
         } else if (targetName === '_random_') {
             const stageWidth = this.runtime.constructor.STAGE_WIDTH;
             const stageHeight = this.runtime.constructor.STAGE_HEIGHT;
-            targetX = Math.round(stageWidth * (Math.random() - 0.5));
-            targetY = Math.round(stageHeight * (Math.random() - 0.5));
+            targetX = Math.round(stageWidth * (this.runtime.recorder.random() - 0.5));
+            targetY = Math.round(stageHeight * (this.runtime.recorder.random() - 0.5));
         } else {
             targetName = Cast.toString(targetName);
             const goToTarget = this.runtime.getSpriteTargetByName(targetName);
@@ -125,7 +125,7 @@ class Scratch3MotionBlocks {
             targetX = util.ioQuery('mouse', 'getScratchX');
             targetY = util.ioQuery('mouse', 'getScratchY');
         } else if (args.TOWARDS === '_random_') {
-            util.target.setDirection(Math.round(Math.random() * 360) - 180);
+            util.target.setDirection(Math.round(util.runtime.recorder.random() * 360) - 180);
             return;
         } else {
             args.TOWARDS = Cast.toString(args.TOWARDS);
@@ -159,8 +159,11 @@ class Scratch3MotionBlocks {
                 util.target.setXY(util.stackFrame.endX, util.stackFrame.endY);
             }
         } else {
-            // First time: save data for future use.
-            util.stackFrame.timer = new Timer();
+            // First time: save data for future use. A recorded or replayed glide is timed by the
+            // frames, so the replay ends it in the frame it ended in when it was recorded.
+            const recorder = util.runtime.recorder;
+            util.stackFrame.timer = (recorder.isRecording || recorder.isReplaying) ?
+                new Timer(util.nowObj) : new Timer();
             util.stackFrame.timer.start();
             util.stackFrame.duration = Cast.toNumber(args.SECS);
             util.stackFrame.startX = util.target.x;
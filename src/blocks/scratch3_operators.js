@@ -77,7 +77,7 @@ class Scratch3OperatorsBlocks {
         return !Cast.toBoolean(args.OPERAND);
     }
 
-    random (args) {
+    random (args, util) {
         const nFrom = Cast.toNumber(args.FROM);
         const nTo = Cast.toNumber(args.TO);
         const low = nFrom <= nTo ? nFrom : nTo;
@@ -85,9 +85,9 @@ class Scratch3OperatorsBlocks {
         if (low === high) return low;
         // If both arguments are ints, truncate the result to an int.
         if (Cast.isInt(args.FROM) && Cast.isInt(args.TO)) {
-            return low + Math.floor(Math.random() * ((high + 1) - low));
+            return low + Math.floor(util.runtime.recorder.random() * ((high + 1) - low));
         }
-        return (Math.random() * (high - low)) + low;
+        return (util.runtime.recorder.random() * (high - low)) + low;
     }
 
     join (args) {
@@ -1,3 +1,6 @@
+const Thread = require('../engine/thread');
+const log = require('../util/log');
+
 class Scratch3ProcedureBlocks {
     constructor (runtime) {
         /**
@@ -15,6 +18,7 @@ class Scratch3ProcedureBlocks {
         return {
             procedures_definition: this.definition,
             procedures_call: this.call,
+            procedures_return: this.return,
             argument_reporter_string_number: this.argumentReporterStringNumber,
             argument_reporter_number: this.argumentReporterNumber,
             argument_reporter_string: this.argumentReporterString,
@@ -27,6 +31,9 @@ class Scratch3ProcedureBlocks {
     }
 
     call (args, util) {
+        if (args.mutation.returntype) {
+            return this._callReporter(args, util);
+        }
         if (!util.stackFrame.executed) {
             const procedureCode = args.mutation.proccode;
             const paramNamesIdsAndDefaults = util.getProcedureParamNamesIdsAndDefaults(procedureCode);
@@ -38,25 +45,70 @@ class Scratch3ProcedureBlocks {
                 return;
             }
 
-            const [paramNames, paramIds, paramDefaults] = paramNamesIdsAndDefaults;
-
-            // Initialize params for the current stackFrame to {}, even if the procedure does
-            // not take any arguments. This is so that `getParam` down the line does not look
-            // at earlier stack frames for the values of a given parameter (#1729)
-            util.initParams();
-            for (let i = 0; i < paramIds.length; i++) {
-                if (args.hasOwnProperty(paramIds[i])) {
-                    util.pushParam(paramNames[i], args[paramIds[i]]);
-                } else {
-                    util.pushParam(paramNames[i], paramDefaults[i]);
-                }
-            }
-
+            this._pushParams(args, util, paramNamesIdsAndDefaults);
             util.stackFrame.executed = true;
             util.startProcedure(procedureCode);
         }
     }
 
+    /**
+     * Start a custom reporter or boolean. The block it is plugged in waits on the stack until
+     * the procedure returns, the parameters go in the stack frame of that block meanwhile.
+     * @param {object} args - the arguments of the call, with its mutation.
+     * @param {BlockUtility} util - the block utility.
+     * @return {*} - an empty value when the procedure does not start, undefined otherwise.
+     * @private
+     */
+    _callReporter (args, util) {
+        const procedureCode = args.mutation.proccode;
+        const paramNamesIdsAndDefaults = util.getProcedureParamNamesIdsAndDefaults(procedureCode);
+        if (paramNamesIdsAndDefaults === null) {
+            return '';
+        }
+        if (util.thread.countProcedureCalls() >= Thread.MAX_PROCEDURE_DEPTH) {
+            log.warn(`Custom reporter "${procedureCode}" reports an empty value: ` +
+                `more than ${Thread.MAX_PROCEDURE_DEPTH} custom blocks are running.`);
+            return '';
+        }
+
+        this._pushParams(args, util, paramNamesIdsAndDefaults);
+        util.thread.peekStackFrame().waitingReporter = procedureCode;
+        util.startProcedure(procedureCode);
+    }
+
+    /**
+     * Give the parameters of a call to the top stack frame.
+     * @param {object} args - the arguments of the call.
+     * @param {BlockUtility} util - the block utility.
+     * @param {Array.<Array>} paramNamesIdsAndDefaults - the names, ids and defaults of the parameters.
+     * @private
+     */
+    _pushParams (args, util, [paramNames, paramIds, paramDefaults]) {
+        // Initialize params for the current stackFrame to {}, even if the procedure does
+        // not take any arguments. This is so that `getParam` down the line does not look
+        // at earlier stack frames for the values of a given parameter (#1729)
+        util.initParams();
+        for (let i = 0; i < paramIds.length; i++) {
+            if (args.hasOwnProperty(paramIds[i])) {
+                util.pushParam(paramNames[i], args[paramIds[i]]);
+            } else {
+                util.pushParam(paramNames[i], paramDefaults[i]);
+            }
+        }
+    }
+
+    /**
+     * End the custom block running and report its value. The value goes to the block waiting for
+     * a custom reporter through `Thread.pushReportedValue` when this command reports it.
+     * @param {object} args - the arguments, with the VALUE to return.
+     * @param {BlockUtility} util - the block utility.
+     * @return {*} - the value returned.
+     */
+    return (args, util) {
+        util.stopThisScript();
+        return args.VALUE;
+    }
+
     argumentReporterStringNumber (args, util) {
         const value = util.getParam(args.VALUE);
         if (value === null) {
@@ -37,7 +37,8 @@ const SERIAL_CONFIG = {
 const DIVECE_OPT = {
     type: 'arduino',
     fqbn: 'arduino:avr:uno',
-    firmware: 'arduinoUno.hex'
+    firmware: 'arduinoUno.hex',
+    firmwareVersion: '2.6'
 };
 
 const Pins = {
@@ -103,6 +104,33 @@ const DataType = {
     String: 'STRING'
 };
 
+const StepperType = {
+    Driver: 'DRIVER',
+    TwoWire: 'TWO_WIRE',
+    FourWire: 'FOUR_WIRE'
+};
+
+const SonarUnit = {
+    Cm: 'CM',
+    Inch: 'INCH'
+};
+
+const DhtType = {
+    Dht11: 'DHT11',
+    Dht22: 'DHT22'
+};
+
+const TemperatureUnit = {
+    Celsius: 'CELSIUS',
+    Fahrenheit: 'FAHRENHEIT'
+};
+
+/**
+ * The firmata serial port of the serial blocks in realtime mode. Serial is used by the realtime
+ * firmware, so a software serial on the pins given by the begin block is used.
+ */
+const RealtimeSerialPort = 8;
+
 /**
  * Manage communication with a Arduino Uno peripheral over a OpenBlock Link client socket.
  */
@@ -372,6 +400,10 @@ class OpenBlockArduinoUnoDevice {
         ];
     }
 
+    get INTERRUPT_EDGE_MENU () {
+        return this.INTERRUP_MODE_MENU.filter(item => item.value !== InterrupMode.Low);
+    }
+
     get BAUDTATE_MENU () {
         return [
             {
@@ -455,6 +487,111 @@ class OpenBlockArduinoUnoDevice {
         ];
     }
 
+    get STEPPERS_MENU () {
+        return [
+            {
+                text: '1',
+                value: '1'
+            },
+            {
+                text: '2',
+                value: '2'
+            },
+            {
+                text: '3',
+                value: '3'
+            },
+            {
+                text: '4',
+                value: '4'
+            }
+        ];
+    }
+
+    get STEPPER_TYPE_MENU () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.stepperTypeMenu.driver',
+                    default: 'driver (step, dir)',
+                    description: 'label for stepper driven by a step and direction driver'
+                }),
+                value: StepperType.Driver
+            },
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.stepperTypeMenu.twoWire',
+                    default: '2 wire',
+                    description: 'label for 2 wire stepper'
+                }),
+                value: StepperType.TwoWire
+            },
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.stepperTypeMenu.fourWire',
+                    default: '4 wire',
+                    description: 'label for 4 wire stepper'
+                }),
+                value: StepperType.FourWire
+            }
+        ];
+    }
+
+    get SONAR_UNIT_MENU () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.sonarUnitMenu.cm',
+                    default: 'cm',
+                    description: 'label for distance in centimeters'
+                }),
+                value: SonarUnit.Cm
+            },
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.sonarUnitMenu.inch',
+                    default: 'inch',
+                    description: 'label for distance in inches'
+                }),
+                value: SonarUnit.Inch
+            }
+        ];
+    }
+
+    get DHT_TYPE_MENU () {
+        return [
+            {
+                text: 'DHT11',
+                value: DhtType.Dht11
+            },
+            {
+                text: 'DHT22',
+                value: DhtType.Dht22
+            }
+        ];
+    }
+
+    get TEMPERATURE_UNIT_MENU () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.temperatureUnitMenu.celsius',
+                    default: '°C',
+                    description: 'label for temperature in celsius'
+                }),
+                value: TemperatureUnit.Celsius
+            },
+            {
+                text: formatMessage({
+                    id: 'arduinoUno.temperatureUnitMenu.fahrenheit',
+                    default: '°F',
+                    description: 'label for temperature in fahrenheit'
+                }),
+                value: TemperatureUnit.Fahrenheit
+            }
+        ];
+    }
+
     /**
      * Construct a set of Arduino blocks.
      * @param {Runtime} runtime - the OpenBlock runtime.
@@ -473,6 +610,27 @@ class OpenBlockArduinoUnoDevice {
         this._peripheral.numDigitalPins = 14;
     }
 
+    /**
+     * @return {Array.<object>} - the digital pins menu, built from the pin capabilities once known.
+     */
+    getPinsMenu () {
+        return this._peripheral.getPinsMenu(['INPUT', 'OUTPUT'], this.PINS_MENU);
+    }
+
+    /**
+     * @return {Array.<object>} - the analog pins menu, built from the pin capabilities once known.
+     */
+    getAnalogPinsMenu () {
+        return this._peripheral.getPinsMenu(['ANALOG'], this.ANALOG_PINS_MENU);
+    }
+
+    /**
+     * @return {Array.<object>} - the pwm pins menu, built from the pin capabilities once known.
+     */
+    getPwmPinsMenu () {
+        return this._peripheral.getPinsMenu(['PWM'], this.PWM_PINS_MENU);
+    }
+
     /**
      * @returns {Array.<object>} metadata for this extension and its blocks.
      */
@@ -568,7 +726,8 @@ class OpenBlockArduinoUnoDevice {
                                 menu: 'pins',
                                 defaultValue: Pins.D0
                             }
-                        }
+                        },
+                        monitorable: true
                     },
                     {
                         opcode: 'readAnalogPin',
@@ -584,7 +743,79 @@ class OpenBlockArduinoUnoDevice {
                                 menu: 'analogPins',
                                 defaultValue: Pins.A0
                             }
-                        }
+                        },
+                        monitorable: true
+                    },
+                    {
+                        opcode: 'readInputPins',
+                        text: formatMessage({
+                            id: 'arduinoUno.pins.readInputPins',
+                            default: 'input pins',
+                            description: 'arduinoUno the values of the pins set as inputs'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        monitorMode: 'pinPanel',
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    '---',
+                    {
+                        opcode: 'whenDigitalPinIs',
+                        text: formatMessage({
+                            id: 'arduinoUno.pins.whenDigitalPinIs',
+                            default: 'when pin [PIN] becomes [LEVEL]',
+                            description: 'arduinoUno when digital pin becomes level'
+                        }),
+                        blockType: BlockType.HAT,
+                        arguments: {
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D2
+                            },
+                            LEVEL: {
+                                type: ArgumentType.STRING,
+                                menu: 'level',
+                                defaultValue: Level.High
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'whenAnalogPinGreaterThan',
+                        text: formatMessage({
+                            id: 'arduinoUno.pins.whenAnalogPinGreaterThan',
+                            default: 'when analog pin [PIN] > [VALUE]',
+                            description: 'arduinoUno when analog pin value greater than'
+                        }),
+                        blockType: BlockType.HAT,
+                        arguments: {
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'analogPins',
+                                defaultValue: Pins.A0
+                            },
+                            VALUE: {
+                                type: ArgumentType.NUMBER,
+                                defaultValue: '512'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'setSamplingInterval',
+                        text: formatMessage({
+                            id: 'arduinoUno.pins.setSamplingInterval',
+                            default: 'set pins sampling interval [INTERVAL] ms',
+                            description: 'arduinoUno set sampling interval of reporting pins'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            INTERVAL: {
+                                type: ArgumentType.NUMBER,
+                                defaultValue: '19'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
                     },
                     '---',
                     {
@@ -649,30 +880,55 @@ class OpenBlockArduinoUnoDevice {
                             }
                         },
                         programMode: [ProgramModeType.UPLOAD]
+                    },
+                    {
+                        opcode: 'whenInterrupt',
+                        text: formatMessage({
+                            id: 'arduinoUno.pins.whenInterrupt',
+                            default: 'when interrupt pin [PIN] [MODE]',
+                            description: 'arduinoUno when interrupt pin mode'
+                        }),
+                        blockType: BlockType.HAT,
+                        arguments: {
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'interruptPins',
+                                defaultValue: Pins.D3
+                            },
+                            MODE: {
+                                type: ArgumentType.STRING,
+                                menu: 'interruptEdge',
+                                defaultValue: InterrupMode.Rising
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
                     }
                 ],
                 menus: {
                     pins: {
-                        items: this.PINS_MENU
+                        items: 'getPinsMenu'
                     },
                     mode: {
                         items: this.MODE_MENU
                     },
                     analogPins: {
-                        items: this.ANALOG_PINS_MENU
+                        items: 'getAnalogPinsMenu'
                     },
                     level: {
                         acceptReporters: true,
                         items: this.LEVEL_MENU
                     },
                     pwmPins: {
-                        items: this.PWM_PINS_MENU
+                        items: 'getPwmPinsMenu'
                     },
                     interruptPins: {
                         items: this.INTERRUPT_PINS_MENU
                     },
                     interruptMode: {
                         items: this.INTERRUP_MODE_MENU
+                    },
+                    interruptEdge: {
+                        items: this.INTERRUPT_EDGE_MENU
                     }
                 }
             },
@@ -705,6 +961,33 @@ class OpenBlockArduinoUnoDevice {
                         },
                         programMode: [ProgramModeType.UPLOAD]
                     },
+                    {
+                        opcode: 'serialBeginOnPins',
+                        text: formatMessage({
+                            id: 'arduinoUno.serial.serialBeginOnPins',
+                            default: 'serial begin baudrate [VALUE] on RX [RX] TX [TX]',
+                            description: 'arduinoUno software serial begin'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            VALUE: {
+                                type: ArgumentType.STRING,
+                                menu: 'baudrate',
+                                defaultValue: Buadrate.B9600
+                            },
+                            RX: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D2
+                            },
+                            TX: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D3
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
                     {
                         opcode: 'serialPrint',
                         text: formatMessage({
@@ -723,8 +1006,7 @@ class OpenBlockArduinoUnoDevice {
                                 menu: 'eol',
                                 defaultValue: Eol.Warp
                             }
-                        },
-                        programMode: [ProgramModeType.UPLOAD]
+                        }
                     },
                     {
                         opcode: 'serialAvailable',
@@ -734,8 +1016,7 @@ class OpenBlockArduinoUnoDevice {
                             description: 'arduinoUno serial available data length'
                         }),
                         blockType: BlockType.REPORTER,
-                        disableMonitor: true,
-                        programMode: [ProgramModeType.UPLOAD]
+                        disableMonitor: true
                     },
                     {
                         opcode: 'serialReadAByte',
@@ -745,8 +1026,28 @@ class OpenBlockArduinoUnoDevice {
                             description: 'arduinoUno serial read a byte'
                         }),
                         blockType: BlockType.REPORTER,
+                        disableMonitor: true
+                    },
+                    {
+                        opcode: 'serialReadLine',
+                        text: formatMessage({
+                            id: 'arduinoUno.serial.serialReadLine',
+                            default: 'serial received line',
+                            description: 'arduinoUno serial received line'
+                        }),
+                        blockType: BlockType.REPORTER,
                         disableMonitor: true,
-                        programMode: [ProgramModeType.UPLOAD]
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'whenSerialReceiveLine',
+                        text: formatMessage({
+                            id: 'arduinoUno.serial.whenSerialReceiveLine',
+                            default: 'when serial receives line',
+                            description: 'arduinoUno when serial receives line'
+                        }),
+                        blockType: BlockType.HAT,
+                        programMode: [ProgramModeType.REALTIME]
                     }
                 ],
                 menus: {
@@ -755,6 +1056,9 @@ class OpenBlockArduinoUnoDevice {
                     },
                     eol: {
                         items: this.EOL_MENU
+                    },
+                    pins: {
+                        items: 'getPinsMenu'
                     }
                 }
             },
@@ -885,29 +1189,494 @@ class OpenBlockArduinoUnoDevice {
                         items: this.DATA_TYPE_MENU
                     }
                 }
-            }
-        ];
-    }
+            },
+            {
+                id: 'i2c',
+                name: formatMessage({
+                    id: 'arduinoUno.category.i2c',
+                    default: 'I2C',
+                    description: 'The name of the arduino uno device i2c category'
+                }),
+                color1: '#D65CD6',
+                color2: '#BD42BD',
+                color3: '#BD42BD',
 
-    /**
-     * Set pin mode.
-     * @param {object} args - the block's arguments.
-     * @return {Promise} - a Promise that resolves after the set pin mode is done.
-     */
-    setPinMode (args) {
-        this._peripheral.setPinMode(args.PIN, args.MODE);
-        return Promise.resolve();
-    }
+                blocks: [
+                    {
+                        opcode: 'i2cWrite',
+                        text: formatMessage({
+                            id: 'arduinoUno.i2c.i2cWrite',
+                            default: 'I2C write [DATA] to address [ADDRESS] register [REGISTER]',
+                            description: 'arduinoUno i2c write'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            DATA: {
+                                type: ArgumentType.STRING,
+                                defaultValue: '0'
+                            },
+                            ADDRESS: {
+                                type: ArgumentType.STRING,
+                                defaultValue: '0x68'
+                            },
+                            REGISTER: {
+                                type: ArgumentType.STRING,
+                                defaultValue: '0x6B'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'i2cRead',
+                        text: formatMessage({
+                            id: 'arduinoUno.i2c.i2cRead',
+                            default: 'I2C read [LENGTH] bytes from address [ADDRESS] register [REGISTER]',
+                            description: 'arduinoUno i2c read'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            LENGTH: {
+                                type: ArgumentType.UINT8_NUMBER,
+                                defaultValue: '1'
+                            },
+                            ADDRESS: {
+                                type: ArgumentType.STRING,
+                                defaultValue: '0x68'
+                            },
+                            REGISTER: {
+                                type: ArgumentType.STRING,
+                                defaultValue: '0x75'
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    '---',
+                    {
+                        opcode: 'i2cScan',
+                        text: formatMessage({
+                            id: 'arduinoUno.i2c.i2cScan',
+                            default: 'I2C scan device addresses',
+                            description: 'arduinoUno i2c scan'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    }
+                ]
+            },
+            {
+                id: 'sensor',
+                name: formatMessage({
+                    id: 'arduinoUno.category.sensor',
+                    default: 'Sensor',
+                    description: 'The name of the arduino uno device sensor category'
+                }),
+                color1: '#4CBFE6',
+                color2: '#2E8EB8',
+                color3: '#2E8EB8',
 
-    /**
-     * Set pin digital out level.
-     * @param {object} args - the block's arguments.
-     * @return {Promise} - a Promise that resolves after the set pin digital out level is done.
-     */
-    setDigitalOutput (args) {
-        this._peripheral.setDigitalOutput(args.PIN, args.LEVEL);
-        return Promise.resolve();
-    }
+                blocks: [
+                    {
+                        opcode: 'oneWireSearch',
+                        text: formatMessage({
+                            id: 'arduinoUno.sensor.oneWireSearch',
+                            default: 'OneWire device addresses on pin [PIN]',
+                            description: 'arduinoUno search OneWire devices'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D2
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'readDs18b20Temperature',
+                        text: formatMessage({
+                            id: 'arduinoUno.sensor.readDs18b20Temperature',
+                            default: 'DS18B20 [INDEX] temperature (°C) on pin [PIN]',
+                            description: 'arduinoUno read DS18B20 temperature'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            INDEX: {
+                                type: ArgumentType.UINT8_NUMBER,
+                                defaultValue: '1'
+                            },
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D2
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'readSonarDistance',
+                        text: formatMessage({
+                            id: 'arduinoUno.sensor.readSonarDistance',
+                            default: 'ultrasonic distance on trig [TRIG] echo [ECHO] in [UNIT]',
+                            description: 'arduinoUno read ultrasonic sensor distance'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            TRIG: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D2
+                            },
+                            ECHO: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D3
+                            },
+                            UNIT: {
+                                type: ArgumentType.STRING,
+                                menu: 'sonarUnits',
+                                defaultValue: SonarUnit.Cm
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'readDhtHumidity',
+                        text: formatMessage({
+                            id: 'arduinoUno.sensor.readDhtHumidity',
+                            default: '[TYPE] humidity (%) on pin [PIN]',
+                            description: 'arduinoUno read DHT sensor humidity'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            TYPE: {
+                                type: ArgumentType.STRING,
+                                menu: 'dhtTypes',
+                                defaultValue: DhtType.Dht11
+                            },
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D4
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'readDhtTemperature',
+                        text: formatMessage({
+                            id: 'arduinoUno.sensor.readDhtTemperature',
+                            default: '[TYPE] temperature ([UNIT]) on pin [PIN]',
+                            description: 'arduinoUno read DHT sensor temperature'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            TYPE: {
+                                type: ArgumentType.STRING,
+                                menu: 'dhtTypes',
+                                defaultValue: DhtType.Dht11
+                            },
+                            UNIT: {
+                                type: ArgumentType.STRING,
+                                menu: 'temperatureUnits',
+                                defaultValue: TemperatureUnit.Celsius
+                            },
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D4
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    }
+                ],
+                menus: {
+                    pins: {
+                        items: 'getPinsMenu'
+                    },
+                    sonarUnits: {
+                        items: this.SONAR_UNIT_MENU
+                    },
+                    dhtTypes: {
+                        items: this.DHT_TYPE_MENU
+                    },
+                    temperatureUnits: {
+                        items: this.TEMPERATURE_UNIT_MENU
+                    }
+                }
+            },
+            {
+                id: 'actuator',
+                name: formatMessage({
+                    id: 'arduinoUno.category.actuator',
+                    default: 'Actuator',
+                    description: 'The name of the arduino uno device actuator category'
+                }),
+                color1: '#FF8C1A',
+                color2: '#DB6E00',
+                color3: '#DB6E00',
+
+                blocks: [
+                    {
+                        opcode: 'setStepperConfig',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.setStepperConfig',
+                            default: 'set stepper [STEPPER] as [TYPE] on pins [PIN1] [PIN2] [PIN3] [PIN4]',
+                            description: 'arduinoUno set stepper config'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            },
+                            TYPE: {
+                                type: ArgumentType.STRING,
+                                menu: 'stepperTypes',
+                                defaultValue: StepperType.Driver
+                            },
+                            PIN1: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D2
+                            },
+                            PIN2: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D3
+                            },
+                            PIN3: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D4
+                            },
+                            PIN4: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D5
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'setStepperSpeed',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.setStepperSpeed',
+                            default: 'set stepper [STEPPER] max speed [SPEED] acceleration [ACCELERATION]',
+                            description: 'arduinoUno set stepper speed'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            },
+                            SPEED: {
+                                type: ArgumentType.NUMBER,
+                                defaultValue: '500'
+                            },
+                            ACCELERATION: {
+                                type: ArgumentType.NUMBER,
+                                defaultValue: '200'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'stepperStep',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.stepperStep',
+                            default: 'stepper [STEPPER] move [STEPS] steps',
+                            description: 'arduinoUno move stepper steps'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            },
+                            STEPS: {
+                                type: ArgumentType.NUMBER,
+                                defaultValue: '200'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'stepperTo',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.stepperTo',
+                            default: 'stepper [STEPPER] move to position [POSITION]',
+                            description: 'arduinoUno move stepper to position'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            },
+                            POSITION: {
+                                type: ArgumentType.NUMBER,
+                                defaultValue: '0'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'stepperStop',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.stepperStop',
+                            default: 'stop stepper [STEPPER]',
+                            description: 'arduinoUno stop stepper'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'stepperZero',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.stepperZero',
+                            default: 'set stepper [STEPPER] current position as zero',
+                            description: 'arduinoUno set stepper zero'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    '---',
+                    {
+                        opcode: 'readStepperPosition',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.readStepperPosition',
+                            default: 'stepper [STEPPER] position',
+                            description: 'arduinoUno read stepper position'
+                        }),
+                        blockType: BlockType.REPORTER,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            }
+                        },
+                        disableMonitor: true,
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'whenStepperDone',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.whenStepperDone',
+                            default: 'when stepper [STEPPER] finished moving',
+                            description: 'arduinoUno when stepper finished moving'
+                        }),
+                        blockType: BlockType.HAT,
+                        arguments: {
+                            STEPPER: {
+                                type: ArgumentType.STRING,
+                                menu: 'steppers',
+                                defaultValue: '1'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    '---',
+                    {
+                        opcode: 'playTone',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.playTone',
+                            default: 'play tone on pin [PIN] at [FREQUENCY] Hz',
+                            description: 'arduinoUno play tone on a buzzer'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D8
+                            },
+                            FREQUENCY: {
+                                type: ArgumentType.UINT16_NUMBER,
+                                defaultValue: '440'
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    },
+                    {
+                        opcode: 'stopTone',
+                        text: formatMessage({
+                            id: 'arduinoUno.actuator.stopTone',
+                            default: 'stop tone on pin [PIN]',
+                            description: 'arduinoUno stop tone on a buzzer'
+                        }),
+                        blockType: BlockType.COMMAND,
+                        arguments: {
+                            PIN: {
+                                type: ArgumentType.STRING,
+                                menu: 'pins',
+                                defaultValue: Pins.D8
+                            }
+                        },
+                        programMode: [ProgramModeType.REALTIME]
+                    }
+                ],
+                menus: {
+                    steppers: {
+                        items: this.STEPPERS_MENU
+                    },
+                    stepperTypes: {
+                        items: this.STEPPER_TYPE_MENU
+                    },
+                    pins: {
+                        items: 'getPinsMenu'
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * Set pin mode.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the set pin mode is done.
+     */
+    setPinMode (args) {
+        this._peripheral.setPinMode(args.PIN, args.MODE);
+        return Promise.resolve();
+    }
+
+    /**
+     * Set pin digital out level.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the set pin digital out level is done.
+     */
+    setDigitalOutput (args) {
+        this._peripheral.setDigitalOutput(args.PIN, args.LEVEL);
+        return Promise.resolve();
+    }
 
     /**
      * Set pin pwm out value.
@@ -937,6 +1706,52 @@ class OpenBlockArduinoUnoDevice {
         return this._peripheral.readAnalogPin(args.PIN);
     }
 
+    /**
+     * Read the pins set as inputs, for the pin panel monitor.
+     * @return {Array.<object>} - the input pins and their values.
+     */
+    readInputPins () {
+        return this._peripheral.getInputPinStates();
+    }
+
+    /**
+     * Test whether the reported level of digital pin is the level.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if the pin is at the level.
+     */
+    whenDigitalPinIs (args) {
+        return this._peripheral.isDigitalPinLevel(args.PIN, args.LEVEL);
+    }
+
+    /**
+     * Test whether the interrupt pin has had an edge since the last frame, the hat is edge
+     * activated so a script starts for every frame with edges, even consecutive ones.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if the pin has had a new edge of the mode.
+     */
+    whenInterrupt (args) {
+        return this._peripheral.isPinInterrupted(args.PIN, args.MODE);
+    }
+
+    /**
+     * Test whether the reported value of analog pin is greater than the value.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if the pin value is greater than the value.
+     */
+    whenAnalogPinGreaterThan (args) {
+        return this._peripheral.isAnalogPinGreaterThan(args.PIN, args.VALUE);
+    }
+
+    /**
+     * Set the sampling interval of reporting pins.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the sampling interval is set.
+     */
+    setSamplingInterval (args) {
+        this._peripheral.setSamplingInterval(args.INTERVAL);
+        return Promise.resolve();
+    }
+
     /**
      * Set servo out put.
      * @param {object} args - the block's arguments.
@@ -946,6 +1761,247 @@ class OpenBlockArduinoUnoDevice {
         this._peripheral.setServoOutput(args.PIN, args.OUT);
         return Promise.resolve();
     }
+
+    /**
+     * Write bytes to a register of I2C device.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the i2c write is done.
+     */
+    i2cWrite (args) {
+        this._peripheral.i2cWrite(args.ADDRESS, args.REGISTER, args.DATA);
+        return Promise.resolve();
+    }
+
+    /**
+     * Read bytes from a register of I2C device.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the bytes read, separated by commas.
+     */
+    i2cRead (args) {
+        const read = this._peripheral.i2cRead(args.ADDRESS, args.REGISTER, args.LENGTH);
+        if (read) {
+            return read.then(bytes => {
+                if (bytes) {
+                    return bytes.join(',');
+                }
+                return '';
+            });
+        }
+    }
+
+    /**
+     * Scan the I2C bus for device addresses.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the found addresses in hex, separated by commas.
+     */
+    i2cScan () {
+        const scan = this._peripheral.i2cScan();
+        if (scan) {
+            return scan.then(addresses => addresses.map(address => `0x${address.toString(16)}`).join(','));
+        }
+    }
+
+    /**
+     * Search the OneWire devices on pin.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the ROM addresses found, separated by commas.
+     */
+    oneWireSearch (args) {
+        const search = this._peripheral.oneWireSearch(args.PIN);
+        if (search) {
+            return search.then(devices => devices.map(rom => this._peripheral.formatOneWireAddress(rom)).join(','));
+        }
+    }
+
+    /**
+     * Read temperature of DS18B20 on pin.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the temperature in celsius.
+     */
+    readDs18b20Temperature (args) {
+        return this._peripheral.readDs18b20Temperature(args.PIN, args.INDEX);
+    }
+
+    /**
+     * Set stepper config.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the stepper is configured.
+     */
+    setStepperConfig (args) {
+        this._peripheral.setStepperConfig(args.STEPPER, args.TYPE, [args.PIN1, args.PIN2, args.PIN3, args.PIN4]);
+        return Promise.resolve();
+    }
+
+    /**
+     * Set stepper max speed and acceleration.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the stepper speed is set.
+     */
+    setStepperSpeed (args) {
+        this._peripheral.setStepperSpeed(args.STEPPER, args.SPEED, args.ACCELERATION);
+        return Promise.resolve();
+    }
+
+    /**
+     * Move stepper steps.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the move is started.
+     */
+    stepperStep (args) {
+        this._peripheral.stepperStep(args.STEPPER, args.STEPS);
+        return Promise.resolve();
+    }
+
+    /**
+     * Move stepper to position.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the move is started.
+     */
+    stepperTo (args) {
+        this._peripheral.stepperTo(args.STEPPER, args.POSITION);
+        return Promise.resolve();
+    }
+
+    /**
+     * Stop stepper.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the stop is sent.
+     */
+    stepperStop (args) {
+        this._peripheral.stepperStop(args.STEPPER);
+        return Promise.resolve();
+    }
+
+    /**
+     * Set stepper current position as zero.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the position is set.
+     */
+    stepperZero (args) {
+        this._peripheral.stepperZero(args.STEPPER);
+        return Promise.resolve();
+    }
+
+    /**
+     * Read stepper position.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the current position of the stepper.
+     */
+    readStepperPosition (args) {
+        return this._peripheral.readStepperPosition(args.STEPPER);
+    }
+
+    /**
+     * Test whether the stepper has finished its last move.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if the stepper has finished moving.
+     */
+    whenStepperDone (args) {
+        return this._peripheral.isStepperDone(args.STEPPER);
+    }
+
+    /**
+     * Read distance of ultrasonic sensor.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the distance in the unit.
+     */
+    readSonarDistance (args) {
+        return this._peripheral.readSonarDistance(args.TRIG, args.ECHO, args.UNIT);
+    }
+
+    /**
+     * Read humidity of DHT sensor.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the relative humidity in percent.
+     */
+    readDhtHumidity (args) {
+        return this._peripheral.readDhtHumidity(args.PIN, args.TYPE);
+    }
+
+    /**
+     * Read temperature of DHT sensor.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves the temperature in the unit.
+     */
+    readDhtTemperature (args) {
+        return this._peripheral.readDhtTemperature(args.PIN, args.TYPE, args.UNIT);
+    }
+
+    /**
+     * Play tone on buzzer.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the tone is started.
+     */
+    playTone (args) {
+        this._peripheral.playTone(args.PIN, args.FREQUENCY);
+        return Promise.resolve();
+    }
+
+    /**
+     * Stop tone on buzzer.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the tone is stopped.
+     */
+    stopTone (args) {
+        this._peripheral.stopTone(args.PIN);
+        return Promise.resolve();
+    }
+
+    /**
+     * Begin software serial on pins.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the serial is configured.
+     */
+    serialBeginOnPins (args) {
+        this._peripheral.serialBegin(RealtimeSerialPort, args.VALUE, args.RX, args.TX);
+        return Promise.resolve();
+    }
+
+    /**
+     * Print to serial.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the text is sent.
+     */
+    serialPrint (args) {
+        this._peripheral.serialPrint(RealtimeSerialPort, args.VALUE, args.EOL === Eol.Warp);
+        return Promise.resolve();
+    }
+
+    /**
+     * Read serial available data length.
+     * @param {object} args - the block's arguments.
+     * @return {number} - the number of received bytes which have not been read.
+     */
+    serialAvailable () {
+        return this._peripheral.serialAvailable(RealtimeSerialPort);
+    }
+
+    /**
+     * Read a byte from serial.
+     * @param {object} args - the block's arguments.
+     * @return {number} - the byte, -1 if there is none.
+     */
+    serialReadAByte () {
+        return this._peripheral.serialReadAByte(RealtimeSerialPort);
+    }
+
+    /**
+     * Read the last line received by serial.
+     * @param {object} args - the block's arguments.
+     * @return {string} - the line.
+     */
+    serialReadLine () {
+        return this._peripheral.serialReadLine(RealtimeSerialPort);
+    }
+
+    /**
+     * Test whether serial has received a line.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if a new line has been received.
+     */
+    whenSerialReceiveLine () {
+        return this._peripheral.isSerialLineReceived(RealtimeSerialPort);
+    }
 }
 
 module.exports = OpenBlockArduinoUnoDevice;
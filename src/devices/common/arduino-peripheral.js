@@ -1,10 +1,12 @@
 const formatMessage = require('format-message');
 const Buffer = require('buffer').Buffer;
 
-const Serialport = require('../../io/serialport');
 const Base64Util = require('../../util/base64-util');
+const Cast = require('../../util/cast');
+const log = require('../../util/log');
 
 const Firmata = require('../../lib/firmata/firmata');
+const OneWireUtils = require('../../lib/firmata/onewireutils');
 
 /**
  * A string to report connect firmata timeout.
@@ -16,6 +18,64 @@ const ConnectFirmataTimeout = formatMessage({
     description: 'label for connect firmata timeout'
 });
 
+/**
+ * A string to warn that a pin does not support the mode a block requires.
+ * @param {object} args - the pin and the mode.
+ * @return {string} - the warning message.
+ */
+const PinModeUnsupported = args => formatMessage({
+    id: 'arduinoPeripheral.warning.pinModeUnsupported',
+    default: 'Pin {pin} does not support {mode} mode',
+    description: 'warning for a pin that does not support the mode requested by a block'
+}, args);
+
+/**
+ * A string to warn that firmware did not answer a request, it may have been built without the feature.
+ * @param {object} args - the feature requested.
+ * @return {string} - the warning message.
+ */
+const FirmwareNoAnswer = args => formatMessage({
+    id: 'arduinoPeripheral.warning.firmwareNoAnswer',
+    default: 'The firmware did not answer the {feature} request, please upload the latest firmware',
+    description: 'warning for a request the realtime firmware did not answer'
+}, args);
+
+/**
+ * A string to warn that the serial port of the realtime firmware can not be used by blocks.
+ * @type {formatMessage}
+ */
+const SerialPortInUse = formatMessage({
+    id: 'arduinoPeripheral.warning.serialPortInUse',
+    default: 'Serial 0 is used by the realtime firmware, please use another serial port',
+    description: 'warning for a block using the serial port of the realtime firmware'
+});
+
+/**
+ * A string to warn that a serial port is used before it begins.
+ * @param {object} args - the serial port.
+ * @return {string} - the warning message.
+ */
+const SerialPortNotBegun = args => formatMessage({
+    id: 'arduinoPeripheral.warning.serialPortNotBegun',
+    default: 'Serial {port} has not begun, please use the serial begin block first',
+    description: 'warning for a block using a serial port which has not begun'
+}, args);
+
+/**
+ * A string to warn that the software serial is used before it begins.
+ * @type {formatMessage}
+ */
+const SoftwareSerialNotBegun = formatMessage({
+    id: 'arduinoPeripheral.warning.softwareSerialNotBegun',
+    default: 'Serial on RX and TX pins has not begun, please use the serial begin on RX TX block first',
+    description: 'warning for a block using the software serial which has not begun'
+});
+
+/**
+ * The analog channel reported by firmata for pins that are not analog inputs.
+ */
+const NoAnalogChannel = 127;
+
 /**
  * A time interval to send firmata heartbeat(in milliseconds).
  */
@@ -38,6 +98,146 @@ const FirmataReadyTimeout = 6500;
  */
 const FrimataReadTimeout = 2000;
 
+/**
+ * A time interval to wait (in milliseconds) for a I2C address to answer while scanning the bus.
+ */
+const I2cScanTimeout = 50;
+
+/**
+ * The range of 7-bit I2C addresses that can be used by devices, reserved addresses excluded.
+ */
+const I2cAddressRange = {
+    Min: 0x08,
+    Max: 0x77
+};
+
+/**
+ * DS18B20 function commands.
+ */
+const Ds18b20Command = {
+    ConvertT: 0x44,
+    ReadScratchpad: 0xBE
+};
+
+/**
+ * The time (in milliseconds) a DS18B20 needs to convert the temperature at 9, 10, 11 and 12 bits
+ * resolution, indexed by the R1 R0 bits of its configuration register.
+ */
+const Ds18b20ConversionDelay = [94, 188, 375, 750];
+
+/**
+ * The distance units of the sonar request, as the firmware expects them.
+ */
+const SonarUnit = {
+    CM: 0,
+    INCH: 1
+};
+
+/**
+ * The firmata serial port of the realtime firmware itself.
+ */
+const FirmataSerialPort = 0;
+
+/**
+ * The first firmata software serial port, software serial ports need RX and TX pins.
+ */
+const SoftwareSerialPortMin = 8;
+
+/**
+ * The number of received serial bytes kept for blocks to read, older bytes are dropped.
+ */
+const SerialBufferSize = 1024;
+
+/**
+ * The reasons the firmware running on a peripheral is not the one its device expects.
+ * @readonly
+ * @enum {string}
+ */
+const FirmwareMismatchReason = {
+    /** The firmware of the device, in a version older than the device expects. */
+    Outdated: 'outdated',
+    /** Another firmware, like StandardFirmata or a firmware of another board. */
+    Foreign: 'foreign'
+};
+
+/**
+ * @param {string} file - a firmware file name or path, like arduinoUno.hex or /firmware/arduinoUno.ino.
+ * @return {string} - the firmware name, the file name without folder and extension.
+ */
+const getFirmwareName = file => file.split(/[\\/]/).pop()
+    .replace(/\.[^.]*$/, '');
+
+/**
+ * @param {string} a - a version, like 2.6.
+ * @param {string} b - another version.
+ * @return {number} - a negative number if a is older than b, positive if newer, 0 if the same.
+ */
+const compareVersions = (a, b) => {
+    const partsA = a.split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = b.split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+};
+
+/**
+ * The DHT sensor types, as the firmware expects them.
+ */
+const DhtType = {
+    DHT11: 11,
+    DHT22: 22
+};
+
+/**
+ * The shortest time (in milliseconds) between two reads of each DHT sensor type, faster reads get
+ * the cached reading, so polling loops do not flood the serial link.
+ */
+const DhtReadInterval = {
+    [DhtType.DHT11]: 1000,
+    [DhtType.DHT22]: 2000
+};
+
+const TemperatureUnit = {
+    Celsius: 'CELSIUS',
+    Fahrenheit: 'FAHRENHEIT'
+};
+
+/**
+ * The frequency range (in Hz) of tones the firmware can play.
+ */
+const ToneFrequencyRange = {
+    Min: 31,
+    Max: 65535
+};
+
+/**
+ * The number of AccelStepper devices supported by the firmware.
+ */
+const MaxSteppers = 10;
+
+/**
+ * The backoff of reconnecting after the peripheral is unplugged or the link restarts, used for the
+ * options the reconnect policy of the device does not set. Times are in milliseconds.
+ */
+const DefaultReconnectPolicy = {
+    initialDelay: 500,
+    maxDelay: 8000,
+    factor: 2,
+    maxAttempts: 20,
+    // How long each attempt waits for the peripheral to be discovered again.
+    scanTimeout: 5000
+};
+
+/**
+ * The pulse range given to servos attached by the servo block.
+ */
+const ServoPulseRange = {
+    Min: 600,
+    Max: 2400
+};
+
 const Level = {
     High: 'HIGH',
     Low: 'LOW'
@@ -49,6 +249,12 @@ const Mode = {
     InputPullup: 'INPUT_PULLUP'
 };
 
+const InterruptMode = {
+    Rising: 'RISING',
+    Falling: 'FALLING',
+    Change: 'CHANGE'
+};
+
 /**
  * Manage communication with a Arduino peripheral over a OpenBlock Link client socket.
  */
@@ -76,13 +282,14 @@ class ArduinoPeripheral{
         this.diveceOpt = diveceOpt;
 
         /**
-         * The serialport connection socket for reading/writing peripheral data.
-         * @type {SERIALPORT}
+         * The connection for reading/writing peripheral data, the serialport socket of link by default.
+         * @type {Serialport|WebsocketPort|WebSerial}
          * @private
          */
         this._serialport = null;
-        this._runtime.registerPeripheralExtension(deviceId, this);
-        this._runtime.setRealtimeBaudrate(this.serialConfig.baudRate);
+        // Register by the original id, several devices of the same kind can be loaded at once.
+        this._runtime.registerPeripheralExtension(originalDeviceId, this);
+        this._runtime.setRealtimeBaudrate(this.serialConfig.baudRate, originalDeviceId);
 
         /**
          * The id of the peripheral this peripheral belongs to.
@@ -136,6 +343,157 @@ class ArduinoPeripheral{
          */
         this._isFirmataConnected = false;
 
+        /**
+         * A flag that is true after I2C has been configured for the current firmata connection.
+         * @type {boolean}
+         * @private
+         */
+        this._isI2cConfigured = false;
+
+        /**
+         * The ROM addresses of OneWire devices found on each configured OneWire pin.
+         * @type {Object.<number, Array.<Array.<number>>>}
+         * @private
+         */
+        this._oneWireDevices = {};
+
+        /**
+         * The temperature conversion delay of each DS18B20 that has been read, keyed by ROM address.
+         * Unknown devices are assumed to be at the power-on default resolution of 12 bits.
+         * @type {Object.<string, number>}
+         * @private
+         */
+        this._ds18b20Delays = {};
+
+        /**
+         * The state of each configured stepper, keyed by firmata stepper number. The isMoving flag stays
+         * null until the stepper first moves, so it is not reported as finished before that.
+         * @type {Object.<number, {isMoving: ?boolean, position: number}>}
+         * @private
+         */
+        this._steppers = {};
+
+        /**
+         * The last reading of each DHT sensor, keyed by pin. The pending request is shared by the
+         * reads made while it is sent.
+         * @type {Object.<number, {type: number, time: number, value: ?object, pending: ?Promise}>}
+         * @private
+         */
+        this._dhtReadings = {};
+
+        /**
+         * The pin and mode pairs that have been warned as unsupported, so each is only reported once
+         * per firmata connection.
+         * @type {Set.<string>}
+         * @private
+         */
+        this._pinModeWarnings = new Set();
+
+        /**
+         * The other warnings that have been reported, so each is only reported once per firmata connection.
+         * @type {Set.<string>}
+         * @private
+         */
+        this._realtimeWarnings = new Set();
+
+        /**
+         * The state of each serial port begun by blocks, keyed by firmata serial port id.
+         * @type {Object.<number, {received: Array.<number>, line: Array.<number>, lastLine: string,
+         * lineCount: number, hatFrame: ?number, hatLineCount: number, hatLine: boolean}>}
+         * @private
+         */
+        this._serialPorts = {};
+
+        /**
+         * The digital pins that firmware has been asked to report.
+         * @type {Set.<number>}
+         * @private
+         */
+        this._reportingDigitalPins = new Set();
+
+        /**
+         * The latest value reported by firmware for each reporting digital pin.
+         * @type {Object.<number, number>}
+         * @private
+         */
+        this._digitalValues = {};
+
+        /**
+         * The edges counted from the reports of each pin watched by interrupt hats, with the
+         * count each hat has seen, so edges between two frames are not lost.
+         * @type {Object.<number, object>}
+         * @private
+         */
+        this._pinEdges = {};
+
+        /**
+         * The analog channels that firmware has been asked to report.
+         * @type {Set.<number>}
+         * @private
+         */
+        this._reportingAnalogChannels = new Set();
+
+        /**
+         * The latest value reported by firmware for each reporting analog channel.
+         * @type {Object.<number, number>}
+         * @private
+         */
+        this._analogValues = {};
+
+        /**
+         * The modes set by blocks on the current firmata connection, keyed by pin.
+         * @type {Object.<number, number>}
+         * @private
+         */
+        this._pinModes = {};
+
+        /**
+         * The servos attached on the current firmata connection and their last angle, keyed by pin.
+         * @type {Object.<number, {min: number, max: number, value: number}>}
+         * @private
+         */
+        this._servos = {};
+
+        /**
+         * The transport and filters of the last scan.
+         * @type {?{transport: ?(string|object), pnpidList: Array.<string>}}
+         * @private
+         */
+        this._lastScan = null;
+
+        /**
+         * The last connected peripheral, it is looked for again when the connection is lost.
+         * @type {?{transport: ?(string|object), pnpidList: Array.<string>, peripheralId: (string|number),
+         * pnpid: ?string, baudrate: number}}
+         * @private
+         */
+        this._lastConnection = null;
+
+        /**
+         * The pin modes and servos to set again once firmata is ready after reconnecting.
+         * @type {?{pinModes: object, servos: object}}
+         * @private
+         */
+        this._resumeState = null;
+
+        /**
+         * The number of reconnect attempts since the connection was lost, 0 when not reconnecting.
+         * @type {number}
+         * @private
+         */
+        this._reconnectAttempt = 0;
+
+        /**
+         * Timeout ID for the next reconnect attempt, or for the end of the current one.
+         * @type {number}
+         * @private
+         */
+        this._reconnectTimeoutID = null;
+
+        this._onDigitalReport = this._onDigitalReport.bind(this);
+        this._onAnalogReport = this._onAnalogReport.bind(this);
+        this._onConnectionLost = this._onConnectionLost.bind(this);
+        this._onReconnectDiscover = this._onReconnectDiscover.bind(this);
         this._startHeartbeat = this._startHeartbeat.bind(this);
         this._listenHeartbeat = this._listenHeartbeat.bind(this);
         this._handleProgramModeUpdate = this._handleProgramModeUpdate.bind(this);
@@ -155,6 +513,9 @@ class ArduinoPeripheral{
             delete this._firmata;
         }
 
+        // The new program starts with its own pin setup.
+        this._resumeState = null;
+
         const base64Str = Buffer.from(code).toString('base64');
         this._serialport.upload(base64Str, this.diveceOpt, 'base64');
     }
@@ -173,6 +534,7 @@ class ArduinoPeripheral{
             this._firmataReadyTimeoutID = null;
         }
         this._stopHeartbeat();
+        this._resumeState = null;
         this._serialport.uploadFirmware(this.diveceOpt);
     }
 
@@ -187,16 +549,22 @@ class ArduinoPeripheral{
      * Called by the runtime when user wants to scan for a peripheral.
      * @param {Array.<string>} pnpidList - the array of pnp id list
      * @param {bool} listAll - wether list all connectable device
+     * @param {?(string|object)} transport - the transport to connect with, the serialport of link by default.
      */
-    scan (pnpidList, listAll) {
+    scan (pnpidList, listAll, transport) {
+        this._cancelReconnect();
         if (this._serialport) {
             this._serialport.disconnect();
         }
-        this._serialport = new Serialport(this._runtime, this._originalDeviceId, {
+        this._lastScan = {
+            transport,
+            pnpidList: listAll ? ['*'] : (pnpidList ? pnpidList : this.pnpidList)
+        };
+        this._serialport = this._runtime.createPeripheralTransport(transport, this._originalDeviceId, {
             filters: {
-                pnpid: listAll ? ['*'] : (pnpidList ? pnpidList : this.pnpidList)
+                pnpid: this._lastScan.pnpidList
             }
-        }, this._onConnect, this.reset);
+        }, this._onConnect, this._onConnectionLost);
     }
 
     /**
@@ -210,6 +578,12 @@ class ArduinoPeripheral{
             config.baudRate = baudrate;
         }
         if (this._serialport) {
+            const peripheral = this._serialport.getAvailablePeripherals()[id] || {};
+            this._lastConnection = Object.assign({}, this._lastScan, {
+                peripheralId: id,
+                pnpid: peripheral.pnpid,
+                baudrate: config.baudRate
+            });
             this._serialport.connectPeripheral(id, {config: config});
         }
     }
@@ -218,6 +592,10 @@ class ArduinoPeripheral{
      * Disconnect from the peripheral.
      */
     disconnect () {
+        this._cancelReconnect();
+        this._lastConnection = null;
+        this._resumeState = null;
+
         if (this._serialport) {
             this._serialport.disconnect();
         }
@@ -260,6 +638,9 @@ class ArduinoPeripheral{
      * @param {number} baudrate - the baudrate.
      */
     setBaudrate (baudrate) {
+        if (this._lastConnection) {
+            this._lastConnection.baudrate = baudrate;
+        }
         this._serialport.setBaudrate(baudrate);
     }
 
@@ -300,6 +681,23 @@ class ArduinoPeripheral{
                 }, FirmataReadyTimeout);
 
                 this._firmata = new Firmata(this.send.bind(this));
+                this._isI2cConfigured = false;
+                this._oneWireDevices = {};
+                this._ds18b20Delays = {};
+                this._steppers = {};
+                this._dhtReadings = {};
+                this._pinModeWarnings.clear();
+                this._realtimeWarnings.clear();
+                this._serialPorts = {};
+                this._reportingDigitalPins.clear();
+                this._reportingAnalogChannels.clear();
+                this._digitalValues = {};
+                this._pinEdges = {};
+                this._analogValues = {};
+                this._pinModes = {};
+                this._servos = {};
+                this._firmata.on('digital-read', this._onDigitalReport);
+                this._firmata.on('analog-read', this._onAnalogReport);
                 this._firmata.once('ready', () => {
                     if (this._firmataReadyTimeoutID) {
                         window.clearTimeout(this._firmataReadyTimeoutID);
@@ -308,7 +706,9 @@ class ArduinoPeripheral{
 
                     // Receiving a ready event indicates that the firmata service has been initialized.
                     this._isFirmataConnected = true;
+                    this._checkFirmware();
                     this._serialport.handleRealtimeConnectSucess();
+                    this._resumeSession();
 
                     // Start the heartbeat listener.
                     this._firmata.on('reportversion', this._listenHeartbeat);
@@ -341,6 +741,46 @@ class ArduinoPeripheral{
         }
     }
 
+    /**
+     * Compare the firmware reported by firmata with the one of the device options, and report a
+     * mismatch so the GUI can offer to upload the firmware. The connection goes on, as the common
+     * pin blocks work with most firmata firmwares.
+     * @return {?FirmwareMismatchReason} - the mismatch, null if the firmware is the expected one.
+     * @private
+     */
+    _checkFirmware () {
+        if (!this.diveceOpt || !this.diveceOpt.firmware) {
+            return null;
+        }
+        const expected = {
+            name: getFirmwareName(this.diveceOpt.firmware),
+            version: this.diveceOpt.firmwareVersion || null
+        };
+        const firmware = this._firmata.firmware || {};
+        const reported = {
+            name: firmware.name ? getFirmwareName(firmware.name) : '',
+            version: firmware.version ? `${firmware.version.major}.${firmware.version.minor}` : null
+        };
+
+        let reason = null;
+        if (reported.name.toLowerCase() !== expected.name.toLowerCase()) {
+            reason = FirmwareMismatchReason.Foreign;
+        } else if (expected.version && (!reported.version || compareVersions(reported.version, expected.version) < 0)) {
+            reason = FirmwareMismatchReason.Outdated;
+        }
+        if (reason) {
+            log.warn(`${this._originalDeviceId} runs ${reason} firmware ${reported.name} ${reported.version}, ` +
+                `expected ${expected.name} ${expected.version}`);
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_FIRMWARE_MISMATCH, {
+                deviceId: this._originalDeviceId,
+                reason,
+                expected,
+                reported
+            });
+        }
+        return reason;
+    }
+
     /**
      * Stop send/recive heartbeat timer.
      * @private
@@ -404,6 +844,11 @@ class ArduinoPeripheral{
      * @private
      */
     _onConnect () {
+        if (this._reconnectAttempt > 0) {
+            this._cancelReconnect();
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_RECONNECTED, {deviceId: this._originalDeviceId});
+        }
+
         this._serialport.read(this._onMessage);
 
         this._startHeartbeat();
@@ -412,6 +857,136 @@ class ArduinoPeripheral{
         this._runtime.on(this._runtime.constructor.PERIPHERAL_UPLOAD_SUCCESS, this._startHeartbeat);
     }
 
+    /**
+     * @return {?object} - the reconnect policy of the device with the defaults filled in, null to not reconnect.
+     * @private
+     */
+    _getReconnectPolicy () {
+        const policy = this._runtime.getPeripheralReconnectPolicy(this._originalDeviceId);
+        if (!policy) return null;
+        return Object.assign({}, DefaultReconnectPolicy, policy === true ? {} : policy);
+    }
+
+    /**
+     * Reset the state after the transport lost connection, and look for the peripheral again if the
+     * device has a reconnect policy.
+     * @private
+     */
+    _onConnectionLost () {
+        const policy = this._getReconnectPolicy();
+        // Keep the state of the session which has not been resumed yet if the connection is lost again.
+        if (policy && this._lastConnection && !this._resumeState) {
+            this._resumeState = {pinModes: this._pinModes, servos: this._servos};
+        }
+
+        this.reset();
+
+        if (policy && this._lastConnection) {
+            this._cancelReconnect();
+            this._scheduleReconnect(policy);
+        }
+    }
+
+    /**
+     * Wait the backoff delay of the next attempt and start it, or give up after the last attempt.
+     * @param {object} policy - the reconnect policy.
+     * @private
+     */
+    _scheduleReconnect (policy) {
+        if (this._reconnectAttempt >= policy.maxAttempts) {
+            this._cancelReconnect();
+            this._resumeState = null;
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_RECONNECT_FAILED, {
+                deviceId: this._originalDeviceId
+            });
+            return;
+        }
+
+        const delay = Math.min(policy.initialDelay * Math.pow(policy.factor, this._reconnectAttempt),
+            policy.maxDelay);
+        this._reconnectAttempt++;
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_RECONNECTING, {
+            deviceId: this._originalDeviceId,
+            attempt: this._reconnectAttempt,
+            delay
+        });
+        this._reconnectTimeoutID = window.setTimeout(() => this._tryReconnect(policy), delay);
+    }
+
+    /**
+     * Look for the peripheral again with the transport of the last connection, the next attempt is
+     * scheduled if the peripheral is not connected again before the scan timeout. The transport is
+     * kept, so it does not ask the user to pick the peripheral again nor report the errors of each
+     * attempt.
+     * @param {object} policy - the reconnect policy.
+     * @private
+     */
+    _tryReconnect (policy) {
+        this._reconnectTimeoutID = window.setTimeout(() => {
+            this._reconnectTimeoutID = null;
+            this._runtime.removeListener(this._runtime.constructor.PERIPHERAL_LIST_UPDATE,
+                this._onReconnectDiscover);
+            this._serialport.disconnect();
+            this._scheduleReconnect(policy);
+        }, policy.scanTimeout);
+
+        this._runtime.on(this._runtime.constructor.PERIPHERAL_LIST_UPDATE, this._onReconnectDiscover);
+        this._serialport.rediscoverPeripheral();
+    }
+
+    /**
+     * Connect to the last connected peripheral once it is discovered again, by its id or, as the port
+     * may change after replugging, by its pnp id.
+     * @private
+     */
+    _onReconnectDiscover () {
+        const peripherals = this._serialport.getAvailablePeripherals();
+        const last = this._lastConnection;
+        const peripheral = peripherals[last.peripheralId] || (last.pnpid &&
+            Object.keys(peripherals).map(id => peripherals[id])
+                .find(item => item.pnpid === last.pnpid));
+        if (!peripheral) return;
+
+        this._runtime.removeListener(this._runtime.constructor.PERIPHERAL_LIST_UPDATE, this._onReconnectDiscover);
+        this.connect(peripheral.peripheralId, last.baudrate);
+    }
+
+    /**
+     * Stop reconnecting.
+     * @private
+     */
+    _cancelReconnect () {
+        if (this._reconnectTimeoutID) {
+            window.clearTimeout(this._reconnectTimeoutID);
+            this._reconnectTimeoutID = null;
+        }
+        this._runtime.removeListener(this._runtime.constructor.PERIPHERAL_LIST_UPDATE, this._onReconnectDiscover);
+        this._reconnectAttempt = 0;
+    }
+
+    /**
+     * Set the pin modes and servos of the session which lost connection again.
+     * @private
+     */
+    _resumeSession () {
+        if (!this._resumeState) return;
+
+        const {pinModes, servos} = this._resumeState;
+        this._resumeState = null;
+        Object.keys(pinModes).forEach(key => {
+            const pin = parseInt(key, 10);
+            this._firmata.pinMode(pin, pinModes[key]);
+            this._pinModes[pin] = pinModes[key];
+        });
+        Object.keys(servos).forEach(key => {
+            const pin = parseInt(key, 10);
+            const servo = servos[key];
+            this._firmata.servoConfig(pin, servo.min, servo.max);
+            this._firmata.servoWrite(pin, servo.value);
+            this._servos[pin] = servo;
+        });
+    }
+
     /**
      * Process the sensor data from the incoming serialport characteristic.
      * @param {object} base64 - the incoming serialport data.
@@ -427,6 +1002,54 @@ class ArduinoPeripheral{
         }
     }
 
+    /**
+     * Cache the value of a digital pin reported by firmware.
+     * @param {object} report - the pin and its value.
+     * @private
+     */
+    _onDigitalReport (report) {
+        const lastValue = this._digitalValues[report.pin];
+        this._digitalValues[report.pin] = report.value;
+
+        // Firmware reports every input of the port, only a changed value is an edge.
+        const edges = this._pinEdges[report.pin];
+        if (edges && typeof lastValue !== 'undefined' && lastValue !== report.value) {
+            if (report.value) {
+                edges.rising++;
+            } else {
+                edges.falling++;
+            }
+        }
+    }
+
+    /**
+     * Cache the value of an analog channel reported by firmware.
+     * @param {object} report - the analog channel and its value.
+     * @private
+     */
+    _onAnalogReport (report) {
+        this._analogValues[report.pin] = report.value;
+    }
+
+    /**
+     * Start the reporting of a digital pin watched by a hat. Firmware only reports the pins in input
+     * mode, so a pin not set as input or input pullup yet is set as input.
+     * @param {number} pin - the pin number.
+     * @private
+     */
+    _watchDigitalPin (pin) {
+        const pinInfo = this._firmata.pins[pin];
+        if (pinInfo && pinInfo.mode !== this._firmata.MODES.INPUT && pinInfo.mode !== this._firmata.MODES.PULLUP) {
+            this._firmata.pinMode(pin, this._firmata.MODES.INPUT);
+            this._pinModes[pin] = this._firmata.MODES.INPUT;
+            delete this._servos[pin];
+        }
+        if (!this._reportingDigitalPins.has(pin)) {
+            this._reportingDigitalPins.add(pin);
+            this._firmata.reportDigitalPin(pin, 1);
+        }
+    }
+
     /**
      * Return true if peripheral has connected to firmata and program mode is realtime.
      * @return {boolean} - whether the peripheral is ready for realtime mode communication.
@@ -444,16 +1067,131 @@ class ArduinoPeripheral{
      */
     parsePin (pin) {
         if (pin.charAt(0) === 'A') {
-            return parseInt(pin.slice(1), 10) + this.numDigitalPins;
+            const channel = parseInt(pin.slice(1), 10);
+            // Prefer the analog mapping reported by firmware, so boards not known by the device work too.
+            if (this._firmata && channel < this._firmata.analogPins.length) {
+                return this._firmata.analogPins[channel];
+            }
+            return channel + this.numDigitalPins;
         }
         return parseInt(pin, 10);
     }
 
     /**
-     * @param {LEVEL} level - the level string to parse.
-     * @return {number} - the level in number.
+     * @param {number} pin - the pin number.
+     * @return {number} - the analog channel of the pin.
      */
-    parseLevel (level) {
+    getAnalogChannel (pin) {
+        const pinInfo = this._firmata.pins[pin];
+        if (pinInfo && typeof pinInfo.analogChannel === 'number' && pinInfo.analogChannel !== NoAnalogChannel) {
+            return pinInfo.analogChannel;
+        }
+        return pin - this.numDigitalPins;
+    }
+
+    /**
+     * @param {number} pin - the pin number.
+     * @return {string} - the pin name used by blocks, like '13' or 'A0'.
+     */
+    getPinName (pin) {
+        const pinInfo = this._firmata.pins[pin];
+        if (pinInfo && typeof pinInfo.analogChannel === 'number' && pinInfo.analogChannel !== NoAnalogChannel) {
+            return `A${pinInfo.analogChannel}`;
+        }
+        return `${pin}`;
+    }
+
+    /**
+     * Return true if the firmware has reported the capabilities of pins.
+     * @return {boolean} - whether the pin capabilities are known.
+     */
+    hasPinCapabilities () {
+        return this.isReady() &&
+            this._firmata.pins.some(pinInfo => pinInfo.supportedModes && pinInfo.supportedModes.length > 0);
+    }
+
+    /**
+     * Build a pins menu from the pin capabilities reported by firmware.
+     * @param {Array.<string>} modes - the names of firmata modes, pins that support any of them are listed.
+     * @param {Array.<object>} defaultMenu - the menu to use while the pin capabilities are unknown.
+     * @return {Array.<object>} - the menu items.
+     */
+    getPinsMenu (modes, defaultMenu) {
+        if (!this.hasPinCapabilities()) {
+            return defaultMenu;
+        }
+        modes = modes.map(mode => this._firmata.MODES[mode]);
+        const menu = [];
+        this._firmata.pins.forEach((pinInfo, pin) => {
+            if (modes.some(mode => pinInfo.supportedModes.includes(mode))) {
+                const name = this.getPinName(pin);
+                menu.push({text: name, value: name});
+            }
+        });
+        return menu.length > 0 ? menu : defaultMenu;
+    }
+
+    /**
+     * Check the pin supports the mode, and warn user once if it does not. Pins are assumed to
+     * support every mode while the pin capabilities are unknown.
+     * @param {number} pin - the pin number.
+     * @param {number} mode - the firmata mode.
+     * @return {boolean} - whether the pin supports the mode.
+     */
+    checkPinMode (pin, mode) {
+        if (!this.hasPinCapabilities()) {
+            return true;
+        }
+        const pinInfo = this._firmata.pins[pin];
+        if (pinInfo && pinInfo.supportedModes.includes(mode)) {
+            return true;
+        }
+
+        const modeName = Object.keys(this._firmata.MODES).find(key => this._firmata.MODES[key] === mode);
+        const warning = `${pin}-${modeName}`;
+        if (!this._pinModeWarnings.has(warning)) {
+            this._pinModeWarnings.add(warning);
+            const message = PinModeUnsupported({pin: pinInfo ? this.getPinName(pin) : pin, mode: modeName});
+            log.warn(message);
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_REALTIME_WARNING, {
+                deviceId: this._originalDeviceId,
+                message
+            });
+        }
+        return false;
+    }
+
+    /**
+     * Report a warning once per firmata connection.
+     * @param {string} key - the key of the warning.
+     * @param {string} message - the warning message.
+     * @private
+     */
+    _warnOnce (key, message) {
+        if (this._realtimeWarnings.has(key)) return;
+
+        this._realtimeWarnings.add(key);
+        log.warn(message);
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_REALTIME_WARNING, {
+            deviceId: this._originalDeviceId,
+            message
+        });
+    }
+
+    /**
+     * Warn once per firmata connection that the firmware did not answer a request.
+     * @param {string} feature - the feature requested.
+     * @private
+     */
+    _warnNoAnswer (feature) {
+        this._warnOnce(`noAnswer-${feature}`, FirmwareNoAnswer({feature}));
+    }
+
+    /**
+     * @param {LEVEL} level - the level string to parse.
+     * @return {number} - the level in number.
+     */
+    parseLevel (level) {
         if (level === Level.High) {
             return 1;
         }
@@ -478,7 +1216,20 @@ class ArduinoPeripheral{
                 mode = this._firmata.MODES.PULLUP;
                 break;
             }
-            this._firmata.pinMode(pin, mode);
+            if (this.checkPinMode(pin, mode)) {
+                this._firmata.pinMode(pin, mode);
+                this._pinModes[pin] = mode;
+                delete this._servos[pin];
+
+                if (mode === this._firmata.MODES.INPUT || mode === this._firmata.MODES.PULLUP) {
+                    // Firmware only reports on change, ask for the current value of the new input.
+                    if (this._reportingDigitalPins.has(pin)) {
+                        this._firmata.reportDigitalPin(pin, 1);
+                    }
+                } else {
+                    delete this._digitalValues[pin];
+                }
+            }
         }
     }
 
@@ -490,7 +1241,9 @@ class ArduinoPeripheral{
         if (this.isReady()) {
             pin = this.parsePin(pin);
             level = this.parseLevel(level);
-            this._firmata.digitalWrite(pin, level);
+            if (this.checkPinMode(pin, this._firmata.MODES.OUTPUT)) {
+                this._firmata.digitalWrite(pin, level);
+            }
         }
     }
 
@@ -507,18 +1260,30 @@ class ArduinoPeripheral{
             if (value > 255) {
                 value = 255;
             }
-            this._firmata.pinMode(pin, this._firmata.MODES.PWM);
-            this._firmata.pwmWrite(pin, value);
+            if (this.checkPinMode(pin, this._firmata.MODES.PWM)) {
+                this._firmata.pinMode(pin, this._firmata.MODES.PWM);
+                this._firmata.pwmWrite(pin, value);
+                this._pinModes[pin] = this._firmata.MODES.PWM;
+                delete this._servos[pin];
+            }
         }
     }
 
     /**
      * @param {PIN} pin - the pin to read.
-     * @return {Promise} - a Promise that resolves when read from peripheral.
+     * @return {Promise|number} - the reported value of pin, or a Promise that resolves when read from peripheral.
      */
     readDigitalPin (pin) {
         if (this.isReady()) {
             pin = this.parsePin(pin);
+            if (!this.checkPinMode(pin, this._firmata.MODES.INPUT)) {
+                return;
+            }
+            if (this._digitalValues.hasOwnProperty(pin)) {
+                return this._digitalValues[pin];
+            }
+            // Reading enables the reporting of pin, the following reads use the reported value.
+            this._reportingDigitalPins.add(pin);
             return new Promise(resolve => {
                 this._firmata.digitalRead(pin, value => {
                     resolve(value);
@@ -532,16 +1297,23 @@ class ArduinoPeripheral{
 
     /**
      * @param {PIN} pin - the pin to read.
-     * @return {Promise} - a Promise that resolves when read from peripheral.
+     * @return {Promise|number} - the reported value of pin, or a Promise that resolves when read from peripheral.
      */
     readAnalogPin (pin) {
         if (this.isReady()) {
             pin = this.parsePin(pin);
-            // Shifting to analog pin number.
-            pin = pin - this.numDigitalPins;
+            if (!this.checkPinMode(pin, this._firmata.MODES.ANALOG)) {
+                return;
+            }
+            const channel = this.getAnalogChannel(pin);
+            if (this._analogValues.hasOwnProperty(channel)) {
+                return this._analogValues[channel];
+            }
+            // Reading enables the reporting of pin, the following reads use the reported value.
+            this._reportingAnalogChannels.add(channel);
             this._firmata.pinMode(pin, this._firmata.MODES.ANALOG);
             return new Promise(resolve => {
-                this._firmata.analogRead(pin, value => {
+                this._firmata.analogRead(channel, value => {
                     resolve(value);
                 });
                 window.setTimeout(() => {
@@ -551,6 +1323,150 @@ class ArduinoPeripheral{
         }
     }
 
+    /**
+     * List the pins set as digital inputs by blocks and the analog channels being read, with their
+     * reported values, for the pin panel monitor. Digital inputs not reported yet are asked for, so a
+     * panel shown every frame only reads the values firmware streams.
+     * @return {Array.<object>} - the pins like {pin: 'A0', mode: 'ANALOG', value: 512}, value is null
+     * until firmware reports the pin.
+     */
+    getInputPinStates () {
+        if (!this.isReady()) {
+            return [];
+        }
+        const states = [];
+        Object.keys(this._pinModes).forEach(key => {
+            const pin = parseInt(key, 10);
+            const mode = this._pinModes[key];
+            if (mode !== this._firmata.MODES.INPUT && mode !== this._firmata.MODES.PULLUP) {
+                return;
+            }
+            if (!this._reportingDigitalPins.has(pin)) {
+                this._reportingDigitalPins.add(pin);
+                this._firmata.reportDigitalPin(pin, 1);
+            }
+            states.push({
+                pin: this.getPinName(pin),
+                mode: mode === this._firmata.MODES.PULLUP ? Mode.InputPullup : Mode.Input,
+                value: this._digitalValues.hasOwnProperty(pin) ? this._digitalValues[pin] : null
+            });
+        });
+        Array.from(this._reportingAnalogChannels).sort((a, b) => a - b)
+            .forEach(channel => {
+                states.push({
+                    pin: `A${channel}`,
+                    mode: 'ANALOG',
+                    value: this._analogValues.hasOwnProperty(channel) ? this._analogValues[channel] : null
+                });
+            });
+        return states;
+    }
+
+    /**
+     * @param {INTERVAL} interval - the interval in milliseconds firmware samples and reports the pins.
+     */
+    setSamplingInterval (interval) {
+        if (this.isReady()) {
+            this._firmata.setSamplingInterval(Math.round(Cast.toNumber(interval)));
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin to check.
+     * @param {LEVEL} level - the level to compare with.
+     * @return {boolean} - true if the reported level of pin is the level.
+     */
+    isDigitalPinLevel (pin, level) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            if (!this._digitalValues.hasOwnProperty(pin)) {
+                if (!this._reportingDigitalPins.has(pin) && this.checkPinMode(pin, this._firmata.MODES.INPUT)) {
+                    this._watchDigitalPin(pin);
+                }
+                return false;
+            }
+            return this._digitalValues[pin] === this.parseLevel(level);
+        }
+        return false;
+    }
+
+    /**
+     * Test whether a pin has had an edge of the mode since the last frame, the answer is kept for
+     * the frame so every hat of the pin and mode sees it. A frame answered true is followed by a
+     * frame answered false, so the edge activated hat fires again for the edges of the next frames:
+     * the edges of that frame are answered in the frame after it.
+     * @param {PIN} pin - the pin to check.
+     * @param {INTERRUPT_MODE} mode - the edge to look for, RISING, FALLING or CHANGE.
+     * @return {boolean} - true if the pin has had a new edge.
+     */
+    isPinInterrupted (pin, mode) {
+        if (!this.isReady()) {
+            return false;
+        }
+        pin = this.parsePin(pin);
+        if (!this._pinEdges[pin]) {
+            if (!this.checkPinMode(pin, this._firmata.MODES.INPUT)) {
+                return false;
+            }
+            this._pinEdges[pin] = {rising: 0, falling: 0, hats: {}};
+            this._watchDigitalPin(pin);
+        }
+
+        const edges = this._pinEdges[pin];
+        let count;
+        switch (mode) {
+        case InterruptMode.Rising:
+            count = edges.rising;
+            break;
+        case InterruptMode.Falling:
+            count = edges.falling;
+            break;
+        case InterruptMode.Change:
+            count = edges.rising + edges.falling;
+            break;
+        default:
+            return false;
+        }
+
+        if (!edges.hats[mode]) {
+            edges.hats[mode] = {frame: null, count, value: false};
+        }
+        const hat = edges.hats[mode];
+        if (hat.frame !== this._runtime.currentMSecs) {
+            hat.frame = this._runtime.currentMSecs;
+            if (hat.value) {
+                hat.value = false;
+            } else {
+                hat.value = count !== hat.count;
+                hat.count = count;
+            }
+        }
+        return hat.value;
+    }
+
+    /**
+     * @param {PIN} pin - the pin to check.
+     * @param {VALUE} value - the value to compare with.
+     * @return {boolean} - true if the reported value of pin is greater than the value.
+     */
+    isAnalogPinGreaterThan (pin, value) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            const channel = this.getAnalogChannel(pin);
+            if (!this._analogValues.hasOwnProperty(channel)) {
+                if (!this._reportingAnalogChannels.has(channel) &&
+                    this.checkPinMode(pin, this._firmata.MODES.ANALOG)) {
+                    this._reportingAnalogChannels.add(channel);
+                    this._firmata.pinMode(pin, this._firmata.MODES.ANALOG);
+                    this._firmata.reportAnalogPin(channel, 1);
+                }
+                return false;
+            }
+            return this._analogValues[channel] > Cast.toNumber(value);
+        }
+        return false;
+    }
+
     /**
      * @param {PIN} pin - the pin to set.
      * @param {VALUE} value - the degree to set.
@@ -564,13 +1480,718 @@ class ArduinoPeripheral{
             if (value > 180) {
                 value = 180;
             }
+            if (!this.checkPinMode(pin, this._firmata.MODES.SERVO)) {
+                return;
+            }
             this._firmata.pinMode(pin, this._firmata.MODES.PWM);
             this._firmata.pwmWrite(pin, value);
 
-            this._firmata.servoConfig(pin, 600, 2400);
+            this._firmata.servoConfig(pin, ServoPulseRange.Min, ServoPulseRange.Max);
             this._firmata.servoWrite(pin, value);
+            this._servos[pin] = {min: ServoPulseRange.Min, max: ServoPulseRange.Max, value};
+            delete this._pinModes[pin];
+        }
+    }
+
+    /**
+     * @param {PIN} trigPin - the trigger pin of the sonar.
+     * @param {PIN} echoPin - the echo pin of the sonar.
+     * @param {SONAR_UNIT} unit - the unit of the distance, CM or INCH.
+     * @return {Promise} - a Promise that resolves the distance, or nothing if the firmware does not answer.
+     */
+    readSonarDistance (trigPin, echoPin, unit) {
+        if (this.isReady()) {
+            trigPin = this.parsePin(trigPin);
+            echoPin = this.parsePin(echoPin);
+            if (!this.checkPinMode(trigPin, this._firmata.MODES.OUTPUT) ||
+                !this.checkPinMode(echoPin, this._firmata.MODES.INPUT)) {
+                return;
+            }
+            unit = SonarUnit.hasOwnProperty(unit) ? SonarUnit[unit] : SonarUnit.CM;
+            return new Promise(resolve => {
+                let timeoutID = null;
+                const onReply = distance => {
+                    window.clearTimeout(timeoutID);
+                    resolve(distance);
+                };
+                timeoutID = window.setTimeout(() => {
+                    if (this._firmata) {
+                        this._firmata.removeListener(`sonar-data-${trigPin}_${echoPin}_${unit}`, onReply);
+                    }
+                    this._warnNoAnswer('sonar');
+                    resolve();
+                }, FrimataReadTimeout);
+                this._firmata.sonarRead(trigPin, echoPin, unit, onReply);
+            });
+        }
+    }
+
+    /**
+     * Read a DHT sensor, or get its last reading if it was read within the read interval of its type.
+     * A failed read keeps the last good values.
+     * @param {number} pin - the data pin of the sensor.
+     * @param {number} type - the type of the sensor.
+     * @return {Promise} - a Promise that resolves {humidity, temperature}, or null without reading.
+     * @private
+     */
+    _readDht (pin, type) {
+        const last = this._dhtReadings[pin];
+        if (last && last.type === type) {
+            if (last.pending) {
+                return last.pending;
+            }
+            if (Date.now() - last.time < DhtReadInterval[type]) {
+                return Promise.resolve(last.value);
+            }
+        }
+
+        const reading = {
+            type,
+            time: Date.now(),
+            value: last && last.type === type ? last.value : null,
+            pending: null
+        };
+        reading.pending = new Promise(resolve => {
+            let timeoutID = null;
+            const onReply = value => {
+                window.clearTimeout(timeoutID);
+                resolve(value);
+            };
+            timeoutID = window.setTimeout(() => {
+                if (this._firmata) {
+                    this._firmata.removeListener(`dht-data-${pin}_${type}`, onReply);
+                }
+                this._warnNoAnswer('DHT');
+                resolve(null);
+            }, FrimataReadTimeout);
+            this._firmata.dhtRead(pin, type, onReply);
+        }).then(value => {
+            reading.time = Date.now();
+            reading.value = value || reading.value;
+            reading.pending = null;
+            return reading.value;
+        });
+        this._dhtReadings[pin] = reading;
+        return reading.pending;
+    }
+
+    /**
+     * @param {PIN} pin - the data pin of the sensor.
+     * @param {DHT_TYPE} type - the type of the sensor, DHT11 or DHT22.
+     * @return {Promise} - a Promise that resolves the relative humidity in percent, or nothing without reading.
+     */
+    readDhtHumidity (pin, type) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            if (!this.checkPinMode(pin, this._firmata.MODES.INPUT)) {
+                return;
+            }
+            return this._readDht(pin, DhtType[type] || DhtType.DHT11)
+                .then(reading => {
+                    if (reading) {
+                        return reading.humidity;
+                    }
+                });
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the data pin of the sensor.
+     * @param {DHT_TYPE} type - the type of the sensor, DHT11 or DHT22.
+     * @param {TEMPERATURE_UNIT} unit - the unit of the temperature, CELSIUS or FAHRENHEIT.
+     * @return {Promise} - a Promise that resolves the temperature, or nothing without reading.
+     */
+    readDhtTemperature (pin, type, unit) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            if (!this.checkPinMode(pin, this._firmata.MODES.INPUT)) {
+                return;
+            }
+            return this._readDht(pin, DhtType[type] || DhtType.DHT11)
+                .then(reading => {
+                    if (!reading) return;
+                    if (unit === TemperatureUnit.Fahrenheit) {
+                        return Math.round(((reading.temperature * 9 / 5) + 32) * 10) / 10;
+                    }
+                    return reading.temperature;
+                });
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin of the buzzer.
+     * @param {FREQUENCY} frequency - the frequency of the tone in Hz, 0 stops the tone.
+     */
+    playTone (pin, frequency) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            frequency = Math.round(Cast.toNumber(frequency));
+            if (!this.checkPinMode(pin, this._firmata.MODES.OUTPUT)) {
+                return;
+            }
+            if (frequency <= 0) {
+                this._firmata.buzzerNoTone(pin);
+                return;
+            }
+            frequency = Math.min(Math.max(frequency, ToneFrequencyRange.Min), ToneFrequencyRange.Max);
+            this._firmata.buzzerTone(pin, frequency);
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin of the buzzer.
+     */
+    stopTone (pin) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            if (this.checkPinMode(pin, this._firmata.MODES.OUTPUT)) {
+                this._firmata.buzzerNoTone(pin);
+            }
         }
     }
+
+    /**
+     * @param {number} port - the firmata serial port.
+     * @return {boolean} - true if the serial port can be used by blocks, warn otherwise.
+     * @private
+     */
+    _checkSerialPort (port) {
+        if (port === FirmataSerialPort) {
+            this._warnOnce('serialPortInUse', SerialPortInUse);
+            return false;
+        }
+        if (!this._serialPorts[port]) {
+            this._warnOnce(`serialPortNotBegun-${port}`,
+                port >= SoftwareSerialPortMin ? SoftwareSerialNotBegun : SerialPortNotBegun({port}));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Keep the bytes received on a serial port for blocks to read, and split them in lines.
+     * @param {number} port - the firmata serial port.
+     * @param {Array.<number>} data - the received bytes.
+     * @private
+     */
+    _onSerialData (port, data) {
+        const serial = this._serialPorts[port];
+        if (!serial) return;
+
+        serial.received = serial.received.concat(data).slice(-SerialBufferSize);
+        data.forEach(byte => {
+            if (byte === 0x0A) {
+                serial.lastLine = Buffer.from(serial.line).toString()
+                    .replace(/\r$/, '');
+                serial.lineCount++;
+                serial.line = [];
+            } else if (serial.line.length < SerialBufferSize) {
+                serial.line.push(byte);
+            }
+        });
+    }
+
+    /**
+     * Open a serial port of the peripheral and start reading it.
+     * @param {number} port - the firmata serial port, 1-3 for hardware serial and 8-11 for software serial.
+     * @param {BAUDRATE} baudrate - the baudrate.
+     * @param {?PIN} rxPin - the RX pin of software serial.
+     * @param {?PIN} txPin - the TX pin of software serial.
+     */
+    serialBegin (port, baudrate, rxPin = null, txPin = null) {
+        if (this.isReady()) {
+            if (port === FirmataSerialPort) {
+                this._warnOnce('serialPortInUse', SerialPortInUse);
+                return;
+            }
+            const options = {portId: port, baud: Cast.toNumber(baudrate)};
+            if (port >= SoftwareSerialPortMin) {
+                options.rxPin = this.parsePin(rxPin);
+                options.txPin = this.parsePin(txPin);
+                if (!this.checkPinMode(options.rxPin, this._firmata.MODES.INPUT) ||
+                    !this.checkPinMode(options.txPin, this._firmata.MODES.OUTPUT)) {
+                    return;
+                }
+            }
+            if (this._serialPorts[port]) {
+                this._firmata.serialStop(port);
+            }
+            this._firmata.serialConfig(options);
+            this._serialPorts[port] = {
+                received: [],
+                line: [],
+                lastLine: '',
+                lineCount: 0,
+                hatFrame: null,
+                hatLineCount: 0,
+                hatLine: false
+            };
+            this._firmata.serialRead(port, data => this._onSerialData(port, data));
+        }
+    }
+
+    /**
+     * @param {number} port - the firmata serial port.
+     * @param {string} value - the text to print.
+     * @param {boolean} newline - whether to end the text with a newline.
+     */
+    serialPrint (port, value, newline) {
+        if (this.isReady() && this._checkSerialPort(port)) {
+            const text = newline ? `${Cast.toString(value)}\r\n` : Cast.toString(value);
+            this._firmata.serialWrite(port, Array.from(Buffer.from(text)));
+        }
+    }
+
+    /**
+     * @param {number} port - the firmata serial port.
+     * @return {number} - the number of received bytes which have not been read.
+     */
+    serialAvailable (port) {
+        if (this.isReady() && this._checkSerialPort(port)) {
+            return this._serialPorts[port].received.length;
+        }
+        return 0;
+    }
+
+    /**
+     * @param {number} port - the firmata serial port.
+     * @return {number} - the first received byte which has not been read, -1 if there is none.
+     */
+    serialReadAByte (port) {
+        if (this.isReady() && this._checkSerialPort(port)) {
+            const serial = this._serialPorts[port];
+            if (serial.received.length > 0) {
+                return serial.received.shift();
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @param {number} port - the firmata serial port.
+     * @return {string} - the last line received.
+     */
+    serialReadLine (port) {
+        if (this.isReady() && this._checkSerialPort(port)) {
+            return this._serialPorts[port].lastLine;
+        }
+        return '';
+    }
+
+    /**
+     * Test whether a line has been received since the last frame, the answer is kept for the frame
+     * so every hat of the port sees it. Unlike the other serial blocks it does not warn when the port
+     * has not begun, as hats are checked before the scripts begin the port.
+     * @param {number} port - the firmata serial port.
+     * @return {boolean} - true if a new line has been received.
+     */
+    isSerialLineReceived (port) {
+        if (!this.isReady() || !this._serialPorts[port]) {
+            return false;
+        }
+        const serial = this._serialPorts[port];
+        if (serial.hatFrame !== this._runtime.currentMSecs) {
+            serial.hatFrame = this._runtime.currentMSecs;
+            serial.hatLine = serial.lineCount !== serial.hatLineCount;
+            serial.hatLineCount = serial.lineCount;
+        }
+        return serial.hatLine;
+    }
+
+    /**
+     * Enable I2C on the peripheral, firmata requires this before any I2C read or write.
+     * @private
+     */
+    _configI2c () {
+        if (!this._isI2cConfigured) {
+            this._firmata.i2cConfig();
+            this._isI2cConfigured = true;
+        }
+    }
+
+    /**
+     * @param {string} data - the bytes string to parse, like '0x01, 2 3'.
+     * @return {Array.<number>} - the bytes in number.
+     */
+    parseBytes (data) {
+        return Cast.toString(data).split(/[\s,]+/)
+            .filter(byte => byte !== '')
+            .map(byte => Cast.toNumber(byte) & 0xFF);
+    }
+
+    /**
+     * @param {ADDRESS} address - the address of the I2C device.
+     * @param {REGISTER} register - the register to write.
+     * @param {DATA} data - the bytes to write.
+     */
+    i2cWrite (address, register, data) {
+        if (this.isReady()) {
+            this._configI2c();
+            address = Cast.toNumber(address);
+            register = Cast.toNumber(register);
+            data = this.parseBytes(data);
+            this._firmata.i2cWrite(address, register, data);
+        }
+    }
+
+    /**
+     * @param {ADDRESS} address - the address of the I2C device.
+     * @param {REGISTER} register - the register to read.
+     * @param {LENGTH} length - the number of bytes to read.
+     * @return {Promise} - a Promise that resolves the bytes when read from peripheral.
+     */
+    i2cRead (address, register, length) {
+        if (this.isReady()) {
+            this._configI2c();
+            address = Cast.toNumber(address);
+            register = Cast.toNumber(register);
+            length = Math.max(1, Cast.toNumber(length));
+            return new Promise(resolve => {
+                let timeoutID = null;
+                const onReply = reply => {
+                    window.clearTimeout(timeoutID);
+                    resolve(reply);
+                };
+                // A reply coming after the timeout must not answer a later read.
+                timeoutID = window.setTimeout(() => {
+                    if (this._firmata) {
+                        this._firmata.removeListener(`I2C-reply-${address}-${register}`, onReply);
+                    }
+                    resolve();
+                }, FrimataReadTimeout);
+                this._firmata.i2cReadOnce(address, register, length, onReply);
+            });
+        }
+    }
+
+    /**
+     * Probe an I2C address by reading one byte from it.
+     * @param {number} address - the address to probe.
+     * @return {Promise} - a Promise that resolves true if a device answered at the address.
+     * @private
+     */
+    _probeI2cAddress (address) {
+        return new Promise(resolve => {
+            if (!this.isReady()) {
+                return resolve(false);
+            }
+            let timeoutID = null;
+            const onReply = reply => {
+                window.clearTimeout(timeoutID);
+                resolve(reply.length > 0);
+            };
+            timeoutID = window.setTimeout(() => {
+                if (this._firmata) {
+                    this._firmata.removeListener(`I2C-reply-${address}-0`, onReply);
+                }
+                resolve(false);
+            }, I2cScanTimeout);
+            this._firmata.i2cReadOnce(address, 0, 1, onReply);
+        });
+    }
+
+    /**
+     * Scan the I2C bus for present devices.
+     * @return {Promise} - a Promise that resolves the addresses of devices found on the bus.
+     */
+    i2cScan () {
+        if (this.isReady()) {
+            this._configI2c();
+            const found = [];
+            let scan = Promise.resolve();
+            for (let address = I2cAddressRange.Min; address <= I2cAddressRange.Max; address++) {
+                scan = scan.then(() => this._probeI2cAddress(address))
+                    .then(present => {
+                        if (present) {
+                            found.push(address);
+                        }
+                    });
+            }
+            return scan.then(() => found);
+        }
+    }
+
+    /**
+     * Configure the pin as a OneWire bus once, firmata requires this before any OneWire request.
+     * @param {number} pin - the pin of the bus.
+     * @private
+     */
+    _configOneWire (pin) {
+        if (!this._oneWireDevices[pin]) {
+            this._firmata.sendOneWireConfig(pin, true);
+            this._oneWireDevices[pin] = [];
+        }
+    }
+
+    /**
+     * @param {Array.<number>} rom - the 8 bytes ROM address of a OneWire device.
+     * @return {string} - the ROM address in hex, like '28ff6402d4a30c54'.
+     */
+    formatOneWireAddress (rom) {
+        return rom.map(byte => `0${byte.toString(16)}`.slice(-2)).join('');
+    }
+
+    /**
+     * @param {PIN} pin - the pin of the OneWire bus.
+     * @return {Promise} - a Promise that resolves the ROM addresses of devices found on the bus.
+     */
+    oneWireSearch (pin) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            this._configOneWire(pin);
+            return this._searchOneWire(pin);
+        }
+    }
+
+    /**
+     * @param {number} pin - the number of a configured OneWire pin.
+     * @return {Promise} - a Promise that resolves the ROM addresses of devices found on the bus.
+     * @private
+     */
+    _searchOneWire (pin) {
+        return new Promise(resolve => {
+            let timeoutID = null;
+            let cancelSearch = null;
+            const onReply = (err, devices) => {
+                window.clearTimeout(timeoutID);
+                if (err) {
+                    devices = [];
+                }
+                this._oneWireDevices[pin] = devices;
+                resolve(devices);
+            };
+            timeoutID = window.setTimeout(() => {
+                cancelSearch();
+                this._warnNoAnswer('OneWire');
+                resolve([]);
+            }, FrimataReadTimeout);
+            cancelSearch = this._firmata.sendOneWireSearch(pin, onReply);
+        });
+    }
+
+    /**
+     * Convert the scratchpad of a DS18B20 to temperature in celsius.
+     * @param {Array.<number>} scratchpad - the 9 bytes scratchpad read from the sensor.
+     * @return {number} - the temperature.
+     * @private
+     */
+    _parseDs18b20Scratchpad (scratchpad) {
+        // The undefined low bits of the temperature at lower resolution must be ignored.
+        const resolution = (scratchpad[4] >> 5) & 0x03;
+        let raw = ((scratchpad[1] << 8) | scratchpad[0]) & ~((1 << (3 - resolution)) - 1);
+        if (raw & 0x8000) {
+            raw -= 0x10000;
+        }
+        return raw / 16;
+    }
+
+    /**
+     * @param {PIN} pin - the pin of the OneWire bus.
+     * @param {INDEX} index - the index of the sensor on the bus, starting from 1.
+     * @return {Promise} - a Promise that resolves the temperature in celsius when read from peripheral.
+     */
+    readDs18b20Temperature (pin, index) {
+        if (this.isReady()) {
+            pin = this.parsePin(pin);
+            this._configOneWire(pin);
+            index = Cast.toNumber(index) - 1;
+
+            let search = Promise.resolve(this._oneWireDevices[pin]);
+            if (this._oneWireDevices[pin].length === 0) {
+                search = this._searchOneWire(pin);
+            }
+
+            return search.then(devices => {
+                const device = devices && devices[index];
+                if (!device || !this.isReady()) {
+                    return;
+                }
+                const address = this.formatOneWireAddress(device);
+                const delay = this._ds18b20Delays[address] || Ds18b20ConversionDelay[3];
+
+                // The firmware waits for the conversion to complete before reading the scratchpad.
+                this._firmata.sendOneWireReset(pin);
+                this._firmata.sendOneWireWrite(pin, device, Ds18b20Command.ConvertT);
+                this._firmata.sendOneWireDelay(pin, delay);
+                this._firmata.sendOneWireReset(pin);
+
+                return new Promise(resolve => {
+                    let timeoutID = null;
+                    let cancelRead = null;
+                    const onReply = (err, scratchpad) => {
+                        window.clearTimeout(timeoutID);
+                        if (err || scratchpad.length !== 9 ||
+                            OneWireUtils.crc8(scratchpad.slice(0, 8)) !== scratchpad[8]) {
+                            return resolve();
+                        }
+                        this._ds18b20Delays[address] = Ds18b20ConversionDelay[(scratchpad[4] >> 5) & 0x03];
+                        resolve(this._parseDs18b20Scratchpad(scratchpad));
+                    };
+                    // A reply coming after the timeout must not pile up listeners.
+                    timeoutID = window.setTimeout(() => {
+                        cancelRead();
+                        resolve();
+                    }, delay + FrimataReadTimeout);
+                    cancelRead = this._firmata.sendOneWireWriteAndRead(pin, device, Ds18b20Command.ReadScratchpad, 9,
+                        onReply);
+                });
+            });
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper number shown to user, starting from 1.
+     * @return {number} - the stepper number in firmata, starting from 0.
+     */
+    parseStepper (stepper) {
+        return Math.min(Math.max(Cast.toNumber(stepper) - 1, 0), MaxSteppers - 1);
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to configure.
+     * @param {TYPE} type - the stepper interface type, one of DRIVER, TWO_WIRE and FOUR_WIRE.
+     * @param {Array.<PIN>} pins - the pins of the stepper, step and direction pin first for a driver.
+     */
+    setStepperConfig (stepper, type, pins) {
+        if (this.isReady()) {
+            const deviceNum = this.parseStepper(stepper);
+            pins = pins.map(pin => this.parsePin(pin));
+            type = this._firmata.STEPPER.TYPE[type] || this._firmata.STEPPER.TYPE.DRIVER;
+
+            const options = {deviceNum, type};
+            if (type === this._firmata.STEPPER.TYPE.DRIVER) {
+                options.stepPin = pins[0];
+                options.directionPin = pins[1];
+            } else {
+                options.motorPin1 = pins[0];
+                options.motorPin2 = pins[1];
+                if (type === this._firmata.STEPPER.TYPE.FOUR_WIRE) {
+                    options.motorPin3 = pins[2];
+                    options.motorPin4 = pins[3];
+                }
+            }
+            this._firmata.accelStepperConfig(options);
+
+            if (!this._steppers[deviceNum]) {
+                this._firmata.on(`stepper-done-${deviceNum}`, position => {
+                    this._steppers[deviceNum].isMoving = false;
+                    this._steppers[deviceNum].position = position;
+                });
+            }
+            this._steppers[deviceNum] = {isMoving: null, position: 0};
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to set.
+     * @param {SPEED} speed - the max speed in steps per second.
+     * @param {ACCELERATION} acceleration - the acceleration in steps per second per second, 0 to disable.
+     */
+    setStepperSpeed (stepper, speed, acceleration) {
+        if (this.isReady()) {
+            const deviceNum = this.parseStepper(stepper);
+            this._firmata.accelStepperSpeed(deviceNum, Math.abs(Cast.toNumber(speed)));
+            this._firmata.accelStepperAcceleration(deviceNum, Math.abs(Cast.toNumber(acceleration)));
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to move.
+     * @param {STEPS} steps - the number of steps to move, negative to move backward.
+     */
+    stepperStep (stepper, steps) {
+        if (this.isReady()) {
+            const deviceNum = this.parseStepper(stepper);
+            if (this._steppers[deviceNum]) {
+                this._steppers[deviceNum].isMoving = true;
+            }
+            this._firmata.accelStepperStep(deviceNum, Math.round(Cast.toNumber(steps)));
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to move.
+     * @param {POSITION} position - the absolute position to move to.
+     */
+    stepperTo (stepper, position) {
+        if (this.isReady()) {
+            const deviceNum = this.parseStepper(stepper);
+            if (this._steppers[deviceNum]) {
+                this._steppers[deviceNum].isMoving = true;
+            }
+            this._firmata.accelStepperTo(deviceNum, Math.round(Cast.toNumber(position)));
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to stop, it decelerates to stop if acceleration is set.
+     */
+    stepperStop (stepper) {
+        if (this.isReady()) {
+            this._firmata.accelStepperStop(this.parseStepper(stepper));
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper whose current position will be set as zero.
+     */
+    stepperZero (stepper) {
+        if (this.isReady()) {
+            const deviceNum = this.parseStepper(stepper);
+            if (this._steppers[deviceNum]) {
+                this._steppers[deviceNum].position = 0;
+            }
+            this._firmata.accelStepperZero(deviceNum);
+        }
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to read.
+     * @return {Promise|number} - a Promise that resolves the position when read from peripheral, or the
+     * last known position, 0 if none, when the peripheral is not ready or does not answer.
+     */
+    readStepperPosition (stepper) {
+        const deviceNum = this.parseStepper(stepper);
+        const lastPosition = () => {
+            if (this._steppers[deviceNum]) return this._steppers[deviceNum].position;
+            return 0;
+        };
+        if (!this.isReady()) {
+            return lastPosition();
+        }
+        return new Promise(resolve => {
+            let timeoutID = null;
+            const onReply = position => {
+                window.clearTimeout(timeoutID);
+                if (this._steppers[deviceNum]) {
+                    this._steppers[deviceNum].position = position;
+                }
+                resolve(position);
+            };
+            timeoutID = window.setTimeout(() => {
+                if (this._firmata) {
+                    this._firmata.removeListener(`stepper-position-${deviceNum}`, onReply);
+                }
+                this._warnNoAnswer('stepper position');
+                resolve(lastPosition());
+            }, FrimataReadTimeout);
+            this._firmata.accelStepperReportPosition(deviceNum, onReply);
+        });
+    }
+
+    /**
+     * @param {STEPPER} stepper - the stepper to check.
+     * @return {boolean} - true if the stepper has finished its last move.
+     */
+    isStepperDone (stepper) {
+        if (this.isReady()) {
+            const state = this._steppers[this.parseStepper(stepper)];
+            return !!state && state.isMoving === false;
+        }
+        return false;
+    }
 }
 
+ArduinoPeripheral.FirmwareMismatchReason = FirmwareMismatchReason;
+
 module.exports = ArduinoPeripheral;
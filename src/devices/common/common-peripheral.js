@@ -1,6 +1,5 @@
 const Buffer = require('buffer').Buffer;
 
-const Serialport = require('../../io/serialport');
 const Base64Util = require('../../util/base64-util');
 
 /**
@@ -30,13 +29,13 @@ class CommonPeripheral{
         this.diveceOpt = diveceOpt;
 
         /**
-         * The serialport connection socket for reading/writing peripheral data.
-         * @type {SERIALPORT}
+         * The connection for reading/writing peripheral data, the serialport socket of link by default.
+         * @type {Serialport|WebsocketPort|WebSerial}
          * @private
          */
         this._serialport = null;
-        this._runtime.registerPeripheralExtension(deviceId, this);
-        this._runtime.setRealtimeBaudrate(this.serialConfig.baudRate);
+        this._runtime.registerPeripheralExtension(originalDeviceId, this);
+        this._runtime.setRealtimeBaudrate(this.serialConfig.baudRate, originalDeviceId);
 
         /**
          * The id of the peripheral this peripheral belongs to.
@@ -84,12 +83,13 @@ class CommonPeripheral{
      * Called by the runtime when user wants to scan for a peripheral.
      * @param {Array.<string>} pnpidList - the array of pnp id list
      * @param {bool} listAll - wether list all connectable device
+     * @param {?(string|object)} transport - the transport to connect with, the serialport of link by default.
      */
-    scan (pnpidList, listAll) {
+    scan (pnpidList, listAll, transport) {
         if (this._serialport) {
             this._serialport.disconnect();
         }
-        this._serialport = new Serialport(this._runtime, this._originalDeviceId, {
+        this._serialport = this._runtime.createPeripheralTransport(transport, this._originalDeviceId, {
             filters: {
                 pnpid: listAll ? ['*'] : (pnpidList ? pnpidList : this.pnpidList)
             }
@@ -0,0 +1,634 @@
+const formatMessage = require('format-message');
+const Buffer = require('buffer').Buffer;
+
+const Base64Util = require('../../util/base64-util');
+const Cast = require('../../util/cast');
+
+const MicrobitRealtime = require('../../lib/microbit/microbit-realtime');
+const firmware = require('../../lib/microbit/firmware');
+
+/**
+ * A string to report connect realtime firmware timeout.
+ * @type {formatMessage}
+ */
+const ConnectRealtimeTimeout = formatMessage({
+    id: 'microbitPeripheral.connection.connectRealtimeTimeout',
+    default: 'Timeout when try to connect realtime firmware, please download the firmware first',
+    description: 'label for connect micro:bit realtime firmware timeout'
+});
+
+/**
+ * A time interval to wait (in milliseconds) before reporting to the serialport socket
+ * that state reports have stopped coming from the peripheral.
+ */
+const RealtimeHeartbeatTimeout = 2200;
+
+/**
+ * A time interval wait (in milliseconds) before reporting to the serialport socket
+ * that the realtime firmware still hasn't identified itself.
+ */
+const RealtimeReadyTimeout = 6500;
+
+/**
+ * The brightness of a LED turned on.
+ */
+const MaxBrightness = 9;
+
+/**
+ * Manage communication with a micro:bit peripheral over a OpenBlock Link client socket. In upload
+ * mode it behaves like CommonPeripheral, in realtime mode it drives the micro:bit realtime firmware.
+ */
+class MicrobitPeripheral{
+
+    /**
+     * Construct a micro:bit communication object.
+     * @param {Runtime} runtime - the OpenBlock runtime
+     * @param {string} deviceId - the id of the peripheral
+     * @param {string} originalDeviceId - the original id of the peripheral, like xxx_microbit
+     * @param {object} pnpidList - the pnp id of the peripheral
+     * @param {object} serialConfig - the serial config of the peripheral
+     * @param {object} diveceOpt - the device optione of the peripheral
+     */
+    constructor (runtime, deviceId, originalDeviceId, pnpidList, serialConfig, diveceOpt) {
+        /**
+         * The OpenBlock runtime used to trigger the green flag button.
+         * @type {Runtime}
+         * @private
+         */
+        this._runtime = runtime;
+
+        this.pnpidList = pnpidList;
+        this.serialConfig = serialConfig;
+        this.diveceOpt = diveceOpt;
+
+        /**
+         * The connection for reading/writing peripheral data, the serialport socket of link by default.
+         * @type {Serialport|WebsocketPort|WebSerial}
+         * @private
+         */
+        this._serialport = null;
+        this._runtime.registerPeripheralExtension(originalDeviceId, this);
+        this._runtime.setRealtimeBaudrate(this.serialConfig.baudRate, originalDeviceId);
+
+        /**
+         * The id of the peripheral this peripheral belongs to.
+         */
+        this._deviceId = deviceId;
+
+        this._originalDeviceId = originalDeviceId;
+
+        this.reset = this.reset.bind(this);
+        this._onConnect = this._onConnect.bind(this);
+        this._onMessage = this._onMessage.bind(this);
+
+        /**
+         * Realtime firmware connection.
+         * @type {?MicrobitRealtime}
+         * @private
+         */
+        this._realtime = null;
+
+        /**
+         * Timeout ID for realtime firmware state report timeout.
+         * @type {number}
+         * @private
+         */
+        this._realtimeTimeoutID = null;
+
+        /**
+         * Timeout ID for realtime firmware ready event timeout.
+         * @type {number}
+         * @private
+         */
+        this._realtimeReadyTimeoutID = null;
+
+        /**
+         * A flag that is true while the realtime firmware is conncted.
+         * @type {boolean}
+         * @private
+         */
+        this._isRealtimeConnected = false;
+
+        this._startHeartbeat = this._startHeartbeat.bind(this);
+        this._listenHeartbeat = this._listenHeartbeat.bind(this);
+        this._handleProgramModeUpdate = this._handleProgramModeUpdate.bind(this);
+    }
+
+    /**
+     * Drop the current realtime firmware connection.
+     * @private
+     */
+    _deleteRealtime () {
+        if (this._realtime) {
+            this._realtime.removeAllListeners();
+            this._realtime.dispose();
+            this._realtime = null;
+        }
+        if (this._realtimeReadyTimeoutID) {
+            window.clearTimeout(this._realtimeReadyTimeoutID);
+            this._realtimeReadyTimeoutID = null;
+        }
+    }
+
+    /**
+     * Called by the runtime when user wants to upload code to a peripheral.
+     * @param {string} code - the code want to upload.
+     */
+    upload (code) {
+        // Delete current realtime connection, a new one is created when returning to realtime mode.
+        this._deleteRealtime();
+
+        const base64Str = Buffer.from(code).toString('base64');
+        this._serialport.upload(base64Str, this.diveceOpt, 'base64');
+    }
+
+    /**
+     * Called by the runtime when user wants to upload realtime firmware to a peripheral.
+     * The firmware is a python program, so it is uploaded like user code.
+     */
+    uploadFirmware () {
+        this._deleteRealtime();
+        this._stopHeartbeat();
+
+        const base64Str = Buffer.from(firmware(this.serialConfig.baudRate)).toString('base64');
+        this._serialport.upload(base64Str, this.diveceOpt, 'base64');
+    }
+
+    /**
+     * Called by the runtime when user wants to abort the uploading process.
+     */
+    abortUpload () {
+        this._serialport.abortUpload();
+    }
+
+    /**
+     * Called by the runtime when user wants to scan for a peripheral.
+     * @param {Array.<string>} pnpidList - the array of pnp id list
+     * @param {bool} listAll - wether list all connectable device
+     * @param {?(string|object)} transport - the transport to connect with, the serialport of link by default.
+     */
+    scan (pnpidList, listAll, transport) {
+        if (this._serialport) {
+            this._serialport.disconnect();
+        }
+        this._serialport = this._runtime.createPeripheralTransport(transport, this._originalDeviceId, {
+            filters: {
+                pnpid: listAll ? ['*'] : (pnpidList ? pnpidList : this.pnpidList)
+            }
+        }, this._onConnect, this.reset);
+    }
+
+    /**
+     * Called by the runtime when user wants to connect to a certain peripheral.
+     * @param {number} id - the id of the peripheral to connect to.
+     * @param {?number} baudrate - the baudrate.
+     */
+    connect (id, baudrate = null) {
+        const config = Object.assign({}, this.serialConfig);
+        if (baudrate) {
+            config.baudRate = baudrate;
+        }
+        if (this._serialport) {
+            this._serialport.connectPeripheral(id, {config: config});
+        }
+    }
+
+    /**
+     * Disconnect from the peripheral.
+     */
+    disconnect () {
+        if (this._serialport) {
+            this._serialport.disconnect();
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Reset all the state and timeout/interval ids.
+     */
+    reset () {
+        this._deleteRealtime();
+        this._stopHeartbeat();
+        this._runtime.removeListener(this._runtime.constructor.PROGRAM_MODE_UPDATE, this._handleProgramModeUpdate);
+        this._runtime.removeListener(this._runtime.constructor.PERIPHERAL_UPLOAD_SUCCESS, this._startHeartbeat);
+    }
+
+    /**
+     * Return true if connected to the peripheral.
+     * @return {boolean} - whether the peripheral is connected.
+     */
+    isConnected () {
+        let connected = false;
+        if (this._serialport) {
+            connected = this._serialport.isConnected();
+        }
+        return connected;
+    }
+
+    /**
+     * Set baudrate of the peripheral serialport.
+     * @param {number} baudrate - the baudrate.
+     */
+    setBaudrate (baudrate) {
+        this._serialport.setBaudrate(baudrate);
+    }
+
+    /**
+     * Write data to the peripheral serialport.
+     * @param {string} data - the data to write.
+     */
+    write (data) {
+        if (!this.isConnected()) return;
+
+        const base64Str = Buffer.from(data).toString('base64');
+        this._serialport.write(base64Str, 'base64');
+    }
+
+    /**
+     * Send a message to the peripheral Serialport socket.
+     * @param {Uint8Array} message - the message to write
+     */
+    send (message) {
+        if (!this.isConnected()) return;
+
+        const data = Base64Util.uint8ArrayToBase64(message);
+        this._serialport.write(data, 'base64');
+    }
+
+    /**
+     * Start the realtime connection and the state report watchdog.
+     * @private
+     */
+    _startHeartbeat () {
+        if (this._runtime.isRealtimeMode()) {
+            // eslint-disable-next-line no-negated-condition
+            if (!this._realtime) {
+                // Start a timeout to report that the firmware did not identify itself.
+                // This happens after connecting to a device that is not running the realtime firmware.
+                this._realtimeReadyTimeoutID = window.setTimeout(() => {
+                    this._serialport.handleRealtimeDisconnectError(ConnectRealtimeTimeout);
+                }, RealtimeReadyTimeout);
+
+                this._realtime = new MicrobitRealtime(this.send.bind(this));
+                this._realtime.once('ready', () => {
+                    if (this._realtimeReadyTimeoutID) {
+                        window.clearTimeout(this._realtimeReadyTimeoutID);
+                        this._realtimeReadyTimeoutID = null;
+                    }
+
+                    this._isRealtimeConnected = true;
+                    this._serialport.handleRealtimeConnectSucess();
+
+                    // The periodic state reports work as heartbeat.
+                    this._realtime.on('state', this._listenHeartbeat);
+                    this._listenHeartbeat();
+                });
+                // The firmware only identifies itself when it starts, ask in case it is already running.
+                this._realtime.queryFirmware();
+            } else {
+                this._stopHeartbeat();
+                this._listenHeartbeat();
+            }
+        }
+    }
+
+    /**
+     * Stop the state report watchdog.
+     * @private
+     */
+    _stopHeartbeat () {
+        if (this._realtimeTimeoutID) {
+            window.clearTimeout(this._realtimeTimeoutID);
+            this._realtimeTimeoutID = null;
+        }
+        this._isRealtimeConnected = false;
+    }
+
+    /**
+     * Listen the state reports and emit connection state event.
+     * @private
+     */
+    _listenHeartbeat () {
+        if (!this._isRealtimeConnected) {
+            this._isRealtimeConnected = true;
+            this._serialport.handleRealtimeConnectSucess();
+        }
+        // Reset the timeout timer
+        window.clearTimeout(this._realtimeTimeoutID);
+        this._realtimeTimeoutID = window.setTimeout(() => {
+            // The firmware does not report while running a blocking command, like scrolling a long text.
+            if (this._realtime && this._realtime.isBusy()) {
+                this._listenHeartbeat();
+                return;
+            }
+            this._isRealtimeConnected = false;
+            this._serialport.handleRealtimeDisconnectError(ConnectRealtimeTimeout);
+        }, RealtimeHeartbeatTimeout);
+    }
+
+    /**
+     * Handle the program mode update event. If in realtime mode start the heartbeat else stop.
+     */
+    _handleProgramModeUpdate () {
+        if (this._runtime.isRealtimeMode()) {
+            this._startHeartbeat();
+        } else {
+            // If the firmware has not identified itself when switching to upload mode, reset the
+            // connection and wait for the next one.
+            if (this._realtimeReadyTimeoutID) {
+                this._deleteRealtime();
+            }
+            this._stopHeartbeat();
+        }
+    }
+
+    /**
+     * Starts reading data from peripheral after serialport has connected to it.
+     * @private
+     */
+    _onConnect () {
+        this._serialport.read(this._onMessage);
+
+        this._startHeartbeat();
+
+        this._runtime.on(this._runtime.constructor.PROGRAM_MODE_UPDATE, this._handleProgramModeUpdate);
+        this._runtime.on(this._runtime.constructor.PERIPHERAL_UPLOAD_SUCCESS, this._startHeartbeat);
+    }
+
+    /**
+     * Process the data from the incoming serialport characteristic.
+     * @param {object} base64 - the incoming serialport data.
+     * @private
+     */
+    _onMessage (base64) {
+        if (this._runtime.isRealtimeMode() && this._realtime) {
+            const data = Base64Util.base64ToUint8Array(base64);
+            this._realtime.onReciveData(data);
+        } else {
+            const consoleData = Buffer.from(base64, 'base64');
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_RECIVE_DATA, consoleData);
+        }
+    }
+
+    /**
+     * Return true if peripheral has connected to the realtime firmware and program mode is realtime.
+     * @return {boolean} - whether the peripheral is ready for realtime mode communication.
+     */
+    isReady () {
+        if (this._runtime.isRealtimeMode() && this._isRealtimeConnected) {
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {PIN} pin - the pin to set.
+     * @param {LEVEL} level - the pin level to set, '1' or '0'.
+     */
+    setDigitalOutput (pin, level) {
+        if (this.isReady()) {
+            this._realtime.digitalWrite(Cast.toNumber(pin), Cast.toNumber(level) ? 1 : 0);
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin to set.
+     * @param {VALUE} value - the pwm value to set, from 0 to 1023.
+     */
+    setPwmOutput (pin, value) {
+        if (this.isReady()) {
+            value = Math.min(Math.max(Math.round(Cast.toNumber(value)), 0), 1023);
+            this._realtime.pwmWrite(Cast.toNumber(pin), value);
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin to read.
+     * @return {Promise} - a Promise that resolves true if read high level.
+     */
+    readDigitalPin (pin) {
+        if (this.isReady()) {
+            return this._realtime.digitalRead(Cast.toNumber(pin)).then(value => value === 1);
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin to read.
+     * @return {Promise} - a Promise that resolves when read from peripheral.
+     */
+    readAnalogPin (pin) {
+        if (this.isReady()) {
+            return this._realtime.analogRead(Cast.toNumber(pin));
+        }
+    }
+
+    /**
+     * @param {PIN} pin - the pin to check.
+     * @return {Promise} - a Promise that resolves true if the pin is touched.
+     */
+    isPinTouched (pin) {
+        if (this.isReady()) {
+            return this._realtime.isTouched(Cast.toNumber(pin));
+        }
+    }
+
+    /**
+     * @param {string} pattern - 25 characters of '0' and '1', row by row.
+     */
+    showImage (pattern) {
+        if (this.isReady()) {
+            pattern = Cast.toString(pattern).replace(/[^01]/g, '')
+                .padEnd(25, '0')
+                .slice(0, 25);
+            this._realtime.showImage(pattern);
+        }
+    }
+
+    /**
+     * @param {string} text - the text to scroll.
+     * @param {boolean} wait - whether to wait until the scroll is done.
+     * @return {Promise} - a Promise that resolves when the scroll is done if wait.
+     */
+    showText (text, wait) {
+        if (this.isReady()) {
+            text = Cast.toString(text);
+            if (wait) {
+                return this._realtime.scrollUntilDone(text);
+            }
+            this._realtime.scroll(text);
+        }
+    }
+
+    /**
+     * Turn off all the LEDs.
+     */
+    clearDisplay () {
+        if (this.isReady()) {
+            this._realtime.clearDisplay();
+        }
+    }
+
+    /**
+     * @param {X} x - the column from 0 to 4.
+     * @param {Y} y - the row from 0 to 4.
+     * @param {BRIGHTNESS} brightness - the brightness from 0 to 9.
+     */
+    setPixel (x, y, brightness) {
+        if (this.isReady()) {
+            x = Math.min(Math.max(Math.round(Cast.toNumber(x)), 0), 4);
+            y = Math.min(Math.max(Math.round(Cast.toNumber(y)), 0), 4);
+            brightness = Math.min(Math.max(Math.round(Cast.toNumber(brightness)), 0), MaxBrightness);
+            this._realtime.setPixel(x, y, brightness);
+        }
+    }
+
+    /**
+     * @param {KEY} key - the button, 'a' or 'b'.
+     * @return {boolean} - true if the button is pressed.
+     */
+    isButtonPressed (key) {
+        if (this.isReady()) {
+            return !!this._realtime.state.buttons[key];
+        }
+        return false;
+    }
+
+    /**
+     * @param {GESTURE} gesture - the gesture, like 'shake' or 'faceup'.
+     * @return {boolean} - true if the current gesture is the gesture.
+     */
+    isGesture (gesture) {
+        if (this.isReady()) {
+            return this._realtime.state.gesture === gesture;
+        }
+        return false;
+    }
+
+    /**
+     * @param {AXIS} axis - the axis, 'x', 'y' or 'z'.
+     * @return {number} - the acceleration in milli-g.
+     */
+    getAcceleration (axis) {
+        if (this.isReady()) {
+            return this._realtime.state.acceleration[axis];
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the compass heading.
+     */
+    getCompassHeading () {
+        if (this.isReady()) {
+            return this._realtime.compassHeading();
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the magnetic field strength.
+     */
+    getCompassFieldStrength () {
+        if (this.isReady()) {
+            return this._realtime.compassFieldStrength();
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves when the calibration is done.
+     */
+    calibrateCompass () {
+        if (this.isReady()) {
+            return this._realtime.calibrateCompass();
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the light level.
+     */
+    getLightLevel () {
+        if (this.isReady()) {
+            return this._realtime.lightLevel();
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the temperature.
+     */
+    getTemperature () {
+        if (this.isReady()) {
+            return this._realtime.temperature();
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the running time of the firmware in milliseconds.
+     */
+    getRunningTime () {
+        if (this.isReady()) {
+            return this._realtime.runningTime();
+        }
+    }
+
+    /**
+     * @param {boolean} on - true to turn on the radio, false to turn off.
+     */
+    setRadio (on) {
+        if (this.isReady()) {
+            if (on) {
+                this._realtime.radioOn();
+            } else {
+                this._realtime.radioOff();
+            }
+        }
+    }
+
+    /**
+     * Reset the radio configuration to default.
+     */
+    resetRadio () {
+        if (this.isReady()) {
+            this._realtime.radioReset();
+        }
+    }
+
+    /**
+     * @param {TEXT} message - the message to send.
+     */
+    sendRadioMessage (message) {
+        if (this.isReady()) {
+            this._realtime.radioSend(Cast.toString(message));
+        }
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the received message.
+     */
+    receiveRadioMessage () {
+        if (this.isReady()) {
+            return this._realtime.radioReceive();
+        }
+    }
+
+    /**
+     * @param {CHANNEL} channel - the radio channel from 0 to 83.
+     */
+    setRadioChannel (channel) {
+        if (this.isReady()) {
+            this._realtime.radioChannel(Math.min(Math.max(Math.round(Cast.toNumber(channel)), 0), 83));
+        }
+    }
+
+    /**
+     * Print a text to the console. The serialport is used by the realtime protocol, so the text is
+     * sent to the console directly.
+     * @param {TEXT} text - the text to print.
+     */
+    print (text) {
+        if (this.isReady()) {
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_RECIVE_DATA,
+                Buffer.from(`${Cast.toString(text)}\r\n`));
+        }
+    }
+}
+
+module.exports = MicrobitPeripheral;
@@ -2,8 +2,9 @@ const formatMessage = require('format-message');
 
 const ArgumentType = require('../../extension-support/argument-type');
 const BlockType = require('../../extension-support/block-type');
+const Cast = require('../../util/cast');
 
-const CommonPeripheral = require('../common/common-peripheral');
+const MicrobitPeripheral = require('../common/microbit-peripheral');
 
 /**
 * The list of USB device filters.
@@ -89,7 +90,7 @@ const Level = {
 /**
  * Manage communication with a Microbit peripheral over a OpenBlock Link client socket.
  */
-class Microbit extends CommonPeripheral{
+class Microbit extends MicrobitPeripheral{
     /**
      * Construct a Microbit communication object.
      * @param {Runtime} runtime - the OpenBlock runtime
@@ -997,6 +998,269 @@ class OpenBlockMicrobitDevice {
         }
         ];
     }
+
+    /**
+     * Set pin digital out level.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the set pin digital out level is done.
+     */
+    setDigitalOutput (args) {
+        this._peripheral.setDigitalOutput(args.PIN, args.LEVEL);
+        return Promise.resolve();
+    }
+
+    /**
+     * Set pin pwm out value.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the set pin pwm out value is done.
+     */
+    setPwmOutput (args) {
+        this._peripheral.setPwmOutput(args.PIN, args.OUT);
+        return Promise.resolve();
+    }
+
+    /**
+     * Read pin digital level.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if read high level, false if read low level.
+     */
+    readDigitalPin (args) {
+        return this._peripheral.readDigitalPin(args.PIN);
+    }
+
+    /**
+     * Read analog pin.
+     * @param {object} args - the block's arguments.
+     * @return {number} - analog value fo the pin.
+     */
+    readAnalogPin (args) {
+        return this._peripheral.readAnalogPin(args.PIN);
+    }
+
+    /**
+     * Test whether the pin is touched.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves true if the pin is touched.
+     */
+    pinTouched (args) {
+        return this._peripheral.isPinTouched(args.PIN);
+    }
+
+    /**
+     * Show a image on the led matrix.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the image is shown.
+     */
+    showImage (args) {
+        this._peripheral.showImage(args.VALUE);
+        return Promise.resolve();
+    }
+
+    /**
+     * Show a image on the led matrix for a while and then clear it.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the image is cleared.
+     */
+    showImageUntil (args) {
+        if (!this._peripheral.isReady()) return;
+
+        this._peripheral.showImage(args.VALUE);
+        const time = Math.max(0, Cast.toNumber(args.TIME)) * 1000;
+        return new Promise(resolve => {
+            setTimeout(() => {
+                this._peripheral.clearDisplay();
+                resolve();
+            }, time);
+        });
+    }
+
+    /**
+     * Scroll a text on the led matrix.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the text starts scrolling.
+     */
+    show (args) {
+        this._peripheral.showText(args.TEXT, false);
+        return Promise.resolve();
+    }
+
+    /**
+     * Scroll a text on the led matrix and wait until it is done.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the text is scrolled.
+     */
+    showUntilScrollDone (args) {
+        return this._peripheral.showText(args.TEXT, true);
+    }
+
+    /**
+     * Turn off all the leds.
+     * @return {Promise} - a Promise that resolves after the led matrix is cleared.
+     */
+    clearDisplay () {
+        this._peripheral.clearDisplay();
+        return Promise.resolve();
+    }
+
+    /**
+     * Turn on or off a led.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the led is set.
+     */
+    lightPixelAt (args) {
+        this._peripheral.setPixel(args.X, args.Y, args.STATE === LedState.On ? 9 : 0);
+        return Promise.resolve();
+    }
+
+    /**
+     * Set the brightness of a led.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the led is set.
+     */
+    showOnPiexlbrightness (args) {
+        this._peripheral.setPixel(args.X, args.Y, args.BRT);
+        return Promise.resolve();
+    }
+
+    /**
+     * Test whether the button is pressed.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if the button is pressed.
+     */
+    buttonIsPressed (args) {
+        return this._peripheral.isButtonPressed(args.KEY);
+    }
+
+    /**
+     * Test whether the current gesture is the gesture.
+     * @param {object} args - the block's arguments.
+     * @return {boolean} - true if the current gesture is the gesture.
+     */
+    gestureIsX (args) {
+        return this._peripheral.isGesture(args.STA);
+    }
+
+    /**
+     * Read the acceleration of a axis.
+     * @param {object} args - the block's arguments.
+     * @return {number} - the acceleration in milli-g.
+     */
+    axisAcceleration (args) {
+        return this._peripheral.getAcceleration(args.AXIS);
+    }
+
+    /**
+     * Read the compass heading.
+     * @return {Promise} - a Promise that resolves the compass heading.
+     */
+    compassAngle () {
+        return this._peripheral.getCompassHeading();
+    }
+
+    /**
+     * Read the magnetic field strength.
+     * @return {Promise} - a Promise that resolves the magnetic field strength.
+     */
+    compassMagneticDensity () {
+        return this._peripheral.getCompassFieldStrength();
+    }
+
+    /**
+     * Calibrate the compass.
+     * @return {Promise} - a Promise that resolves after the calibration is done.
+     */
+    calibrateCompass () {
+        return this._peripheral.calibrateCompass();
+    }
+
+    /**
+     * Read the light level.
+     * @return {Promise} - a Promise that resolves the light level.
+     */
+    lightLevel () {
+        return this._peripheral.getLightLevel();
+    }
+
+    /**
+     * Read the temperature.
+     * @return {Promise} - a Promise that resolves the temperature.
+     */
+    temperature () {
+        return this._peripheral.getTemperature();
+    }
+
+    /**
+     * Read the running time of the firmware.
+     * @return {Promise} - a Promise that resolves the running time in milliseconds.
+     */
+    runningTime () {
+        return this._peripheral.getRunningTime();
+    }
+
+    /**
+     * Turn on the radio.
+     * @return {Promise} - a Promise that resolves after the radio is on.
+     */
+    openWirelessCommunication () {
+        this._peripheral.setRadio(true);
+        return Promise.resolve();
+    }
+
+    /**
+     * Turn off the radio.
+     * @return {Promise} - a Promise that resolves after the radio is off.
+     */
+    closeWirelessCommunication () {
+        this._peripheral.setRadio(false);
+        return Promise.resolve();
+    }
+
+    /**
+     * Reset the radio configuration.
+     * @return {Promise} - a Promise that resolves after the radio is reset.
+     */
+    resetWirelessCommunication () {
+        this._peripheral.resetRadio();
+        return Promise.resolve();
+    }
+
+    /**
+     * Send a radio message.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the message is sent.
+     */
+    sendWirelessMessage (args) {
+        this._peripheral.sendRadioMessage(args.TEXT);
+        return Promise.resolve();
+    }
+
+    /**
+     * Receive a radio message.
+     * @return {Promise} - a Promise that resolves the received message.
+     */
+    receiveWirelessMessage () {
+        return this._peripheral.receiveRadioMessage();
+    }
+
+    /**
+     * Set the radio channel.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the channel is set.
+     */
+    setWirelessCommunicationChannel (args) {
+        this._peripheral.setRadioChannel(args.CH);
+        return Promise.resolve();
+    }
+
+    /**
+     * Print a text to the console.
+     * @param {object} args - the block's arguments.
+     * @return {Promise} - a Promise that resolves after the text is printed.
+     */
+    consolePrint (args) {
+        this._peripheral.print(args.TEXT);
+        return Promise.resolve();
+    }
 }
 
 module.exports = OpenBlockMicrobitDevice;
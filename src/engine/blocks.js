@@ -81,7 +81,21 @@ class Blocks {
              * A cache of hat opcodes to collection of theads to execute.
              * @type {object.<string, object>}
              */
-            scripts: {}
+            scripts: {},
+
+            /**
+             * A cache of the compiled scripts by the id of their hat, null for the scripts the
+             * compiler can not run. Only available to the script compiler.
+             * @type {object.<string, ?function>}
+             */
+            compiledScripts: {},
+
+            /**
+             * A cache of the blocks which can not run in the program mode, by the id of the top
+             * block of their script. Only available to the program mode check of the runtime.
+             * @type {object.<string, Array.<object>>}
+             */
+            programModeIssues: {}
         };
 
         /**
@@ -540,6 +554,8 @@ class Blocks {
         this._cache._executeCached = {};
         this._cache._monitored = null;
         this._cache.scripts = {};
+        this._cache.compiledScripts = {};
+        this._cache.programModeIssues = {};
     }
 
     /**
@@ -697,7 +713,7 @@ class Blocks {
                         params: this._getBlockParams(block),
                         // @todo(vm#565) for numerical values with decimals, some countries use comma
                         value: '',
-                        mode: block.opcode === 'data_listcontents' ? 'list' : 'default'
+                        mode: this.runtime.getMonitorModeForOpcode(block.opcode)
                     }));
                 }
             }
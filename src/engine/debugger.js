@@ -0,0 +1,374 @@
+/**
+ * @fileoverview
+ * Breakpoints, pausing and single-stepping of scripts. The sequencer asks the debugger before it
+ * runs each block of a thread's stack, and leaves paused threads in place without stepping them.
+ * The runtime keeps stepping while threads are paused, so monitors, hats and the timers of
+ * devices, like the firmata heartbeat, go on running.
+ *
+ * A thread pauses before a block of its stack, never inside the reporters of a block, and not at
+ * hats: the hat starting a script is checked every frame, the script pauses at its first block.
+ */
+
+/**
+ * Why a thread paused.
+ * @enum {string}
+ */
+const PauseReason = {
+    BREAKPOINT: 'breakpoint',
+    PAUSE: 'pause',
+    STEP: 'step'
+};
+
+class Debugger {
+    /**
+     * @param {!Runtime} runtime - the runtime whose threads are debugged.
+     */
+    constructor (runtime) {
+        /**
+         * @type {!Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * True when the sequencer has to ask the debugger before running a block.
+         * @type {boolean}
+         */
+        this.isActive = false;
+
+        /**
+         * The ids of the blocks threads pause before.
+         * @type {Set.<string>}
+         * @private
+         */
+        this._breakpoints = new Set();
+
+        /**
+         * Whether all threads are paused, including the ones started while paused.
+         * @type {boolean}
+         * @private
+         */
+        this._pauseAll = false;
+
+        /**
+         * The threads resumed one by one while all threads are paused.
+         * @type {WeakSet.<Thread>}
+         * @private
+         */
+        this._released = new WeakSet();
+
+        /**
+         * The block each resumed or stepped thread was paused before, it runs without pausing again
+         * until it is done, even when it takes several frames like a wait.
+         * @type {WeakMap.<Thread, object>}
+         * @private
+         */
+        this._resumedBlocks = new WeakMap();
+
+        /**
+         * The number of threads stepping one block.
+         * @type {number}
+         * @private
+         */
+        this._stepping = 0;
+
+        // Stopping drops the threads, pausing all and the breakpoints stay for the next run.
+        runtime.on(runtime.constructor.PROJECT_STOP_ALL, () => {
+            this._released = new WeakSet();
+            this._resumedBlocks = new WeakMap();
+            this._stepping = 0;
+            this._updateActive();
+        });
+    }
+
+    /**
+     * @type {object}
+     */
+    static get PauseReason () {
+        return PauseReason;
+    }
+
+    /**
+     * Pause threads before a block.
+     * @param {!string} blockId - the id of the block.
+     */
+    addBreakpoint (blockId) {
+        this._breakpoints.add(blockId);
+        this._updateActive();
+    }
+
+    /**
+     * @param {!string} blockId - the id of the block.
+     */
+    removeBreakpoint (blockId) {
+        this._breakpoints.delete(blockId);
+        this._updateActive();
+    }
+
+    clearBreakpoints () {
+        this._breakpoints.clear();
+        this._updateActive();
+    }
+
+    /**
+     * @return {Array.<string>} - the ids of the blocks with a breakpoint.
+     */
+    getBreakpoints () {
+        return Array.from(this._breakpoints);
+    }
+
+    /**
+     * Pause a thread before its next block, or all threads when no thread is given. Threads
+     * started while all are paused pause at their first block.
+     * @param {?Thread} [thread] - the thread to pause.
+     */
+    pause (thread) {
+        if (thread) {
+            this._pause(thread, PauseReason.PAUSE, thread.peekStack());
+            return;
+        }
+        this._pauseAll = true;
+        this._released = new WeakSet();
+        this._updateActive();
+        this.runtime.threads.forEach(runningThread => {
+            this._pause(runningThread, PauseReason.PAUSE, runningThread.peekStack());
+        });
+    }
+
+    /**
+     * Resume a paused thread, or all threads when no thread is given.
+     * @param {?Thread} [thread] - the thread to resume.
+     */
+    resume (thread) {
+        if (thread) {
+            if (this._pauseAll) {
+                this._released.add(thread);
+            }
+            this._resume(thread, false);
+            return;
+        }
+        this._pauseAll = false;
+        this._released = new WeakSet();
+        this.getPausedThreads().forEach(pausedThread => this._resume(pausedThread, false));
+        this._updateActive();
+    }
+
+    /**
+     * Run the block a thread is paused before, and pause the thread before the block following it.
+     * @param {!Thread} thread - the paused thread.
+     */
+    step (thread) {
+        if (thread.isPaused) {
+            this._resume(thread, true);
+        }
+    }
+
+    /**
+     * @return {Array.<Thread>} - the paused threads.
+     */
+    getPausedThreads () {
+        return this.runtime.threads.filter(thread => thread.isPaused);
+    }
+
+    /**
+     * Describe a thread for the GUI: the block it is paused before, its stack, the parameters of the
+     * custom block it runs and the variables of its target.
+     * @param {!Thread} thread - the thread.
+     * @return {object} - the state of the thread.
+     */
+    inspect (thread) {
+        const target = thread.target;
+        const stackFrames = thread.stack.map((blockId, index) => {
+            const frame = thread.stackFrames[index];
+            const block = blockId && this._getBlocks(thread, blockId).getBlock(blockId);
+            return {
+                blockId,
+                opcode: block ? block.opcode : null,
+                isLoop: frame.isLoop,
+                warpMode: frame.warpMode,
+                params: frame.params ? Object.assign({}, frame.params) : null
+            };
+        });
+        // Like Thread.getParam, the parameters in use are the ones of the innermost custom block.
+        const callFrame = stackFrames.slice().reverse()
+            .find(frame => frame.params !== null);
+
+        return {
+            targetId: target ? target.id : null,
+            topBlockId: thread.topBlock,
+            blockId: thread.peekStack(),
+            isPaused: thread.isPaused,
+            stackFrames,
+            params: callFrame ? callFrame.params : {},
+            variables: this._getVariables(target)
+        };
+    }
+
+    /**
+     * Called by the sequencer before it runs a block of a thread's stack.
+     * @param {!Thread} thread - the thread.
+     * @param {!string} blockId - the id of the block about to run.
+     * @return {boolean} - true if the thread paused and the block must not run.
+     */
+    shouldPause (thread, blockId) {
+        if (!this._canPause(thread, blockId)) {
+            return false;
+        }
+
+        const resumed = this._resumedBlocks.get(thread);
+        if (resumed) {
+            if (!resumed.started) {
+                resumed.started = true;
+                return false;
+            }
+            // A block running over several frames keeps its execution context until it is done.
+            if (blockId === resumed.blockId && thread.stack.length === resumed.depth &&
+                thread.peekStackFrame().executionContext !== null) {
+                return false;
+            }
+            this._resumedBlocks.delete(thread);
+            if (resumed.step) {
+                this._stepping--;
+                this._updateActive();
+                return this._pause(thread, PauseReason.STEP, blockId);
+            }
+        }
+
+        if (this._pauseAll && !this._released.has(thread)) {
+            return this._pause(thread, PauseReason.PAUSE, blockId);
+        }
+        if (this._breakpoints.has(blockId)) {
+            return this._pause(thread, PauseReason.BREAKPOINT, blockId);
+        }
+        return false;
+    }
+
+    /**
+     * @param {!Thread} thread - the thread.
+     * @param {?string} blockId - the id of the block the thread would pause before.
+     * @return {boolean} - true if the thread can pause before the block.
+     * @private
+     */
+    _canPause (thread, blockId) {
+        // Compiled scripts do not run block by block.
+        if (thread.updateMonitor || thread.compiledScript !== null || !blockId || thread.stack.length === 0) {
+            return false;
+        }
+        // A block that waited for a promise or a custom reporter resumes where it stopped.
+        if (thread.peekStackFrame().reported !== null) {
+            return false;
+        }
+        // The definition of a custom block does nothing, its body is where a step into it stops.
+        const block = this._getBlocks(thread, blockId).getBlock(blockId);
+        return !(block && (this.runtime.getIsHat(block.opcode) || block.opcode === 'procedures_definition'));
+    }
+
+    /**
+     * @param {!Thread} thread - the thread to pause.
+     * @param {string} reason - why the thread pauses.
+     * @param {?string} blockId - the id of the block the thread pauses before.
+     * @return {boolean} - true if the thread is paused.
+     * @private
+     */
+    _pause (thread, reason, blockId) {
+        if (thread.isPaused) {
+            return true;
+        }
+        if (!this._canPause(thread, blockId)) {
+            return false;
+        }
+        thread.isPaused = true;
+        this.runtime.emit(this.runtime.constructor.DEBUGGER_PAUSED, {
+            thread,
+            targetId: thread.target ? thread.target.id : null,
+            topBlockId: thread.topBlock,
+            blockId,
+            reason
+        });
+        return true;
+    }
+
+    /**
+     * @param {!Thread} thread - the thread to resume.
+     * @param {boolean} step - true to pause again before the next block.
+     * @private
+     */
+    _resume (thread, step) {
+        if (!thread.isPaused) {
+            return;
+        }
+        thread.isPaused = false;
+        const previous = this._resumedBlocks.get(thread);
+        if (previous && previous.step) {
+            this._stepping--;
+        }
+        this._resumedBlocks.set(thread, {
+            blockId: thread.peekStack(),
+            depth: thread.stack.length,
+            started: false,
+            step
+        });
+        if (step) {
+            this._stepping++;
+        }
+        this._updateActive();
+        this.runtime.emit(this.runtime.constructor.DEBUGGER_RESUMED, {
+            thread,
+            targetId: thread.target ? thread.target.id : null,
+            topBlockId: thread.topBlock
+        });
+    }
+
+    /**
+     * The sequencer only asks the debugger while something can pause a thread. The blocks resumed
+     * threads run to the end only matter while it asks, they are forgotten otherwise.
+     * @private
+     */
+    _updateActive () {
+        this.isActive = this._breakpoints.size > 0 || this._pauseAll || this._stepping > 0;
+        if (!this.isActive) {
+            this._resumedBlocks = new WeakMap();
+        }
+    }
+
+    /**
+     * @param {!Thread} thread - the thread.
+     * @param {!string} blockId - the id of a block of the thread.
+     * @return {!Blocks} - the blocks container with the block, the flyout for clicked palette blocks.
+     * @private
+     */
+    _getBlocks (thread, blockId) {
+        const container = thread.blockContainer;
+        return container && container.getBlock(blockId) ? container : this.runtime.flyoutBlocks;
+    }
+
+    /**
+     * @param {?Target} target - the target of a thread.
+     * @return {Array.<object>} - the variables the target can use, its own and the stage ones, like
+     * {id, name, type, value, isLocal}.
+     * @private
+     */
+    _getVariables (target) {
+        const variables = [];
+        const stage = this.runtime.getTargetForStage();
+        const add = (owner, isLocal) => {
+            if (!owner) return;
+            Object.keys(owner.variables).forEach(id => {
+                const variable = owner.variables[id];
+                variables.push({
+                    id,
+                    name: variable.name,
+                    type: variable.type,
+                    value: Array.isArray(variable.value) ? variable.value.slice() : variable.value,
+                    isLocal
+                });
+            });
+        };
+        if (target && target !== stage) {
+            add(target, true);
+        }
+        add(stage, false);
+        return variables;
+    }
+}
+
+module.exports = Debugger;
@@ -82,7 +82,9 @@ const handleReport = function (resolvedValue, sequencer, thread, blockCached, la
     } else {
         // In a non-hat, report the value visually if necessary if
         // at the top of the thread stack.
-        if (lastOperation && typeof resolvedValue !== 'undefined' && thread.atStackTop()) {
+        // A return block reports for the custom reporter below it on the stack.
+        if (lastOperation && typeof resolvedValue !== 'undefined' && thread.atStackTop() &&
+            thread.peekStack() === currentBlockId) {
             if (thread.stackClick) {
                 sequencer.runtime.visualReport(currentBlockId, resolvedValue);
             }
@@ -104,6 +106,34 @@ const handleReport = function (resolvedValue, sequencer, thread, blockCached, la
     }
 };
 
+/**
+ * Store the values reported by the operations before the one a block waits for,
+ * they are thawed when the block runs again.
+ * @param {!Thread} thread Thread running the block.
+ * @param {!object} stackFrame Stack frame of the block.
+ * @param {!Array.<object>} ops The operations of the block.
+ * @param {number} index Index of the operation the block waits for.
+ */
+const storeReported = (thread, stackFrame, ops, index) => {
+    thread.justReported = null;
+    stackFrame.reporting = ops[index].id;
+    stackFrame.reported = ops.slice(0, index).map(reportedCached => {
+        const inputName = reportedCached._parentKey;
+        const reportedValues = reportedCached._parentValues;
+
+        if (inputName === 'BROADCAST_INPUT') {
+            return {
+                opCached: reportedCached.id,
+                inputValue: reportedValues[inputName].BROADCAST_OPTION.name
+            };
+        }
+        return {
+            opCached: reportedCached.id,
+            inputValue: reportedValues[inputName]
+        };
+    });
+};
+
 const handlePromise = (primitiveReportedValue, sequencer, thread, blockCached, lastOperation) => {
     if (thread.status === Thread.STATUS_RUNNING) {
         // Primitive returned a promise; automatically yield thread.
@@ -461,6 +491,16 @@ const execute = function (sequencer, thread) {
             }
         }
 
+        if (currentStackFrame.waitingReporter !== null) {
+            // The custom reporter returned, its parameters are gone with it.
+            // Stopped without a return block, it reports an empty value.
+            currentStackFrame.waitingReporter = null;
+            currentStackFrame.params = null;
+            if (thread.justReported === null) {
+                thread.justReported = '';
+            }
+        }
+
         // The reporting block must exist and must be the next one in the sequence of operations.
         if (thread.justReported !== null && ops[i] && ops[i].id === currentStackFrame.reporting) {
             const opCached = ops[i];
@@ -471,7 +511,10 @@ const execute = function (sequencer, thread) {
             const inputName = opCached._parentKey;
             const argValues = opCached._parentValues;
 
-            if (inputName === 'BROADCAST_INPUT') {
+            if (i === length - 1) {
+                // A custom reporter clicked on its own reports its value.
+                handleReport(inputValue, sequencer, thread, opCached, true);
+            } else if (inputName === 'BROADCAST_INPUT') {
                 // Something is plugged into the broadcast input.
                 // Cast it to a string. We don't need an id here.
                 argValues.BROADCAST_OPTION.id = null;
@@ -520,27 +563,16 @@ const execute = function (sequencer, thread) {
             // future versions of the same operations by block id. The reporting
             // operation if it is promise waiting will set its parent value at
             // that time.
-            thread.justReported = null;
-            currentStackFrame.reporting = ops[i].id;
-            currentStackFrame.reported = ops.slice(0, i).map(reportedCached => {
-                const inputName = reportedCached._parentKey;
-                const reportedValues = reportedCached._parentValues;
-
-                if (inputName === 'BROADCAST_INPUT') {
-                    return {
-                        opCached: reportedCached.id,
-                        inputValue: reportedValues[inputName].BROADCAST_OPTION.name
-                    };
-                }
-                return {
-                    opCached: reportedCached.id,
-                    inputValue: reportedValues[inputName]
-                };
-            });
+            storeReported(thread, currentStackFrame, ops, i);
 
             // We are waiting for a promise. Stop running this set of operations
             // and continue them later after thawing the reported values.
             break;
+        } else if (currentStackFrame.waitingReporter !== null) {
+            // A custom reporter started its procedure. Its return value is
+            // reported when the stack comes back to this block.
+            storeReported(thread, currentStackFrame, ops, i);
+            break;
         } else if (thread.status === Thread.STATUS_RUNNING) {
             if (lastOperation) {
                 handleReport(primitiveReportedValue, sequencer, thread, opCached, lastOperation);
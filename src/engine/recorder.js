@@ -0,0 +1,431 @@
+/**
+ * @fileoverview
+ * Recording of the input of a run, and replaying it headless to reproduce the run. The input of
+ * a run is what the VM can not compute: the data posted to the I/O devices, like the mouse and the
+ * keyboard, the messages of the devices, the time and the random numbers.
+ *
+ * A recording is a list of frames, a frame for each step of the runtime:
+ * - t: the time of the frame, in ms since the recording started.
+ * - n: the number of ticks the sequencer ran.
+ * - s: the seed of the random numbers picked in the frame.
+ * - e: the input received since the previous frame, left out when there is none. Each event is
+ *   ['io', device, data], ['peripheral', deviceId, message], ['greenFlag'] or ['stopAll'].
+ *
+ * The project is saved when the recording starts, and loaded again to replay it. Recording stops
+ * all scripts first. Keys held down and the mouse position before the recording starts, devices
+ * connected before it and scripts started by clicking them in the editor are not part of it.
+ */
+const Clone = require('../util/clone');
+const RandomUtil = require('../util/random-util');
+const ReplayPort = require('../io/replayPort');
+
+/**
+ * The version of the recordings made.
+ * @type {number}
+ */
+const RECORDING_VERSION = 1;
+
+/**
+ * The kinds of input event of a frame.
+ * @enum {string}
+ */
+const EventType = {
+    IO: 'io',
+    PERIPHERAL: 'peripheral',
+    GREEN_FLAG: 'greenFlag',
+    STOP_ALL: 'stopAll'
+};
+
+class Recorder {
+    /**
+     * @param {!Runtime} runtime - the runtime whose runs are recorded.
+     */
+    constructor (runtime) {
+        /**
+         * @type {!Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * @type {boolean}
+         */
+        this.isRecording = false;
+
+        /**
+         * @type {boolean}
+         */
+        this.isReplaying = false;
+
+        /**
+         * The last recording made, or loaded with the project.
+         * @type {?object}
+         */
+        this.recording = null;
+
+        /**
+         * The project the recording in progress starts from.
+         * @type {?object}
+         * @private
+         */
+        this._project = null;
+
+        /**
+         * The frames recorded or replayed.
+         * @type {Array.<object>}
+         * @private
+         */
+        this._frames = [];
+
+        /**
+         * The frame the runtime is stepping.
+         * @type {?object}
+         * @private
+         */
+        this._frame = null;
+
+        /**
+         * The index of the next frame to replay.
+         * @type {number}
+         * @private
+         */
+        this._nextFrame = 0;
+
+        /**
+         * The input received since the last frame.
+         * @type {Array.<Array>}
+         * @private
+         */
+        this._events = [];
+
+        /**
+         * The time the recording started at.
+         * @type {number}
+         * @private
+         */
+        this._startMSecs = 0;
+
+        /**
+         * The connections of the devices while replaying, by device id.
+         * @type {object.<string, ReplayPort>}
+         * @private
+         */
+        this._replayPorts = {};
+
+        /**
+         * The generator of the random numbers of the frame while recording or replaying, seeded
+         * with the seed of the frame.
+         * @type {?function}
+         * @private
+         */
+        this._random = null;
+    }
+
+    /**
+     * @type {number}
+     */
+    static get VERSION () {
+        return RECORDING_VERSION;
+    }
+
+    /**
+     * Start recording from the project given, which must be the project of the runtime.
+     * @param {!object} project - the project, serialized.
+     */
+    startRecording (project) {
+        if (this.isRecording || this.isReplaying) {
+            throw new Error('A recording is already recording or replaying');
+        }
+        this.runtime.stopAll();
+        this._project = project;
+        this._frames = [];
+        this._frame = null;
+        this._events = [];
+        this._startMSecs = Date.now();
+        this._resetClock();
+        this.isRecording = true;
+    }
+
+    /**
+     * @return {?object} - the recording, null when nothing was recording.
+     */
+    stopRecording () {
+        if (!this.isRecording) {
+            return null;
+        }
+        this.isRecording = false;
+        this._random = null;
+        this.recording = {
+            version: RECORDING_VERSION,
+            start: this._startMSecs,
+            turboMode: this.runtime.turboMode,
+            compilerEnabled: this.runtime.compilerEnabled,
+            project: this._project,
+            frames: this._frames
+        };
+        this._project = null;
+        this._frames = [];
+        this._frame = null;
+        this._events = [];
+        return this.recording;
+    }
+
+    /**
+     * Throw if the recording can not be replayed now.
+     * @param {?object} recording - the recording.
+     */
+    checkReplay (recording) {
+        if (!recording || !recording.project || !Array.isArray(recording.frames)) {
+            throw new Error('There is no recording to replay');
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version: ${recording.version}`);
+        }
+        if (this.isRecording || this.isReplaying) {
+            throw new Error('A recording is already recording or replaying');
+        }
+        if (this.runtime._steppingInterval !== null) {
+            throw new Error('A recording is replayed headless, the runtime must not be started');
+        }
+    }
+
+    /**
+     * Step the runtime through the frames of a recording, as fast as it can. The project of the
+     * recording must be loaded already.
+     * @param {!object} recording - the recording.
+     * @return {Promise} - resolves when the last frame is stepped or the replay is stopped.
+     */
+    replay (recording) {
+        try {
+            this.checkReplay(recording);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        this.runtime.stopAll();
+        this.recording = recording;
+        this._frames = recording.frames;
+        this._frame = null;
+        this._nextFrame = 0;
+        this._startMSecs = recording.start;
+        this._replayPorts = {};
+        this._resetClock();
+        this.isReplaying = true;
+
+        return new Promise((resolve, reject) => {
+            const stepFrame = () => {
+                if (!this.isReplaying) {
+                    return resolve();
+                }
+                if (this._nextFrame >= this._frames.length) {
+                    this.stopReplay();
+                    return resolve();
+                }
+                try {
+                    this.runtime._step();
+                } catch (e) {
+                    this.stopReplay();
+                    return reject(e);
+                }
+                // Let the promises and timeouts started in the frame run before the next one.
+                setTimeout(stepFrame, 0);
+            };
+            stepFrame();
+        });
+    }
+
+    /**
+     * Stop replaying, and disconnect the devices the replay connected.
+     */
+    stopReplay () {
+        if (!this.isReplaying) {
+            return;
+        }
+        this.isReplaying = false;
+        this._random = null;
+        Object.keys(this._replayPorts).forEach(deviceId => this.runtime.disconnectPeripheral(deviceId));
+        this._replayPorts = {};
+        this._frames = [];
+        this._frame = null;
+    }
+
+    /**
+     * Stop recording or replaying, and forget the recording: it does not belong to the next project.
+     */
+    dispose () {
+        this.stopRecording();
+        this.stopReplay();
+        this.recording = null;
+    }
+
+    /**
+     * Called by the VM with the data posted to an I/O device.
+     * @param {string} device - the name of the device.
+     * @param {object} data - the data.
+     * @return {boolean} - false if the data is dropped: the live input is while replaying.
+     */
+    recordIOData (device, data) {
+        return this._record([EventType.IO, device, Clone.simple(data)]);
+    }
+
+    /**
+     * Called by the transports with the messages of the devices.
+     * @param {string} deviceId - the id of the device.
+     * @param {string} message - the message, base64 encoded.
+     * @return {boolean} - false if the message is dropped: the live messages are while replaying.
+     */
+    recordPeripheralMessage (deviceId, message) {
+        return this._record([EventType.PERIPHERAL, deviceId, message]);
+    }
+
+    /**
+     * Called by the VM when the green flag is clicked.
+     * @return {boolean} - false if the click is dropped while replaying.
+     */
+    recordGreenFlag () {
+        return this._record([EventType.GREEN_FLAG]);
+    }
+
+    /**
+     * Called by the VM when the stop button is clicked.
+     * @return {boolean} - false if the click is dropped while replaying.
+     */
+    recordStopAll () {
+        return this._record([EventType.STOP_ALL]);
+    }
+
+    /**
+     * Called by the runtime as a step starts. Records the input received since the last step and
+     * the seed of the random numbers, or replays them.
+     */
+    startFrame () {
+        if (this.isRecording) {
+            this._frame = {t: 0, n: 0, s: RandomUtil.newSeed()};
+            if (this._events.length > 0) {
+                this._frame.e = this._events;
+                this._events = [];
+            }
+            this._frames.push(this._frame);
+            this._random = RandomUtil.seeded(this._frame.s);
+        } else if (this.isReplaying) {
+            this._frame = this._frames[this._nextFrame++];
+            if (this._frame.e) {
+                this._frame.e.forEach(event => this._replayEvent(event));
+            }
+            this._random = RandomUtil.seeded(this._frame.s);
+        }
+    }
+
+    /**
+     * Pick a random number for a block, from the seed of the frame while recording or replaying so
+     * the replay picks the same numbers.
+     * @return {number} - a random number in [0, 1).
+     */
+    random () {
+        return this._random === null ? Math.random() : this._random();
+    }
+
+    /**
+     * Called by the runtime to time a step, the time is the recorded one while replaying.
+     * @param {number} now - the time now.
+     * @return {number} - the time of the step.
+     */
+    getFrameMSecs (now) {
+        if (this._frame === null) {
+            return now;
+        }
+        if (this.isReplaying) {
+            return this._startMSecs + this._frame.t;
+        }
+        if (this.isRecording) {
+            this._frame.t = now - this._startMSecs;
+        }
+        return now;
+    }
+
+    /**
+     * The number of ticks the sequencer runs in the replayed step.
+     * @type {number}
+     */
+    get frameTicks () {
+        return this._frame === null ? 0 : this._frame.n;
+    }
+
+    /**
+     * Called by the sequencer with the number of ticks it ran in the step.
+     * @param {number} ticks - the number of ticks.
+     */
+    recordTicks (ticks) {
+        if (this.isRecording && this._frame !== null) {
+            this._frame.n = ticks;
+        }
+    }
+
+    /**
+     * Make the connection of a device while replaying.
+     * @param {string} deviceId - the id of the device.
+     * @param {object} peripheralOptions - the list of options for peripheral discovery.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     * @return {ReplayPort} - the connection.
+     */
+    createReplayPort (deviceId, peripheralOptions, connectCallback, resetCallback) {
+        const port = new ReplayPort(this.runtime, deviceId, peripheralOptions, connectCallback, resetCallback);
+        this._replayPorts[deviceId] = port;
+        return port;
+    }
+
+    /**
+     * Start the clock of the run: the project timer of a replay counts from the time of the
+     * recording.
+     * @private
+     */
+    _resetClock () {
+        this.runtime.currentMSecs = this._startMSecs;
+        this.runtime.ioDevices.clock.resetProjectTimer();
+    }
+
+    /**
+     * @param {Array} event - an input event.
+     * @return {boolean} - false if the input is dropped: the live input is while replaying.
+     * @private
+     */
+    _record (event) {
+        if (this.isReplaying) {
+            return false;
+        }
+        if (this.isRecording) {
+            this._events.push(event);
+        }
+        return true;
+    }
+
+    /**
+     * @param {Array} event - an event of the replayed frame.
+     * @private
+     */
+    _replayEvent (event) {
+        const [type, id, data] = event;
+        if (type === EventType.IO) {
+            const device = this.runtime.ioDevices[id];
+            if (device) {
+                device.postData(Clone.simple(data));
+            }
+        } else if (type === EventType.PERIPHERAL) {
+            let port = this._replayPorts[id];
+            if (!port || !port.isConnected()) {
+                // The device connected during the recording, connect it again to its replay port.
+                this.runtime.scanForPeripheral(id);
+                this.runtime.connectPeripheral(id, ReplayPort.PERIPHERAL_ID);
+                port = this._replayPorts[id];
+            }
+            if (port) {
+                port.receive(data);
+            }
+        } else if (type === EventType.GREEN_FLAG) {
+            this.runtime.greenFlag();
+        } else if (type === EventType.STOP_ALL) {
+            this.runtime.stopAll();
+        }
+    }
+}
+
+module.exports = Recorder;
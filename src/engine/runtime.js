@@ -3,9 +3,12 @@ const {OrderedMap} = require('immutable');
 
 const ArgumentType = require('../extension-support/argument-type');
 const Blocks = require('./blocks');
+const Debugger = require('./debugger');
 const BlocksRuntimeCache = require('./blocks-runtime-cache');
 const BlockType = require('../extension-support/block-type');
 const Profiler = require('./profiler');
+const Recorder = require('./recorder');
+const ScriptCompiler = require('./script-compiler');
 const Sequencer = require('./sequencer');
 const execute = require('./execute.js');
 const ScratchBlocksConstants = require('./scratch-blocks-constants');
@@ -18,6 +21,7 @@ const StageLayering = require('./stage-layering');
 const Variable = require('./variable');
 const xmlEscape = require('../util/xml-escape');
 const ScratchLinkWebSocket = require('../util/scratch-link-websocket');
+const ServerUrls = require('../util/server-urls');
 
 // Virtual I/O devices.
 const Clock = require('../io/clock');
@@ -25,9 +29,18 @@ const Cloud = require('../io/cloud');
 const Keyboard = require('../io/keyboard');
 const Mouse = require('../io/mouse');
 const MouseWheel = require('../io/mouseWheel');
+const SerialData = require('../io/serialData');
 const UserData = require('../io/userData');
 const Video = require('../io/video');
 
+// Peripheral transports.
+const Serialport = require('../io/serialport');
+const TransportType = require('../io/transport-type');
+const WebsocketPort = require('../io/websocketPort');
+const WebSerial = require('../io/webSerial');
+const SimulatorPort = require('../io/simulatorPort');
+
+const ProgramModeUtil = require('../util/program-mode-util');
 const StringUtil = require('../util/string-util');
 const uid = require('../util/uid');
 
@@ -285,6 +298,24 @@ class Runtime extends EventEmitter {
         /** @type {!Sequencer} */
         this.sequencer = new Sequencer(this);
 
+        /**
+         * Breakpoints, pausing and single-stepping of threads.
+         * @type {!Debugger}
+         */
+        this.debugger = new Debugger(this);
+
+        /**
+         * Records the input of runs and replays them.
+         * @type {!Recorder}
+         */
+        this.recorder = new Recorder(this);
+
+        /**
+         * Compiles scripts to JavaScript when the compiler is enabled.
+         * @type {!ScriptCompiler}
+         */
+        this.compiler = new ScriptCompiler(this);
+
         /**
          * Storage container for flyout blocks.
          * These will execute on `_editingTarget.`
@@ -312,16 +343,28 @@ class Runtime extends EventEmitter {
         this._isRealtimeMode = true;
 
         /**
-         * Currently selected device.
-         * @type {?object}
+         * Currently loaded devices, each one has its own peripheral and block categories.
+         * @type {Array.<object>}
          */
-        this._device = {deviceId: null, type: null, pnpIdList: []};
+        this._devices = [];
 
         /**
-         * Currently device realtime firmware serialport baudrate.
-         * @type {number}
+         * Realtime firmware serialport baudrate of the devices, keyed by device id.
+         * @type {Object.<string, number>}
+         */
+        this._realtimeBaudrates = {};
+
+        /**
+         * Auto reconnect policies of the devices, keyed by device id. Devices without one use the
+         * default policy, null means peripherals are not reconnected after losing connection.
+         * @type {Object.<string, ?(boolean|object)>}
          */
-        this._realtimeBaudrate = 57600;
+        this._reconnectPolicies = {};
+
+        /**
+         * @type {?(boolean|object)}
+         */
+        this._defaultReconnectPolicy = null;
 
         /**
          * Map of loaded device extensions.
@@ -362,6 +405,14 @@ class Runtime extends EventEmitter {
          */
         this._deviceBlockInfo = [];
 
+        /**
+         * Map to look up the category info and the block of an extension or device block by extended
+         * opcode, built from the block infos when needed.
+         * @type {?object.<string, {categoryInfo: CategoryInfo, block: ConvertedBlockInfo}>}
+         * @private
+         */
+        this._extensionBlocks = null;
+
         /**
          * Map to look up hat blocks' metadata.
          * Keys are opcode for hat, values are metadata objects.
@@ -430,6 +481,12 @@ class Runtime extends EventEmitter {
          */
         this.compatibilityMode = false;
 
+        /**
+         * Whether the scripts started are compiled to JavaScript instead of interpreted.
+         * @type {Boolean}
+         */
+        this.compilerEnabled = false;
+
         /**
          * A reference to the current runtime stepping interval, set
          * by a `setInterval`.
@@ -469,15 +526,31 @@ class Runtime extends EventEmitter {
             keyboard: new Keyboard(this),
             mouse: new Mouse(this),
             mouseWheel: new MouseWheel(this),
+            serialData: new SerialData(this),
             userData: new UserData(),
             video: new Video(this)
         };
 
+        // The console data of peripherals is parsed for the serial data blocks.
+        this.on(Runtime.PERIPHERAL_RECIVE_DATA, data => this.ioDevices.serialData.postData(data));
+
         /**
          * A list of extensions, used to manage hardware connection.
          */
         this.peripheralExtensions = {};
 
+        /**
+         * The OpenBlock Link websocket server, used by the sockets created after it is set.
+         * @type {string}
+         */
+        this._linkServerUrl = ServerUrls.getDefaultLinkServerUrl();
+
+        /**
+         * The local resources server of the device and extension lists.
+         * @type {string}
+         */
+        this._resourceServerUrl = ServerUrls.getDefaultResourceServerUrl();
+
         /**
          * A runtime profiler that records timed events for later playback to
          * diagnose Scratch performance.
@@ -695,6 +768,40 @@ class Runtime extends EventEmitter {
         return 'PROGRAM_MODE_UPDATE';
     }
 
+    /**
+     * Event name for the blocks of the project which can not run in the program mode, reported when
+     * the program mode changes.
+     * @const {string}
+     */
+    static get PROGRAM_MODE_INCOMPATIBLE_BLOCKS () {
+        return 'PROGRAM_MODE_INCOMPATIBLE_BLOCKS';
+    }
+
+    /**
+     * Event name for a script refused to start because some of its blocks can not run in the
+     * program mode.
+     * @const {string}
+     */
+    static get SCRIPT_PROGRAM_MODE_ERROR () {
+        return 'SCRIPT_PROGRAM_MODE_ERROR';
+    }
+
+    /**
+     * Event name for a thread paused by the debugger, with the block it is paused before.
+     * @const {string}
+     */
+    static get DEBUGGER_PAUSED () {
+        return 'DEBUGGER_PAUSED';
+    }
+
+    /**
+     * Event name for a thread resumed or stepped by the debugger.
+     * @const {string}
+     */
+    static get DEBUGGER_RESUMED () {
+        return 'DEBUGGER_RESUMED';
+    }
+
     /**
      * Event name for monitors update.
      * @const {string}
@@ -840,6 +947,50 @@ class Runtime extends EventEmitter {
         return 'PERIPHERAL_REALTIME_CONNECT_SUCCESS';
     }
 
+    /**
+     * Event name for reporting that a peripheral in realtime mode refused a request, like setting
+     * a pin to a mode the pin does not support.
+     * This causes a 'peripheral realtime warning' alert to display.
+     * @const {string}
+     */
+    static get PERIPHERAL_REALTIME_WARNING () {
+        return 'PERIPHERAL_REALTIME_WARNING';
+    }
+
+    /**
+     * Event name for reporting that a peripheral in realtime mode runs an outdated or foreign
+     * firmware, with the expected and reported firmware names and versions.
+     * The GUI can offer to upload the firmware with uploadFirmwareToPeripheral.
+     * @const {string}
+     */
+    static get PERIPHERAL_FIRMWARE_MISMATCH () {
+        return 'PERIPHERAL_FIRMWARE_MISMATCH';
+    }
+
+    /**
+     * Event name for reporting that a peripheral which lost connection will be looked for again.
+     * @const {string}
+     */
+    static get PERIPHERAL_RECONNECTING () {
+        return 'PERIPHERAL_RECONNECTING';
+    }
+
+    /**
+     * Event name for reporting that a peripheral which lost connection has been connected again.
+     * @const {string}
+     */
+    static get PERIPHERAL_RECONNECTED () {
+        return 'PERIPHERAL_RECONNECTED';
+    }
+
+    /**
+     * Event name for reporting that a peripheral was not found again after all reconnect attempts.
+     * @const {string}
+     */
+    static get PERIPHERAL_RECONNECT_FAILED () {
+        return 'PERIPHERAL_RECONNECT_FAILED';
+    }
+
     /**
      * Event name for reporting that a peripheral has not been discovered.
      * This causes the peripheral connection modal to show a timeout state.
@@ -866,6 +1017,24 @@ class Runtime extends EventEmitter {
         return 'PERIPHERAL_UPLOAD_STDOUT';
     }
 
+    /**
+     * Event name for reporting the phase (compile, link, upload or verify) of an upload and its
+     * progress in percent, parsed from the upload stdout.
+     * @const {string}
+     */
+    static get PERIPHERAL_UPLOAD_PROGRESS () {
+        return 'PERIPHERAL_UPLOAD_PROGRESS';
+    }
+
+    /**
+     * Event name for reporting an error or warning found in the upload output, with its file, line,
+     * column and message, and the block generating the code if it is known.
+     * @const {string}
+     */
+    static get PERIPHERAL_UPLOAD_DIAGNOSTIC () {
+        return 'PERIPHERAL_UPLOAD_DIAGNOSTIC';
+    }
+
     /**
      * Event name for reporting whether peripheral is able to abort upload operations.
      * This causes lock the abort button.
@@ -1095,7 +1264,8 @@ class Runtime extends EventEmitter {
         const {extensionId, deviceId} = id;
 
         if (deviceId) {
-            this._deviceBlockInfo = [];
+            // Only replace the categories of this device, other loaded devices keep theirs.
+            this._deviceBlockInfo = this._deviceBlockInfo.filter(info => info.deviceId !== deviceId);
         }
         const categoryInfoArray = extensionInfo.map(category => {
             const categoryInfo = {
@@ -1117,6 +1287,7 @@ class Runtime extends EventEmitter {
             }
 
             if (deviceId) {
+                categoryInfo.deviceId = deviceId;
                 this._deviceBlockInfo.push(categoryInfo);
             } else {
                 this._blockInfo.push(categoryInfo);
@@ -1137,9 +1308,8 @@ class Runtime extends EventEmitter {
             }
             return categoryInfo;
         });
-        // send original device id but not real deivce id.
-        const originalDeviceId = deviceId ? this._device.deviceId : null;
-        this.emit(Runtime.SCRATCH_EXTENSION_ADDED, {extensionId, deviceId: originalDeviceId, categoryInfoArray});
+        this._resetExtensionBlocks();
+        this.emit(Runtime.SCRATCH_EXTENSION_ADDED, {extensionId, deviceId, categoryInfoArray});
     }
 
     /**
@@ -1159,6 +1329,7 @@ class Runtime extends EventEmitter {
                 categoryInfoArray.push(categoryInfo);
             }
         });
+        this._resetExtensionBlocks();
         this.emit(Runtime.BLOCKSINFO_UPDATE, {categoryInfoArray});
     }
 
@@ -1366,7 +1537,8 @@ class Runtime extends EventEmitter {
             blockJSON,
             categoryInfo,
             blockInfo,
-            inputList: []
+            inputList: [],
+            hasValueInputs: false
         };
 
         // If an icon for the extension exists, prepend it to each block, with a vertical separator.
@@ -1460,8 +1632,12 @@ class Runtime extends EventEmitter {
             }
         }
 
-        if (blockInfo.blockType === BlockType.REPORTER) {
-            if (!blockInfo.disableMonitor && context.inputList.length === 0) {
+        if (blockInfo.blockType === BlockType.REPORTER || blockInfo.blockType === BlockType.BOOLEAN) {
+            // Blocks with arguments are monitored only if they opt in, and only with menu fields like the
+            // pin of a device reporter: the monitor keeps them as params, it has nothing to fill inputs with.
+            const monitorable = blockInfo.monitorable ? !context.hasValueInputs :
+                blockInfo.blockType === BlockType.REPORTER && context.inputList.length === 0;
+            if (!blockInfo.disableMonitor && monitorable) {
                 blockJSON.checkboxInFlyout = true;
             }
         } else if (blockInfo.blockType === BlockType.LOOP) {
@@ -1625,6 +1801,7 @@ class Runtime extends EventEmitter {
             // <value> is the ScratchBlocks name for a block input.
             if (valueName) {
                 context.inputList.push(`<value name="${placeholder}">`);
+                context.hasValueInputs = true;
             }
 
             // The <shadow> is a placeholder for a reporter and is visible when there's no reporter in this input.
@@ -1738,12 +1915,16 @@ class Runtime extends EventEmitter {
             _loadedDeviceExtensionsInfo.push({id: id, xml: value.xml});
         });
 
-        if (this._device.deviceId === null) {
+        if (this._devices.length === 0) {
             return this.generateXMLfromBlockInfo(target, this._blockInfo);
         } else if (this.isRealtimeMode()) {
             return this.generateXMLfromBlockInfo(target, this._deviceBlockInfo.concat(this._blockInfo));
         }
-        return this.generateXMLfromBlockInfo(target, this._deviceBlockInfo).concat(_loadedDeviceExtensionsInfo);
+        // Extensions declaring upload mode blocks, like the serial data ones, are shown in upload mode too.
+        const uploadBlockInfo = this._blockInfo.filter(categoryInfo => categoryInfo.blocks.some(block =>
+            block.info.programMode && block.info.programMode.includes(ProgramModeType.UPLOAD)));
+        return this.generateXMLfromBlockInfo(target, this._deviceBlockInfo.concat(uploadBlockInfo))
+            .concat(_loadedDeviceExtensionsInfo);
     }
 
     /**
@@ -1761,26 +1942,96 @@ class Runtime extends EventEmitter {
      * @returns {ScratchLinkSocket} The scratch link socket.
      */
     getScratchLinkSocket (type) {
-        const factory = this._linkSocketFactory || this._defaultScratchLinkSocketFactory;
-        return factory(type);
+        if (this._linkSocketFactory) {
+            return this._linkSocketFactory(type, this._linkServerUrl);
+        }
+        return this._defaultScratchLinkSocketFactory(type);
     }
 
     /**
      * Configure how ScratchLink sockets are created. Factory must consume a "type" parameter
-     * either BT or BLE.
+     * either BT or BLE, it is also given the configured link server url.
      * @param {Function} factory The new factory for creating ScratchLink sockets.
      */
     configureScratchLinkSocketFactory (factory) {
         this._linkSocketFactory = factory;
     }
 
+    /**
+     * Set the OpenBlock Link server, like ws://192.168.1.10:20111. Sockets opened before keep their server.
+     * @param {string} url - the websocket url of the link server.
+     */
+    setLinkServerUrl (url) {
+        this._linkServerUrl = ServerUrls.normalizeUrl(url);
+    }
+
+    /**
+     * @return {string} - the websocket url of the link server, without trailing slash.
+     */
+    getLinkServerUrl () {
+        return this._linkServerUrl;
+    }
+
+    /**
+     * Set the local resources server, like http://192.168.1.10:20112.
+     * @param {string} url - the url of the resources server.
+     */
+    setResourceServerUrl (url) {
+        this._resourceServerUrl = ServerUrls.normalizeUrl(url);
+    }
+
+    /**
+     * @return {string} - the url of the resources server, without trailing slash.
+     */
+    getResourceServerUrl () {
+        return this._resourceServerUrl;
+    }
+
     /**
      * The default scratch link socket creator, using websockets to the installed device manager.
      * @param {string} type Either BLE or BT
      * @returns {ScratchLinkSocket} The new scratch link socket (a WebSocket object)
      */
     _defaultScratchLinkSocketFactory (type) {
-        return new ScratchLinkWebSocket(type);
+        return new ScratchLinkWebSocket(type, this._linkServerUrl);
+    }
+
+    /**
+     * Create the connection to a peripheral.
+     * @param {?(string|object)} transport - the type of transport, or an object with the type and the
+     * options of the transport like {type: 'websocket', url: 'ws://192.168.4.1:81'}. Defaults to the
+     * serialport of the OpenBlock Link.
+     * @param {string} deviceId - the id of the device using the transport.
+     * @param {object} peripheralOptions - the list of options for peripheral discovery.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     * @returns {Serialport|WebsocketPort|WebSerial|SimulatorPort|ReplayPort} The new transport.
+     */
+    createPeripheralTransport (transport, deviceId, peripheralOptions, connectCallback, resetCallback) {
+        if (typeof transport === 'string') {
+            transport = {type: transport};
+        }
+        transport = Object.assign({type: TransportType.SERIALPORT}, transport);
+        const options = Object.assign({}, peripheralOptions, transport);
+        delete options.type;
+
+        // While replaying, the devices receive the recorded messages whatever they connect with.
+        if (this.recorder.isReplaying) {
+            return this.recorder.createReplayPort(deviceId, options, connectCallback, resetCallback);
+        }
+
+        switch (transport.type) {
+        case TransportType.SERIALPORT:
+            return new Serialport(this, deviceId, options, connectCallback, resetCallback);
+        case TransportType.WEBSOCKET:
+            return new WebsocketPort(this, deviceId, options, connectCallback, resetCallback);
+        case TransportType.WEBSERIAL:
+            return new WebSerial(this, deviceId, options, connectCallback, resetCallback);
+        case TransportType.SIMULATOR:
+            return new SimulatorPort(this, deviceId, options, connectCallback, resetCallback);
+        default:
+            throw new Error(`Unknown peripheral transport type: ${transport.type}`);
+        }
     }
 
     /**
@@ -1794,7 +2045,8 @@ class Runtime extends EventEmitter {
     }
 
     /**
-     * To get real device id. eg: the third party id like ironKit_arduinoUno.
+     * To get real device id. eg: the third party id like ironKit_arduinoUno, or the id of a second
+     * device of the same kind like arduinoUno#2.
      * @param {string} deviceId - the id of the device.
      * @return {string} deviceId - the real device id.
      */
@@ -1804,6 +2056,10 @@ class Runtime extends EventEmitter {
             if (deviceId.indexOf('_') !== -1) {
                 deviceId = deviceId.split('_')[1];
             }
+            // if the id contain '#' use the string before the '#'.
+            if (deviceId.indexOf('#') !== -1) {
+                deviceId = deviceId.split('#')[0];
+            }
         }
         return deviceId;
     }
@@ -1812,12 +2068,16 @@ class Runtime extends EventEmitter {
      * Tell the specified extension to scan for a peripheral.
      * @param {string} deviceId - the id of the device.
      * @param {bool} listAll - wether list all connectable device.
+     * @param {?(string|object)} transport - the transport to scan with, see createPeripheralTransport.
+     * Defaults to the transport of the device.
      */
-    scanForPeripheral (deviceId, listAll) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
+    scanForPeripheral (deviceId, listAll, transport) {
         if (this.peripheralExtensions[deviceId]) {
-            this.peripheralExtensions[deviceId].scan(this._device.pnpIdList, listAll);
+            const device = this.getDeviceById(deviceId);
+            if (!transport && device) {
+                transport = device.transport;
+            }
+            this.peripheralExtensions[deviceId].scan(device ? device.pnpIdList : null, listAll, transport);
         }
     }
 
@@ -1828,8 +2088,6 @@ class Runtime extends EventEmitter {
      * @param {number} baudrate - the baudrate.
      */
     connectPeripheral (deviceId, peripheralId, baudrate) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].connect(peripheralId, baudrate);
         }
@@ -1840,8 +2098,6 @@ class Runtime extends EventEmitter {
      * @param {string} deviceId - the id of the device.
      */
     disconnectPeripheral (deviceId) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].disconnect();
         }
@@ -1853,8 +2109,6 @@ class Runtime extends EventEmitter {
      * @param {number} baudrate - the baudrate.
      */
     setPeripheralBaudrate (deviceId, baudrate) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].setBaudrate(baudrate);
         }
@@ -1866,8 +2120,6 @@ class Runtime extends EventEmitter {
      * @param {number} data - the data to write.
      */
     writeToPeripheral (deviceId, data) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].write(data);
         }
@@ -1879,8 +2131,6 @@ class Runtime extends EventEmitter {
      * @return {boolean} - whether the extension has a connected peripheral.
      */
     getPeripheralIsConnected (deviceId) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         let isConnected = false;
         if (this.peripheralExtensions[deviceId]) {
             isConnected = this.peripheralExtensions[deviceId].isConnected();
@@ -1894,8 +2144,6 @@ class Runtime extends EventEmitter {
      * @param {string} code - the code to upload.
      */
     uploadToPeripheral (deviceId, code) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].upload(code);
         }
@@ -1906,8 +2154,6 @@ class Runtime extends EventEmitter {
      * @param {string} deviceId - the id of the extension.
      */
     abortUploadToPeripheral (deviceId) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].abortUpload();
         }
@@ -1918,8 +2164,6 @@ class Runtime extends EventEmitter {
      * @param {string} deviceId - the id of the device.
      */
     uploadFirmwareToPeripheral (deviceId) {
-        deviceId = this.analysisRealDeviceId(deviceId);
-
         if (this.peripheralExtensions[deviceId]) {
             this.peripheralExtensions[deviceId].uploadFirmware();
         }
@@ -2018,10 +2262,57 @@ class Runtime extends EventEmitter {
             target.blocks;
 
         thread.pushStack(id);
+        if (!thread.updateMonitor && !this._checkScriptProgramMode(thread)) {
+            // The refused thread is returned done, so callers waiting for it see it finished.
+            thread.status = Thread.STATUS_DONE;
+            return thread;
+        }
+        // The debugger pauses threads block by block, which only the interpreter does.
+        if (this.compilerEnabled && !thread.updateMonitor && !this.debugger.isActive) {
+            thread.compiledScript = this.compiler.compileScript(thread.blockContainer, id);
+        }
         this.threads.push(thread);
         return thread;
     }
 
+    /**
+     * Check all the blocks of the script of a new thread can run in the current program mode, and
+     * report the script otherwise. Edge-activated hats are started every frame, their scripts are
+     * only reported when clicked, the program mode update already lists them.
+     * @param {!Thread} thread - the thread about to start.
+     * @return {boolean} - true if the script can run.
+     * @private
+     */
+    _checkScriptProgramMode (thread) {
+        const container = thread.blockContainer;
+        const blocks = container && container.getBlock(thread.topBlock) ? container : this.flyoutBlocks;
+        const programMode = ProgramModeUtil.getProgramMode(this.isRealtimeMode());
+        // The check walks the whole script, it is cached as the hats of a script start it every frame.
+        const cache = blocks._cache.programModeIssues;
+        if (!cache.hasOwnProperty(thread.topBlock)) {
+            cache[thread.topBlock] = ProgramModeUtil.checkScript(this, blocks, thread.topBlock, programMode);
+        }
+        if (cache[thread.topBlock].length === 0) {
+            return true;
+        }
+
+        const topBlock = blocks.getBlock(thread.topBlock);
+        if (thread.stackClick || !this.getIsEdgeActivatedHat(topBlock.opcode)) {
+            const targetId = thread.target ? thread.target.id : null;
+            const issues = cache[thread.topBlock].map(issue => Object.assign({}, issue, {targetId}));
+            const message = `Script not started in ${programMode} mode: ${issues[0].reason}`;
+            log.warn(message);
+            this.emit(Runtime.SCRIPT_PROGRAM_MODE_ERROR, {
+                targetId,
+                topBlockId: thread.topBlock,
+                programMode,
+                message,
+                blocks: issues
+            });
+        }
+        return false;
+    }
+
     /**
      * Stop a thread: stop running it immediately, and remove it from the thread list later.
      * @param {!Thread} thread Thread object to remove from actives
@@ -2046,6 +2337,7 @@ class Runtime extends EventEmitter {
         newThread.stackClick = thread.stackClick;
         newThread.updateMonitor = thread.updateMonitor;
         newThread.blockContainer = thread.blockContainer;
+        newThread.compiledScript = thread.compiledScript;
         newThread.pushStack(thread.topBlock);
         const i = this.threads.indexOf(thread);
         if (i > -1) {
@@ -2255,6 +2547,7 @@ class Runtime extends EventEmitter {
      * Dispose all targets. Return to clean state.
      */
     dispose () {
+        this.recorder.dispose();
         this.stopAll();
         // Deleting each target's variable's monitors.
         this.targets.forEach(target => {
@@ -2277,6 +2570,7 @@ class Runtime extends EventEmitter {
         }
 
         this.ioDevices.cloud.clear();
+        this.ioDevices.serialData.clear();
 
         // Reset runtime cloud data info
         const newCloudDataManager = cloudDataManager();
@@ -2439,6 +2733,8 @@ class Runtime extends EventEmitter {
             this.profiler.start(stepProfilerId);
         }
 
+        this.recorder.startFrame();
+
         // Clean up threads that were told to stop during or since the last step
         this.threads = this.threads.filter(thread => !thread.isKilled);
 
@@ -2552,34 +2848,129 @@ class Runtime extends EventEmitter {
     }
 
     /**
-     * Set the current selected device known by the runtime.
-     * @param {!object} device the object of device.
+     * Set whether the scripts started from now on are compiled to JavaScript. The running threads
+     * go on as they started.
+     * @param {boolean} compilerEnabled True to compile the scripts.
+     */
+    setCompilerEnabled (compilerEnabled) {
+        this.compilerEnabled = compilerEnabled;
+    }
+
+    /**
+     * Set the device known by the runtime, replacing all the loaded devices.
+     * @param {?object} device the object of device, null to remove all the devices.
      */
     setDevice (device) {
-        this._device = device;
+        this.clearDevice();
+        if (device) {
+            this.addDevice(device);
+        }
     }
 
     /**
-     * Clear the selected device.
+     * Add a device to the devices known by the runtime. The categories of the device are prefixed
+     * with its type, if another device already uses the type a number is appended, like arduino2,
+     * so that the blocks of two devices of the same type have different opcodes.
+     * @param {!object} device the object of device.
+     */
+    addDevice (device) {
+        device = Object.assign({}, device);
+        if (!device.prefix) {
+            const prefixes = this._devices.map(dev => dev.prefix);
+            device.prefix = device.type;
+            for (let n = 2; prefixes.includes(device.prefix); n++) {
+                device.prefix = `${device.type}${n}`;
+            }
+        }
+        this._devices.push(device);
+    }
+
+    /**
+     * Remove a device, its peripheral and its block categories.
+     * @param {string} deviceId the id of the device.
+     */
+    removeDevice (deviceId) {
+        this._devices = this._devices.filter(device => device.deviceId !== deviceId);
+        this._deviceBlockInfo = this._deviceBlockInfo.filter(categoryInfo => {
+            if (categoryInfo.deviceId !== deviceId) return true;
+            categoryInfo.blocks.forEach(block => {
+                if (block.json) {
+                    delete this._primitives[block.json.type];
+                    delete this._hats[block.json.type];
+                }
+            });
+            return false;
+        });
+        this._resetExtensionBlocks();
+        delete this.peripheralExtensions[deviceId];
+        delete this._realtimeBaudrates[deviceId];
+        delete this._reconnectPolicies[deviceId];
+    }
+
+    /**
+     * Remove all the devices.
      */
     clearDevice () {
-        this._device = {deviceId: null, type: null, pnpIdList: []};
+        this._devices.map(device => device.deviceId).forEach(deviceId => this.removeDevice(deviceId));
     }
 
     /**
-     * Get the current selected device.
+     * Get the first loaded device, it is the device of projects with only one device.
      * @return {?Device} current selected device known by the runtime.
      */
     getDevice () {
-        return this._device;
+        return this._devices[0] || {deviceId: null, type: null, pnpIdList: []};
+    }
+
+    /**
+     * Get all the loaded devices.
+     * @return {Array.<Device>} the loaded devices, in loading order.
+     */
+    getDevices () {
+        return this._devices;
+    }
+
+    /**
+     * Get a loaded device by its id.
+     * @param {string} deviceId the id of the device.
+     * @return {?Device} the device, undefined if it is not loaded.
+     */
+    getDeviceById (deviceId) {
+        return this._devices.find(device => device.deviceId === deviceId);
     }
 
     /**
      * Set the device realtime firmware serialport baudrate known by the runtime.
      * @param {number} baudrate to log.
+     * @param {string} deviceId the id of the device.
+     */
+    setRealtimeBaudrate (baudrate, deviceId) {
+        this._realtimeBaudrates[deviceId] = baudrate;
+    }
+
+    /**
+     * Set how peripherals are reconnected after they are unplugged or the link restarts.
+     * @param {?(boolean|object)} policy - true to reconnect with the default backoff, an object like
+     * {initialDelay, maxDelay, factor, maxAttempts, scanTimeout} to tune it, or null to not reconnect.
+     * @param {?string} deviceId - the id of the device, or null to set the policy of all the devices.
      */
-    setRealtimeBaudrate (baudrate) {
-        this._realtimeBaudrate = baudrate;
+    setPeripheralReconnectPolicy (policy, deviceId = null) {
+        if (deviceId) {
+            this._reconnectPolicies[deviceId] = policy;
+        } else {
+            this._defaultReconnectPolicy = policy;
+        }
+    }
+
+    /**
+     * @param {string} deviceId - the id of the device.
+     * @return {?(boolean|object)} - the reconnect policy of the device.
+     */
+    getPeripheralReconnectPolicy (deviceId) {
+        if (this._reconnectPolicies.hasOwnProperty(deviceId)) {
+            return this._reconnectPolicies[deviceId];
+        }
+        return this._defaultReconnectPolicy;
     }
 
     /**
@@ -2652,6 +3043,7 @@ class Runtime extends EventEmitter {
      */
     removeScratchExtension (id) {
         this._blockInfo.splice(this._blockInfo.indexOf(id), 1);
+        this._resetExtensionBlocks();
         this._loadedScratchExtensions.splice(this._loadedScratchExtensions.indexOf(id), 1);
         this.emit(Runtime.SCRATCH_EXTENSION_REMOVED);
     }
@@ -2661,6 +3053,7 @@ class Runtime extends EventEmitter {
      */
     clearScratchExtension () {
         this._blockInfo = [];
+        this._resetExtensionBlocks();
         this._loadedScratchExtensions = [];
         this.emit(Runtime.SCRATCH_EXTENSION_REMOVED);
     }
@@ -2680,13 +3073,34 @@ class Runtime extends EventEmitter {
     setRealtimeMode (sta) {
         if (this._isRealtimeMode !== sta){
             this._isRealtimeMode = sta;
-            if (sta && this.getPeripheralIsConnected(this._device.deviceId)) {
-                this.setPeripheralBaudrate(this._device.deviceId, this._realtimeBaudrate);
+            this._resetScriptProgramModes();
+            if (sta) {
+                this._devices.forEach(({deviceId}) => {
+                    if (this.getPeripheralIsConnected(deviceId)) {
+                        this.setPeripheralBaudrate(deviceId, this._realtimeBaudrates[deviceId]);
+                    }
+                });
             }
             this.emit(Runtime.PROGRAM_MODE_UPDATE, {isRealtimeMode: this._isRealtimeMode});
+            this.emit(Runtime.PROGRAM_MODE_INCOMPATIBLE_BLOCKS, {
+                programMode: ProgramModeUtil.getProgramMode(sta),
+                blocks: this.getIncompatibleBlocks()
+            });
         }
     }
 
+    /**
+     * Find the blocks of the project which can not run in a program mode, like the upload only
+     * blocks left in the scripts after switching to realtime mode.
+     * @param {string} [programMode] - the program mode to check, the current one by default.
+     * @return {Array.<object>} - the incompatible blocks, like {targetId, blockId, topBlockId, opcode,
+     * programMode, reason}, where programMode lists the modes the block runs in.
+     */
+    getIncompatibleBlocks (programMode = ProgramModeUtil.getProgramMode(this.isRealtimeMode())) {
+        const targets = this.targets.filter(target => target.isOriginal);
+        return ProgramModeUtil.checkTargets(this, targets, programMode);
+    }
+
     /**
      * Get whether the current program mode is realtime mode.
      * @return {boolean} whether the current program mode is realtime mode.
@@ -3051,31 +3465,91 @@ class Runtime extends EventEmitter {
     /**
      * Get the label or label function for an opcode
      * @param {string} extendedOpcode - the opcode you want a label for
+     * @param {object} [params] - the params of the monitor, shown in place of the arguments of the block
      * @return {object} - object with label and category
      * @property {string} category - the category for this opcode
      * @property {Function} [labelFn] - function to generate the label for this opcode
      * @property {string} [label] - the label for this opcode if `labelFn` is absent
      */
-    getLabelForOpcode (extendedOpcode) {
-        const categoryAndOpcode = extendedOpcode;
-        const [category, opcode] = StringUtil.splitFirst(categoryAndOpcode, '_');
+    getLabelForOpcode (extendedOpcode, params) {
+        const found = this.getExtensionBlockForOpcode(extendedOpcode);
+        if (!found) return;
 
-        if (!(category && opcode)) return;
-
-        const categoryInfo = this._blockInfo.find(ci => ci.id === category) ||
-            this._deviceBlockInfo.find(ci => ci.id === category);
-        if (!categoryInfo) return;
-
-        const block = categoryInfo.blocks.find(b => b.info.opcode === opcode);
-        if (!block) return;
+        let text = found.block.info.text;
+        if (params) {
+            text = text.replace(/\[([^\]]+)\]/g, (placeholder, name) => {
+                if (params.hasOwnProperty(name)) return params[name];
+                return placeholder;
+            });
+        }
 
         // TODO: we may want to format the label in a locale-specific way.
         return {
             category: 'extension', // This assumes that all extensions have the same monitor color.
-            label: `${categoryInfo.name}: ${block.info.text}`
+            label: `${found.categoryInfo.name}: ${text}`
         };
     }
 
+    /**
+     * Get the mode of the monitor showing a block, extension blocks may ask for a mode of their own
+     * like the pin panel of devices.
+     * @param {string} extendedOpcode - the opcode of the monitored block.
+     * @return {string} - the monitor mode, 'default' unless the block needs another.
+     */
+    getMonitorModeForOpcode (extendedOpcode) {
+        if (extendedOpcode === 'data_listcontents') return 'list';
+
+        const found = this.getExtensionBlockForOpcode(extendedOpcode);
+        return (found && found.block.info.monitorMode) || 'default';
+    }
+
+    /**
+     * Find the extension or device block of an opcode. Device categories have ids like arduino_pin,
+     * so the category is the one whose id prefixes the opcode rather than the text before the first '_'.
+     * @param {string} extendedOpcode - the opcode of the block, with its category id.
+     * @return {?object} - the category info and the converted block, or undefined if not found.
+     */
+    getExtensionBlockForOpcode (extendedOpcode) {
+        if (typeof extendedOpcode !== 'string') return;
+
+        if (this._extensionBlocks === null) {
+            this._extensionBlocks = {};
+            this._blockInfo.concat(this._deviceBlockInfo).forEach(categoryInfo => {
+                categoryInfo.blocks.forEach(block => {
+                    const opcode = `${categoryInfo.id}_${block.info.opcode}`;
+                    if (block.info.opcode && !this._extensionBlocks.hasOwnProperty(opcode)) {
+                        this._extensionBlocks[opcode] = {categoryInfo, block};
+                    }
+                });
+            });
+        }
+        if (this._extensionBlocks.hasOwnProperty(extendedOpcode)) {
+            return this._extensionBlocks[extendedOpcode];
+        }
+    }
+
+    /**
+     * Forget the extension blocks looked up by opcode and the program mode checks made with them,
+     * after the block infos of the extensions or devices change.
+     * @private
+     */
+    _resetExtensionBlocks () {
+        this._extensionBlocks = null;
+        this._resetScriptProgramModes();
+    }
+
+    /**
+     * Forget the program mode checks of the scripts, after the program mode or the blocks it is
+     * checked with change.
+     * @private
+     */
+    _resetScriptProgramModes () {
+        this.targets.forEach(target => {
+            target.blocks._cache.programModeIssues = {};
+        });
+        this.flyoutBlocks._cache.programModeIssues = {};
+    }
+
     /**
      * Create a new global variable avoiding conflicts with other variable names.
      * @param {string} variableName The desired variable name for the new global variable.
@@ -3167,9 +3641,10 @@ class Runtime extends EventEmitter {
      * Update a millisecond timestamp value that is saved on the Runtime.
      * This value is helpful in certain instances for compatibility with Scratch 2,
      * which sometimes uses a `currentMSecs` timestamp value in Interpreter.as
+     * While a run is replayed, the value is the one it had when the run was recorded.
      */
     updateCurrentMSecs () {
-        this.currentMSecs = Date.now();
+        this.currentMSecs = this.recorder.getFrameMSecs(Date.now());
     }
 }
 
@@ -0,0 +1,696 @@
+const Cast = require('../util/cast');
+const Sequencer = require('./sequencer');
+const Thread = require('./thread');
+const Timer = require('../util/timer');
+const log = require('../util/log');
+
+/**
+ * @fileoverview
+ * Compile scripts to JavaScript generator functions, run by the sequencer in place of the
+ * interpreter. A compiled script yields where the interpreter returns from stepping its thread: at
+ * the end of each loop iteration, in waits and while a block waits for a promise. Control blocks,
+ * the math operators, variables and custom blocks are turned into JavaScript, the other blocks
+ * call their primitive with the arguments the interpreter would give it. Scripts with a block the
+ * compiler can not run, like a device block with a branch, are left to the interpreter.
+ */
+
+/**
+ * Commands whose primitive never yields, waits or stops the thread, they are called without
+ * checking the status of the thread afterwards.
+ * @const {Set.<string>}
+ */
+const SIMPLE_COMMANDS = new Set([
+    'data_setvariableto',
+    'data_changevariableby',
+    'data_addtolist',
+    'data_deleteoflist',
+    'data_deletealloflist',
+    'data_insertatlist',
+    'data_replaceitemoflist',
+    'motion_movesteps',
+    'motion_turnright',
+    'motion_turnleft',
+    'motion_pointindirection',
+    'motion_gotoxy',
+    'motion_changexby',
+    'motion_setx',
+    'motion_changeyby',
+    'motion_sety',
+    'looks_changesizeby',
+    'looks_setsizeto',
+    'looks_changeeffectby',
+    'looks_seteffectto',
+    'looks_cleargraphiceffects'
+]);
+
+/**
+ * The operators compiled to JavaScript expressions, from their inputs in order.
+ * @const {object.<string, function>}
+ */
+const OPERATORS = {
+    operator_add: (a, b) => `(Cast.toNumber(${a}) + Cast.toNumber(${b}))`,
+    operator_subtract: (a, b) => `(Cast.toNumber(${a}) - Cast.toNumber(${b}))`,
+    operator_multiply: (a, b) => `(Cast.toNumber(${a}) * Cast.toNumber(${b}))`,
+    operator_divide: (a, b) => `(Cast.toNumber(${a}) / Cast.toNumber(${b}))`,
+    operator_lt: (a, b) => `(Cast.compare(${a}, ${b}) < 0)`,
+    operator_equals: (a, b) => `(Cast.compare(${a}, ${b}) === 0)`,
+    operator_gt: (a, b) => `(Cast.compare(${a}, ${b}) > 0)`,
+    // Both operands are evaluated, like the interpreter does before calling the primitive.
+    operator_and: (a, b) => `and(${a}, ${b})`,
+    operator_or: (a, b) => `or(${a}, ${b})`,
+    operator_not: a => `(!Cast.toBoolean(${a}))`,
+    operator_join: (a, b) => `(Cast.toString(${a}) + Cast.toString(${b}))`,
+    operator_mod: (a, b) => `mod(${a}, ${b})`,
+    operator_round: a => `Math.round(Cast.toNumber(${a}))`
+};
+
+/**
+ * The inputs of the compiled operators, in the order they are evaluated.
+ * @const {object.<string, Array.<string>>}
+ */
+const OPERATOR_INPUTS = {
+    operator_not: ['OPERAND'],
+    operator_round: ['NUM'],
+    operator_lt: ['OPERAND1', 'OPERAND2'],
+    operator_equals: ['OPERAND1', 'OPERAND2'],
+    operator_gt: ['OPERAND1', 'OPERAND2'],
+    operator_and: ['OPERAND1', 'OPERAND2'],
+    operator_or: ['OPERAND1', 'OPERAND2'],
+    operator_join: ['STRING1', 'STRING2']
+};
+
+/**
+ * Fields passed to primitives as an object with the id and the name.
+ * @const {Array.<string>}
+ */
+const REFERENCE_FIELDS = ['VARIABLE', 'LIST', 'BROADCAST_OPTION'];
+
+/**
+ * Number of enclosing custom block calls examined to find a recursive call, like the interpreter.
+ * @const {number}
+ */
+const RECURSION_DEPTH = 5;
+
+/**
+ * @param {*} value - a value reported by a primitive.
+ * @return {boolean} - true if the value is a promise.
+ */
+const isPromise = value => (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.then === 'function'
+);
+
+/**
+ * Wait for the promise returned by a primitive, the thread waits like in the interpreter and the
+ * sequencer does not step it until the promise is settled.
+ * @param {!Thread} thread - the thread running the compiled script.
+ * @param {!Promise} promise - the promise.
+ * @return {*} - the resolved value, null if the promise was rejected.
+ */
+const waitPromise = function* (thread, promise) {
+    const settled = {done: false, value: null};
+    if (thread.status === Thread.STATUS_RUNNING) {
+        thread.status = Thread.STATUS_PROMISE_WAIT;
+    }
+    const resume = () => {
+        settled.done = true;
+        if (thread.status === Thread.STATUS_PROMISE_WAIT) {
+            thread.status = Thread.STATUS_RUNNING;
+        }
+    };
+    promise.then(value => {
+        settled.value = value;
+        resume();
+    }, rejectionReason => {
+        log.warn('Primitive rejected promise: ', rejectionReason);
+        resume();
+    });
+    while (!settled.done) {
+        yield;
+    }
+    return settled.value;
+};
+
+/**
+ * Whether a thread in warp mode ran for its time and must yield, the timer starts when the thread
+ * first runs in warp mode during a step.
+ * @param {!Thread} thread - the thread.
+ * @return {boolean} - true if the thread must yield.
+ */
+const warpTimeUp = thread => {
+    if (thread.warpTimer === null) {
+        thread.warpTimer = new Timer();
+        thread.warpTimer.start();
+        return false;
+    }
+    return thread.warpTimer.timeElapsed() > Sequencer.WARP_TIME;
+};
+
+/**
+ * @param {!Array.<string>} calls - the procedure codes of the custom blocks being run.
+ * @param {string} procedureCode - the procedure code of the custom block called.
+ * @return {boolean} - true if the call is recursive.
+ */
+const isRecursive = (calls, procedureCode) => {
+    for (let i = calls.length - 1; i >= 0 && i >= calls.length - RECURSION_DEPTH; i--) {
+        if (calls[i] === procedureCode) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * @param {?object} params - the parameters of the custom block being run.
+ * @param {string} name - the name of the parameter.
+ * @return {*} - the value of the parameter, 0 when the custom block has no such parameter.
+ */
+const getParam = (params, name) => {
+    if (params !== null && params.hasOwnProperty(name)) {
+        return params[name];
+    }
+    return 0;
+};
+
+/**
+ * Run a custom reporter or boolean, yielding before it like before a custom block.
+ * @param {!Thread} thread - the thread running the compiled script.
+ * @param {!Array.<string>} calls - the procedure codes of the custom blocks being run.
+ * @param {?function} procedure - the generator function of the custom reporter, null when it has
+ * no definition.
+ * @param {string} procedureCode - the procedure code of the custom reporter.
+ * @param {!object} params - the parameters of the call.
+ * @param {boolean} warp - whether the caller runs without screen refresh.
+ * @param {boolean} procedureWarp - whether the custom reporter runs without screen refresh.
+ * @param {!BlockUtility} util - the block utility of the script.
+ * @return {*} - the value returned, empty when the custom reporter ends without a return block.
+ */
+const callReporter = function* (thread, calls, procedure, procedureCode, params, warp, procedureWarp, util) {
+    if (procedure === null) {
+        return '';
+    }
+    if (calls.length >= Thread.MAX_PROCEDURE_DEPTH) {
+        log.warn(`Custom reporter "${procedureCode}" reports an empty value: ` +
+            `more than ${Thread.MAX_PROCEDURE_DEPTH} custom blocks are running.`);
+        return '';
+    }
+    if (warp) {
+        if (warpTimeUp(thread)) yield;
+    } else if (!procedureWarp && isRecursive(calls, procedureCode)) {
+        yield;
+    }
+    calls.push(procedureCode);
+    const value = yield* procedure(thread, util, calls, params, procedureWarp || warp);
+    calls.pop();
+    if (thread.status === Thread.STATUS_DONE) {
+        // The thread stopped in the custom reporter, it is never resumed to finish the expression.
+        yield;
+    }
+    return typeof value === 'undefined' ? '' : value;
+};
+
+const and = (a, b) => Cast.toBoolean(a) && Cast.toBoolean(b);
+
+const or = (a, b) => Cast.toBoolean(a) || Cast.toBoolean(b);
+
+const mod = (a, b) => {
+    const n = Cast.toNumber(a);
+    const modulus = Cast.toNumber(b);
+    let result = n % modulus;
+    // Scratch mod uses floored division instead of truncated division.
+    if (result / modulus < 0) result += modulus;
+    return result;
+};
+
+/**
+ * The helpers the generated code uses, by name.
+ * @const {object.<string, *>}
+ */
+const HELPERS = {Cast, isPromise, waitPromise, warpTimeUp, isRecursive, callReporter, getParam, and, or, mod};
+
+/**
+ * Thrown while compiling a script the compiler can not run.
+ */
+class UnsupportedError extends Error {}
+
+/**
+ * Generate the source of one script and of the custom blocks it calls.
+ */
+class ScriptBuilder {
+    /**
+     * @param {!Runtime} runtime - the runtime with the primitives.
+     * @param {!Blocks} blocks - the blocks of the script.
+     */
+    constructor (runtime, blocks) {
+        this.runtime = runtime;
+        this.blocks = blocks;
+
+        /**
+         * The values the generated code refers to, named v0, v1...
+         * @type {Array.<*>}
+         */
+        this.values = [];
+
+        /**
+         * The names of the functions of the custom blocks compiled, by procedure code.
+         * @type {object.<string, ?string>}
+         */
+        this.procedureNames = {};
+
+        /**
+         * The sources of the functions of the custom blocks compiled.
+         * @type {Array.<string>}
+         */
+        this.procedureSources = [];
+
+        this.localCount = 0;
+    }
+
+    /**
+     * @param {!string} topBlockId - the id of the hat starting the script.
+     * @return {!function} - the generator function running the script after its hat.
+     */
+    build (topBlockId) {
+        const body = this.compileStack(this.getBlock(topBlockId).next);
+        const source = `${this.procedureSources.join('\n')}
+return function* script (thread, util) {
+const warp = false;
+const params = null;
+const calls = [];
+let r;
+${body}};`;
+
+        const names = Object.keys(HELPERS).concat(this.values.map((value, index) => `v${index}`));
+        const values = Object.keys(HELPERS).map(name => HELPERS[name])
+            .concat(this.values);
+        // eslint-disable-next-line no-new-func
+        return new Function(...names, source)(...values);
+    }
+
+    /**
+     * @param {!string} blockId - the id of a block.
+     * @return {!object} - the block.
+     */
+    getBlock (blockId) {
+        const block = this.blocks.getBlock(blockId);
+        if (!block) {
+            throw new UnsupportedError(`missing block ${blockId}`);
+        }
+        return block;
+    }
+
+    /**
+     * @param {*} value - a value the generated code refers to.
+     * @return {string} - the expression of the value.
+     */
+    addValue (value) {
+        if (typeof value === 'string' || typeof value === 'boolean' || typeof value === 'number') {
+            return JSON.stringify(value);
+        }
+        this.values.push(value);
+        return `v${this.values.length - 1}`;
+    }
+
+    /**
+     * @param {string} prefix - the prefix of the variable.
+     * @return {string} - the name of a new variable of the generated code.
+     */
+    newLocal (prefix) {
+        return `${prefix}${this.localCount++}`;
+    }
+
+    /**
+     * @param {?string} blockId - the id of the first block of a stack.
+     * @return {string} - the code running the stack.
+     */
+    compileStack (blockId) {
+        let source = '';
+        while (blockId) {
+            const block = this.getBlock(blockId);
+            source += this.compileCommand(block);
+            blockId = block.next;
+        }
+        return source;
+    }
+
+    /**
+     * @param {!object} block - the block.
+     * @param {string} name - the name of the input.
+     * @return {string} - the expression of the input, undefined when it is empty.
+     */
+    compileInput (block, name) {
+        const input = block.inputs[name];
+        if (!input || !input.block) {
+            return 'undefined';
+        }
+        const inputBlock = this.getBlock(input.block);
+        if (this.runtime.getIsHat(inputBlock.opcode)) {
+            return 'undefined';
+        }
+        return this.compileReporter(inputBlock);
+    }
+
+    /**
+     * @param {!object} block - a block with a branch.
+     * @param {string} name - the name of the branch input.
+     * @return {string} - the code running the branch.
+     */
+    compileBranch (block, name) {
+        const input = block.inputs[name];
+        return input ? this.compileStack(input.block) : '';
+    }
+
+    /**
+     * The code ending an iteration of a loop, or waiting for a condition: the thread yields unless
+     * it runs in warp mode and still has time.
+     * @return {string} - the code yielding.
+     */
+    compileLoopYield () {
+        return 'if (!warp || warpTimeUp(thread)) yield;\n';
+    }
+
+    /**
+     * @param {!object} block - a reporter or boolean block.
+     * @return {string} - the expression of the value of the block.
+     */
+    compileReporter (block) {
+        const opcode = block.opcode;
+        if (OPERATORS.hasOwnProperty(opcode)) {
+            const inputNames = OPERATOR_INPUTS[opcode] || ['NUM1', 'NUM2'];
+            return OPERATORS[opcode](...inputNames.map(name => this.compileInput(block, name)));
+        }
+        switch (opcode) {
+        case 'data_variable': {
+            const field = block.fields.VARIABLE;
+            return `thread.target.lookupOrCreateVariable(${this.addValue(field.id)}, ` +
+                `${this.addValue(field.value)}).value`;
+        }
+        case 'argument_reporter_string_number':
+        case 'argument_reporter_boolean':
+            return `getParam(params, ${this.addValue(block.fields.VALUE.value)})`;
+        case 'procedures_call':
+            return this.compileReporterCall(block);
+        }
+
+        const blockFunction = this.runtime.getOpcodeFunction(opcode);
+        if (!blockFunction) {
+            const fieldNames = Object.keys(block.fields);
+            // Shadow blocks, like numbers and menus, report their field.
+            if (fieldNames.length === 1 && Object.keys(block.inputs).length === 0) {
+                return this.addValue(block.fields[fieldNames[0]].value);
+            }
+            throw new UnsupportedError(`no primitive for ${opcode}`);
+        }
+        return `(r = ${this.addValue(blockFunction)}(${this.compileArgs(block)}, util), ` +
+            'isPromise(r) ? (yield* waitPromise(thread, r)) : r)';
+    }
+
+    /**
+     * The arguments object of a primitive, like the interpreter builds it: the fields, the
+     * mutation and the inputs evaluated in order.
+     * @param {!object} block - the block.
+     * @return {string} - the expression of the arguments.
+     */
+    compileArgs (block) {
+        const args = [];
+        if (block.mutation) {
+            args.push(`mutation: ${this.addValue(block.mutation)}`);
+        }
+        for (const name in block.fields) {
+            const field = block.fields[name];
+            const value = REFERENCE_FIELDS.includes(name) ? {id: field.id, name: field.value} : field.value;
+            args.push(`${JSON.stringify(name)}: ${this.addValue(value)}`);
+        }
+        for (const name in block.inputs) {
+            const input = block.inputs[name];
+            if (name === 'custom_block' || !input.block) continue;
+            if (name === 'BROADCAST_INPUT') {
+                // The broadcast menu gives the message, a reporter its name.
+                if (input.block === input.shadow) {
+                    const field = this.getBlock(input.shadow).fields.BROADCAST_OPTION;
+                    args.push(`BROADCAST_OPTION: ${this.addValue({id: field.id, name: field.value})}`);
+                } else {
+                    args.push(`BROADCAST_OPTION: {id: null, name: Cast.toString(${this.compileInput(block, name)})}`);
+                }
+                continue;
+            }
+            if (this.runtime.getIsHat(this.getBlock(input.block).opcode)) continue;
+            args.push(`${JSON.stringify(name)}: ${this.compileInput(block, name)}`);
+        }
+        return `{${args.join(', ')}}`;
+    }
+
+    /**
+     * @param {!object} block - a command block.
+     * @return {string} - the code running the block.
+     */
+    compileCommand (block) {
+        const opcode = block.opcode;
+        switch (opcode) {
+        case 'control_forever':
+            return `for (;;) {\n${this.compileBranch(block, 'SUBSTACK')}${this.compileLoopYield()}}\n`;
+        case 'control_repeat': {
+            // The interpreter evaluates the count again after each iteration, only the first
+            // value counts.
+            const counter = this.newLocal('i');
+            return `for (let ${counter} = Math.round(Cast.toNumber(${this.compileInput(block, 'TIMES')})); ` +
+                `${counter} >= 1; ${counter}--) {\n` +
+                `${this.compileBranch(block, 'SUBSTACK')}${this.compileLoopYield()}` +
+                `${this.compileInput(block, 'TIMES')};\n}\n`;
+        }
+        case 'control_repeat_until':
+            return `while (!Cast.toBoolean(${this.compileInput(block, 'CONDITION')})) {\n` +
+                `${this.compileBranch(block, 'SUBSTACK')}${this.compileLoopYield()}}\n`;
+        case 'control_while':
+            return `while (Cast.toBoolean(${this.compileInput(block, 'CONDITION')})) {\n` +
+                `${this.compileBranch(block, 'SUBSTACK')}${this.compileLoopYield()}}\n`;
+        case 'control_wait_until':
+            return `while (!Cast.toBoolean(${this.compileInput(block, 'CONDITION')})) {\n` +
+                `${this.compileLoopYield()}}\n`;
+        case 'control_if':
+            return `if (Cast.toBoolean(${this.compileInput(block, 'CONDITION')})) {\n` +
+                `${this.compileBranch(block, 'SUBSTACK')}}\n`;
+        case 'control_if_else':
+            return `if (Cast.toBoolean(${this.compileInput(block, 'CONDITION')})) {\n` +
+                `${this.compileBranch(block, 'SUBSTACK')}} else {\n${this.compileBranch(block, 'SUBSTACK2')}}\n`;
+        case 'control_stop':
+            return this.compileStop(block);
+        case 'procedures_call':
+            return this.compileCall(block);
+        case 'procedures_return':
+            return `return ${this.compileInput(block, 'VALUE')};\n`;
+        }
+
+        const blockFunction = this.runtime.getOpcodeFunction(opcode);
+        if (!blockFunction || this.runtime.getIsHat(opcode) || this.hasBranch(block)) {
+            throw new UnsupportedError(`can not compile ${opcode}`);
+        }
+        const call = `${this.addValue(blockFunction)}(${this.compileArgs(block)}, util)`;
+        if (SIMPLE_COMMANDS.has(opcode)) {
+            return `${call};\n`;
+        }
+        // Run the block again while it yields, with the execution context it keeps between runs.
+        return `thread.peekStackFrame().executionContext = null;
+for (;;) {
+r = ${call};
+if (isPromise(r)) {
+yield* waitPromise(thread, r);
+} else if (thread.status === ${Thread.STATUS_YIELD}) {
+thread.status = ${Thread.STATUS_RUNNING};
+if (!warp || warpTimeUp(thread)) yield;
+continue;
+} else if (thread.status === ${Thread.STATUS_YIELD_TICK}) {
+yield;
+continue;
+}
+break;
+}
+if (thread.status === ${Thread.STATUS_DONE}) return;
+`;
+    }
+
+    /**
+     * @param {!object} block - a block which is not compiled to JavaScript.
+     * @return {boolean} - true if the block has a branch its primitive would start.
+     */
+    hasBranch (block) {
+        if (Object.keys(block.inputs).some(name => name.startsWith('SUBSTACK'))) {
+            return true;
+        }
+        const extensionBlock = this.runtime.getExtensionBlockForOpcode(block.opcode);
+        return Boolean(extensionBlock && extensionBlock.block.info.branchCount > 0);
+    }
+
+    /**
+     * @param {!object} block - the stop block.
+     * @return {string} - the code stopping the threads.
+     */
+    compileStop (block) {
+        switch (block.fields.STOP_OPTION.value) {
+        case 'all':
+            return 'util.stopAll();\nreturn;\n';
+        case 'other scripts in sprite':
+        case 'other scripts in stage':
+            return 'util.stopOtherTargetThreads();\n';
+        case 'this script':
+            return 'return;\n';
+        }
+        return '';
+    }
+
+    /**
+     * @param {!object} block - the call of a custom block.
+     * @return {string} - the code running the custom block, empty when it has no definition.
+     */
+    compileCall (block) {
+        if (!block.mutation) {
+            return '';
+        }
+        const procedureCode = block.mutation.proccode;
+        const paramNamesIdsAndDefaults = this.blocks.getProcedureParamNamesIdsAndDefaults(procedureCode);
+        const procedure = this.compileProcedure(procedureCode);
+        if (!procedure || paramNamesIdsAndDefaults === null) {
+            return '';
+        }
+
+        const [paramNames, paramIds, paramDefaults] = paramNamesIdsAndDefaults;
+        // The inputs are evaluated in the order of the block, then given to the parameters.
+        const values = {};
+        let source = '{\n';
+        for (const name in block.inputs) {
+            if (paramIds.includes(name) && block.inputs[name].block) {
+                values[name] = this.newLocal('a');
+                source += `const ${values[name]} = ${this.compileInput(block, name)};\n`;
+            }
+        }
+        const params = paramIds.map((id, index) => `${JSON.stringify(paramNames[index])}: ` +
+            `${values[id] || this.addValue(paramDefaults[index])}`);
+
+        // Like the interpreter, yield before a recursive call, or in warp mode when time is up.
+        source += 'if (warp) {\nif (warpTimeUp(thread)) yield;\n}';
+        if (!procedure.warp) {
+            source += ` else if (isRecursive(calls, ${this.addValue(procedureCode)})) {\nyield;\n}`;
+        }
+        return `${source}
+calls.push(${this.addValue(procedureCode)});
+yield* ${procedure.name}(thread, util, calls, {${params.join(', ')}}, ${procedure.warp ? 'true' : 'warp'});
+calls.pop();
+if (thread.status === ${Thread.STATUS_DONE}) return;
+}
+`;
+    }
+
+    /**
+     * @param {!object} block - the call of a custom reporter or boolean.
+     * @return {string} - the expression of the value it returns.
+     */
+    compileReporterCall (block) {
+        if (!block.mutation) {
+            return '""';
+        }
+        const procedureCode = block.mutation.proccode;
+        const paramNamesIdsAndDefaults = this.blocks.getProcedureParamNamesIdsAndDefaults(procedureCode);
+        const procedure = this.compileProcedure(procedureCode);
+        if (!procedure || paramNamesIdsAndDefaults === null) {
+            return '""';
+        }
+
+        // The inputs are evaluated in the order of the block, the parameters without one take
+        // their default.
+        const [paramNames, paramIds, paramDefaults] = paramNamesIdsAndDefaults;
+        const params = [];
+        for (const name in block.inputs) {
+            const index = paramIds.indexOf(name);
+            if (index !== -1 && block.inputs[name].block) {
+                params.push(`${JSON.stringify(paramNames[index])}: ${this.compileInput(block, name)}`);
+            }
+        }
+        paramIds.forEach((id, index) => {
+            if (!block.inputs[id] || !block.inputs[id].block) {
+                params.push(`${JSON.stringify(paramNames[index])}: ${this.addValue(paramDefaults[index])}`);
+            }
+        });
+        return `(yield* callReporter(thread, calls, ${procedure.name}, ${this.addValue(procedureCode)}, ` +
+            `{${params.join(', ')}}, warp, ${procedure.warp}, util))`;
+    }
+
+    /**
+     * Compile the definition of a custom block, once for the script.
+     * @param {string} procedureCode - the procedure code of the custom block.
+     * @return {?object} - the name of its function and whether it runs without screen refresh,
+     * null when it has no definition.
+     */
+    compileProcedure (procedureCode) {
+        if (this.procedureNames.hasOwnProperty(procedureCode)) {
+            return this.procedureNames[procedureCode];
+        }
+        const definitionId = this.blocks.getProcedureDefinition(procedureCode);
+        if (!definitionId) {
+            this.procedureNames[procedureCode] = null;
+            return null;
+        }
+
+        const definition = this.getBlock(definitionId);
+        const prototype = definition.inputs.custom_block &&
+            this.blocks.getBlock(definition.inputs.custom_block.block);
+        let warp = false;
+        if (prototype && prototype.mutation) {
+            warp = typeof prototype.mutation.warp === 'string' ?
+                JSON.parse(prototype.mutation.warp) :
+                Boolean(prototype.mutation.warp);
+        }
+        const procedure = {name: `p${Object.keys(this.procedureNames).length}`, warp};
+        // Registered before its body is compiled, for recursive calls.
+        this.procedureNames[procedureCode] = procedure;
+        const body = this.compileStack(definition.next);
+        this.procedureSources.push(`function* ${procedure.name} (thread, util, calls, params, warp) {
+let r;
+${body}}`);
+        return procedure;
+    }
+}
+
+class ScriptCompiler {
+    /**
+     * @param {!Runtime} runtime - the runtime running the compiled scripts.
+     */
+    constructor (runtime) {
+        /**
+         * @type {!Runtime}
+         */
+        this.runtime = runtime;
+    }
+
+    /**
+     * Compile the script starting with a hat. Compiled scripts are cached with the blocks until
+     * they change.
+     * @param {!Blocks} blocks - the blocks of the script.
+     * @param {!string} topBlockId - the id of the hat starting the script.
+     * @return {?function} - a generator function taking the thread and a block utility, which runs
+     * the script after its hat, or null if the interpreter has to run the script.
+     */
+    compileScript (blocks, topBlockId) {
+        const cache = blocks._cache.compiledScripts;
+        if (cache.hasOwnProperty(topBlockId)) {
+            return cache[topBlockId];
+        }
+
+        let script = null;
+        const topBlock = blocks.getBlock(topBlockId);
+        if (topBlock && this.runtime.getIsHat(topBlock.opcode)) {
+            try {
+                script = new ScriptBuilder(this.runtime, blocks).build(topBlockId);
+            } catch (e) {
+                if (!(e instanceof UnsupportedError)) {
+                    throw e;
+                }
+                log.info(`Script ${topBlockId} runs in the interpreter: ${e.message}`);
+            }
+        }
+        cache[topBlockId] = script;
+        return script;
+    }
+}
+
+module.exports = ScriptCompiler;
@@ -1,3 +1,4 @@
+const BlockUtility = require('./block-utility');
 const Timer = require('../util/timer');
 const Thread = require('./thread');
 const execute = require('./execute.js');
@@ -81,14 +82,18 @@ class Sequencer {
         // Whether `stepThreads` has run through a full single tick.
         let ranFirstTick = false;
         const doneThreads = [];
+        // Count of ticks run, a replayed step runs as many as the recorded one.
+        const recorder = this.runtime.recorder;
+        let ticks = 0;
         // Conditions for continuing to stepping threads:
         // 1. We must have threads in the list, and some must be active.
-        // 2. Time elapsed must be less than WORK_TIME.
+        // 2. Time elapsed must be less than WORK_TIME, or the recorded ticks are not all run.
         // 3. Either turbo mode, or no redraw has been requested by a primitive.
         while (this.runtime.threads.length > 0 &&
                numActiveThreads > 0 &&
-               this.timer.timeElapsed() < WORK_TIME &&
+               (recorder.isReplaying ? ticks < recorder.frameTicks : this.timer.timeElapsed() < WORK_TIME) &&
                (this.runtime.turboMode || !this.runtime.redrawRequested)) {
+            ticks++;
             if (this.runtime.profiler !== null) {
                 if (stepThreadsInnerProfilerId === -1) {
                     stepThreadsInnerProfilerId = this.runtime.profiler.idByName(stepThreadsInnerProfilerFrame);
@@ -109,6 +114,10 @@ class Sequencer {
                     stoppedThread = true;
                     continue;
                 }
+                if (activeThread.isPaused) {
+                    // Paused by the debugger, keep it as it is.
+                    continue;
+                }
                 if (activeThread.status === Thread.STATUS_YIELD_TICK &&
                     !ranFirstTick) {
                     // Clear single-tick yield from the last call of `stepThreads`.
@@ -131,7 +140,7 @@ class Sequencer {
                         i--; // if the thread is removed from the list (killed), do not increase index
                     }
                 }
-                if (activeThread.status === Thread.STATUS_RUNNING) {
+                if (activeThread.status === Thread.STATUS_RUNNING && !activeThread.isPaused) {
                     numActiveThreads++;
                 }
                 // Check if the thread completed while it just stepped to make
@@ -168,6 +177,7 @@ class Sequencer {
         }
 
         this.activeThread = null;
+        recorder.recordTicks(ticks);
 
         return doneThreads;
     }
@@ -177,6 +187,10 @@ class Sequencer {
      * @param {!Thread} thread Thread object to step.
      */
     stepThread (thread) {
+        if (thread.compiledScript !== null) {
+            this.stepCompiledThread(thread);
+            return;
+        }
         let currentBlockId = thread.peekStack();
         if (!currentBlockId) {
             // A "null block" - empty branch.
@@ -191,12 +205,16 @@ class Sequencer {
         // Save the current block ID to notice if we did control flow.
         while ((currentBlockId = thread.peekStack())) {
             let isWarpMode = thread.peekStackFrame().warpMode;
+            const stackLength = thread.stack.length;
             if (isWarpMode && !thread.warpTimer) {
                 // Initialize warp-mode timer if it hasn't been already.
                 // This will start counting the thread toward `Sequencer.WARP_TIME`.
                 thread.warpTimer = new Timer();
                 thread.warpTimer.start();
             }
+            if (this.runtime.debugger.isActive && this.runtime.debugger.shouldPause(thread, currentBlockId)) {
+                return;
+            }
             // Execute the current block.
             if (this.runtime.profiler !== null) {
                 if (executeProfilerId === -1) {
@@ -231,8 +249,10 @@ class Sequencer {
                 // stepThreads will reset the thread to Thread.STATUS_RUNNING
                 return;
             }
-            // If no control flow has happened, switch to next block.
-            if (thread.peekStack() === currentBlockId) {
+            // If no control flow has happened, switch to next block. A return
+            // block in a recursive custom reporter can return to the same
+            // block further down the stack.
+            if (thread.peekStack() === currentBlockId && thread.stack.length === stackLength) {
                 thread.goToNextBlock();
             }
             // If no next block has been found at this point, look on the stack.
@@ -265,9 +285,12 @@ class Sequencer {
 
                 } else if (stackFrame.waitingReporter) {
                     // This level of the stack was waiting for a value.
-                    // This means a reporter has just returned - so don't go
-                    // to the next block for this level of the stack.
-                    return;
+                    // This means a custom reporter has ended without a return
+                    // block - so it reports an empty value and the block
+                    // waiting for it runs again instead of going to the next
+                    // block for this level of the stack.
+                    thread.pushReportedValue('');
+                    break;
                 }
                 // Get next block of existing block on the stack.
                 thread.goToNextBlock();
@@ -275,6 +298,38 @@ class Sequencer {
         }
     }
 
+    /**
+     * Step a thread running a compiled script until the script yields. The hat runs in the
+     * interpreter first, it decides whether the script starts.
+     * @param {!Thread} thread Thread object to step.
+     */
+    stepCompiledThread (thread) {
+        if (thread.target === null) {
+            this.retireThread(thread);
+            return;
+        }
+        if (thread.generator === null) {
+            if (thread.peekStack() === thread.topBlock) {
+                execute(this, thread);
+                // Retired by its hat, or waiting for the promise of the hat.
+                if (thread.status !== Thread.STATUS_RUNNING) {
+                    return;
+                }
+            }
+            thread.generator = thread.compiledScript(thread, new BlockUtility(this, thread));
+        }
+        if (!thread.blockContainer.forceNoGlow) {
+            thread.requestScriptGlowInFrame = true;
+        }
+        thread.blockGlowInFrame = thread.topBlock;
+        if (thread.generator.next().done) {
+            while (thread.stack.length > 0) {
+                thread.popStack();
+            }
+            thread.status = Thread.STATUS_DONE;
+        }
+    }
+
     /**
      * Step a thread into a block's branch.
      * @param {!Thread} thread Thread object to step to branch.
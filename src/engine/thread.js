@@ -45,8 +45,9 @@ class _StackFrame {
         this.reported = null;
 
         /**
-         * Name of waiting reporter.
-         * @type {string}
+         * Procedure code of the custom reporter this level of the stack waits
+         * for, its parameters are the params of this frame until it returns.
+         * @type {?string}
          */
         this.waitingReporter = null;
 
@@ -187,6 +188,24 @@ class Thread {
         this.warpTimer = null;
 
         this.justReported = null;
+
+        /**
+         * True if the debugger paused this thread, the sequencer does not step it until resumed.
+         * @type {boolean}
+         */
+        this.isPaused = false;
+
+        /**
+         * The compiled script the thread runs, null when the interpreter runs it.
+         * @type {?function}
+         */
+        this.compiledScript = null;
+
+        /**
+         * The generator running the compiled script, created once the hat lets the script start.
+         * @type {?Generator}
+         */
+        this.generator = null;
     }
 
     /**
@@ -234,6 +253,16 @@ class Thread {
         return 4;
     }
 
+    /**
+     * The most custom blocks a thread runs inside each other when it calls a
+     * custom reporter. A custom reporter called deeper reports an empty value
+     * instead of recursing without end.
+     * @const
+     */
+    static get MAX_PROCEDURE_DEPTH () {
+        return 1000;
+    }
+
     /**
      * Push stack and update stack frames appropriately.
      * @param {string} blockId Block ID to push to stack.
@@ -268,7 +297,8 @@ class Thread {
     }
 
     /**
-     * Pop back down the stack frame until we hit a procedure call or the stack frame is emptied
+     * Pop back down the stack frame until we hit a procedure call, a block waiting for a custom
+     * reporter or the stack frame is emptied
      */
     stopThisScript () {
         let blockID = this.peekStack();
@@ -277,6 +307,9 @@ class Thread {
             if (typeof block !== 'undefined' && block.opcode === 'procedures_call') {
                 break;
             }
+            if (this.peekStackFrame().waitingReporter !== null) {
+                break;
+            }
             this.popStack();
             blockID = this.peekStack();
         }
@@ -390,6 +423,9 @@ class Thread {
         let callCount = 5; // Max number of enclosing procedure calls to examine.
         const sp = this.stack.length - 1;
         for (let i = sp - 1; i >= 0; i--) {
+            if (this.stackFrames[i].waitingReporter === procedureCode) {
+                return true;
+            }
             const block = this.target.blocks.getBlock(this.stack[i]);
             if (block.opcode === 'procedures_call' &&
                 block.mutation.proccode === procedureCode) {
@@ -399,6 +435,22 @@ class Thread {
         }
         return false;
     }
+
+    /**
+     * Count the custom blocks running in the thread: the calls below the top of the stack and the
+     * custom reporters the blocks below the top wait for.
+     * @return {number} The number of custom blocks running.
+     */
+    countProcedureCalls () {
+        let count = 0;
+        for (let i = this.stack.length - 2; i >= 0; i--) {
+            const block = this.target.blocks.getBlock(this.stack[i]);
+            if (this.stackFrames[i].waitingReporter !== null || (block && block.opcode === 'procedures_call')) {
+                count++;
+            }
+        }
+        return count;
+    }
 }
 
 module.exports = Thread;
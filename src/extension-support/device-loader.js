@@ -0,0 +1,150 @@
+/**
+ * The peripherals a device definition can use, by the name used in the definition.
+ * @type {Object.<string, function>}
+ */
+const Peripherals = {
+    arduino: () => require('../devices/common/arduino-peripheral'),
+    common: () => require('../devices/common/common-peripheral'),
+    microbit: () => require('../devices/common/microbit-peripheral')
+};
+
+/**
+ * The pin menus of the device classes, by the pin capability listing a pin in the menu.
+ * @type {Object.<string, string>}
+ */
+const PinMenus = {
+    digital: 'PINS_MENU',
+    output: 'OUT_PINS_MENU',
+    analog: 'ANALOG_PINS_MENU',
+    pwm: 'PWM_PINS_MENU',
+    interrupt: 'INTERRUPT_PINS_MENU',
+    dac: 'DAC_PINS_MENU',
+    touch: 'TOUCH_PINS_MENU'
+};
+
+/**
+ * Check a device definition has what the loader needs.
+ * @param {object} definition - the device definition.
+ * @throws {Error} - if the definition can not be loaded.
+ */
+const validateDefinition = definition => {
+    if (!definition || typeof definition.deviceId !== 'string') {
+        throw new Error('Device definition has no deviceId');
+    }
+    if (typeof definition.extends !== 'string') {
+        throw new Error(`Device definition ${definition.deviceId} does not extend a builtin device`);
+    }
+    const peripheral = definition.peripheral || 'arduino';
+    if (!Peripherals.hasOwnProperty(peripheral)) {
+        throw new Error(`Device definition ${definition.deviceId} has unknown peripheral: ${peripheral}`);
+    }
+    if (!Array.isArray(definition.pnpidList) || !definition.serialConfig || !definition.deviceOpt) {
+        throw new Error(`Device definition ${definition.deviceId} needs pnpidList, serialConfig and deviceOpt`);
+    }
+    (definition.pins || []).forEach(pin => {
+        (pin.capabilities || []).forEach(capability => {
+            if (!PinMenus.hasOwnProperty(capability)) {
+                throw new Error(`Device definition ${definition.deviceId} has unknown pin capability: ${capability}`);
+            }
+        });
+    });
+};
+
+/**
+ * Turn a device definition into a device class. A definition is plain JSON, so a board which only
+ * differs from a builtin device in its pins, menus, connection and build options is a data file:
+ * {
+ *     "deviceId": "arduinoNano",
+ *     "extends": "arduinoUno",
+ *     "peripheral": "arduino",
+ *     "pnpidList": ["USB\\VID_1A86&PID_7523"],
+ *     "serialConfig": {"baudRate": 57600, "dataBits": 8, "stopBits": 1},
+ *     "deviceOpt": {"type": "arduino", "fqbn": "arduino:avr:nano:cpu=atmega328old", "firmware": "..."},
+ *     "numDigitalPins": 14,
+ *     "pins": [{"name": "3", "capabilities": ["digital", "pwm", "interrupt"]}, {"name": "A6", ...}],
+ *     "menus": {"BAUDTATE_MENU": [{"text": "9600", "value": "9600"}]},
+ *     "categories": ["pin", "serial", "data"],
+ *     "excludeBlocks": ["setServoOutput"]
+ * }
+ * - extends: the builtin device whose blocks and code generators the device uses.
+ * - peripheral: arduino (firmata in realtime mode), common (upload only) or microbit, arduino by default.
+ * - pins: the pins, the value of a pin is its name unless given. The pin menus of the device are built
+ *   from the capabilities: digital, output, analog, pwm, interrupt, dac and touch.
+ * - menus: other menus of the device to replace, by the name of their getter.
+ * - categories, excludeBlocks: the block categories to keep, all by default, and the blocks to drop.
+ * @param {object} definition - the device definition.
+ * @param {function} BaseDevice - the class of the builtin device the definition extends.
+ * @return {function} - the device class.
+ * @throws {Error} - if the definition can not be loaded.
+ */
+const createDeviceClass = (definition, BaseDevice) => {
+    validateDefinition(definition);
+
+    const Peripheral = Peripherals[definition.peripheral || 'arduino']();
+    const deviceOpt = Object.assign({}, definition.deviceOpt);
+
+    class DefinedDevice extends BaseDevice {
+        /**
+         * @return {string} - the ID of this extension.
+         */
+        get DEVICE_ID () {
+            return definition.deviceId;
+        }
+
+        /**
+         * Construct a set of blocks of the device the definition extends.
+         * @param {Runtime} runtime - the OpenBlock runtime.
+         * @param {string} originalDeviceId - the original id of the peripheral, like xxx_arduinoUno
+         */
+        constructor (runtime, originalDeviceId) {
+            super(runtime, originalDeviceId);
+
+            const numDigitalPins = this._peripheral.numDigitalPins;
+            this._peripheral = new Peripheral(this.runtime, this.DEVICE_ID, originalDeviceId,
+                definition.pnpidList, definition.serialConfig, deviceOpt);
+            if (typeof definition.numDigitalPins === 'number') {
+                this._peripheral.numDigitalPins = definition.numDigitalPins;
+            } else if (typeof numDigitalPins === 'number') {
+                this._peripheral.numDigitalPins = numDigitalPins;
+            }
+        }
+
+        /**
+         * @returns {Array.<object>} metadata for this extension and its blocks.
+         */
+        getInfo () {
+            let categories = super.getInfo();
+            if (Array.isArray(definition.categories)) {
+                categories = categories.filter(category => definition.categories.includes(category.id));
+            }
+            if (Array.isArray(definition.excludeBlocks)) {
+                categories = categories.map(category => Object.assign({}, category, {
+                    blocks: category.blocks.filter(block => !definition.excludeBlocks.includes(block.opcode))
+                }));
+            }
+            return categories;
+        }
+    }
+
+    const pinMenus = {};
+    (definition.pins || []).forEach(pin => {
+        const item = {text: pin.name, value: pin.hasOwnProperty('value') ? pin.value : pin.name};
+        (pin.capabilities || []).forEach(capability => {
+            const menu = PinMenus[capability];
+            pinMenus[menu] = (pinMenus[menu] || []).concat(item);
+        });
+    });
+    const menus = Object.assign(pinMenus, definition.menus);
+    Object.keys(menus).forEach(name => {
+        Object.defineProperty(DefinedDevice.prototype, name, {
+            get: () => menus[name].map(item => Object.assign({}, item))
+        });
+    });
+
+    return DefinedDevice;
+};
+
+module.exports = {
+    createDeviceClass,
+    validateDefinition
+};
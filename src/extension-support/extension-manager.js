@@ -8,9 +8,7 @@ const log = require('../util/log');
 const maybeFormatMessage = require('../util/maybe-format-message');
 
 const BlockType = require('./block-type');
-
-// Local resources server address
-const localResourcesServerUrl = 'http://127.0.0.1:20112/';
+const DeviceLoader = require('./device-loader');
 
 // These extensions are currently built into the VM repository but should not be loaded at startup.
 // TODO: move these out into a separate repository?
@@ -26,15 +24,16 @@ const builtinExtensions = {
     text2speech: () => require('../extensions/scratch3_text2speech'),
     translate: () => require('../extensions/scratch3_translate'),
     videoSensing: () => require('../extensions/scratch3_video_sensing'),
-    makeymakey: () => require('../extensions/scratch3_makeymakey')
+    makeymakey: () => require('../extensions/scratch3_makeymakey'),
+    serialData: () => require('../extensions/scratch3_serial_data')
 };
 
 const builtinDevices = {
     // Arduino Uno
     arduinoUno: () => require('../devices/arduinoUno/arduinoUno'),
-    arduinoNano: () => require('../devices/arduinoUno/arduinoNano'),
-    arduinoUnoUltra: () => require('../devices/arduinoUno/arduinoUnoUltra'),
-    arduinoUnoSE: () => require('../devices/arduinoUno/arduinoUnoSE'),
+    arduinoNano: () => require('../devices/arduinoUno/arduinoNano.json'),
+    arduinoUnoUltra: () => require('../devices/arduinoUno/arduinoUnoUltra.json'),
+    arduinoUnoSE: () => require('../devices/arduinoUno/arduinoUnoSE.json'),
     // Arduino Leonardo
     arduinoLeonardo: () => require('../devices/arduinoLeonardo/arduinoLeonardo'),
     makeyMakey: () => require('../devices/arduinoLeonardo/makeyMakey'),
@@ -62,6 +61,20 @@ const builtinDevices = {
     // gdxfor: () => require('../extensions/scratch3_gdx_for')
 };
 
+/**
+ * Get the class of a builtin device, a device described in JSON is turned into a class extending
+ * the device it is based on.
+ * @param {string} deviceId - the id of the builtin device.
+ * @returns {function} - the device class.
+ */
+const getBuiltinDeviceClass = deviceId => {
+    const device = builtinDevices[deviceId]();
+    if (typeof device === 'function') {
+        return device;
+    }
+    return DeviceLoader.createDeviceClass(device, getBuiltinDeviceClass(device.extends));
+};
+
 /**
  * @typedef {object} ArgumentInfo - Information about an extension block argument
  * @property {ArgumentType} type - the type of value this argument can take
@@ -142,6 +155,13 @@ class ExtensionManager {
          */
         this._deviceExtensionsList = [];
 
+        /**
+         * The JSON definitions of the devices listed by the local server which ship one, by device id.
+         * @type {Object.<string, object>}
+         * @private
+         */
+        this._deviceDefinitions = {};
+
         /**
          * Keep a reference to the runtime so we can construct internal extension objects.
          * TODO: remove this in favor of extensions accessing the runtime as a service.
@@ -269,13 +289,22 @@ class ExtensionManager {
         this.runtime.clearScratchExtension();
     }
 
+    /**
+     * @param {string} path - the path of a file on the local resources server.
+     * @returns {string} - the url of the file on the configured resources server.
+     * @private
+     */
+    _getResourceUrl (path) {
+        return `${this.runtime.getResourceServerUrl()}/${String(path).replace(/^\/+/, '')}`;
+    }
+
     /**
      * Get unbuild-in devices list from local server.
      * @returns {Promise} resolved devices list has been fetched or failure
      */
     getDeviceList () {
         return new Promise(resolve => {
-            fetch(`${localResourcesServerUrl}devices/${formatMessage.setup().locale}.json`)
+            fetch(this._getResourceUrl(`devices/${formatMessage.setup().locale}.json`))
                 .then(response => response.json())
                 .then(devices => {
                     // filter unsupported distribution content
@@ -315,10 +344,13 @@ class ExtensionManager {
                     });
 
                     devices = filteredDevices.map(dev => {
+                        if (dev.definition && typeof dev.definition === 'object') {
+                            this._deviceDefinitions[dev.deviceId] = dev.definition;
+                        }
                         dev.hide = false;
-                        dev.iconURL = localResourcesServerUrl + dev.iconURL;
-                        dev.connectionIconURL = localResourcesServerUrl + dev.connectionIconURL;
-                        dev.connectionSmallIconURL = localResourcesServerUrl + dev.connectionSmallIconURL;
+                        dev.iconURL = this._getResourceUrl(dev.iconURL);
+                        dev.connectionIconURL = this._getResourceUrl(dev.connectionIconURL);
+                        dev.connectionSmallIconURL = this._getResourceUrl(dev.connectionSmallIconURL);
                         return dev;
                     });
                     return resolve(devices);
@@ -331,7 +363,22 @@ class ExtensionManager {
 
 
     /**
-     * Load an device by URL or internal device ID
+     * Get an id to load one more device of a kind, the id of the device if it is not loaded yet,
+     * else the id with a instance number like arduinoUno#2.
+     * @param {string} deviceId - the id of the device.
+     * @returns {string} - the id not used by any loaded device.
+     */
+    getNewDeviceInstanceId (deviceId) {
+        let instanceId = deviceId;
+        for (let n = 2; this.isDeviceLoaded(instanceId); n++) {
+            instanceId = `${deviceId}#${n}`;
+        }
+        return instanceId;
+    }
+
+    /**
+     * Load an device by URL or internal device ID. The device is added beside the devices already
+     * loaded, with its own peripheral and block categories.
      * @param {object} device - the device to be load
      * @returns {Promise} resolved once the device is loaded and initialized or rejected on failure
      */
@@ -341,33 +388,33 @@ class ExtensionManager {
             this.clearDevice();
             return Promise.resolve();
         }
-        const {deviceId, type, pnpidList} = device;
+        const {deviceId, type, pnpidList, prefix, transport} = device;
 
         const realDeviceId = this.runtime.analysisRealDeviceId(deviceId);
+        const definition = device.definition || this._deviceDefinitions[deviceId.split('#')[0]];
 
-        if (builtinDevices.hasOwnProperty(realDeviceId)) {
+        if (definition || builtinDevices.hasOwnProperty(realDeviceId)) {
             if (this.isDeviceLoaded(deviceId)) {
                 const message = `Rejecting attempt to load a device twice with ID ${deviceId}`;
                 log.warn(message);
                 return Promise.resolve();
             }
 
-            // Try to disconnect the old device before change device.
-            this.runtime.disconnectPeripheral(this.runtime.getDevice().deviceId);
+            let dev;
+            try {
+                dev = definition ? this._getDefinedDeviceClass(definition) : getBuiltinDeviceClass(realDeviceId);
+            } catch (e) {
+                log.error(`Failed to load device ${deviceId}: ${e.message}`);
+                return Promise.reject(`Error while load device ${deviceId}: ${e.message}`);
+            }
 
-            this.runtime.setDevice({deviceId: deviceId, type: type, pnpIdList: pnpidList});
-            this.runtime.clearMonitor();
-            const dev = builtinDevices[realDeviceId]();
+            // The devices saved in project use pnpIdList.
+            this.runtime.addDevice({deviceId, type, pnpIdList: pnpidList || device.pnpIdList, prefix, transport});
             const deviceInstance = new dev(this.runtime, deviceId);
-            const serviceName = this._registerInternalExtension(deviceInstance);
-            this._loadedDevice.clear();
+            const serviceName = this._registerInternalExtension(deviceInstance, deviceId);
 
             this._loadedDevice.set(deviceId, serviceName);
 
-            // Clear current extentions.
-            this.clearExtensions();
-            this.clearDeviceExtension();
-
             return Promise.resolve();
         }
 
@@ -375,13 +422,40 @@ class ExtensionManager {
     }
 
     /**
-     * Clear curent device
+     * Get the class of a device shipped as a JSON definition by the local server.
+     * @param {object} definition - the device definition, see device-loader.
+     * @returns {function} - the device class.
+     * @throws {Error} - if the definition can not be loaded.
+     * @private
      */
-    clearDevice () {
-        if (this.runtime.getDevice().deviceId) {
-            this.runtime.disconnectPeripheral(this.runtime.getDevice().deviceId);
+    _getDefinedDeviceClass (definition) {
+        if (!builtinDevices.hasOwnProperty(definition.extends)) {
+            throw new Error(`can not find the device it extends: ${definition.extends}`);
+        }
+        return DeviceLoader.createDeviceClass(definition, getBuiltinDeviceClass(definition.extends));
+    }
+
+    /**
+     * Unload a device, disconnect its peripheral and remove its blocks categories.
+     * @param {string} deviceId - the id of the device.
+     */
+    unloadDevice (deviceId) {
+        if (this.isDeviceLoaded(deviceId)) {
+            this.runtime.disconnectPeripheral(deviceId);
+            this.runtime.removeDevice(deviceId);
+            this._loadedDevice.delete(deviceId);
 
-            const deviceId = this.runtime.getDevice().deviceId;
+            this.runtime.emit(this.runtime.constructor.SCRATCH_EXTENSION_REMOVED, {deviceId});
+        }
+    }
+
+    /**
+     * Clear all devices
+     */
+    clearDevice () {
+        const deviceIds = this.runtime.getDevices().map(device => device.deviceId);
+        if (deviceIds.length > 0) {
+            deviceIds.forEach(deviceId => this.runtime.disconnectPeripheral(deviceId));
 
             this.runtime.clearDevice();
             this.runtime.clearMonitor();
@@ -391,7 +465,9 @@ class ExtensionManager {
             this.clearExtensions();
             this.clearDeviceExtension();
 
-            this.runtime.emit(this.runtime.constructor.SCRATCH_EXTENSION_REMOVED, {deviceId});
+            deviceIds.forEach(deviceId => {
+                this.runtime.emit(this.runtime.constructor.SCRATCH_EXTENSION_REMOVED, {deviceId});
+            });
         }
     }
 
@@ -401,7 +477,7 @@ class ExtensionManager {
      */
     getDeviceExtensionsList () {
         return new Promise(resolve => {
-            fetch(`${localResourcesServerUrl}extensions/${formatMessage.setup().locale}.json`)
+            fetch(this._getResourceUrl(`extensions/${formatMessage.setup().locale}.json`))
                 .then(response => response.json())
                 .then(extensions => {
                     // filter unsupported distribution content
@@ -416,7 +492,7 @@ class ExtensionManager {
                     });
 
                     extensions = filteredExtensions.map(extension => {
-                        extension.iconURL = localResourcesServerUrl + extension.iconURL;
+                        extension.iconURL = this._getResourceUrl(extension.iconURL);
                         if (this.isDeviceExtensionLoaded(extension.extensionId)) {
                             extension.isLoaded = true;
                         }
@@ -466,7 +542,7 @@ class ExtensionManager {
             // If it is a local file, add the localhost address in front
             registerUrls = registerUrls.map(url => {
                 if (!validUrl.isWebUri(url)) {
-                    return localResourcesServerUrl + url;
+                    return this._getResourceUrl(url);
                 }
                 return url;
             });
@@ -526,7 +602,9 @@ class ExtensionManager {
             let deviceId = null;
             // get deviceId or extensions Id
             if (serviceName.startsWith('device')) {
-                deviceId = serviceName.split('_')[2];
+                // Device id could contain '_', like ironKit_arduinoUno.
+                deviceId = serviceName.split('_').slice(2)
+                    .join('_');
             } else {
                 extensionId = serviceName.split('_')[2];
             }
@@ -599,16 +677,17 @@ class ExtensionManager {
     /**
      * Register an internal (non-Worker) extension object
      * @param {object} extensionObject - the extension object to register
+     * @param {?string} deviceId - the id of the loaded device if the object is a device.
      * @returns {string} The name of the registered extension service
      */
-    _registerInternalExtension (extensionObject) {
+    _registerInternalExtension (extensionObject, deviceId) {
         const extensionId = extensionObject.EXTENSION_ID;
         const fakeWorkerId = this.nextExtensionWorker++;
         let serviceName;
         if (extensionId) {
             serviceName = `extension_${fakeWorkerId}_${extensionId}`;
         } else {
-            serviceName = `device_${fakeWorkerId}_${extensionObject.DEVICE_ID}`;
+            serviceName = `device_${fakeWorkerId}_${deviceId || extensionObject.DEVICE_ID}`;
         }
         dispatch.setServiceSync(serviceName, extensionObject);
         dispatch.callSync('extensions', 'registerExtensionServiceSync', serviceName);
@@ -655,7 +734,7 @@ class ExtensionManager {
                 throw new Error('Invalid category id');
             }
             if (id.deviceId) {
-                category.id = `${this.runtime.getDevice().type}_${category.id}`;
+                category.id = `${this.runtime.getDeviceById(id.deviceId).prefix}_${category.id}`;
             }
             category.name = category.name || category.id;
             category.blocks = category.blocks || [];
@@ -0,0 +1,162 @@
+const formatMessage = require('format-message');
+const ArgumentType = require('../../extension-support/argument-type');
+const BlockType = require('../../extension-support/block-type');
+const ProgramModeType = require('../../extension-support/program-mode-type');
+const Cast = require('../../util/cast');
+const Variable = require('../../engine/variable');
+
+/**
+ * Class for the serial data blocks, they use the lines an uploaded sketch prints to the serial
+ * console, parsed by the serialData io device.
+ * @constructor
+ */
+class Scratch3SerialDataBlocks {
+    constructor (runtime) {
+        /**
+         * The runtime instantiating this block package.
+         * @type {Runtime}
+         */
+        this.runtime = runtime;
+
+        this.runtime.on('PROJECT_STOP_ALL', () => this._serialData.stopLogging());
+    }
+
+    /**
+     * @return {string} - the ID of this extension.
+     */
+    get EXTENSION_ID () {
+        return 'serialData';
+    }
+
+    /**
+     * @return {SerialData} - the io device parsing the serial console.
+     * @private
+     */
+    get _serialData () {
+        return this.runtime.ioDevices.serialData;
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo () {
+        return [{
+            id: 'serialData',
+            name: formatMessage({
+                id: 'serialData.categoryName',
+                default: 'Serial Data',
+                description: 'Label for the serial data extension category'
+            }),
+            color1: '#9966FF',
+            color2: '#774DCB',
+            blocks: [
+                {
+                    opcode: 'whenLineReceived',
+                    text: formatMessage({
+                        id: 'serialData.whenLineReceived',
+                        default: 'when serial line received',
+                        description: 'when the serial console receives a line'
+                    }),
+                    blockType: BlockType.HAT,
+                    programMode: [ProgramModeType.UPLOAD]
+                },
+                {
+                    opcode: 'getLastLine',
+                    text: formatMessage({
+                        id: 'serialData.getLastLine',
+                        default: 'last serial line',
+                        description: 'the last line received by the serial console'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    programMode: [ProgramModeType.UPLOAD]
+                },
+                {
+                    opcode: 'getValue',
+                    text: formatMessage({
+                        id: 'serialData.getValue',
+                        default: 'last serial value of [KEY]',
+                        description: 'the last value received for a key or column by the serial console'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '1'
+                        }
+                    },
+                    programMode: [ProgramModeType.UPLOAD]
+                },
+                '---',
+                {
+                    opcode: 'startLogging',
+                    text: formatMessage({
+                        id: 'serialData.startLogging',
+                        default: 'log serial data to list [LIST]',
+                        description: 'append the values of the following serial lines to a list'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'lists'
+                        }
+                    },
+                    programMode: [ProgramModeType.UPLOAD]
+                },
+                {
+                    opcode: 'stopLogging',
+                    text: formatMessage({
+                        id: 'serialData.stopLogging',
+                        default: 'stop logging serial data',
+                        description: 'stop appending serial values to lists'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    programMode: [ProgramModeType.UPLOAD]
+                }
+            ],
+            menus: {
+                lists: {
+                    items: 'getListsMenu'
+                }
+            }
+        }];
+    }
+
+    /**
+     * @param {string} targetId - the id of the target being edited.
+     * @return {Array.<string>} - the names of the lists the target can use.
+     */
+    getListsMenu (targetId) {
+        const target = this.runtime.getTargetById(targetId);
+        const names = target ? target.getAllVariableNamesInScopeByType(Variable.LIST_TYPE) : [];
+        if (names.length === 0) {
+            return [''];
+        }
+        return names.sort();
+    }
+
+    whenLineReceived () {
+        return this._serialData.isLineReceived();
+    }
+
+    getLastLine () {
+        return this._serialData.getLastLine();
+    }
+
+    getValue (args) {
+        return this._serialData.getValue(Cast.toString(args.KEY));
+    }
+
+    startLogging (args, util) {
+        const list = util.target.lookupVariableByNameAndType(Cast.toString(args.LIST), Variable.LIST_TYPE);
+        if (list) {
+            this._serialData.startLogging(util.target, list);
+        }
+    }
+
+    stopLogging () {
+        this._serialData.stopLogging();
+    }
+}
+
+module.exports = Scratch3SerialDataBlocks;
@@ -0,0 +1,98 @@
+const Transport = require('./transport');
+
+/**
+ * The id of the one peripheral a replay port lists.
+ * @type {string}
+ */
+const REPLAY_PERIPHERAL_ID = 'replay';
+
+class ReplayPort extends Transport {
+
+    /**
+     * The connection of a device while a recording is replayed. It passes the messages the device
+     * received during the recording to the peripheral, and drops what the peripheral writes.
+     * @param {Runtime} runtime - the Runtime for sending/receiving GUI update events.
+     * @param {string} deviceId - the id of the device using this port.
+     * @param {object} peripheralOptions - the list of options for peripheral discovery.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     */
+    constructor (runtime, deviceId, peripheralOptions, connectCallback = null, resetCallback = null) {
+        super(runtime, deviceId, peripheralOptions, connectCallback, resetCallback);
+
+        /**
+         * The messages received before the peripheral started reading.
+         * @type {Array.<string>}
+         * @private
+         */
+        this._pending = [];
+
+        this.requestPeripheral();
+    }
+
+    /**
+     * @type {string}
+     */
+    static get PERIPHERAL_ID () {
+        return REPLAY_PERIPHERAL_ID;
+    }
+
+    /**
+     * List the replayed peripheral.
+     */
+    requestPeripheral () {
+        this._didDiscoverPeripheral({peripheralId: REPLAY_PERIPHERAL_ID, name: 'Replay'});
+    }
+
+    /**
+     * Connect at once, there is nothing to open.
+     */
+    connectPeripheral () {
+        this._didConnect();
+    }
+
+    disconnect () {
+        this._pending = [];
+
+        super.disconnect();
+    }
+
+    /**
+     * Set the callback of the received data, and pass it the messages received until now.
+     * @param {object} onMessage - callback for the received data.
+     * @return {Promise} - a promise that resolves when reading is started.
+     */
+    read (onMessage = null) {
+        return super.read(onMessage).then(() => {
+            const pending = this._pending;
+            this._pending = [];
+            pending.forEach(message => this.receive(message));
+        });
+    }
+
+    /**
+     * The peripheral talked to the device during the recording, it is not answered again.
+     * @return {Promise} - a resolved promise.
+     */
+    write () {
+        return Promise.resolve();
+    }
+
+    /**
+     * Pass a recorded message to the peripheral.
+     * @param {string} message - the message, base64 encoded.
+     */
+    receive (message) {
+        if (!this._connected) {
+            return;
+        }
+        // Keep the order of the messages received before reading started.
+        if (this._onMessage && this._pending.length === 0) {
+            this._onMessage(message);
+        } else {
+            this._pending.push(message);
+        }
+    }
+}
+
+module.exports = ReplayPort;
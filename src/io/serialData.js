@@ -0,0 +1,207 @@
+const Buffer = require('buffer').Buffer;
+const Variable = require('../engine/variable');
+
+/**
+ * The longest line kept, longer lines are cut so a console without newlines can not fill memory.
+ * @type {number}
+ */
+const MAX_LINE_LENGTH = 1024;
+
+/**
+ * The most items a logged list can hold, the same limit as the "add to list" block.
+ * @type {number}
+ */
+const LIST_ITEM_LIMIT = 200000;
+
+/**
+ * Parse a field to a number if it looks like one, so the values can be used in math blocks.
+ * @param {string} field - the field text.
+ * @return {string|number} - the number, or the text if it is not a number.
+ */
+const parseValue = field => {
+    if (field === '' || isNaN(Number(field))) {
+        return field;
+    }
+    return Number(field);
+};
+
+/**
+ * Collects the text the peripheral console receives in upload mode, and parses it line by line,
+ * so scripts can use the data an uploaded sketch prints.
+ */
+class SerialData {
+    constructor (runtime) {
+        /**
+         * Reference to the owning Runtime.
+         * @type{!Runtime}
+         */
+        this.runtime = runtime;
+
+        this.clear();
+    }
+
+    /**
+     * Forget every received line and value, and stop logging.
+     */
+    clear () {
+        this._line = [];
+        this._lastLine = '';
+        this._lineCount = 0;
+        this._values = {};
+        this._header = null;
+        this._hatFrame = null;
+        this._hatLineCount = 0;
+        this._hatValue = false;
+
+        /**
+         * The lists parsed rows are appended to, keyed by list id.
+         * @type {Object.<string, string>}
+         */
+        this._logs = {};
+    }
+
+    /**
+     * Handler for the data received by the peripheral console.
+     * @param {Buffer|Uint8Array} data - the received bytes.
+     */
+    postData (data) {
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] === 0x0A) {
+                this._onLine(Buffer.from(this._line).toString()
+                    .replace(/\r$/, ''));
+                this._line = [];
+            } else if (this._line.length < MAX_LINE_LENGTH) {
+                this._line.push(data[i]);
+            }
+        }
+    }
+
+    /**
+     * Parse a line to named values. Fields are separated by commas or tabs, a field in the form
+     * "key:value" is named by its key, other fields are named by the column header if a header line
+     * has been received, by their column number otherwise. A line of two or more text fields is
+     * taken as the column header.
+     * @param {string} line - the line to parse.
+     * @param {?Array.<string>} header - the column names received before.
+     * @return {{values: Array.<Array>, header: ?Array.<string>}} - the named values of the line in order,
+     * and the column header to use for the following lines.
+     */
+    static parseLine (line, header) {
+        const fields = line.split(/[,\t]/).map(field => field.trim());
+        if (fields.length === 1 && fields[0] === '') {
+            return {values: [], header};
+        }
+
+        const isHeader = fields.length > 1 && fields.every(field =>
+            field !== '' && field.indexOf(':') < 0 && isNaN(Number(field)));
+        if (isHeader) {
+            return {values: [], header: fields};
+        }
+
+        const values = [];
+        fields.forEach((field, index) => {
+            const separator = field.indexOf(':');
+            if (separator > 0) {
+                values.push([field.slice(0, separator).trim(), parseValue(field.slice(separator + 1).trim())]);
+            } else if (fields.length > 1 || !isNaN(Number(field))) {
+                // A single text field is a message, not a value.
+                const key = header && header[index] ? header[index] : String(index + 1);
+                values.push([key, parseValue(field)]);
+            }
+        });
+        return {values, header};
+    }
+
+    /**
+     * Keep a received line and its values, and append them to the logged lists.
+     * @param {string} line - the received line.
+     * @private
+     */
+    _onLine (line) {
+        this._lastLine = line;
+        this._lineCount++;
+
+        const {values, header} = SerialData.parseLine(line, this._header);
+        this._header = header;
+        if (values.length === 0) return;
+
+        values.forEach(([key, value]) => {
+            this._values[key] = value;
+        });
+        const timestamp = Math.round(this.runtime.ioDevices.clock.projectTimer() * 1000) / 1000;
+        const row = [timestamp].concat(values.map(([, value]) => value)).join(',');
+        Object.keys(this._logs).forEach(listId => {
+            const target = this.runtime.getTargetById(this._logs[listId]);
+            const list = target && target.lookupVariableById(listId);
+            if (!list || list.type !== Variable.LIST_TYPE) {
+                delete this._logs[listId];
+                return;
+            }
+            if (list.value.length < LIST_ITEM_LIMIT) {
+                list.value.push(row);
+                list._monitorUpToDate = false;
+            }
+        });
+    }
+
+    /**
+     * @return {string} - the last line received.
+     */
+    getLastLine () {
+        return this._lastLine;
+    }
+
+    /**
+     * @param {string} key - the key or column of the value.
+     * @return {string|number} - the last value received for the key, empty if there is none.
+     */
+    getValue (key) {
+        if (Object.prototype.hasOwnProperty.call(this._values, key)) {
+            return this._values[key];
+        }
+        return '';
+    }
+
+    /**
+     * Test whether a line has been received since the hat last fired. The answer is kept for the
+     * frame, and a frame answering true is followed by one answering false, so an edge activated hat
+     * fires for lines arriving in consecutive frames too.
+     * @return {boolean} - true if a new line has been received.
+     */
+    isLineReceived () {
+        if (this._hatFrame !== this.runtime.currentMSecs) {
+            this._hatFrame = this.runtime.currentMSecs;
+            if (this._hatValue) {
+                this._hatValue = false;
+            } else {
+                this._hatValue = this._lineCount !== this._hatLineCount;
+                this._hatLineCount = this._lineCount;
+            }
+        }
+        return this._hatValue;
+    }
+
+    /**
+     * Append a row for each following line with values to a list, the row is the project timer in
+     * seconds followed by the values of the line, separated by commas.
+     * @param {Target} target - the target the list is looked up from, the list may be a global one.
+     * @param {Variable} list - the list to append rows to.
+     */
+    startLogging (target, list) {
+        this._logs[list.id] = target.id;
+    }
+
+    /**
+     * Stop appending rows to a list, or to every list if none is given.
+     * @param {?Variable} list - the list to stop appending rows to.
+     */
+    stopLogging (list) {
+        if (list) {
+            delete this._logs[list.id];
+        } else {
+            this._logs = {};
+        }
+    }
+}
+
+module.exports = SerialData;
@@ -1,4 +1,7 @@
+const Buffer = require('buffer').Buffer;
+
 const JSONRPC = require('../util/jsonrpc');
+const UploadOutputParser = require('../util/upload-output-parser');
 
 class Serialport extends JSONRPC {
 
@@ -31,6 +34,8 @@ class Serialport extends JSONRPC {
         this._deviceId = deviceId;
         this._peripheralOptions = peripheralOptions;
         this._runtime = runtime;
+        this._uploadOutputParser = null;
+        this._rediscovering = false;
 
         this._socket.open();
     }
@@ -51,6 +56,21 @@ class Serialport extends JSONRPC {
             });
     }
 
+    /**
+     * Look for the peripheral again after the connection was lost, reopening the socket closed by
+     * the disconnection. The request errors are not reported until the peripheral is connected
+     * again, the peripheral reports when it gives up.
+     */
+    rediscoverPeripheral () {
+        this._rediscovering = true;
+        this._availablePeripherals = {};
+        if (this._socket.isOpen()) {
+            this.requestPeripheral();
+        } else {
+            this._socket.open();
+        }
+    }
+
     /**
      * Try connecting to the input peripheral id, and then call the connect
      * callback if connection is successful.
@@ -61,6 +81,7 @@ class Serialport extends JSONRPC {
         this.sendRemoteRequest('connect', {peripheralId: id, peripheralConfig: config})
             .then(() => {
                 this._connected = true;
+                this._rediscovering = false;
                 this._runtime.emit(this._runtime.constructor.PERIPHERAL_CONNECTED);
                 if (this._connectCallback) {
                     this._connectCallback();
@@ -91,6 +112,13 @@ class Serialport extends JSONRPC {
         this._runtime.emit(this._runtime.constructor.PERIPHERAL_DISCONNECTED);
     }
 
+    /**
+     * @return {object} the peripherals discovered since the last request, keyed by peripheral id.
+     */
+    getAvailablePeripherals () {
+        return this._availablePeripherals;
+    }
+
     /**
      * @return {bool} whether the peripheral is connected.
      */
@@ -149,6 +177,8 @@ class Serialport extends JSONRPC {
      */
     upload (message, config, encoding = null) {
         config.library = this._runtime.getCurrentDeviceExtensionLibrary();
+        this._uploadOutputParser = new UploadOutputParser(
+            encoding === 'base64' ? Buffer.from(message, 'base64').toString() : message);
         const params = {message, config};
         if (encoding) {
             params.encoding = encoding;
@@ -165,6 +195,7 @@ class Serialport extends JSONRPC {
      * @return {Promise} - a promise from the remote send request.
      */
     uploadFirmware (config) {
+        this._uploadOutputParser = new UploadOutputParser();
         return this.sendRemoteRequest('uploadFirmware', config)
             .catch(e => {
                 this.handleDisconnectError(e);
@@ -201,15 +232,17 @@ class Serialport extends JSONRPC {
             }
             break;
         case 'connectError':
-            this._runtime.emit(this._runtime.constructor.PERIPHERAL_REQUEST_ERROR, {
-                message: params.message
-            });
+            if (!this._rediscovering) {
+                this._runtime.emit(this._runtime.constructor.PERIPHERAL_REQUEST_ERROR, {
+                    message: params.message
+                });
+            }
             break;
         case 'peripheralUnplug':
             this.handleDisconnectError();
             break;
         case 'onMessage':
-            if (this._onMessage) {
+            if (this._onMessage && this._runtime.recorder.recordPeripheralMessage(this._deviceId, params.message)) {
                 this._onMessage(params.message);
             }
             break;
@@ -218,18 +251,24 @@ class Serialport extends JSONRPC {
                 this._runtime.constructor.PERIPHERAL_UPLOAD_STDOUT, {
                     message: params.message
                 });
+            this._parseUploadOutput(params.message);
             break;
         case 'setUploadAbortEnabled':
             this._runtime.emit(
                 this._runtime.constructor.PERIPHERAL_SET_UPLOAD_ABORT_ENABLED, params);
             break;
         case 'uploadError':
+            this._parseUploadOutput(`${params.message}\n`);
             this._runtime.emit(
                 this._runtime.constructor.PERIPHERAL_UPLOAD_ERROR, {
-                    message: params.message
+                    message: params.message,
+                    diagnostics: this._uploadOutputParser.diagnostics
+                        .filter(diagnostic => diagnostic.severity === 'error')
                 });
+            this._uploadOutputParser = null;
             break;
         case 'uploadSuccess':
+            this._uploadOutputParser = null;
             this._runtime.emit(
                 this._runtime.constructor.PERIPHERAL_UPLOAD_SUCCESS, params ? params.aborted : false);
             break;
@@ -238,6 +277,32 @@ class Serialport extends JSONRPC {
         }
     }
 
+    /**
+     * Parse compiler and uploader output, and report the upload progress and the diagnostics found.
+     * @param {string} text - a chunk of the output.
+     * @private
+     */
+    _parseUploadOutput (text) {
+        if (!this._uploadOutputParser) {
+            // The upload was started by another client of the link.
+            this._uploadOutputParser = new UploadOutputParser();
+        }
+        const {progress, diagnostics} = this._uploadOutputParser.parse(String(text));
+        if (progress) {
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_UPLOAD_PROGRESS, Object.assign({
+                deviceId: this._deviceId
+            }, progress));
+        }
+        diagnostics.forEach(diagnostic => {
+            if (diagnostic.blockId) {
+                const target = this._runtime.targets.find(t => t.blocks.getBlock(diagnostic.blockId));
+                diagnostic.targetId = target ? target.id : null;
+            }
+            diagnostic.deviceId = this._deviceId;
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_UPLOAD_DIAGNOSTIC, diagnostic);
+        });
+    }
+
     /**
      * Handle an error resulting from losing connection to a peripheral.
      *
@@ -284,6 +349,8 @@ class Serialport extends JSONRPC {
     }
 
     _handleRequestError (/* e */) {
+        if (this._rediscovering) return;
+
         this._runtime.emit(this._runtime.constructor.PERIPHERAL_REQUEST_ERROR, {
             message: `Scratch lost connection to`,
             deviceId: this._deviceId
@@ -294,7 +361,9 @@ class Serialport extends JSONRPC {
         if (this._discoverTimeoutID) {
             window.clearTimeout(this._discoverTimeoutID);
         }
-        this._runtime.emit(this._runtime.constructor.PERIPHERAL_SCAN_TIMEOUT);
+        if (!this._rediscovering) {
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_SCAN_TIMEOUT);
+        }
     }
 }
 
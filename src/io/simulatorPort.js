@@ -0,0 +1,125 @@
+const Transport = require('./transport');
+const VirtualBoard = require('../lib/firmata/virtualboard');
+
+/**
+ * The id of the one peripheral the simulator lists.
+ * @type {string}
+ */
+const SIMULATOR_PERIPHERAL_ID = 'simulator';
+
+/**
+ * @param {string} deviceId - the id of the device.
+ * @return {string} - the board profile with the pins of the device.
+ */
+const getBoardProfile = deviceId => {
+    if (/mega/i.test(deviceId)) {
+        return 'mega';
+    }
+    if (/leonardo|makey/i.test(deviceId)) {
+        return 'leonardo';
+    }
+    return 'uno';
+};
+
+class SimulatorPort extends Transport {
+
+    /**
+     * A simulated Arduino running the realtime firmware, for working offline and testing without a
+     * board. The peripheral talks firmata to it like to a board behind a serialport.
+     * @param {Runtime} runtime - the Runtime for sending/receiving GUI update events.
+     * @param {string} deviceId - the id of the device using this port.
+     * @param {object} peripheralOptions - the options of the simulated board, like
+     * {board: 'uno', firmware: 'arduinoUno.ino', firmwareVersion: '2.6'}. The board is guessed from
+     * the device id and the firmware is named after it when they are not given.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     */
+    constructor (runtime, deviceId, peripheralOptions, connectCallback = null, resetCallback = null) {
+        super(runtime, deviceId, peripheralOptions, connectCallback, resetCallback);
+
+        /**
+         * The simulated board, the GUI sets its inputs and shows its pins.
+         * @type {?VirtualBoard}
+         */
+        this.board = null;
+
+        this._received = [];
+        this._receiveTimeoutID = null;
+
+        this.requestPeripheral();
+    }
+
+    /**
+     * List the simulated board.
+     */
+    requestPeripheral () {
+        this._didDiscoverPeripheral({peripheralId: SIMULATOR_PERIPHERAL_ID, name: 'Simulator'});
+    }
+
+    /**
+     * Start a simulated board, and call the connect callback.
+     */
+    connectPeripheral () {
+        if (this.board) {
+            this.board.stop();
+        }
+        const options = this._peripheralOptions;
+        this.board = new VirtualBoard(this._onBoardData.bind(this), {
+            board: options.board || getBoardProfile(this._deviceId),
+            firmware: options.firmware || `${this._deviceId}.ino`,
+            firmwareVersion: options.firmwareVersion
+        });
+        this._didConnect();
+        this.board.start();
+    }
+
+    /**
+     * Stop the simulated board.
+     */
+    disconnect () {
+        if (this.board) {
+            this.board.stop();
+            this.board = null;
+        }
+        if (this._receiveTimeoutID !== null) {
+            window.clearTimeout(this._receiveTimeoutID);
+            this._receiveTimeoutID = null;
+        }
+        this._received = [];
+
+        super.disconnect();
+    }
+
+    /**
+     * Write data to the simulated board.
+     * @param {string} message - the message to send.
+     * @param {string} encoding - the message encoding type.
+     * @return {Promise} - a promise that resolves when the data is sent.
+     */
+    write (message, encoding = null) {
+        if (this._connected && this.board) {
+            this.board.receive(this._toBytes(message, encoding));
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Collect the bytes the board sends, they are received later like from a real serialport, so
+     * the answer of a request never arrives before the request returns.
+     * @param {Array.<number>} bytes - the bytes.
+     * @private
+     */
+    _onBoardData (bytes) {
+        this._received.push(...bytes);
+        if (this._receiveTimeoutID === null) {
+            this._receiveTimeoutID = window.setTimeout(() => {
+                this._receiveTimeoutID = null;
+                const data = new Uint8Array(this._received);
+                this._received = [];
+                this._didReceiveData(data);
+            }, 0);
+        }
+    }
+}
+
+module.exports = SimulatorPort;
@@ -0,0 +1,27 @@
+/**
+ * Types of connection a peripheral can be reached through.
+ * @enum {string}
+ */
+const TransportType = {
+    /**
+     * Serialport socket of the OpenBlock Link.
+     */
+    SERIALPORT: 'serialport',
+
+    /**
+     * Raw WebSocket, like a WebSocket to TCP bridge or a board running a WebSocket server.
+     */
+    WEBSOCKET: 'websocket',
+
+    /**
+     * Serialport opened by the browser with the Web Serial API.
+     */
+    WEBSERIAL: 'webserial',
+
+    /**
+     * Arduino simulated in JavaScript, for working offline and testing without a board.
+     */
+    SIMULATOR: 'simulator'
+};
+
+module.exports = TransportType;
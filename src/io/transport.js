@@ -0,0 +1,238 @@
+const formatMessage = require('format-message');
+const Buffer = require('buffer').Buffer;
+
+const Base64Util = require('../util/base64-util');
+
+/**
+ * A string to report upload is not supported by the transport.
+ * @type {formatMessage}
+ */
+const UploadUnsupported = formatMessage({
+    id: 'transport.uploadUnsupported',
+    default: 'Upload is not supported over this connection, please connect with OpenBlock Link to upload',
+    description: 'label for upload is not supported by the peripheral connection'
+});
+
+/**
+ * Base of the transports which talk to the peripheral directly, without the OpenBlock Link. A transport
+ * has the same methods as Serialport, so peripherals can use any of them:
+ * - connectPeripheral(id, config)
+ * - rediscoverPeripheral()
+ * - disconnect()
+ * - isConnected()
+ * - getAvailablePeripherals()
+ * - setBaudrate(baudrate)
+ * - read(onMessage)
+ * - write(message, encoding)
+ * - upload(message, config, encoding), uploadFirmware(config), abortUpload()
+ * - handleRealtimeDisconnectError(e), handleRealtimeConnectSucess()
+ * Data is read and written as base64 strings like Serialport does.
+ */
+class Transport {
+
+    /**
+     * @param {Runtime} runtime - the Runtime for sending/receiving GUI update events.
+     * @param {string} deviceId - the id of the device using this transport.
+     * @param {object} peripheralOptions - the list of options for peripheral discovery.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     */
+    constructor (runtime, deviceId, peripheralOptions, connectCallback = null, resetCallback = null) {
+        this._availablePeripherals = {};
+        this._connectCallback = connectCallback;
+        this._connected = false;
+        this._onMessage = null;
+        this._resetCallback = resetCallback;
+        this._deviceId = deviceId;
+        this._peripheralOptions = peripheralOptions;
+        this._runtime = runtime;
+
+        /**
+         * Whether the transport is looking for the peripheral again after the connection was lost.
+         * @type {boolean}
+         * @protected
+         */
+        this._rediscovering = false;
+    }
+
+    /**
+     * Look for the peripheral again after the connection was lost, without asking the user. The
+     * request errors are not reported until the peripheral is connected again, the peripheral
+     * reports when it gives up.
+     */
+    rediscoverPeripheral () {
+        this._rediscovering = true;
+        this._availablePeripherals = {};
+        this.requestPeripheral();
+    }
+
+    /**
+     * Add a peripheral to the list shown to the user.
+     * @param {object} peripheral - the peripheral, with at least peripheralId and name.
+     * @protected
+     */
+    _didDiscoverPeripheral (peripheral) {
+        this._availablePeripherals[peripheral.peripheralId] = peripheral;
+        this._runtime.emit(
+            this._runtime.constructor.PERIPHERAL_LIST_UPDATE,
+            this._availablePeripherals
+        );
+    }
+
+    /**
+     * Mark the transport connected and call the connect callback.
+     * @protected
+     */
+    _didConnect () {
+        this._connected = true;
+        this._rediscovering = false;
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_CONNECTED);
+        if (this._connectCallback) {
+            this._connectCallback();
+        }
+    }
+
+    /**
+     * Pass data received from the peripheral to the read callback.
+     * @param {Uint8Array} data - the received data.
+     * @protected
+     */
+    _didReceiveData (data) {
+        if (this._onMessage) {
+            const message = Base64Util.uint8ArrayToBase64(data);
+            if (this._runtime.recorder.recordPeripheralMessage(this._deviceId, message)) {
+                this._onMessage(message);
+            }
+        }
+    }
+
+    /**
+     * @param {string} message - the message to convert.
+     * @param {string} encoding - the message encoding type.
+     * @return {Uint8Array} - the bytes of the message.
+     * @protected
+     */
+    _toBytes (message, encoding) {
+        if (encoding === 'base64') {
+            return Base64Util.base64ToUint8Array(message);
+        }
+        return new Uint8Array(Buffer.from(message));
+    }
+
+    /**
+     * Close the connection.
+     */
+    disconnect () {
+        if (this._connected) {
+            this._connected = false;
+        }
+
+        // Sets connection status icon to orange
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_DISCONNECTED);
+    }
+
+    /**
+     * @return {object} the peripherals discovered since the last request, keyed by peripheral id.
+     */
+    getAvailablePeripherals () {
+        return this._availablePeripherals;
+    }
+
+    /**
+     * @return {bool} whether the peripheral is connected.
+     */
+    isConnected () {
+        return this._connected;
+    }
+
+    /**
+     * Set the baudrate, transports without a serial line ignore it.
+     * @return {Promise} - a promise that resolves when the baudrate is set.
+     */
+    setBaudrate () {
+        return Promise.resolve();
+    }
+
+    /**
+     * Set the callback of the received data.
+     * @param {object} onMessage - callback for the received data.
+     * @return {Promise} - a promise that resolves when reading is started.
+     */
+    read (onMessage = null) {
+        if (onMessage) {
+            this._onMessage = onMessage;
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Upload needs the compilers of the OpenBlock Link, report it is not supported.
+     * @return {Promise} - a promise that resolves when the error is reported.
+     */
+    upload () {
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_UPLOAD_ERROR, {
+            message: UploadUnsupported
+        });
+        return Promise.resolve();
+    }
+
+    /**
+     * Upload needs the compilers of the OpenBlock Link, report it is not supported.
+     * @return {Promise} - a promise that resolves when the error is reported.
+     */
+    uploadFirmware () {
+        return this.upload();
+    }
+
+    /**
+     * Nothing to abort, upload is not supported.
+     * @return {Promise} - a resolved promise.
+     */
+    abortUpload () {
+        return Promise.resolve();
+    }
+
+    /**
+     * Handle an error resulting from losing connection to a peripheral.
+     */
+    handleDisconnectError (/* e */) {
+        if (!this._connected) return;
+
+        this.disconnect();
+
+        if (this._resetCallback) {
+            this._resetCallback();
+        }
+
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_CONNECTION_LOST_ERROR, {
+            message: `Scratch lost connection to`,
+            deviceId: this._deviceId
+        });
+    }
+
+    /**
+     * Handle an error resulting from losing connection to a peripheral realtime protocal.
+     * @param {string} e - error message.
+     */
+    handleRealtimeDisconnectError (e) {
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_REALTIME_CONNECTION_LOST_ERROR, {
+            message: e,
+            deviceId: this._deviceId
+        });
+    }
+
+    handleRealtimeConnectSucess () {
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_REALTIME_CONNECT_SUCCESS, {deviceId: this._deviceId});
+    }
+
+    _handleRequestError (/* e */) {
+        if (this._rediscovering) return;
+
+        this._runtime.emit(this._runtime.constructor.PERIPHERAL_REQUEST_ERROR, {
+            message: `Scratch lost connection to`,
+            deviceId: this._deviceId
+        });
+    }
+}
+
+module.exports = Transport;
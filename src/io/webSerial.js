@@ -0,0 +1,264 @@
+const formatMessage = require('format-message');
+
+const Transport = require('./transport');
+
+/**
+ * A string to report the browser has no Web Serial API.
+ * @type {formatMessage}
+ */
+const WebSerialUnsupported = formatMessage({
+    id: 'webSerial.unsupported',
+    default: 'This browser does not support Web Serial, please use a recent Chrome or Edge',
+    description: 'label for the browser does not support web serial'
+});
+
+/**
+ * Convert pnp ids like USB\VID_2341&PID_0043 to Web Serial filters.
+ * @param {Array.<string>} pnpidList - the pnp ids, ['*'] to list all ports.
+ * @return {Array.<object>} - the filters for requestPort.
+ */
+const pnpidToFilters = pnpidList => (pnpidList || []).reduce((filters, pnpid) => {
+    const match = /VID_([0-9A-F]{4})&PID_([0-9A-F]{4})/i.exec(pnpid);
+    if (match) {
+        filters.push({usbVendorId: parseInt(match[1], 16), usbProductId: parseInt(match[2], 16)});
+    }
+    return filters;
+}, []);
+
+/**
+ * @param {object} info - the info of a port, see SerialPort.getInfo.
+ * @param {Array.<object>} filters - the filters made by pnpidToFilters, empty to match all ports.
+ * @return {boolean} - whether the port matches any of the filters.
+ */
+const matchFilters = (info, filters) => filters.length === 0 || filters.some(filter =>
+    filter.usbVendorId === info.usbVendorId && filter.usbProductId === info.usbProductId);
+
+/**
+ * @param {number} id - a USB vendor or product id.
+ * @return {string} - the id as 4 upper case hex digits, like in pnp ids.
+ */
+const toPnpidHex = id => `000${id.toString(16).toUpperCase()}`.slice(-4);
+
+class WebSerial extends Transport {
+
+    /**
+     * A serialport opened by the browser with the Web Serial API.
+     * @param {Runtime} runtime - the Runtime for sending/receiving GUI update events.
+     * @param {string} deviceId - the id of the device using this port.
+     * @param {object} peripheralOptions - the list of options for peripheral discovery.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     */
+    constructor (runtime, deviceId, peripheralOptions, connectCallback = null, resetCallback = null) {
+        super(runtime, deviceId, peripheralOptions, connectCallback, resetCallback);
+
+        this._ports = [];
+        this._port = null;
+        this._config = null;
+        this._reader = null;
+
+        /**
+         * Writes are chained, a port has only one writer at a time.
+         * @type {Promise}
+         */
+        this._writing = Promise.resolve();
+
+        this.requestPeripheral();
+    }
+
+    /**
+     * Ask the user to pick a port, the browser only lists the ports the user picked.
+     */
+    requestPeripheral () {
+        if (typeof navigator === 'undefined' || !navigator.serial) {
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_REQUEST_ERROR, {
+                message: WebSerialUnsupported,
+                deviceId: this._deviceId
+            });
+            return;
+        }
+
+        navigator.serial.requestPort({filters: this._getFilters()})
+            .then(port => this._didDiscoverPort(port))
+            // The user closed the port chooser.
+            .catch(() => this._runtime.emit(this._runtime.constructor.PERIPHERAL_SCAN_TIMEOUT));
+    }
+
+    /**
+     * List again the ports the user picked before. The browser only shows the port chooser from a
+     * user gesture like a click, which reconnecting after the port is unplugged is not.
+     */
+    rediscoverPeripheral () {
+        this._rediscovering = true;
+        this._availablePeripherals = {};
+        if (typeof navigator === 'undefined' || !navigator.serial) return;
+
+        const filters = this._getFilters();
+        navigator.serial.getPorts()
+            .then(ports => ports
+                .filter(port => matchFilters(port.getInfo(), filters))
+                .forEach(port => this._didDiscoverPort(port)))
+            .catch(() => {});
+    }
+
+    /**
+     * @return {Array.<object>} - the Web Serial filters of the pnp ids of the peripheral options.
+     * @private
+     */
+    _getFilters () {
+        return pnpidToFilters(this._peripheralOptions.filters && this._peripheralOptions.filters.pnpid);
+    }
+
+    /**
+     * List a port, a port listed before keeps its peripheral id.
+     * @param {SerialPort} port - the port.
+     * @private
+     */
+    _didDiscoverPort (port) {
+        let peripheralId = this._ports.indexOf(port);
+        if (peripheralId === -1) {
+            peripheralId = this._ports.length;
+            this._ports.push(port);
+        }
+        const info = port.getInfo();
+        const peripheral = {
+            peripheralId,
+            name: info.usbVendorId ?
+                `USB ${info.usbVendorId.toString(16)}:${info.usbProductId.toString(16)}` :
+                `Serial ${peripheralId}`
+        };
+        if (info.usbVendorId) {
+            // The port may be listed as another object once replugged, it is found again by pnp id.
+            peripheral.pnpid = `USB\\VID_${toPnpidHex(info.usbVendorId)}&PID_${toPnpidHex(info.usbProductId)}`;
+        }
+        this._didDiscoverPeripheral(peripheral);
+    }
+
+    /**
+     * Open the port, and then call the connect callback if connection is successful.
+     * @param {number} id - the id of the peripheral to connect to.
+     * @param {object} config - communacation configuration of peripheral.
+     */
+    connectPeripheral (id, config) {
+        this._port = this._ports[id];
+        this._config = Object.assign({}, config.config);
+        this._open()
+            .then(() => this._didConnect())
+            .catch(e => this._handleRequestError(e));
+    }
+
+    /**
+     * @return {Promise} - a promise that resolves when the port is opened.
+     * @private
+     */
+    _open () {
+        return this._port.open({
+            baudRate: this._config.baudRate,
+            dataBits: this._config.dataBits,
+            stopBits: this._config.stopBits
+        });
+    }
+
+    /**
+     * Read the port until it is closed.
+     * @private
+     */
+    _startReading () {
+        if (this._reader || !this._port.readable) return;
+
+        const reader = this._port.readable.getReader();
+        this._reader = reader;
+        const loop = () => reader.read().then(({value, done}) => {
+            if (done) return;
+            this._didReceiveData(value);
+            return loop();
+        });
+        loop()
+            .catch(e => {
+                // Reading is cancelled on purpose when closing the port.
+                if (this._reader === reader) {
+                    this.handleDisconnectError(e);
+                }
+            });
+    }
+
+    /**
+     * @return {Promise} - a promise that resolves when the port is closed.
+     * @private
+     */
+    _close () {
+        const reader = this._reader;
+        this._reader = null;
+        const cancel = reader ? reader.cancel().then(() => reader.releaseLock()) : Promise.resolve();
+        return cancel
+            .then(() => this._writing)
+            .then(() => this._port.close())
+            .catch(() => {});
+    }
+
+    /**
+     * Close the port.
+     */
+    disconnect () {
+        if (this._port && this._connected) {
+            this._close();
+        }
+
+        super.disconnect();
+    }
+
+    /**
+     * Reopen the port with the baudrate.
+     * @param {number} baudRate - the baudrate.
+     * @return {Promise} - a promise that resolves when the port is reopened.
+     */
+    setBaudrate (baudRate) {
+        if (!baudRate || !this._connected || baudRate === this._config.baudRate) {
+            return Promise.resolve();
+        }
+        this._config.baudRate = baudRate;
+        const reading = !!this._reader;
+        return this._close()
+            .then(() => this._open())
+            .then(() => {
+                if (reading) {
+                    this._startReading();
+                }
+            })
+            .catch(e => this.handleDisconnectError(e));
+    }
+
+    /**
+     * Start reading the port.
+     * @param {object} onMessage - callback for the received data.
+     * @return {Promise} - a promise that resolves when reading is started.
+     */
+    read (onMessage = null) {
+        super.read(onMessage);
+        if (this._connected) {
+            this._startReading();
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Write data to the port.
+     * @param {string} message - the message to send.
+     * @param {string} encoding - the message encoding type.
+     * @return {Promise} - a promise that resolves when the data is written.
+     */
+    write (message, encoding = null) {
+        if (!this._connected) return Promise.resolve();
+
+        const data = this._toBytes(message, encoding);
+        this._writing = this._writing.then(() => {
+            const writer = this._port.writable.getWriter();
+            return writer.write(data)
+                .then(() => writer.releaseLock());
+        })
+            .catch(e => this.handleDisconnectError(e));
+        return this._writing;
+    }
+}
+
+module.exports = WebSerial;
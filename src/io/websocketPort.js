@@ -0,0 +1,88 @@
+const Buffer = require('buffer').Buffer;
+
+const Transport = require('./transport');
+
+class WebsocketPort extends Transport {
+
+    /**
+     * A raw WebSocket peripheral connection, the bytes of the peripheral are sent in binary frames.
+     * It is used to reach boards over network, like an ESP32 running Firmata over WiFi behind a
+     * WebSocket to TCP bridge. There is no discovery on network, the url in the peripheral options
+     * is the only peripheral listed.
+     * @param {Runtime} runtime - the Runtime for sending/receiving GUI update events.
+     * @param {string} deviceId - the id of the device using this socket.
+     * @param {object} peripheralOptions - the options of the peripheral, like {url: 'ws://192.168.4.1:81'}.
+     * @param {object} connectCallback - a callback for connection.
+     * @param {object} resetCallback - a callback for resetting extension state.
+     */
+    constructor (runtime, deviceId, peripheralOptions, connectCallback = null, resetCallback = null) {
+        super(runtime, deviceId, peripheralOptions, connectCallback, resetCallback);
+
+        this._ws = null;
+
+        this.requestPeripheral();
+    }
+
+    /**
+     * List the configured url as peripheral.
+     */
+    requestPeripheral () {
+        const url = this._peripheralOptions.url;
+        if (url) {
+            this._didDiscoverPeripheral({peripheralId: url, name: url});
+        } else {
+            this._runtime.emit(this._runtime.constructor.PERIPHERAL_SCAN_TIMEOUT);
+        }
+    }
+
+    /**
+     * Open the WebSocket, and then call the connect callback if connection is successful.
+     * @param {string} id - the url of the peripheral to connect to.
+     */
+    connectPeripheral (id) {
+        this._ws = new WebSocket(id);
+        this._ws.binaryType = 'arraybuffer';
+        this._ws.onopen = () => this._didConnect();
+        this._ws.onclose = () => this.handleDisconnectError();
+        this._ws.onerror = e => {
+            if (!this._connected) {
+                this._handleRequestError(e);
+            }
+        };
+        this._ws.onmessage = e => {
+            if (typeof e.data === 'string') {
+                this._didReceiveData(new Uint8Array(Buffer.from(e.data)));
+            } else {
+                this._didReceiveData(new Uint8Array(e.data));
+            }
+        };
+    }
+
+    /**
+     * Close the websocket.
+     */
+    disconnect () {
+        if (this._ws) {
+            this._ws.onclose = null;
+            this._ws.close();
+            this._ws = null;
+        }
+
+        super.disconnect();
+    }
+
+    /**
+     * Write data to the peripheral.
+     * @param {string} message - the message to send.
+     * @param {string} encoding - the message encoding type.
+     * @return {Promise} - a promise that resolves when the data is sent.
+     */
+    write (message, encoding = null) {
+        if (this._connected) {
+            this._ws.send(this._toBytes(message, encoding));
+        }
+        return Promise.resolve();
+    }
+}
+
+module.exports = WebsocketPort;
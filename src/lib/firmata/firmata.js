@@ -47,7 +47,7 @@ const SERVO_CONFIG = 0x70; // set max angle, minPulse, maxPulse, freq
 const STRING_DATA = 0x71; // a string message with 14-bits per char
 const STEPPER_DATA = 0x72; // control a stepper motor
 const ONEWIRE_DATA = 0x73; // send an OneWire read/write/reset/select/skip/search request
-// const DHTSENSOR_DATA = 0x74; // Used by DhtFirmata
+const DHTSENSOR_DATA = 0x74; // read a DHT11/DHT22 humidity and temperature sensor
 // const SHIFT_DATA = 0x75; // a bitstream to/from a shift register
 const I2C_REQUEST = 0x76; // send an I2C read/write request
 const I2C_REPLY = 0x77; // a reply to an I2C read request
@@ -112,7 +112,7 @@ const PIN_MODE_PULLUP = 0x0B; // enable internal pull-up resistor for pin
 // const PIN_MODE_SPI = 0x0C; // pin configured for SPI
 // const PIN_MODE_SONAR = 0x0D; // pin configured for HC-SR04
 // const PIN_MODE_TONE = 0x0E; // pin configured for tone
-// const PIN_MODE_DHT = 0x0F; // pin configured for DHT
+const PIN_MODE_DHT = 0x0F; // pin configured for DHT
 // const PIN_MODE_FREQUENCY = 0x10; // pin configured for frequency measurement
 const PIN_MODE_IGNORE = 0x7F; // pin configured to be ignored by digitalWrite and capabilityResponse
 
@@ -598,6 +598,32 @@ const SYSEX_RESPONSE = {
         const reply = Buffer.from(decoded).readUInt32LE(0) / 100;
 
         board.emit(`sonar-data-${trigPin}_${ehcoPin}_${unit}`, reply);
+    },
+
+    /**
+     * Handles a DHTSENSOR_DATA response and emits the "dht-data-"+pin+"_"+type event.
+     * The reply is [START_SYSEX, DHTSENSOR_DATA, pin, type, status, ...7 bit encoded
+     * int16 humidity * 10, int16 temperature * 10 (little endian), END_SYSEX].
+     * A status other than 0 means the sensor did not answer or the checksum was wrong.
+     * @private
+     * @param {Board} board the current arduino board we are working with.
+     */
+    [DHTSENSOR_DATA] (board) {
+        const pin = board.buffer[2];
+        const type = board.buffer[3];
+        const status = board.buffer[4];
+
+        let reply = null;
+        if (status === 0) {
+            const encoded = board.buffer.slice(5, board.buffer.length - 1);
+            const decoded = Buffer.from(Encoder7Bit.from7BitArray(encoded));
+            reply = {
+                humidity: decoded.readInt16LE(0) / 10,
+                temperature: decoded.readInt16LE(2) / 10
+            };
+        }
+
+        board.emit(`dht-data-${pin}_${type}`, reply);
     }
 };
 
@@ -651,6 +677,7 @@ class Firmata extends Emitter {
             ONEWIRE: PIN_MODE_ONEWIRE,
             STEPPER: PIN_MODE_STEPPER,
             SERIAL: PIN_MODE_SERIAL,
+            DHT: PIN_MODE_DHT,
             PULLUP: PIN_MODE_PULLUP,
             IGNORE: PIN_MODE_IGNORE
             // PING_READ: 0x75,
@@ -1050,12 +1077,12 @@ class Firmata extends Emitter {
             // Because pinMode may be called before analogRead(pin, () => {}), but isn't
             // necessary to initiate an analog read on an analog pin, we'll assign the
             // mode here, but do nothing further. In analogRead(), the call to
-            // reportAnalogPin(pin, 1) is all that's needed to turn on analog input
+            // reportAnalogPin(channel, 1) is all that's needed to turn on analog input
             // reading.
             //
-            // reportAnalogPin(...) will reconcile the pin number as well, the
-            // same operation we use here to assign a "mode":
-            this.pins[this.analogPins[pin]].mode = mode;
+            // Like the other modes, the mode is assigned to the pin number, not to the
+            // analog channel reportAnalogPin(...) takes.
+            this.pins[pin].mode = mode;
         } else {
             this.pins[pin].mode = mode;
             writeToTransport(this, [
@@ -1588,9 +1615,10 @@ class Firmata extends Emitter {
      * and error argument and an array of device identifiers.
      * @param {number} pin The pin you want to operate
      * @param {function} callback A function to call when received search reply.
+     * @return {function} A function to call to give up on the reply, removing its listener.
      */
     sendOneWireSearch (pin, callback) {
-        this[symbolSendOneWireSearch](
+        return this[symbolSendOneWireSearch](
             ONEWIRE_SEARCH_REQUEST,
             `1-wire-search-reply-${pin}`,
             pin,
@@ -1603,9 +1631,10 @@ class Firmata extends Emitter {
      * should accept and error argument and an array of device identifiers.
      * @param {number} pin The pin you want to operate
      * @param {function} callback A function to call when received alarms reply.
+     * @return {function} A function to call to give up on the reply, removing its listener.
      */
     sendOneWireAlarmsSearch (pin, callback) {
-        this[symbolSendOneWireSearch](
+        return this[symbolSendOneWireSearch](
             ONEWIRE_SEARCH_ALARMS_REQUEST,
             `1-wire-search-alarms-reply-${pin}`,
             pin,
@@ -1622,14 +1651,21 @@ class Firmata extends Emitter {
             END_SYSEX
         ]);
 
-        const timeout = setTimeout(() => {
+        let timeout = null;
+        const onReply = devices => {
+            clearTimeout(timeout);
+            callback(null, devices);
+        };
+        timeout = setTimeout(() => {
             /* istanbul ignore next */
+            this.removeListener(event, onReply);
             callback(new Error('1-Wire device search timeout - are you running ConfigurableFirmata?'));
         }, 5000);
-        this.once(event, devices => {
+        this.once(event, onReply);
+        return () => {
             clearTimeout(timeout);
-            callback(null, devices);
-        });
+            this.removeListener(event, onReply);
+        };
     }
 
     /**
@@ -1723,12 +1759,20 @@ class Firmata extends Emitter {
      * @param {Array} data An array of data to write.
      * @param {number} numBytesToRead The number of bytes to read
      * @param {function} callback A function to call when received read reply.
+     * @return {function} A function to call to give up on the reply, removing its listener.
      */
     sendOneWireWriteAndRead (pin, device, data, numBytesToRead, callback) {
         const correlationId = Math.floor(Math.random() * 255);
+        const event = `1-wire-read-reply-${correlationId}`;
+        let timeout = null;
+        const onReply = _data => {
+            clearTimeout(timeout);
+            callback(null, _data);
+        };
         /* istanbul ignore next */
-        const timeout = setTimeout(() => {
+        timeout = setTimeout(() => {
             /* istanbul ignore next */
+            this.removeListener(event, onReply);
             callback(new Error('1-Wire device read timeout - are you running ConfigurableFirmata?'));
         }, 5000);
         this[symbolSendOneWireRequest](
@@ -1739,12 +1783,13 @@ class Firmata extends Emitter {
             correlationId,
             null,
             Array.isArray(data) ? data : [data],
-            `1-wire-read-reply-${correlationId}`,
-            _data => {
-                clearTimeout(timeout);
-                callback(null, _data);
-            }
+            event,
+            onReply
         );
+        return () => {
+            clearTimeout(timeout);
+            this.removeListener(event, onReply);
+        };
     }
 
     // see http://firmata.org/wiki/Proposals#OneWire_Proposal
@@ -2411,6 +2456,25 @@ class Firmata extends Emitter {
         this.once(`sonar-data-${trigPin}_${ehcoPin}_${unit}`, callback);
     }
 
+    /**
+     * Asks the firmware to read a DHT sensor, the callback gets {humidity, temperature},
+     * or null if the sensor failed.
+     * @param {number} pin - the data pin of the sensor.
+     * @param {number} type - the type of the sensor, 11 or 22.
+     * @param {function} callback - the callback of the reply.
+     */
+    dhtRead (pin, type, callback) {
+        writeToTransport(this, [
+            START_SYSEX,
+            DHTSENSOR_DATA,
+            pin,
+            type,
+            END_SYSEX
+        ]);
+
+        this.once(`dht-data-${pin}_${type}`, callback);
+    }
+
     buzzerTone (pin, frequency) {
         const bytes = [];
 
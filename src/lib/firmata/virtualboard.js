@@ -0,0 +1,692 @@
+const Emitter = require('events');
+const Buffer = require('buffer').Buffer;
+
+const Encoder7Bit = require('./encoder7bit');
+
+// Firmata messages handled by the board, see firmata.js for the host side.
+const DIGITAL_MESSAGE = 0x90;
+const ANALOG_MESSAGE = 0xE0;
+const REPORT_ANALOG = 0xC0;
+const REPORT_DIGITAL = 0xD0;
+const SET_PIN_MODE = 0xF4;
+const SET_DIGITAL_PIN_VALUE = 0xF5;
+const REPORT_VERSION = 0xF9;
+const SYSTEM_RESET = 0xFF;
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+
+const SONAR_DATA = 0x50;
+const ANALOG_MAPPING_QUERY = 0x69;
+const ANALOG_MAPPING_RESPONSE = 0x6A;
+const CAPABILITY_QUERY = 0x6B;
+const CAPABILITY_RESPONSE = 0x6C;
+const PIN_STATE_QUERY = 0x6D;
+const PIN_STATE_RESPONSE = 0x6E;
+const EXTENDED_ANALOG = 0x6F;
+const SERVO_CONFIG = 0x70;
+const I2C_REQUEST = 0x76;
+const I2C_REPLY = 0x77;
+const I2C_CONFIG = 0x78;
+const QUERY_FIRMWARE = 0x79;
+const SAMPLING_INTERVAL = 0x7A;
+
+const I2C_MODE_MASK = 0x18;
+const I2C_WRITE = 0x00;
+const I2C_READ = 0x08;
+const I2C_CONTINUOUS_READ = 0x10;
+const I2C_STOP_READING = 0x18;
+
+/**
+ * The pin modes the board supports.
+ * @readonly
+ * @enum {number}
+ */
+const PinMode = {
+    INPUT: 0x00,
+    OUTPUT: 0x01,
+    ANALOG: 0x02,
+    PWM: 0x03,
+    SERVO: 0x04,
+    I2C: 0x06,
+    PULLUP: 0x0B
+};
+
+/**
+ * The kinds of value source of an analog input.
+ * @readonly
+ * @enum {string}
+ */
+const AnalogSourceType = {
+    /**
+     * A fixed value, set by a slider in the GUI: {type, value}.
+     */
+    SLIDER: 'slider',
+
+    /**
+     * A random value for every sample: {type, min, max}.
+     */
+    NOISE: 'noise',
+
+    /**
+     * A sine wave: {type, min, max, period}, the period is in milliseconds.
+     */
+    SINE: 'sine'
+};
+
+/**
+ * The pins of the boards the simulator can be, like the Boards.h of firmata.
+ * @type {object}
+ */
+const BoardProfiles = {
+    uno: {
+        pinCount: 20,
+        analogPins: [14, 15, 16, 17, 18, 19],
+        pwmPins: [3, 5, 6, 9, 10, 11],
+        i2cPins: [18, 19],
+        serialPins: [0, 1]
+    },
+    leonardo: {
+        pinCount: 30,
+        analogPins: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+        pwmPins: [3, 5, 6, 9, 10, 11, 13],
+        i2cPins: [2, 3],
+        serialPins: []
+    },
+    mega: {
+        pinCount: 70,
+        analogPins: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+        pwmPins: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 44, 45, 46],
+        i2cPins: [20, 21],
+        serialPins: [0, 1]
+    }
+};
+
+/**
+ * The firmata protocol version the board reports.
+ * @type {Array.<number>}
+ */
+const PROTOCOL_VERSION = [2, 6];
+
+/**
+ * The default time in milliseconds between the analog reports, the same as the firmata firmware.
+ * @type {number}
+ */
+const DEFAULT_SAMPLING_INTERVAL = 19;
+
+/**
+ * The distance in centimeters the sonar measures until another one is set.
+ * @type {number}
+ */
+const DEFAULT_SONAR_DISTANCE = 100;
+
+/**
+ * The value of the analog inputs, 10 bits like the ATmega ADC.
+ * @type {number}
+ */
+const ANALOG_MAX = 1023;
+
+/**
+ * @param {number} value - a 14 bit value.
+ * @return {Array.<number>} - the value in LSB, MSB 7 bit bytes.
+ */
+const to7BitPair = value => [value & 0x7F, (value >> 7) & 0x7F];
+
+/**
+ * An Arduino board running the realtime firmware, simulated in JavaScript. It reads the firmata
+ * messages the host writes and answers them like the firmware would, so the realtime blocks work
+ * without a board. It keeps the mode and level of every pin, generates the values of the analog
+ * inputs from their sources, and answers servo, I2C and sonar requests.
+ *
+ * Emits:
+ * - 'pin-change' {pin, mode, value} when the host changes the mode or the output of a pin.
+ */
+class VirtualBoard extends Emitter {
+
+    /**
+     * @param {function} send - the function the board writes its bytes to, with an Array of bytes.
+     * @param {object} options - the board options.
+     * @param {string} options.board - the pins of the board, one of the BoardProfiles keys, uno by default.
+     * @param {string} options.firmware - the firmware name reported to the host.
+     * @param {string} options.firmwareVersion - the firmware version reported to the host, like '2.6'.
+     */
+    constructor (send, options = {}) {
+        super();
+
+        this._send = send;
+        this._profile = BoardProfiles[options.board] || BoardProfiles.uno;
+        this._firmwareName = options.firmware || 'VirtualBoard.ino';
+        this._firmwareVersion = (options.firmwareVersion || PROTOCOL_VERSION.join('.')).split('.')
+            .map(part => parseInt(part, 10) || 0);
+
+        this._buffer = [];
+        this._samplingInterval = DEFAULT_SAMPLING_INTERVAL;
+        this._samplingIntervalID = null;
+        this._reportingPorts = new Set();
+        this._reportingChannels = new Set();
+        this._continuousI2cReads = [];
+
+        /**
+         * The state of every pin: its mode, the value written by the host or set as input, and the
+         * pulse range of a servo.
+         * @type {Array.<{mode: number, value: number, servo: ?{min: number, max: number}}>}
+         */
+        this.pins = [];
+        for (let pin = 0; pin < this._profile.pinCount; pin++) {
+            const isAnalog = this._profile.analogPins.includes(pin);
+            this.pins.push({
+                mode: isAnalog ? PinMode.ANALOG : PinMode.OUTPUT,
+                value: 0,
+                servo: null
+            });
+        }
+
+        /**
+         * The value sources of the analog channels.
+         * @type {Array.<object>}
+         */
+        this.analogSources = this._profile.analogPins.map(() => ({type: AnalogSourceType.SLIDER, value: 0}));
+
+        /**
+         * The registers of the I2C devices on the bus, keyed by address.
+         * @type {Object.<number, Array.<number>>}
+         */
+        this.i2cDevices = {};
+
+        /**
+         * The distance in centimeters every sonar measures.
+         * @type {number}
+         */
+        this.sonarDistance = DEFAULT_SONAR_DISTANCE;
+    }
+
+    /**
+     * Start the board, it reports its version and firmware like the firmware does after a reset.
+     */
+    start () {
+        this._reportVersion();
+        this._reportFirmware();
+    }
+
+    /**
+     * Stop the reports of the board.
+     */
+    stop () {
+        this._reportingPorts.clear();
+        this._reportingChannels.clear();
+        this._continuousI2cReads = [];
+        this._updateSampling();
+    }
+
+    /**
+     * Handle the bytes written by the host.
+     * @param {Uint8Array|Array.<number>} data - the bytes.
+     */
+    receive (data) {
+        for (let i = 0; i < data.length; i++) {
+            const byte = data[i];
+            if (byte & 0x80) {
+                if (this._buffer[0] === START_SYSEX && byte === END_SYSEX) {
+                    this._onSysex(this._buffer.slice(1));
+                    this._buffer = [];
+                    continue;
+                }
+                // A command byte starts a new message, dropping an unfinished one.
+                this._buffer = [byte];
+            } else if (this._buffer.length > 0) {
+                this._buffer.push(byte);
+            }
+            this._onMidi();
+        }
+    }
+
+    /**
+     * Set the level of a digital input, like a button wired to the pin does.
+     * @param {number} pin - the pin.
+     * @param {number} level - the level, 0 or 1.
+     */
+    setDigitalInput (pin, level) {
+        const pinState = this.pins[pin];
+        if (!pinState) return;
+
+        pinState.value = level ? 1 : 0;
+        if (this._isInput(pin) && this._reportingPorts.has(pin >> 3)) {
+            this._reportPort(pin >> 3);
+        }
+    }
+
+    /**
+     * Set the value source of an analog channel.
+     * @param {number} channel - the analog channel, 0 for A0.
+     * @param {object|number} source - the source, see AnalogSourceType, or a number for a slider value.
+     */
+    setAnalogSource (channel, source) {
+        if (channel < 0 || channel >= this.analogSources.length) return;
+
+        if (typeof source === 'number') {
+            source = {type: AnalogSourceType.SLIDER, value: source};
+        }
+        this.analogSources[channel] = Object.assign({min: 0, max: ANALOG_MAX, period: 1000}, source);
+    }
+
+    /**
+     * Set the registers of an I2C device on the bus, reads start at the requested register.
+     * @param {number} address - the address of the device.
+     * @param {Array.<number>} registers - the register values, indexed by register.
+     */
+    setI2cDevice (address, registers) {
+        this.i2cDevices[address] = registers.slice();
+    }
+
+    /**
+     * Remove an I2C device from the bus.
+     * @param {number} address - the address of the device.
+     */
+    removeI2cDevice (address) {
+        delete this.i2cDevices[address];
+    }
+
+    /**
+     * @param {number} channel - the analog channel.
+     * @param {number} time - the time of the sample, in milliseconds.
+     * @return {number} - the value of the channel at the time.
+     */
+    readAnalog (channel, time = Date.now()) {
+        const source = this.analogSources[channel];
+        let value;
+        switch (source.type) {
+        case AnalogSourceType.NOISE:
+            value = source.min + (Math.random() * (source.max - source.min));
+            break;
+        case AnalogSourceType.SINE:
+            value = source.min + ((source.max - source.min) *
+                (1 + Math.sin(2 * Math.PI * time / source.period)) / 2);
+            break;
+        default:
+            value = source.value;
+        }
+        return Math.max(0, Math.min(ANALOG_MAX, Math.round(value)));
+    }
+
+    /**
+     * @param {number} pin - the pin.
+     * @return {boolean} - whether the pin is a digital input.
+     * @private
+     */
+    _isInput (pin) {
+        const mode = this.pins[pin].mode;
+        return mode === PinMode.INPUT || mode === PinMode.PULLUP;
+    }
+
+    /**
+     * Handle the message in the buffer if it is a whole MIDI message.
+     * @private
+     */
+    _onMidi () {
+        const command = this._buffer[0];
+        if (typeof command === 'undefined' || command === START_SYSEX) return;
+
+        switch (command < START_SYSEX ? command & 0xF0 : command) {
+        case REPORT_VERSION:
+            this._buffer = [];
+            this._reportVersion();
+            break;
+        case SYSTEM_RESET:
+            this._buffer = [];
+            this.stop();
+            break;
+        case REPORT_ANALOG:
+        case REPORT_DIGITAL:
+            if (this._buffer.length === 2) {
+                this._onReport(command, this._buffer[1]);
+                this._buffer = [];
+            }
+            break;
+        case DIGITAL_MESSAGE:
+        case ANALOG_MESSAGE:
+        case SET_PIN_MODE:
+        case SET_DIGITAL_PIN_VALUE:
+            if (this._buffer.length === 3) {
+                this._onCommand(command, this._buffer[1], this._buffer[2]);
+                this._buffer = [];
+            }
+            break;
+        default:
+            this._buffer = [];
+        }
+    }
+
+    /**
+     * @param {number} command - the REPORT_ANALOG or REPORT_DIGITAL command, with the channel or port.
+     * @param {number} enable - 1 to enable the reports, 0 to disable them.
+     * @private
+     */
+    _onReport (command, enable) {
+        const index = command & 0x0F;
+        const reports = (command & 0xF0) === REPORT_ANALOG ? this._reportingChannels : this._reportingPorts;
+        if (enable) {
+            reports.add(index);
+        } else {
+            reports.delete(index);
+        }
+        if (reports === this._reportingPorts && enable) {
+            // The firmware reports a port as soon as its reports are enabled.
+            this._reportPort(index);
+        }
+        this._updateSampling();
+    }
+
+    /**
+     * @param {number} command - the command byte.
+     * @param {number} first - the first data byte.
+     * @param {number} second - the second data byte.
+     * @private
+     */
+    _onCommand (command, first, second) {
+        switch (command < START_SYSEX ? command & 0xF0 : command) {
+        case DIGITAL_MESSAGE: {
+            const port = command & 0x0F;
+            const portValue = first | (second << 7);
+            for (let bit = 0; bit < 8; bit++) {
+                const pin = (port * 8) + bit;
+                if (this.pins[pin] && this.pins[pin].mode === PinMode.OUTPUT) {
+                    this._setOutput(pin, (portValue >> bit) & 0x01);
+                }
+            }
+            break;
+        }
+        case SET_DIGITAL_PIN_VALUE:
+            if (this.pins[first] && this.pins[first].mode === PinMode.OUTPUT) {
+                this._setOutput(first, second ? 1 : 0);
+            }
+            break;
+        case ANALOG_MESSAGE:
+            this._analogWrite(command & 0x0F, first | (second << 7));
+            break;
+        case SET_PIN_MODE:
+            this._setPinMode(first, second);
+            break;
+        }
+    }
+
+    /**
+     * Handle a sysex message.
+     * @param {Array.<number>} message - the message, without START_SYSEX and END_SYSEX.
+     * @private
+     */
+    _onSysex (message) {
+        const data = message.slice(1);
+        switch (message[0]) {
+        case QUERY_FIRMWARE:
+            this._reportFirmware();
+            break;
+        case CAPABILITY_QUERY:
+            this._reportCapabilities();
+            break;
+        case ANALOG_MAPPING_QUERY:
+            this._send([START_SYSEX, ANALOG_MAPPING_RESPONSE]
+                .concat(this.pins.map((pinState, pin) => {
+                    const channel = this._profile.analogPins.indexOf(pin);
+                    return channel < 0 ? 0x7F : channel;
+                }), END_SYSEX));
+            break;
+        case PIN_STATE_QUERY: {
+            const pinState = this.pins[data[0]];
+            if (pinState) {
+                this._send([START_SYSEX, PIN_STATE_RESPONSE, data[0], pinState.mode]
+                    .concat(to7BitPair(pinState.value), END_SYSEX));
+            }
+            break;
+        }
+        case EXTENDED_ANALOG: {
+            const value = data.slice(1).reduce((sum, byte, index) => sum | (byte << (7 * index)), 0);
+            this._analogWrite(data[0], value);
+            break;
+        }
+        case SERVO_CONFIG:
+            if (this.pins[data[0]]) {
+                this.pins[data[0]].servo = {min: data[1] | (data[2] << 7), max: data[3] | (data[4] << 7)};
+                this._setPinMode(data[0], PinMode.SERVO);
+            }
+            break;
+        case SAMPLING_INTERVAL:
+            this._samplingInterval = Math.max(1, data[0] | (data[1] << 7));
+            if (this._samplingIntervalID !== null) {
+                this._stopSampling();
+                this._updateSampling();
+            }
+            break;
+        case I2C_CONFIG:
+            break;
+        case I2C_REQUEST:
+            this._onI2cRequest(data);
+            break;
+        case SONAR_DATA:
+            this._reportSonar(data[0], data[1], data[2]);
+            break;
+        }
+    }
+
+    /**
+     * @param {number} pin - the pin.
+     * @param {number} mode - the mode.
+     * @private
+     */
+    _setPinMode (pin, mode) {
+        const pinState = this.pins[pin];
+        if (!pinState) return;
+
+        pinState.mode = mode;
+        if (mode === PinMode.PULLUP) {
+            // Nothing pulls a pulled up input low until an input level is set.
+            pinState.value = 1;
+        } else if (mode === PinMode.OUTPUT || mode === PinMode.PWM) {
+            pinState.value = 0;
+        }
+        if (mode !== PinMode.SERVO) {
+            pinState.servo = null;
+        }
+        this.emit('pin-change', {pin, mode, value: pinState.value});
+    }
+
+    /**
+     * @param {number} pin - the pin.
+     * @param {number} value - the level written by the host.
+     * @private
+     */
+    _setOutput (pin, value) {
+        if (this.pins[pin].value !== value) {
+            this.pins[pin].value = value;
+            this.emit('pin-change', {pin, mode: this.pins[pin].mode, value});
+        }
+    }
+
+    /**
+     * Write a PWM duty or a servo angle.
+     * @param {number} pin - the pin.
+     * @param {number} value - the value.
+     * @private
+     */
+    _analogWrite (pin, value) {
+        const pinState = this.pins[pin];
+        if (pinState && (pinState.mode === PinMode.PWM || pinState.mode === PinMode.SERVO)) {
+            this._setOutput(pin, value);
+        }
+    }
+
+    /**
+     * @param {Array.<number>} data - the I2C request, without the command.
+     * @private
+     */
+    _onI2cRequest (data) {
+        const address = data[0] | ((data[1] & 0x07) << 7);
+        const mode = data[1] & I2C_MODE_MASK;
+        const bytes = [];
+        for (let i = 2; i + 1 < data.length; i += 2) {
+            bytes.push(data[i] | (data[i + 1] << 7));
+        }
+
+        switch (mode) {
+        case I2C_WRITE: {
+            const registers = this.i2cDevices[address];
+            if (registers && bytes.length > 0) {
+                bytes.slice(1).forEach((byte, index) => {
+                    registers[bytes[0] + index] = byte & 0xFF;
+                });
+            }
+            break;
+        }
+        case I2C_READ:
+        case I2C_CONTINUOUS_READ: {
+            // The register is optional, there are only the number of bytes without it.
+            const read = bytes.length > 1 ?
+                {address, register: bytes[0], length: bytes[1]} :
+                {address, register: null, length: bytes[0]};
+            this._reportI2c(read);
+            if (mode === I2C_CONTINUOUS_READ) {
+                this._continuousI2cReads.push(read);
+                this._updateSampling();
+            }
+            break;
+        }
+        case I2C_STOP_READING:
+            this._continuousI2cReads = this._continuousI2cReads.filter(read => read.address !== address);
+            this._updateSampling();
+            break;
+        }
+    }
+
+    /**
+     * Start or stop sampling the inputs, the board samples while anything is reported.
+     * @private
+     */
+    _updateSampling () {
+        const sampling = this._reportingChannels.size > 0 || this._continuousI2cReads.length > 0;
+        if (sampling && this._samplingIntervalID === null) {
+            this._samplingIntervalID = window.setInterval(() => this.sample(), this._samplingInterval);
+        } else if (!sampling) {
+            this._stopSampling();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _stopSampling () {
+        if (this._samplingIntervalID !== null) {
+            window.clearInterval(this._samplingIntervalID);
+            this._samplingIntervalID = null;
+        }
+    }
+
+    /**
+     * Report the reported analog channels and continuous I2C reads once, the board does it every
+     * sampling interval.
+     * @param {number} time - the time of the sample, in milliseconds.
+     */
+    sample (time = Date.now()) {
+        this._reportingChannels.forEach(channel => {
+            if (channel < this.analogSources.length) {
+                this._send([ANALOG_MESSAGE | channel].concat(to7BitPair(this.readAnalog(channel, time))));
+            }
+        });
+        this._continuousI2cReads.forEach(read => this._reportI2c(read));
+    }
+
+    /**
+     * @private
+     */
+    _reportVersion () {
+        this._send([REPORT_VERSION].concat(PROTOCOL_VERSION));
+    }
+
+    /**
+     * @private
+     */
+    _reportFirmware () {
+        const name = [];
+        Buffer.from(this._firmwareName).forEach(byte => {
+            name.push(...to7BitPair(byte));
+        });
+        this._send([START_SYSEX, QUERY_FIRMWARE, this._firmwareVersion[0], this._firmwareVersion[1] || 0]
+            .concat(name, END_SYSEX));
+    }
+
+    /**
+     * @private
+     */
+    _reportCapabilities () {
+        const message = [START_SYSEX, CAPABILITY_RESPONSE];
+        this.pins.forEach((pinState, pin) => {
+            if (!this._profile.serialPins.includes(pin)) {
+                message.push(PinMode.INPUT, 1, PinMode.PULLUP, 1, PinMode.OUTPUT, 1, PinMode.SERVO, 14);
+                if (this._profile.analogPins.includes(pin)) {
+                    message.push(PinMode.ANALOG, 10);
+                }
+                if (this._profile.pwmPins.includes(pin)) {
+                    message.push(PinMode.PWM, 8);
+                }
+                if (this._profile.i2cPins.includes(pin)) {
+                    message.push(PinMode.I2C, 1);
+                }
+            }
+            message.push(0x7F);
+        });
+        message.push(END_SYSEX);
+        this._send(message);
+    }
+
+    /**
+     * Report the levels of the digital inputs of a port.
+     * @param {number} port - the port, 8 pins each.
+     * @private
+     */
+    _reportPort (port) {
+        let portValue = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            const pin = (port * 8) + bit;
+            if (this.pins[pin] && this._isInput(pin) && this.pins[pin].value) {
+                portValue |= 1 << bit;
+            }
+        }
+        this._send([DIGITAL_MESSAGE | port].concat(to7BitPair(portValue)));
+    }
+
+    /**
+     * Answer an I2C read, a missing device answers no bytes.
+     * @param {{address: number, register: ?number, length: number}} read - the read.
+     * @private
+     */
+    _reportI2c (read) {
+        const registers = this.i2cDevices[read.address];
+        const register = read.register === null ? 0 : read.register;
+        const message = [START_SYSEX, I2C_REPLY].concat(to7BitPair(read.address), to7BitPair(register));
+        if (registers) {
+            for (let i = 0; i < read.length; i++) {
+                message.push(...to7BitPair(registers[register + i] || 0));
+            }
+        }
+        message.push(END_SYSEX);
+        this._send(message);
+    }
+
+    /**
+     * Answer a sonar request, the distance is sent in hundredths of the unit.
+     * @param {number} trigPin - the trigger pin.
+     * @param {number} echoPin - the echo pin.
+     * @param {number} unit - 0 for centimeters, 1 for inches.
+     * @private
+     */
+    _reportSonar (trigPin, echoPin, unit) {
+        const distance = unit === 1 ? this.sonarDistance / 2.54 : this.sonarDistance;
+        const bytes = Buffer.alloc(4);
+        bytes.writeUInt32LE(Math.max(0, Math.round(distance * 100)), 0);
+        this._send([START_SYSEX, SONAR_DATA, trigPin, echoPin, unit]
+            .concat(Encoder7Bit.to7BitArray(bytes), END_SYSEX));
+    }
+}
+
+VirtualBoard.PinMode = PinMode;
+VirtualBoard.AnalogSourceType = AnalogSourceType;
+VirtualBoard.BoardProfiles = BoardProfiles;
+
+module.exports = VirtualBoard;
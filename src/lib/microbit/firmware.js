@@ -0,0 +1,121 @@
+const MicrobitRealtime = require('./microbit-realtime');
+
+/**
+ * Build the MicroPython source of the micro:bit realtime firmware, it is uploaded like any
+ * program and then speaks the protocol of MicrobitRealtime over the serialport.
+ * @param {number} baudrate - the baudrate of the serialport.
+ * @return {string} - the firmware source.
+ */
+const firmware = baudrate => String.raw`from microbit import *
+import radio
+
+NAME = '${MicrobitRealtime.FIRMWARE_NAME}'
+VERSION = '${MicrobitRealtime.FIRMWARE_VERSION}'
+REPORT_INTERVAL = ${MicrobitRealtime.STATE_REPORT_INTERVAL}
+
+PINS = [pin0, pin1, pin2, pin3, pin4, pin5, pin6, pin7, pin8,
+        pin9, pin10, pin11, pin12, pin13, pin14, pin15, pin16]
+
+
+def show_image(pattern):
+    rows = []
+    for i in range(0, 25, 5):
+        rows.append(pattern[i:i + 5].replace('1', '9'))
+    display.show(Image(':'.join(rows)))
+
+
+def radio_receive():
+    message = radio.receive()
+    return message if message else ''
+
+
+def execute(cmd, args, text):
+    if cmd == 'v':
+        return NAME + ' ' + VERSION
+    elif cmd == 'dw':
+        PINS[int(args[0])].write_digital(int(args[1]))
+    elif cmd == 'aw':
+        PINS[int(args[0])].write_analog(int(args[1]))
+    elif cmd == 'dr':
+        return PINS[int(args[0])].read_digital()
+    elif cmd == 'ar':
+        return PINS[int(args[0])].read_analog()
+    elif cmd == 'tc':
+        return int(PINS[int(args[0])].is_touched())
+    elif cmd == 'im':
+        show_image(args[0])
+    elif cmd == 'tx':
+        display.scroll(text, wait=False)
+    elif cmd == 'tu':
+        display.scroll(text)
+    elif cmd == 'cl':
+        display.clear()
+    elif cmd == 'px':
+        display.set_pixel(int(args[0]), int(args[1]), int(args[2]))
+    elif cmd == 'ca':
+        return compass.heading()
+    elif cmd == 'cm':
+        return compass.get_field_strength()
+    elif cmd == 'cc':
+        compass.calibrate()
+    elif cmd == 'll':
+        return display.read_light_level()
+    elif cmd == 'tp':
+        return temperature()
+    elif cmd == 'rt':
+        return running_time()
+    elif cmd == 'ro':
+        radio.on()
+    elif cmd == 'rf':
+        radio.off()
+    elif cmd == 'rr':
+        radio.reset()
+    elif cmd == 'rs':
+        radio.send(text)
+    elif cmd == 'rv':
+        return radio_receive()
+    elif cmd == 'rc':
+        radio.config(channel=int(args[0]))
+    return ''
+
+
+def handle(line):
+    parts = line.split(' ', 2)
+    if len(parts) < 2:
+        return
+    rid = parts[0]
+    text = parts[2] if len(parts) > 2 else ''
+    try:
+        value = execute(parts[1], text.split(' '), text)
+        if rid != '0':
+            uart.write('=%s %s\n' % (rid, value))
+    except Exception as e:
+        uart.write('?%s %s\n' % (rid, e))
+
+
+def report():
+    uart.write('!s %d %d %d %d %d %s\n' % (
+        button_a.is_pressed(), button_b.is_pressed(),
+        accelerometer.get_x(), accelerometer.get_y(), accelerometer.get_z(),
+        accelerometer.current_gesture().replace(' ', '')))
+
+
+uart.init(baudrate=${baudrate})
+uart.write('!v %s %s\n' % (NAME, VERSION))
+buffer = b''
+last_report = running_time()
+while True:
+    data = uart.read()
+    if data:
+        buffer += data
+        index = buffer.find(b'\n')
+        while index >= 0:
+            handle(str(buffer[:index], 'utf-8').strip())
+            buffer = buffer[index + 1:]
+            index = buffer.find(b'\n')
+    if running_time() - last_report >= REPORT_INTERVAL:
+        last_report = running_time()
+        report()
+`;
+
+module.exports = firmware;
@@ -0,0 +1,481 @@
+// Built-in Dependencies
+const Emitter = require('events');
+const Buffer = require('buffer').Buffer;
+
+/**
+ * The name reported by the realtime firmware, used to recognise it.
+ */
+const FIRMWARE_NAME = 'openblock-microbit';
+
+/**
+ * The version of the realtime protocol spoken by this driver and the firmware.
+ */
+const FIRMWARE_VERSION = '1.0';
+
+/**
+ * A time interval (in milliseconds) the firmware reports the state of buttons and accelerometer.
+ */
+const STATE_REPORT_INTERVAL = 50;
+
+/**
+ * A time interval to wait (in milliseconds) for the reply of a request.
+ */
+const REQUEST_TIMEOUT = 2000;
+
+/**
+ * The id of a command that does not want a reply.
+ */
+const NO_REPLY_ID = 0;
+
+/**
+ * The largest request id before wrapping around.
+ */
+const MAX_REQUEST_ID = 9999;
+
+/**
+ * The line feed byte ending every frame.
+ */
+const LINE_FEED = 0x0A;
+
+/**
+ * Prefixes of the frames sent by the firmware:
+ *   =<id> <value>           reply to request <id>.
+ *   ?<id> <message>         request <id> failed.
+ *   !v <name> <version>     firmware identity, sent when the firmware starts.
+ *   !s <a> <b> <x> <y> <z> <gesture>   periodic state report.
+ *   !e <message>            error not related to a request.
+ */
+const Frame = {
+    Reply: '=',
+    Failure: '?',
+    Version: '!v',
+    State: '!s',
+    Error: '!e'
+};
+
+/**
+ * Commands sent to the firmware, each as a line "<id> <command> [arguments]".
+ */
+const Command = {
+    Version: 'v',
+    DigitalWrite: 'dw',
+    PwmWrite: 'aw',
+    DigitalRead: 'dr',
+    AnalogRead: 'ar',
+    PinTouched: 'tc',
+    ShowImage: 'im',
+    Scroll: 'tx',
+    ScrollUntilDone: 'tu',
+    ClearDisplay: 'cl',
+    SetPixel: 'px',
+    CompassHeading: 'ca',
+    CompassFieldStrength: 'cm',
+    CalibrateCompass: 'cc',
+    LightLevel: 'll',
+    Temperature: 'tp',
+    RunningTime: 'rt',
+    RadioOn: 'ro',
+    RadioOff: 'rf',
+    RadioReset: 'rr',
+    RadioSend: 'rs',
+    RadioReceive: 'rv',
+    RadioChannel: 'rc'
+};
+
+/**
+ * Driver of the micro:bit realtime protocol, a line based protocol over serialport playing the role
+ * Firmata plays for Arduino boards.
+ */
+class MicrobitRealtime extends Emitter {
+    /**
+     * Construct a driver.
+     * @param {function} transportWrite - a function to write an Uint8Array to the serialport.
+     */
+    constructor (transportWrite) {
+        super();
+
+        this.transportWrite = transportWrite;
+
+        /**
+         * The bytes of a frame not completely received.
+         * @type {Array.<number>}
+         */
+        this.buffer = [];
+
+        /**
+         * The identity of the firmware, like {name: 'openblock-microbit', version: '1.0'}.
+         * @type {object}
+         */
+        this.firmware = {};
+
+        /**
+         * True after the firmware has identified itself.
+         * @type {boolean}
+         */
+        this.isReady = false;
+
+        /**
+         * The latest state reported by the firmware.
+         * @type {object}
+         */
+        this.state = {
+            buttons: {a: false, b: false},
+            acceleration: {x: 0, y: 0, z: 0},
+            gesture: ''
+        };
+
+        this._requestId = NO_REPLY_ID;
+
+        /**
+         * The requests waiting for replies, keyed by id.
+         * @type {Map.<number, {resolve: function, timeoutId: ?number, blocking: boolean}>}
+         * @private
+         */
+        this._pendingRequests = new Map();
+    }
+
+    /**
+     * Process the data received from the serialport.
+     * @param {Uint8Array} data - the received data.
+     */
+    onReciveData (data) {
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] === LINE_FEED) {
+                const line = Buffer.from(this.buffer).toString()
+                    .trim();
+                this.buffer = [];
+                if (line) {
+                    this._handleFrame(line);
+                }
+            } else {
+                this.buffer.push(data[i]);
+            }
+        }
+    }
+
+    /**
+     * @param {string} line - a frame received from the firmware.
+     * @private
+     */
+    _handleFrame (line) {
+        const prefix = line.charAt(0);
+        if (prefix === Frame.Reply || prefix === Frame.Failure) {
+            const separator = line.indexOf(' ');
+            const id = parseInt(line.slice(1, separator < 0 ? line.length : separator), 10);
+            const value = separator < 0 ? '' : line.slice(separator + 1);
+            if (prefix === Frame.Failure) {
+                this.emit('firmware-error', value);
+            }
+            this._resolveRequest(id, prefix === Frame.Reply ? value : null);
+            return;
+        }
+
+        const [type, ...args] = line.split(' ');
+        switch (type) {
+        case Frame.Version:
+            this._setFirmware(args[0], args[1]);
+            break;
+        case Frame.State:
+            this.state = {
+                buttons: {a: args[0] === '1', b: args[1] === '1'},
+                acceleration: {x: Number(args[2]), y: Number(args[3]), z: Number(args[4])},
+                gesture: args[5] || ''
+            };
+            this.emit('state', this.state);
+            break;
+        case Frame.Error:
+            this.emit('firmware-error', args.join(' '));
+            break;
+        default:
+            // Anything else is printed by the firmware itself, like a python traceback.
+            this.emit('output', line);
+        }
+    }
+
+    /**
+     * @param {string} name - the name of the firmware.
+     * @param {string} version - the version of the firmware.
+     * @private
+     */
+    _setFirmware (name, version) {
+        this.firmware = {name, version};
+        this.emit('version', this.firmware);
+        if (!this.isReady && name === FIRMWARE_NAME) {
+            this.isReady = true;
+            this.emit('ready');
+        }
+    }
+
+    /**
+     * @param {number} id - the id of the request.
+     * @param {?string} value - the replied value, null if the request failed.
+     * @private
+     */
+    _resolveRequest (id, value) {
+        const request = this._pendingRequests.get(id);
+        if (request) {
+            clearTimeout(request.timeoutId);
+            this._pendingRequests.delete(id);
+            request.resolve(value === null ? undefined : value); // eslint-disable-line no-undefined
+        }
+    }
+
+    /**
+     * @param {number} id - the id of the request.
+     * @param {string} command - the command.
+     * @param {Array.<*>} args - the arguments of the command, the last one can contain spaces.
+     * @private
+     */
+    _writeCommand (id, command, args) {
+        const line = [id, command, ...args].map(arg => String(arg).replace(/[\r\n]/g, ' '))
+            .join(' ');
+        this.transportWrite(Buffer.from(`${line}\n`));
+    }
+
+    /**
+     * Send a command without waiting for its reply.
+     * @param {string} command - the command.
+     * @param {Array.<*>} args - the arguments of the command.
+     */
+    send (command, args = []) {
+        this._writeCommand(NO_REPLY_ID, command, args);
+    }
+
+    /**
+     * Send a command and wait for its reply.
+     * @param {string} command - the command.
+     * @param {Array.<*>} args - the arguments of the command.
+     * @param {boolean} blocking - true if the firmware stops reporting until the command is done,
+     * like scrolling a text until done. A blocking request waits without timeout.
+     * @return {Promise} - a Promise that resolves the replied value, or undefined if failed or timeout.
+     */
+    request (command, args = [], blocking = false) {
+        this._requestId = (this._requestId % MAX_REQUEST_ID) + 1;
+        const id = this._requestId;
+        return new Promise(resolve => {
+            const timeoutId = blocking ? null : setTimeout(() => {
+                this._resolveRequest(id, null);
+            }, REQUEST_TIMEOUT);
+            this._pendingRequests.set(id, {resolve, timeoutId, blocking});
+            this._writeCommand(id, command, args);
+        });
+    }
+
+    /**
+     * Return true while a blocking request is running, the firmware sends no report meanwhile.
+     * @return {boolean} - whether the firmware is busy.
+     */
+    isBusy () {
+        for (const request of this._pendingRequests.values()) {
+            if (request.blocking) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Resolve all pending requests as failed, called when the connection is gone.
+     */
+    dispose () {
+        for (const id of Array.from(this._pendingRequests.keys())) {
+            this._resolveRequest(id, null);
+        }
+        this.buffer = [];
+    }
+
+    /**
+     * Ask the firmware to identify itself.
+     * @return {Promise} - a Promise that resolves the firmware identity.
+     */
+    queryFirmware () {
+        return this.request(Command.Version).then(value => {
+            if (typeof value === 'undefined') return;
+            const [name, version] = value.split(' ');
+            this._setFirmware(name, version);
+            return this.firmware;
+        });
+    }
+
+    /**
+     * @param {number} pin - the pin to write.
+     * @param {number} value - 0 or 1.
+     */
+    digitalWrite (pin, value) {
+        this.send(Command.DigitalWrite, [pin, value]);
+    }
+
+    /**
+     * @param {number} pin - the pin to write.
+     * @param {number} value - the duty from 0 to 1023.
+     */
+    pwmWrite (pin, value) {
+        this.send(Command.PwmWrite, [pin, value]);
+    }
+
+    /**
+     * @param {string} command - the command of a request that replies a number.
+     * @param {Array.<*>} args - the arguments of the command.
+     * @param {boolean} blocking - whether the request is blocking.
+     * @return {Promise} - a Promise that resolves the number, or undefined if failed.
+     * @private
+     */
+    _requestNumber (command, args = [], blocking = false) {
+        return this.request(command, args, blocking).then(value => {
+            if (typeof value === 'undefined') return;
+            return Number(value);
+        });
+    }
+
+    /**
+     * @param {number} pin - the pin to read.
+     * @return {Promise} - a Promise that resolves 0 or 1.
+     */
+    digitalRead (pin) {
+        return this._requestNumber(Command.DigitalRead, [pin]);
+    }
+
+    /**
+     * @param {number} pin - the pin to read.
+     * @return {Promise} - a Promise that resolves the value from 0 to 1023.
+     */
+    analogRead (pin) {
+        return this._requestNumber(Command.AnalogRead, [pin]);
+    }
+
+    /**
+     * @param {number} pin - the pin to check.
+     * @return {Promise} - a Promise that resolves true if the pin is touched.
+     */
+    isTouched (pin) {
+        return this._requestNumber(Command.PinTouched, [pin]).then(value => value === 1);
+    }
+
+    /**
+     * @param {string} pattern - 25 characters of '0' and '1', row by row.
+     */
+    showImage (pattern) {
+        this.send(Command.ShowImage, [pattern]);
+    }
+
+    /**
+     * @param {string} text - the text to scroll, returns without waiting the scroll.
+     */
+    scroll (text) {
+        this.send(Command.Scroll, [text]);
+    }
+
+    /**
+     * @param {string} text - the text to scroll.
+     * @return {Promise} - a Promise that resolves when the scroll is done.
+     */
+    scrollUntilDone (text) {
+        return this.request(Command.ScrollUntilDone, [text], true);
+    }
+
+    /**
+     * Turn off all the LEDs.
+     */
+    clearDisplay () {
+        this.send(Command.ClearDisplay);
+    }
+
+    /**
+     * @param {number} x - the column from 0 to 4.
+     * @param {number} y - the row from 0 to 4.
+     * @param {number} brightness - the brightness from 0 to 9.
+     */
+    setPixel (x, y, brightness) {
+        this.send(Command.SetPixel, [x, y, brightness]);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the heading in degrees. It is blocking as the
+     * firmware starts calibrating if the compass is not calibrated yet.
+     */
+    compassHeading () {
+        return this._requestNumber(Command.CompassHeading, [], true);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the magnetic field strength in nano tesla.
+     */
+    compassFieldStrength () {
+        return this._requestNumber(Command.CompassFieldStrength, [], true);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves when the user finishes calibrating.
+     */
+    calibrateCompass () {
+        return this.request(Command.CalibrateCompass, [], true);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the light level from 0 to 255.
+     */
+    lightLevel () {
+        return this._requestNumber(Command.LightLevel);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the temperature in celsius.
+     */
+    temperature () {
+        return this._requestNumber(Command.Temperature);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the milliseconds since the firmware started.
+     */
+    runningTime () {
+        return this._requestNumber(Command.RunningTime);
+    }
+
+    /**
+     * Turn on the radio.
+     */
+    radioOn () {
+        this.send(Command.RadioOn);
+    }
+
+    /**
+     * Turn off the radio.
+     */
+    radioOff () {
+        this.send(Command.RadioOff);
+    }
+
+    /**
+     * Reset the radio configuration to default.
+     */
+    radioReset () {
+        this.send(Command.RadioReset);
+    }
+
+    /**
+     * @param {string} message - the message to broadcast.
+     */
+    radioSend (message) {
+        this.send(Command.RadioSend, [message]);
+    }
+
+    /**
+     * @return {Promise} - a Promise that resolves the oldest received message, or '' if none.
+     */
+    radioReceive () {
+        return this.request(Command.RadioReceive);
+    }
+
+    /**
+     * @param {number} channel - the radio channel from 0 to 83.
+     */
+    radioChannel (channel) {
+        this.send(Command.RadioChannel, [channel]);
+    }
+}
+
+MicrobitRealtime.FIRMWARE_NAME = FIRMWARE_NAME;
+MicrobitRealtime.FIRMWARE_VERSION = FIRMWARE_VERSION;
+MicrobitRealtime.STATE_REPORT_INTERVAL = STATE_REPORT_INTERVAL;
+MicrobitRealtime.Command = Command;
+
+module.exports = MicrobitRealtime;
@@ -457,10 +457,11 @@ class OpcodeTable extends StatTable {
 }
 
 class ProfilerRun {
-    constructor ({vm, maxRecordedTime, warmUpTime}) {
+    constructor ({vm, maxRecordedTime, warmUpTime, compiled}) {
         this.vm = vm;
         this.maxRecordedTime = maxRecordedTime;
         this.warmUpTime = warmUpTime;
+        this.compiled = compiled;
 
         vm.runtime.enableProfiling();
         const profiler = this.profiler = vm.runtime.profiler;
@@ -545,7 +546,8 @@ class ProfilerRun {
                     fixture: {
                         projectId: this.projectId,
                         warmUpTime: this.warmUpTime,
-                        recordingTime: this.maxRecordedTime
+                        recordingTime: this.maxRecordedTime,
+                        compiled: this.compiled
                     },
                     frames: this.frames.frames,
                     opcodes: this.opcodes.opcodes
@@ -559,8 +561,11 @@ class ProfilerRun {
         document.querySelector('[type=text]').value = [
             fixture.projectId,
             fixture.warmUpTime,
-            fixture.recordingTime
+            fixture.recordingTime,
+            fixture.compiled ? 'compiled' : 'interpreted'
         ].join(',');
+        document.getElementsByClassName('profile-count-execution-mode')[0].innerText =
+            fixture.compiled ? 'compiled' : 'interpreted';
 
         this.frames.frames = json.frames.map(
             frame => Object.assign(new StatView(), frame, {
@@ -628,6 +633,8 @@ const runBenchmark = function () {
 
     let warmUpTime = 4000;
     let maxRecordedTime = 6000;
+    // Run the scripts compiled to JavaScript, or in the interpreter to compare with.
+    let compiled = false;
 
     if (location.hash) {
         const split = location.hash.substring(1).split(',');
@@ -635,12 +642,18 @@ const runBenchmark = function () {
             warmUpTime = Number(split[1]);
         }
         maxRecordedTime = Number(split[2] || '0') || 6000;
+        compiled = split[3] === 'compiled';
     }
 
+    vm.setCompilerEnabled(compiled);
+    document.getElementsByClassName('profile-count-execution-mode')[0].innerText =
+        compiled ? 'compiled' : 'interpreted';
+
     new ProfilerRun({
         vm,
         warmUpTime,
-        maxRecordedTime
+        maxRecordedTime,
+        compiled
     }).run();
 
     // Instantiate the renderer and connect it to the VM.
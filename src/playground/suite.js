@@ -74,7 +74,8 @@ const benchmarkUrlArgs = args => (
     [
         args.projectId,
         args.warmUpTime,
-        args.recordingTime
+        args.recordingTime,
+        args.compiled ? 'compiled' : 'interpreted'
     ].join(',')
 );
 
@@ -145,17 +146,20 @@ class BenchFixture extends Emitter {
     constructor ({
         projectId,
         warmUpTime = 4000,
-        recordingTime = 6000
+        recordingTime = 6000,
+        compiled = false
     }) {
         super();
 
         this.projectId = projectId;
         this.warmUpTime = warmUpTime;
         this.recordingTime = recordingTime;
+        this.compiled = compiled;
     }
 
     get id () {
-        return `${this.projectId}-${this.warmUpTime}-${this.recordingTime}`;
+        return `${this.projectId}-${this.warmUpTime}-${this.recordingTime}-${
+            this.compiled ? 'compiled' : 'interpreted'}`;
     }
 
     run (util) {
@@ -386,7 +390,8 @@ class BenchResultView {
             ${compareHTML}
             <div class="">
             Run for ${newResult.fixture.recordingTime / 1000} seconds after
-            ${newResult.fixture.warmUpTime / 1000} seconds
+            ${newResult.fixture.warmUpTime / 1000} seconds,
+            ${newResult.fixture.compiled ? 'compiled' : 'interpreted'}
             </div>
         `;
 
@@ -469,7 +474,9 @@ window.upload = function (_this) {
                     result.fixture.warmUpTime ===
                         view.result.fixture.warmUpTime &&
                     result.fixture.recordingTime ===
-                        view.result.fixture.recordingTime
+                        view.result.fixture.recordingTime &&
+                    Boolean(result.fixture.compiled) ===
+                        Boolean(view.result.fixture.compiled)
                 ));
 
                 if (sameFixture) {
@@ -505,17 +512,20 @@ window.download = function (_this) {
 window.onload = function () {
     suite = new BenchSuite();
 
-    const add = (projectId, warmUp = 0, recording = 5000) => {
+    const add = (projectId, warmUp = 0, recording = 5000, compiled = false) => {
         suite.add(new BenchFixture({
             projectId,
             warmUpTime: warmUp,
-            recordingTime: recording
+            recordingTime: recording,
+            compiled
         }));
     };
 
+    // The warmed up run is repeated with the compiler to compare both.
     const standard = projectId => {
         add(projectId, 0, 5000);
         add(projectId, 5000, 5000);
+        add(projectId, 5000, 5000, true);
     };
 
     add(130041250, 0, 2000); // floating blocks
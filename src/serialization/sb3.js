@@ -57,6 +57,18 @@ const CORE_EXTENSIONS = [
     'sound'
 ];
 
+// The semver of the projects saved.
+const SEMVER = '3.0.0';
+
+// The features a project can require from its loader, listed in meta.requiredFeatures. A loader
+// refuses the projects requiring a feature it does not know, instead of loading their blocks broken.
+// The semver of these projects carries the features as build metadata, like 3.0.0+customReporters:
+// the project validator only accepts 3.x.y, so the loaders older than the features refuse them too.
+const FEATURES = {
+    // Custom blocks returning a value, which Scratch 3 would load as commands.
+    CUSTOM_REPORTERS: 'customReporters'
+};
+
 // Constants referring to 'primitive' blocks that are usually shadows,
 // or in the case of variables and lists, appear quite often in projects
 // math_number
@@ -516,6 +528,17 @@ const serializeMonitors = function (monitors) {
     });
 };
 
+/**
+ * Find the features the serialized targets need from a loader.
+ * @param {!Array.<object>} targets The serialized targets.
+ * @return {Array.<string>} The features required, see FEATURES.
+ */
+const getRequiredFeatures = function (targets) {
+    const usesCustomReporters = targets.some(target => Object.values(target.blocks).some(block =>
+        block.opcode === 'procedures_return' || (block.mutation && block.mutation.returntype)));
+    return usesCustomReporters ? [FEATURES.CUSTOM_REPORTERS] : [];
+};
+
 /**
  * Serializes the specified VM runtime.
  * @param {!Runtime} runtime VM runtime instance to be serialized.
@@ -555,6 +578,7 @@ const serialize = function (runtime, targetId) {
     obj.monitors = serializeMonitors(runtime.getMonitorState());
 
     obj.device = runtime.getDevice();
+    obj.devices = runtime.getDevices();
 
     // If no device setting means this project is a pure scratch project, so we convert the procedures blocks which
     // is not supported by scratch3 to the types supported by scratch3, so that scratch3 can open the pure scratch
@@ -586,8 +610,13 @@ const serialize = function (runtime, targetId) {
 
     // Assemble metadata
     const meta = Object.create(null);
-    meta.semver = '3.0.0';
+    meta.semver = SEMVER;
     meta.vm = vmPackage.version;
+    const requiredFeatures = getRequiredFeatures(obj.targets);
+    if (requiredFeatures.length > 0) {
+        meta.semver = `${SEMVER}+${requiredFeatures.join('.')}`;
+        meta.requiredFeatures = requiredFeatures;
+    }
     if (runtime.origin) {
         meta.origin = runtime.origin;
     }
@@ -1260,6 +1289,14 @@ const replaceUnsafeCharsInVariableIds = function (targets) {
  * @returns {Promise.<ImportedProject>} Promise that resolves to the list of targets after the project is deserialized
  */
 const deserialize = function (json, runtime, zip, isSingleSprite) {
+    const knownFeatures = Object.values(FEATURES);
+    const unknownFeatures = ((json.meta && json.meta.requiredFeatures) || [])
+        .filter(feature => !knownFeatures.includes(feature));
+    if (unknownFeatures.length > 0) {
+        return Promise.reject(new Error('The project uses features this version can not load: ' +
+            `${unknownFeatures.join(', ')}. Please update to open it.`));
+    }
+
     const extensions = {
         extensionIDs: new Set(),
         extensionURLs: new Map()
@@ -1318,8 +1355,23 @@ const deserialize = function (json, runtime, zip, isSingleSprite) {
         }));
 };
 
+/**
+ * Remove the required features from the semver of a project, so the project validator accepts it.
+ * The features themselves are checked when the project is deserialized.
+ * @param {object} json The project, parsed but not validated.
+ * @return {boolean} True if the semver had features, false if the project is left unchanged.
+ */
+const removeFeaturesFromSemver = function (json) {
+    const semver = json && json.meta && json.meta.semver;
+    const match = typeof semver === 'string' && semver.match(/^(3\.[0-9]+\.[0-9]+)\+/);
+    if (!match) return false;
+    json.meta.semver = match[1];
+    return true;
+};
+
 module.exports = {
     serialize: serialize,
+    removeFeaturesFromSemver: removeFeaturesFromSemver,
     deserialize: deserialize,
     deserializeBlocks: deserializeBlocks,
     serializeBlocks: serializeBlocks,
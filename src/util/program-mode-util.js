@@ -0,0 +1,97 @@
+const ProgramModeType = require('../extension-support/program-mode-type');
+
+class ProgramModeUtil {
+    /**
+     * Check a block can run in a program mode. Only extension and device blocks declare the modes
+     * they run in, the other blocks run in both.
+     * @param {!Runtime} runtime - the runtime with the block infos of extensions and devices.
+     * @param {!object} block - the block to check.
+     * @param {string} programMode - the program mode, realtime or upload.
+     * @return {?object} - the reason the block can not run, or null if it can.
+     */
+    static checkBlock (runtime, block, programMode) {
+        const found = runtime.getExtensionBlockForOpcode(block.opcode);
+        if (!found || !found.block.info.programMode || found.block.info.programMode.includes(programMode)) {
+            return null;
+        }
+        const modes = found.block.info.programMode;
+        return {
+            blockId: block.id,
+            opcode: block.opcode,
+            programMode: modes,
+            reason: `${found.categoryInfo.name}: ${found.block.info.text} only runs in ${modes.join(' or ')} mode`
+        };
+    }
+
+    /**
+     * Find the blocks of a script which can not run in a program mode, following its branches,
+     * reporters and the definitions of the custom blocks it calls, so a script is checked before
+     * any of it runs.
+     * @param {!Runtime} runtime - the runtime with the block infos of extensions and devices.
+     * @param {!Blocks} blocks - the blocks of the script.
+     * @param {!string} topBlockId - the id of the first block of the script.
+     * @param {string} programMode - the program mode, realtime or upload.
+     * @return {Array.<object>} - the incompatible blocks with the reasons, empty if the script can run.
+     */
+    static checkScript (runtime, blocks, topBlockId, programMode) {
+        const issues = [];
+        const visited = new Set();
+        const walk = blockId => {
+            while (blockId && !visited.has(blockId)) {
+                visited.add(blockId);
+                const block = blocks.getBlock(blockId);
+                if (!block) return;
+
+                const issue = ProgramModeUtil.checkBlock(runtime, block, programMode);
+                if (issue) {
+                    issue.topBlockId = topBlockId;
+                    issues.push(issue);
+                }
+                for (const name in block.inputs) {
+                    walk(block.inputs[name].block);
+                }
+                if (block.opcode === 'procedures_call' && block.mutation) {
+                    walk(blocks.getProcedureDefinition(block.mutation.proccode));
+                }
+                blockId = block.next;
+            }
+        };
+        walk(topBlockId);
+        return issues;
+    }
+
+    /**
+     * Find every block of the targets which can not run in a program mode, including the blocks
+     * which are not in a script.
+     * @param {!Runtime} runtime - the runtime with the block infos of extensions and devices.
+     * @param {!Array.<Target>} targets - the targets to check.
+     * @param {string} programMode - the program mode, realtime or upload.
+     * @return {Array.<object>} - the incompatible blocks, like {targetId, blockId, topBlockId, opcode,
+     * programMode, reason}, where programMode lists the modes the block runs in.
+     */
+    static checkTargets (runtime, targets, programMode) {
+        const issues = [];
+        targets.forEach(target => {
+            const blocks = target.blocks;
+            blocks.getAllIds().forEach(blockId => {
+                const issue = ProgramModeUtil.checkBlock(runtime, blocks.getBlock(blockId), programMode);
+                if (issue) {
+                    issue.targetId = target.id;
+                    issue.topBlockId = blocks.getTopLevelScript(blockId);
+                    issues.push(issue);
+                }
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * @param {boolean} isRealtimeMode - whether the program mode is realtime.
+     * @return {string} - the program mode type.
+     */
+    static getProgramMode (isRealtimeMode) {
+        return isRealtimeMode ? ProgramModeType.REALTIME : ProgramModeType.UPLOAD;
+    }
+}
+
+module.exports = ProgramModeUtil;
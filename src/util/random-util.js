@@ -0,0 +1,37 @@
+/**
+ * Make a generator of random numbers from a seed, the mulberry32 algorithm.
+ * @param {number} seed - a 32 bit integer.
+ * @return {function} - returns the next number in [0, 1) each call.
+ */
+const mulberry32 = seed => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Seeds for random numbers, so a replayed run picks the numbers the recorded run picked.
+ */
+class RandomUtil {
+    /**
+     * @param {number} seed - a 32 bit integer, see newSeed.
+     * @return {function} - returns the next number picked from the seed in [0, 1) each call.
+     */
+    static seeded (seed) {
+        return mulberry32(seed);
+    }
+
+    /**
+     * @return {number} - a new random seed, a 32 bit integer.
+     */
+    static newSeed () {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
+
+module.exports = RandomUtil;
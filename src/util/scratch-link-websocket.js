@@ -1,3 +1,5 @@
+const ServerUrls = require('./server-urls');
+
 /**
  * This class provides a ScratchLinkSocket implementation using WebSockets,
  * attempting to connect with the locally installed Scratch-Link.
@@ -12,8 +14,13 @@
  * - isOpen()
  */
 class ScratchLinkWebSocket {
-    constructor (type) {
+    /**
+     * @param {string} type - the type of the socket, BLE, BT or SERIALPORT.
+     * @param {string} linkServerUrl - the websocket url of the link server.
+     */
+    constructor (type, linkServerUrl = ServerUrls.DEFAULT_LINK_SERVER_URL) {
         this._type = type;
+        this._linkServerUrl = linkServerUrl;
         this._onOpen = null;
         this._onClose = null;
         this._onError = null;
@@ -25,13 +32,13 @@ class ScratchLinkWebSocket {
     open () {
         switch (this._type) {
         case 'BLE':
-            this._ws = new WebSocket('ws://127.0.0.1:20111/vcloudblock/ble');
+            this._ws = new WebSocket(`${this._linkServerUrl}/vcloudblock/ble`);
             break;
         case 'BT':
-            this._ws = new WebSocket('ws://127.0.0.1:20111/vcloudblock/bt');
+            this._ws = new WebSocket(`${this._linkServerUrl}/vcloudblock/bt`);
             break;
         case 'SERIALPORT':
-            this._ws = new WebSocket('ws://127.0.0.1:20111/vcloudblock/serialport');
+            this._ws = new WebSocket(`${this._linkServerUrl}/vcloudblock/serialport`);
             break;
         default:
             throw new Error(`Unknown VCloudblockLink socket Type: ${this._type}`);
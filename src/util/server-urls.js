@@ -0,0 +1,55 @@
+/* global process */
+
+/**
+ * The OpenBlock Link websocket server, the sockets of each type are under /vcloudblock/<type>.
+ * @type {string}
+ */
+const DEFAULT_LINK_SERVER_URL = 'ws://127.0.0.1:20111';
+
+/**
+ * The local resources server, serving the device and extension lists and their files.
+ * @type {string}
+ */
+const DEFAULT_RESOURCE_SERVER_URL = 'http://127.0.0.1:20112';
+
+/**
+ * @return {object} - the environment variables, empty in browsers without a process polyfill.
+ */
+const getEnv = () => {
+    if (typeof process !== 'undefined' && process.env) {
+        return process.env;
+    }
+    return {};
+};
+
+/**
+ * Check an url and remove its trailing slashes, so paths can be appended with a slash.
+ * @param {string} url - the url to check.
+ * @return {string} - the url without trailing slashes.
+ */
+const normalizeUrl = url => {
+    if (typeof url !== 'string' || !/^[a-z][a-z\d+.-]*:\/\/[^/]+/i.test(url)) {
+        throw new Error(`Invalid server url: ${url}`);
+    }
+    return url.replace(/\/+$/, '');
+};
+
+/**
+ * @return {string} - the link server url, from OPENBLOCK_LINK_SERVER_URL if set.
+ */
+const getDefaultLinkServerUrl = () =>
+    normalizeUrl(getEnv().OPENBLOCK_LINK_SERVER_URL || DEFAULT_LINK_SERVER_URL);
+
+/**
+ * @return {string} - the resource server url, from OPENBLOCK_RESOURCE_SERVER_URL if set.
+ */
+const getDefaultResourceServerUrl = () =>
+    normalizeUrl(getEnv().OPENBLOCK_RESOURCE_SERVER_URL || DEFAULT_RESOURCE_SERVER_URL);
+
+module.exports = {
+    DEFAULT_LINK_SERVER_URL,
+    DEFAULT_RESOURCE_SERVER_URL,
+    getDefaultLinkServerUrl,
+    getDefaultResourceServerUrl,
+    normalizeUrl
+};
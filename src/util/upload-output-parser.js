@@ -0,0 +1,243 @@
+/**
+ * The phases of an upload, in order.
+ * @readonly
+ * @enum {string}
+ */
+const UploadPhase = {
+    COMPILE: 'compile',
+    LINK: 'link',
+    UPLOAD: 'upload',
+    VERIFY: 'verify'
+};
+
+/**
+ * The part of the whole upload progress each phase takes, in percent.
+ * @type {Object.<UploadPhase, Array.<number>>}
+ */
+const PhaseRange = {
+    [UploadPhase.COMPILE]: [0, 40],
+    [UploadPhase.LINK]: [40, 50],
+    [UploadPhase.UPLOAD]: [50, 90],
+    [UploadPhase.VERIFY]: [90, 100]
+};
+
+/**
+ * The number of marks in a full avrdude progress bar.
+ * @type {number}
+ */
+const AVRDUDE_BAR_LENGTH = 50;
+
+/**
+ * Lines starting a phase, from arduino-cli, avrdude and esptool.
+ * @type {Array.<Array>}
+ */
+const PhaseStarts = [
+    [/Compiling (sketch|libraries|core)/, UploadPhase.COMPILE],
+    [/Linking everything together|Sketch uses \d+ bytes/, UploadPhase.LINK],
+    [/avrdude: writing flash|Uploading|Connecting\.\.\.|Writing at 0x/, UploadPhase.UPLOAD],
+    [/avrdude: verifying|Verifying|Hash of data verified/, UploadPhase.VERIFY]
+];
+
+/**
+ * A compiler diagnostic: path:line[:column]: [fatal ]error|warning: message.
+ * @type {RegExp}
+ */
+const CompilerDiagnostic = /^(.+?):(\d+):(?:(\d+):)?\s*(?:fatal )?(error|warning):\s*(.*)$/;
+
+/**
+ * Uploader and linker errors, which have no source position.
+ * @type {Array.<Array>}
+ */
+const ToolErrors = [
+    [/undefined reference to .*/, UploadPhase.LINK],
+    [/^avrdude: .*(error|not responding|not in sync|can't open|ser_open|failed).*/i, UploadPhase.UPLOAD],
+    [/^A fatal error occurred: .*/, UploadPhase.UPLOAD]
+];
+
+/**
+ * A comment marking the code generated by a block, like "// @block 'a1b2'", which a generator
+ * can emit with a statement prefix.
+ * @type {RegExp}
+ */
+const BlockMarker = /@block\s+['"]?([^'"\s*]+)/;
+
+/**
+ * Parses the text compilers and uploaders print while uploading, to the upload phase, its progress
+ * and the errors found in it. The text comes in chunks, which do not end at line ends.
+ */
+class UploadOutputParser {
+    /**
+     * @param {string} code - the uploaded source code, to find the block of a compiler diagnostic.
+     */
+    constructor (code = '') {
+        this._codeLines = code.split('\n');
+        this._line = '';
+        this._phase = UploadPhase.COMPILE;
+        this._phasePercent = 0;
+        this._barMarks = null;
+
+        /**
+         * Every diagnostic found, a diagnostic printed again is only reported once.
+         * @type {Array.<object>}
+         */
+        this.diagnostics = [];
+    }
+
+    /**
+     * @return {UploadPhase} - the current phase.
+     */
+    get phase () {
+        return this._phase;
+    }
+
+    /**
+     * @return {number} - the progress of the whole upload in percent.
+     */
+    get percent () {
+        const [start, end] = PhaseRange[this._phase];
+        return Math.round(start + ((end - start) * this._phasePercent / 100));
+    }
+
+    /**
+     * Parse a chunk of output.
+     * @param {string} text - the chunk.
+     * @return {{progress: ?object, diagnostics: Array.<object>}} - the phase and percent if they changed,
+     * and the new diagnostics of the lines ended in the chunk.
+     */
+    parse (text) {
+        const lastPhase = this._phase;
+        const lastPercent = this.percent;
+        const diagnostics = [];
+
+        for (const char of text) {
+            if (char === '\n' || char === '\r') {
+                const diagnostic = this._parseLine(this._line);
+                if (diagnostic && !this.diagnostics.some(known => known.file === diagnostic.file &&
+                    known.line === diagnostic.line && known.message === diagnostic.message)) {
+                    this.diagnostics.push(diagnostic);
+                    diagnostics.push(diagnostic);
+                }
+                this._line = '';
+                this._barMarks = null;
+            } else {
+                this._line += char;
+                this._parseBar(char);
+            }
+        }
+
+        let progress = null;
+        if (this._phase !== lastPhase || this.percent !== lastPercent) {
+            progress = {phase: this._phase, percent: this.percent};
+        }
+        return {progress, diagnostics};
+    }
+
+    /**
+     * Follow an avrdude progress bar, "Writing | ####...", one mark at a time.
+     * @param {string} char - the received character.
+     * @private
+     */
+    _parseBar (char) {
+        if (this._barMarks === null) {
+            if (/^(Writing|Reading) \|/.test(this._line)) {
+                const phase = this._line.startsWith('Writing') ? UploadPhase.UPLOAD : UploadPhase.VERIFY;
+                // avrdude reads the device signature before writing, that is not verifying.
+                if (phase === UploadPhase.UPLOAD || this._phase === UploadPhase.UPLOAD ||
+                    this._phase === UploadPhase.VERIFY) {
+                    this._setPhase(phase);
+                    this._barMarks = 0;
+                }
+            }
+        } else if (char === '#') {
+            this._barMarks++;
+            this._phasePercent = Math.min(100, this._barMarks * 100 / AVRDUDE_BAR_LENGTH);
+        }
+    }
+
+    /**
+     * @param {UploadPhase} phase - the phase to move to, earlier phases are ignored.
+     * @private
+     */
+    _setPhase (phase) {
+        const phases = Object.values(UploadPhase);
+        if (phases.indexOf(phase) > phases.indexOf(this._phase)) {
+            this._phase = phase;
+            this._phasePercent = 0;
+        }
+    }
+
+    /**
+     * @param {string} line - a whole output line.
+     * @return {?object} - the diagnostic of the line, if it is one.
+     * @private
+     */
+    _parseLine (line) {
+        line = line.trim();
+        if (!line) return null;
+
+        PhaseStarts.forEach(([pattern, phase]) => {
+            if (pattern.test(line)) {
+                this._setPhase(phase);
+            }
+        });
+        const percent = line.match(/\((\d+(?:\.\d+)?) ?%\)|\| (\d+(?:\.\d+)?)%/);
+        if (percent && (this._phase === UploadPhase.UPLOAD || this._phase === UploadPhase.VERIFY)) {
+            this._phasePercent = Math.min(100, parseFloat(percent[1] || percent[2]));
+        }
+        if (/Hash of data verified/.test(line)) {
+            this._phasePercent = 100;
+        }
+
+        const compiler = line.match(CompilerDiagnostic);
+        if (compiler) {
+            const diagnostic = {
+                phase: UploadPhase.COMPILE,
+                severity: compiler[4],
+                file: compiler[1],
+                line: parseInt(compiler[2], 10),
+                column: compiler[3] ? parseInt(compiler[3], 10) : null,
+                message: compiler[5],
+                blockId: null
+            };
+            if (/\.ino$/.test(diagnostic.file)) {
+                diagnostic.blockId = this._findBlock(diagnostic.line);
+            }
+            return diagnostic;
+        }
+
+        for (const [pattern, phase] of ToolErrors) {
+            const match = line.match(pattern);
+            if (match) {
+                return {
+                    phase,
+                    severity: 'error',
+                    file: null,
+                    line: null,
+                    column: null,
+                    message: match[0],
+                    blockId: null
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} line - a line of the uploaded code, from 1.
+     * @return {?string} - the id of the block whose code has the line, by the nearest block marker above.
+     * @private
+     */
+    _findBlock (line) {
+        for (let i = Math.min(line, this._codeLines.length) - 1; i >= 0; i--) {
+            const marker = this._codeLines[i].match(BlockMarker);
+            if (marker) {
+                return marker[1];
+            }
+        }
+        return null;
+    }
+}
+
+UploadOutputParser.UploadPhase = UploadPhase;
+
+module.exports = UploadOutputParser;
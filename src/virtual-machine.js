@@ -27,6 +27,12 @@ require('canvas-toBlob');
 
 const RESERVED_NAMES = ['_mouse_', '_stage_', '_edge_', '_myself_', '_random_'];
 
+/**
+ * The file of the project zip the recording of a run is saved to.
+ * @type {string}
+ */
+const RECORDING_FILE_NAME = 'recording.json';
+
 const CORE_EXTENSIONS = [
     // 'motion',
     // 'looks',
@@ -115,6 +121,18 @@ class VirtualMachine extends EventEmitter {
         this.runtime.on(Runtime.PROGRAM_MODE_UPDATE, data => {
             this.emit(Runtime.PROGRAM_MODE_UPDATE, data);
         });
+        this.runtime.on(Runtime.PROGRAM_MODE_INCOMPATIBLE_BLOCKS, data => {
+            this.emit(Runtime.PROGRAM_MODE_INCOMPATIBLE_BLOCKS, data);
+        });
+        this.runtime.on(Runtime.SCRIPT_PROGRAM_MODE_ERROR, data => {
+            this.emit(Runtime.SCRIPT_PROGRAM_MODE_ERROR, data);
+        });
+        this.runtime.on(Runtime.DEBUGGER_PAUSED, data => {
+            this.emit(Runtime.DEBUGGER_PAUSED, data);
+        });
+        this.runtime.on(Runtime.DEBUGGER_RESUMED, data => {
+            this.emit(Runtime.DEBUGGER_RESUMED, data);
+        });
         this.runtime.on(Runtime.SCRATCH_EXTENSION_ADDED, extensionInfo => {
             this.emit(Runtime.SCRATCH_EXTENSION_ADDED, extensionInfo);
         });
@@ -166,6 +184,21 @@ class VirtualMachine extends EventEmitter {
         this.runtime.on(Runtime.PERIPHERAL_REALTIME_CONNECT_SUCCESS, data =>
             this.emit(Runtime.PERIPHERAL_REALTIME_CONNECT_SUCCESS, data)
         );
+        this.runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data =>
+            this.emit(Runtime.PERIPHERAL_REALTIME_WARNING, data)
+        );
+        this.runtime.on(Runtime.PERIPHERAL_FIRMWARE_MISMATCH, data =>
+            this.emit(Runtime.PERIPHERAL_FIRMWARE_MISMATCH, data)
+        );
+        this.runtime.on(Runtime.PERIPHERAL_RECONNECTING, data =>
+            this.emit(Runtime.PERIPHERAL_RECONNECTING, data)
+        );
+        this.runtime.on(Runtime.PERIPHERAL_RECONNECTED, data =>
+            this.emit(Runtime.PERIPHERAL_RECONNECTED, data)
+        );
+        this.runtime.on(Runtime.PERIPHERAL_RECONNECT_FAILED, data =>
+            this.emit(Runtime.PERIPHERAL_RECONNECT_FAILED, data)
+        );
         this.runtime.on(Runtime.PERIPHERAL_SCAN_TIMEOUT, () =>
             this.emit(Runtime.PERIPHERAL_SCAN_TIMEOUT)
         );
@@ -175,6 +208,12 @@ class VirtualMachine extends EventEmitter {
         this.runtime.on(Runtime.PERIPHERAL_UPLOAD_STDOUT, info =>
             this.emit(Runtime.PERIPHERAL_UPLOAD_STDOUT, info)
         );
+        this.runtime.on(Runtime.PERIPHERAL_UPLOAD_PROGRESS, info =>
+            this.emit(Runtime.PERIPHERAL_UPLOAD_PROGRESS, info)
+        );
+        this.runtime.on(Runtime.PERIPHERAL_UPLOAD_DIAGNOSTIC, info =>
+            this.emit(Runtime.PERIPHERAL_UPLOAD_DIAGNOSTIC, info)
+        );
         this.runtime.on(Runtime.PERIPHERAL_SET_UPLOAD_ABORT_ENABLED, enabled =>
             this.emit(Runtime.PERIPHERAL_SET_UPLOAD_ABORT_ENABLED, enabled)
         );
@@ -196,6 +235,12 @@ class VirtualMachine extends EventEmitter {
 
         this.extensionManager = new ExtensionManager(this.runtime);
 
+        /**
+         * Breakpoints, pausing and single-stepping of scripts.
+         * @type {!Debugger}
+         */
+        this.debugger = this.runtime.debugger;
+
         // Load core extensions
         for (const id of CORE_EXTENSIONS) {
             this.extensionManager.loadExtensionIdSync(id);
@@ -218,7 +263,9 @@ class VirtualMachine extends EventEmitter {
      * "Green flag" handler - start all threads starting with a green flag.
      */
     greenFlag () {
-        this.runtime.greenFlag();
+        if (this.runtime.recorder.recordGreenFlag()) {
+            this.runtime.greenFlag();
+        }
     }
 
     /**
@@ -244,11 +291,22 @@ class VirtualMachine extends EventEmitter {
         this.runtime.setCompatibilityMode(!!compatibilityModeOn);
     }
 
+    /**
+     * Set whether scripts are compiled to JavaScript for faster execution.
+     * When false, the interpreter runs them block by block.
+     * @param {boolean} compilerOn Whether the compiler is enabled.
+     */
+    setCompilerEnabled (compilerOn) {
+        this.runtime.setCompilerEnabled(!!compilerOn);
+    }
+
     /**
      * Stop all threads and running activities.
      */
     stopAll () {
-        this.runtime.stopAll();
+        if (this.runtime.recorder.recordStopAll()) {
+            this.runtime.stopAll();
+        }
     }
 
     /**
@@ -285,11 +343,50 @@ class VirtualMachine extends EventEmitter {
      * @param {object} data Any data object to post to the I/O device.
      */
     postIOData (device, data) {
-        if (this.runtime.ioDevices[device]) {
+        if (this.runtime.ioDevices[device] && this.runtime.recorder.recordIOData(device, data)) {
             this.runtime.ioDevices[device].postData(data);
         }
     }
 
+    /**
+     * Stop all scripts and start recording the input of the run, to reproduce it later.
+     */
+    startRecording () {
+        this.runtime.recorder.startRecording(JSON.parse(this.toJSON()));
+    }
+
+    /**
+     * Stop recording. The recording is saved with the project until another project is loaded.
+     * @return {?object} The recording, null when nothing was recording.
+     */
+    stopRecording () {
+        return this.runtime.recorder.stopRecording();
+    }
+
+    /**
+     * Load the project a recording starts from, and replay the recording headless. The VM must not
+     * be started.
+     * @param {object} recording The recording, the one saved with the project by default.
+     * @return {!Promise} Promise that resolves after the last frame of the recording is replayed.
+     */
+    replayRecording (recording = this.runtime.recorder.recording) {
+        return Promise.resolve()
+            .then(() => this.runtime.recorder.checkReplay(recording))
+            .then(() => this.loadProject(recording.project))
+            .then(() => {
+                this.setTurboMode(recording.turboMode);
+                this.setCompilerEnabled(recording.compilerEnabled);
+                return this.runtime.recorder.replay(recording);
+            });
+    }
+
+    /**
+     * Stop replaying a recording.
+     */
+    stopReplay () {
+        this.runtime.recorder.stopReplay();
+    }
+
     setVideoProvider (videoProvider) {
         this.runtime.ioDevices.video.setProvider(videoProvider);
     }
@@ -302,9 +399,10 @@ class VirtualMachine extends EventEmitter {
      * Tell the specified extension to scan for a peripheral.
      * @param {string} extensionId - the id of the extension.
      * @param {bool} listAll - wether list all connectable device.
+     * @param {?(string|object)} transport - the transport to scan with, like 'webserial'.
      */
-    scanForPeripheral (extensionId, listAll) {
-        this.runtime.scanForPeripheral(extensionId, listAll);
+    scanForPeripheral (extensionId, listAll, transport) {
+        this.runtime.scanForPeripheral(extensionId, listAll, transport);
     }
 
     /**
@@ -334,6 +432,15 @@ class VirtualMachine extends EventEmitter {
         this.runtime.setPeripheralBaudrate(extensionId, baudrate);
     }
 
+    /**
+     * Set whether peripherals are reconnected after they are unplugged or the link restarts.
+     * @param {?(boolean|object)} policy - true or the backoff options to reconnect, null to not reconnect.
+     * @param {?string} extensionId - the id of the extension, or null to set the policy of all the devices.
+     */
+    setPeripheralReconnectPolicy (policy, extensionId = null) {
+        this.runtime.setPeripheralReconnectPolicy(policy, extensionId);
+    }
+
     /**
      * Wirte data to the extension's connected peripheral.
      * @param {string} extensionId - the id of the extension.
@@ -406,6 +513,7 @@ class VirtualMachine extends EventEmitter {
                 resolve(res);
             });
         })
+            .catch(error => this._validateProjectWithFeatures(input).catch(() => Promise.reject(error)))
             .catch(error => {
                 const {SB1File, ValidationError} = require('scratch-sb1-converter');
 
@@ -430,7 +538,8 @@ class VirtualMachine extends EventEmitter {
             });
 
         return validationPromise
-            .then(validatedInput => this.deserializeProject(validatedInput[0], validatedInput[1]))
+            .then(validatedInput => this.deserializeProject(validatedInput[0], validatedInput[1])
+                .then(() => this._loadRecording(validatedInput[1])))
             .then(() => this.runtime.emitProjectLoaded())
             .catch(error => {
                 // Intentionally rejecting here (want errors to be handled by caller)
@@ -441,6 +550,59 @@ class VirtualMachine extends EventEmitter {
             });
     }
 
+    /**
+     * Validate a project which requires features: its semver carries them, which the validator
+     * refuses so the loaders not knowing the features do not load it broken.
+     * @param {string | object} input A json string or ArrayBuffer representing the project to load.
+     * @return {!Promise} Promise that resolves the validated project and its zip, or rejects if the
+     * project does not require features.
+     * @private
+     */
+    _validateProjectWithFeatures (input) {
+        return new Promise((resolve, reject) => {
+            const unpack = require('scratch-parser/lib/unpack');
+            unpack(input, false, (unpackError, unpacked) => {
+                if (unpackError) return reject(unpackError);
+                let json;
+                try {
+                    json = JSON.parse(unpacked[0]);
+                } catch (parseError) {
+                    return reject(parseError);
+                }
+                const sb3 = require('./serialization/sb3');
+                if (!sb3.removeFeaturesFromSemver(json)) {
+                    return reject(new Error('The project does not require features'));
+                }
+                const validate = require('scratch-parser');
+                validate(JSON.stringify(json), false, (error, res) => {
+                    if (error) return reject(error);
+                    resolve([res[0], unpacked[1]]);
+                });
+            });
+        });
+    }
+
+    /**
+     * Load the recording saved with a project.
+     * @param {?object} zip The zip the project is loaded from.
+     * @return {!Promise} Promise that resolves after the recording is loaded.
+     * @private
+     */
+    _loadRecording (zip) {
+        const file = zip && typeof zip.file === 'function' && zip.file(RECORDING_FILE_NAME);
+        if (!file) {
+            return Promise.resolve();
+        }
+        return file.async('string')
+            .then(text => {
+                this.runtime.recorder.recording = JSON.parse(text);
+            })
+            .catch(error => {
+                // The project is fine without its recording.
+                log.warn('Could not load the recording of the project', error);
+            });
+    }
+
     /**
      * Load a project from the Scratch web site, by ID.
      * @param {string} id - the ID of the project to download, as a string.
@@ -473,6 +635,9 @@ class VirtualMachine extends EventEmitter {
         // Put everything in a zip file
         zip.file('project.json', projectJson);
         this._addFileDescsToZip(soundDescs.concat(costumeDescs), zip);
+        if (this.runtime.recorder.recording) {
+            zip.file(RECORDING_FILE_NAME, JSON.stringify(this.runtime.recorder.recording));
+        }
 
         return zip.generateAsync({
             type: 'blob',
@@ -592,20 +757,25 @@ class VirtualMachine extends EventEmitter {
                         'scratch-vm-deserialize-start', 'scratch-vm-deserialize-end');
                 }
 
-                let device = {};
+                let devices = [];
 
                 // Since the new version of the project file incorporates the parameters of the device,
                 // if the device is found to be a string, it means that the project file is an old version
-                // of the project and needs to be read using the old method.
-                if (typeof projectJSON.device === 'string') {
-                    device.deviceId = projectJSON.device;
-                    device.type = projectJSON.deviceType;
-                    device.pnpIdList = projectJSON.pnpIdList;
+                // of the project and needs to be read using the old method. Projects with several devices
+                // have a device list, and the first one is also saved as device for older versions.
+                if (Array.isArray(projectJSON.devices)) {
+                    devices = projectJSON.devices;
+                } else if (typeof projectJSON.device === 'string') {
+                    devices.push({
+                        deviceId: projectJSON.device,
+                        type: projectJSON.deviceType,
+                        pnpIdList: projectJSON.pnpIdList
+                    });
                 } else if (typeof projectJSON.device === 'object') {
-                    device = projectJSON.device;
+                    devices.push(projectJSON.device);
                 }
 
-                return this.installDevice(targets, device, projectJSON.programMode, projectJSON.deviceExtensions);
+                return this.installDevice(targets, devices, projectJSON.programMode);
             })
             // Step2: Install target and if there has deivce setting, set the editing target to stage incase there is
             // device extensions block in sprite workspace, it will cause error.
@@ -667,19 +837,22 @@ class VirtualMachine extends EventEmitter {
     }
 
     /**
-     * Install `deserialize` results: device.
+     * Install `deserialize` results: devices.
      * @param {Array.<Target>} targets - the targets to be installed
-     * @param {object} device - the device to be installed
+     * @param {Array.<object>|object} devices - the devices to be installed, in loading order
      * @param {string} programMode - the program mode
-     * @returns {Promise} Promise that resolves after all device extensions has loaded
+     * @returns {Promise} Promise that resolves after all devices has loaded
      */
-    installDevice (targets, device, programMode = 'realtime') {
+    installDevice (targets, devices, programMode = 'realtime') {
         targets = targets.filter(target => !!target);
+        devices = [].concat(devices).filter(device => device && device.deviceId);
 
-        if (device.deviceId) {
+        if (devices.length > 0) {
             this.runtime.setRealtimeMode(programMode === 'realtime');
 
-            return this.extensionManager.loadDeviceURL(device)
+            // Load one by one, the category prefix of a device depends on the devices loaded before.
+            return devices.reduce((promise, device) =>
+                promise.then(() => this.extensionManager.loadDeviceURL(device)), Promise.resolve())
                 .then(() => targets);
         }
         return targets;
@@ -1733,6 +1906,32 @@ class VirtualMachine extends EventEmitter {
     configureScratchLinkSocketFactory (factory) {
         this.runtime.configureScratchLinkSocketFactory(factory);
     }
+
+    /**
+     * Set the servers this VM talks to, the defaults are the local OpenBlock Link and resources server,
+     * or the OPENBLOCK_LINK_SERVER_URL and OPENBLOCK_RESOURCE_SERVER_URL environment variables.
+     * @param {object} servers - the servers to change.
+     * @param {string} [servers.linkServerUrl] - the websocket url of the link server, like ws://host:20111.
+     * @param {string} [servers.resourceServerUrl] - the url of the resources server, like http://host:20112.
+     */
+    configureServers (servers) {
+        if (servers.linkServerUrl) {
+            this.runtime.setLinkServerUrl(servers.linkServerUrl);
+        }
+        if (servers.resourceServerUrl) {
+            this.runtime.setResourceServerUrl(servers.resourceServerUrl);
+        }
+    }
+
+    /**
+     * @return {object} - the urls of the link server and the resources server.
+     */
+    getServers () {
+        return {
+            linkServerUrl: this.runtime.getLinkServerUrl(),
+            resourceServerUrl: this.runtime.getResourceServerUrl()
+        };
+    }
 }
 
 module.exports = VirtualMachine;
@@ -0,0 +1,100 @@
+const path = require('path');
+const tap = require('tap');
+const {test} = tap;
+const readFileToBuffer = require('../fixtures/readProjectFile').readFileToBuffer;
+const VirtualMachine = require('../../src/index');
+
+const project = readFileToBuffer(path.resolve(__dirname, '../fixtures/origin.sb3'));
+
+const deviceIds = ['arduinoUno', 'arduinoUno#2', 'microbit'];
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const loadDevices = vm => vm.extensionManager.loadDeviceURL({deviceId: 'arduinoUno', type: 'arduino'})
+    .then(() => vm.extensionManager.loadDeviceURL({
+        deviceId: vm.extensionManager.getNewDeviceInstanceId('arduinoUno'),
+        type: 'arduino'
+    }))
+    .then(() => vm.extensionManager.loadDeviceURL({deviceId: 'microbit', type: 'microbit'}));
+
+test('Load several devices side by side', t => {
+    const vm = new VirtualMachine();
+
+    loadDevices(vm).then(() => {
+        t.same(vm.runtime.getDevices().map(device => device.deviceId), deviceIds);
+        t.same(vm.runtime.getDevices().map(device => device.prefix), ['arduino', 'arduino2', 'microbit']);
+        t.equal(vm.runtime.getDevice().deviceId, 'arduinoUno');
+
+        // Each device has its own peripheral and blocks.
+        t.same(Object.keys(vm.runtime.peripheralExtensions), deviceIds);
+        t.notEqual(vm.runtime.peripheralExtensions.arduinoUno, vm.runtime.peripheralExtensions['arduinoUno#2']);
+        t.type(vm.runtime.getOpcodeFunction('arduino_pin_setDigitalOutput'), 'function');
+        t.type(vm.runtime.getOpcodeFunction('arduino2_pin_setDigitalOutput'), 'function');
+        t.type(vm.runtime.getOpcodeFunction('microbit_display_showImage'), 'function');
+
+        // Loading the same device id twice is ignored.
+        return vm.extensionManager.loadDeviceURL({deviceId: 'microbit', type: 'microbit'});
+    })
+        .then(() => {
+            t.equal(vm.runtime.getDevices().length, 3);
+            t.end();
+        });
+});
+
+test('Unload a device keeps the others', t => {
+    const vm = new VirtualMachine();
+
+    loadDevices(vm).then(() => {
+        vm.extensionManager.unloadDevice('arduinoUno');
+
+        t.same(vm.runtime.getDevices().map(device => device.deviceId), ['arduinoUno#2', 'microbit']);
+        t.notOk(vm.runtime.peripheralExtensions.arduinoUno);
+        t.notOk(vm.runtime.getOpcodeFunction('arduino_pin_setDigitalOutput'));
+        t.type(vm.runtime.getOpcodeFunction('arduino2_pin_setDigitalOutput'), 'function');
+        t.notOk(vm.runtime._deviceBlockInfo.find(categoryInfo => categoryInfo.deviceId === 'arduinoUno'));
+
+        // A new device of the type gets the free prefix.
+        return vm.extensionManager.loadDeviceURL({deviceId: 'arduinoMega2560', type: 'arduino'});
+    })
+        .then(() => {
+            t.equal(vm.runtime.getDeviceById('arduinoMega2560').prefix, 'arduino');
+            t.end();
+        });
+});
+
+test('Devices are saved as a list and restored', t => {
+    const vm = new VirtualMachine();
+
+    vm.loadProject(project).then(() => loadDevices(vm))
+        .then(() => {
+            const json = JSON.parse(vm.toJSON());
+            t.same(json.devices.map(device => device.deviceId), deviceIds);
+            t.equal(json.device.deviceId, 'arduinoUno');
+
+            const restored = new VirtualMachine();
+            return restored.loadProject(json)
+                .then(() => {
+                    const prefixes = restored.runtime.getDevices().map(device => device.prefix);
+                    t.same(prefixes, ['arduino', 'arduino2', 'microbit']);
+                    t.same(Object.keys(restored.runtime.peripheralExtensions), deviceIds);
+                    t.end();
+                });
+        });
+});
+
+test('Project with a single device is still loaded', t => {
+    const vm = new VirtualMachine();
+
+    vm.loadProject(project).then(() => vm.extensionManager.loadDeviceURL({deviceId: 'arduinoUno', type: 'arduino'}))
+        .then(() => {
+            const json = JSON.parse(vm.toJSON());
+            delete json.devices;
+
+            const restored = new VirtualMachine();
+            return restored.loadProject(json)
+                .then(() => {
+                    t.same(restored.runtime.getDevices().map(device => device.deviceId), ['arduinoUno']);
+                    t.end();
+                });
+        });
+});
@@ -24,3 +24,23 @@ test('Coordinates have limited precision', t => {
     t.equals(motion.getY({}, util), 1);
     t.end();
 });
+
+test('glide is timed by the frames only while recording or replaying', t => {
+    const rt = new Runtime();
+    const motion = new Motion(rt);
+    const sprite = new Sprite(null, rt);
+    const target = new RenderedTarget(sprite, rt);
+    const frameClock = {now: () => rt.currentMSecs};
+    const glide = () => {
+        const util = {target, runtime: rt, stackFrame: {}, nowObj: frameClock, yield: () => {}};
+        motion.glide({SECS: 1, X: 10, Y: 0}, util);
+        return util.stackFrame.timer.nowObj;
+    };
+
+    t.notEqual(glide(), frameClock);
+    rt.recorder.startRecording({});
+    t.equal(glide(), frameClock);
+    rt.recorder.stopRecording();
+    t.notEqual(glide(), frameClock);
+    t.end();
+});
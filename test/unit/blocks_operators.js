@@ -1,7 +1,9 @@
 const test = require('tap').test;
 const Operators = require('../../src/blocks/scratch3_operators');
+const Runtime = require('../../src/engine/runtime');
 
 const blocks = new Operators(null);
+const util = {runtime: new Runtime()};
 
 test('getPrimitives', t => {
     t.type(blocks.getPrimitives(), 'object');
@@ -79,7 +81,7 @@ test('not', t => {
 test('random', t => {
     const min = 0;
     const max = 100;
-    const result = blocks.random({FROM: min, TO: max});
+    const result = blocks.random({FROM: min, TO: max}, util);
     t.ok(result >= min);
     t.ok(result <= max);
     t.end();
@@ -88,14 +90,14 @@ test('random', t => {
 test('random - equal', t => {
     const min = 1;
     const max = 1;
-    t.strictEqual(blocks.random({FROM: min, TO: max}), min);
+    t.strictEqual(blocks.random({FROM: min, TO: max}, util), min);
     t.end();
 });
 
 test('random - decimal', t => {
     const min = 0.1;
     const max = 10;
-    const result = blocks.random({FROM: min, TO: max});
+    const result = blocks.random({FROM: min, TO: max}, util);
     t.ok(result >= min);
     t.ok(result <= max);
     t.end();
@@ -104,7 +106,7 @@ test('random - decimal', t => {
 test('random - int', t => {
     const min = 0;
     const max = 10;
-    const result = blocks.random({FROM: min, TO: max});
+    const result = blocks.random({FROM: min, TO: max}, util);
     t.ok(result >= min);
     t.ok(result <= max);
     t.end();
@@ -113,7 +115,7 @@ test('random - int', t => {
 test('random - reverse', t => {
     const min = 0;
     const max = 10;
-    const result = blocks.random({FROM: max, TO: min});
+    const result = blocks.random({FROM: max, TO: min}, util);
     t.ok(result >= min);
     t.ok(result <= max);
     t.end();
@@ -26,3 +26,29 @@ test('calling a custom block with no definition does not throw', t => {
     });
     t.end();
 });
+
+test('calling a custom reporter with no definition reports an empty value', t => {
+    const args = {
+        mutation: {
+            proccode: 'undefined proc',
+            returntype: 'reporter'
+        }
+    };
+    const util = {
+        getProcedureParamNamesIdsAndDefaults: () => null
+    };
+    t.equal(blocks.call(args, util), '');
+    t.end();
+});
+
+test('return stops the custom block and reports its value', t => {
+    let stopped = false;
+    const util = {
+        stopThisScript: () => {
+            stopped = true;
+        }
+    };
+    t.equal(blocks.return({VALUE: 42}, util), 42);
+    t.ok(stopped);
+    t.end();
+});
@@ -0,0 +1,77 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+const Encoder7Bit = require('../../src/lib/firmata/encoder7bit');
+
+global.window = global;
+
+const readyPeripheral = () => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    peripheral._firmata = new Firmata(data => sent.push(Array.from(data)));
+    peripheral._firmata.versionReceived = true;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, sent};
+};
+
+const dhtReply = (pin, type, humidity, temperature) => {
+    if (humidity === null) {
+        return [0xF0, 0x74, pin, type, 1, 0xF7];
+    }
+    const values = Buffer.alloc(4);
+    values.writeInt16LE(humidity * 10, 0);
+    values.writeInt16LE(temperature * 10, 2);
+    return [0xF0, 0x74, pin, type, 0, ...Encoder7Bit.to7BitArray(Array.from(values)), 0xF7];
+};
+
+test('dht humidity and temperature', t => {
+    const {peripheral, sent} = readyPeripheral();
+    const humidity = peripheral.readDhtHumidity('4', 'DHT22');
+    const temperature = peripheral.readDhtTemperature('4', 'DHT22', 'FAHRENHEIT');
+    // Both reads share one request.
+    t.same(sent, [[0xF0, 0x74, 4, 22, 0xF7]]);
+
+    peripheral._firmata.onReciveData(dhtReply(4, 22, 45.5, -2.5));
+    return Promise.all([humidity, temperature]).then(values => {
+        t.same(values, [45.5, 27.5]);
+    });
+});
+
+test('dht reading is cached within the read interval', t => {
+    const {peripheral, sent} = readyPeripheral();
+    const first = peripheral.readDhtTemperature('4', 'DHT11', 'CELSIUS');
+    peripheral._firmata.onReciveData(dhtReply(4, 11, 60, 21));
+
+    return first
+        .then(() => peripheral.readDhtTemperature('4', 'DHT11', 'CELSIUS'))
+        .then(temperature => {
+            t.equal(temperature, 21);
+            t.equal(sent.length, 1);
+
+            peripheral._dhtReadings[4].time -= 1000;
+            const next = peripheral.readDhtHumidity('4', 'DHT11');
+            t.equal(sent.length, 2);
+            // The sensor failed, the last good values are kept.
+            peripheral._firmata.onReciveData(dhtReply(4, 11, null));
+            return next;
+        })
+        .then(humidity => {
+            t.equal(humidity, 60);
+        });
+});
+
+test('dht without answer', t => {
+    const {runtime, peripheral} = readyPeripheral();
+    let warning = null;
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => {
+        warning = data;
+    });
+
+    return peripheral.readDhtHumidity('4', 'DHT11').then(humidity => {
+        t.equal(humidity, undefined);
+        t.equal(warning.deviceId, 'arduinoUno');
+        t.equal(peripheral._firmata.listenerCount('dht-data-4_11'), 0);
+    });
+});
@@ -0,0 +1,164 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+const OneWireUtils = require('../../src/lib/firmata/onewireutils');
+
+// Timeouts of the peripheral run at once, after the answers of the stubbed bus.
+global.window = Object.create(global);
+global.window.setTimeout = fn => setImmediate(fn);
+global.window.clearTimeout = id => clearImmediate(id);
+
+const ROM = [0x28, 0xFF, 0x64, 0x02, 0xD4, 0xA3, 0x0C, 0x54];
+
+/**
+ * @param {number} raw - the temperature register, in 1/16 celsius.
+ * @param {number} config - the configuration register, with the resolution in bits 5 and 6.
+ * @return {Array.<number>} - the 9 bytes scratchpad, with its CRC.
+ */
+const scratchpad = (raw, config = 0x7F) => {
+    const bytes = [raw & 0xFF, (raw >> 8) & 0xFF, 0x4B, 0x46, config, 0xFF, 0x0C, 0x10];
+    bytes.push(OneWireUtils.crc8(bytes));
+    return bytes;
+};
+
+/**
+ * @param {?Array.<Array.<number>>} devices - the ROM addresses found on the bus, null for no answer.
+ * @param {?Array.<number>} reply - the scratchpad the sensor answers, null for no answer.
+ * @return {object} - a ready peripheral, its runtime and the requests written to its bus.
+ */
+const readyPeripheral = (devices, reply) => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const firmata = new Firmata(() => {});
+    const requests = [];
+    firmata.versionReceived = true;
+    firmata.sendOneWireConfig = pin => requests.push(['config', pin]);
+    firmata.sendOneWireSearch = (pin, callback) => {
+        if (devices) {
+            callback(null, devices);
+        }
+        return () => requests.push(['cancelSearch']);
+    };
+    firmata.sendOneWireReset = () => requests.push(['reset']);
+    firmata.sendOneWireWrite = (pin, device, data) => requests.push(['write', data]);
+    firmata.sendOneWireDelay = (pin, delay) => requests.push(['delay', delay]);
+    firmata.sendOneWireWriteAndRead = (pin, device, data, length, callback) => {
+        requests.push(['writeAndRead', data, length]);
+        if (reply) {
+            callback(null, reply);
+        }
+        return () => requests.push(['cancelRead']);
+    };
+    peripheral._firmata = firmata;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, requests};
+};
+
+test('scratchpad temperatures in two\'s complement', t => {
+    const {peripheral} = readyPeripheral([]);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x07D0)), 125);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x0191)), 25.0625);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x0000)), 0);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0xFFF8)), -0.5);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0xFF5E)), -10.125);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0xFC90)), -55);
+    t.end();
+});
+
+test('scratchpad undefined low bits are masked at lower resolution', t => {
+    const {peripheral} = readyPeripheral([]);
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x0197, 0x1F)), 25, '9 bits');
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x0197, 0x3F)), 25.25, '10 bits');
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x0197, 0x5F)), 25.375, '11 bits');
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0x0197, 0x7F)), 25.4375, '12 bits');
+    t.equal(peripheral._parseDs18b20Scratchpad(scratchpad(0xFF5F, 0x1F)), -10.5, 'negative at 9 bits');
+    t.end();
+});
+
+test('a sensor is read after its conversion', t => {
+    const {peripheral, requests} = readyPeripheral([ROM], scratchpad(0xFF5E, 0x1F));
+    return peripheral.readDs18b20Temperature('2', '1')
+        .then(temperature => {
+            t.equal(temperature, -10.5);
+            t.same(requests, [
+                ['config', 2],
+                ['reset'],
+                ['write', 0x44],
+                ['delay', 750],
+                ['reset'],
+                ['writeAndRead', 0xBE, 9]
+            ]);
+            requests.length = 0;
+            return peripheral.readDs18b20Temperature('2', '1');
+        })
+        .then(() => {
+            t.same(requests[2], ['delay', 94], 'the next conversion waits for the resolution read');
+        });
+});
+
+test('a scratchpad with a bad CRC is dropped', t => {
+    const bad = scratchpad(0x0191);
+    bad[8] ^= 0x01;
+    const {peripheral} = readyPeripheral([ROM], bad);
+    return peripheral.readDs18b20Temperature('2', '1').then(temperature => {
+        t.type(temperature, 'undefined');
+    });
+});
+
+test('a missing sensor reads nothing', t => {
+    const {peripheral, requests} = readyPeripheral([], null);
+    return peripheral.readDs18b20Temperature('2', '1')
+        .then(temperature => {
+            t.type(temperature, 'undefined');
+            t.same(requests, [['config', 2]], 'no conversion is requested without a device');
+            const other = readyPeripheral([ROM], null);
+            return other.peripheral.readDs18b20Temperature('2', '2');
+        })
+        .then(temperature => {
+            t.type(temperature, 'undefined', 'the index is past the devices found');
+            const silent = readyPeripheral([ROM], null);
+            return silent.peripheral.readDs18b20Temperature('2', '1');
+        })
+        .then(temperature => {
+            t.type(temperature, 'undefined', 'a sensor not answering times out');
+        });
+});
+
+test('a read timing out removes its reply listener', t => {
+    const {peripheral, requests} = readyPeripheral([ROM], null);
+    return peripheral.readDs18b20Temperature('2', '1').then(() => {
+        t.same(requests[requests.length - 1], ['cancelRead']);
+    });
+});
+
+test('a search the firmware does not answer times out', t => {
+    const {runtime, peripheral, requests} = readyPeripheral(null, null);
+    const warnings = [];
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => warnings.push(data.message));
+    return peripheral.oneWireSearch('2')
+        .then(devices => {
+            t.same(devices, []);
+            t.same(requests, [['config', 2], ['cancelSearch']]);
+            return peripheral.readDs18b20Temperature('2', '1');
+        })
+        .then(temperature => {
+            t.type(temperature, 'undefined');
+            t.same(warnings, ['The firmware did not answer the OneWire request, please upload the latest firmware'],
+                'the warning is shown once');
+        });
+});
+
+test('giving up on a OneWire reply removes its listener', t => {
+    const firmata = new Firmata(() => {});
+    const cancelSearch = firmata.sendOneWireSearch(2, () => t.fail('answered a cancelled search'));
+    t.equal(firmata.listenerCount('1-wire-search-reply-2'), 1);
+    cancelSearch();
+    t.equal(firmata.listenerCount('1-wire-search-reply-2'), 0);
+
+    const cancelRead = firmata.sendOneWireWriteAndRead(2, ROM, 0xBE, 9, () => t.fail('answered a cancelled read'));
+    t.equal(firmata.eventNames().filter(name => name.startsWith('1-wire-read-reply-')).length, 1);
+    cancelRead();
+    t.equal(firmata.eventNames().filter(name => name.startsWith('1-wire-read-reply-')).length, 0);
+    t.end();
+});
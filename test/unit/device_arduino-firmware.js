@@ -0,0 +1,66 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+
+const DIVECE_OPT = {
+    type: 'arduino',
+    fqbn: 'arduino:avr:uno',
+    firmware: 'arduinoUno.hex',
+    firmwareVersion: '2.6'
+};
+
+const peripheralWithFirmware = (firmware, diveceOpt = DIVECE_OPT) => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, diveceOpt);
+    peripheral._firmata = {firmware};
+    const mismatches = [];
+    runtime.on(Runtime.PERIPHERAL_FIRMWARE_MISMATCH, data => mismatches.push(data));
+    return {peripheral, mismatches};
+};
+
+test('expected firmware', t => {
+    const {peripheral, mismatches} = peripheralWithFirmware({
+        name: 'ArduinoUno.ino',
+        version: {major: 2, minor: 10}
+    });
+    t.equal(peripheral._checkFirmware(), null);
+    t.same(mismatches, []);
+    t.end();
+});
+
+test('outdated firmware', t => {
+    const {peripheral, mismatches} = peripheralWithFirmware({
+        name: 'C:\\openblock\\firmwares\\arduinoUno.ino',
+        version: {major: 2, minor: 5}
+    });
+    t.equal(peripheral._checkFirmware(), ArduinoPeripheral.FirmwareMismatchReason.Outdated);
+    t.same(mismatches, [{
+        deviceId: 'arduinoUno',
+        reason: 'outdated',
+        expected: {name: 'arduinoUno', version: '2.6'},
+        reported: {name: 'arduinoUno', version: '2.5'}
+    }]);
+    t.end();
+});
+
+test('foreign firmware', t => {
+    const {peripheral, mismatches} = peripheralWithFirmware({
+        name: 'StandardFirmata.ino',
+        version: {major: 2, minor: 5}
+    });
+    t.equal(peripheral._checkFirmware(), ArduinoPeripheral.FirmwareMismatchReason.Foreign);
+    t.equal(mismatches[0].reason, 'foreign');
+
+    // A firmware which did not answer the firmware query is foreign too.
+    const unknown = peripheralWithFirmware({});
+    t.equal(unknown.peripheral._checkFirmware(), 'foreign');
+    t.end();
+});
+
+test('devices without firmware are not checked', t => {
+    const {peripheral, mismatches} = peripheralWithFirmware({name: 'StandardFirmata.ino'},
+        {type: 'arduino', fqbn: 'arduino:avr:leonardo'});
+    t.equal(peripheral._checkFirmware(), null);
+    t.same(mismatches, []);
+    t.end();
+});
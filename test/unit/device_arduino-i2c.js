@@ -0,0 +1,87 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+
+// Timeouts of the peripheral run at once, after the replies the board sends while a request is written.
+global.window = Object.create(global);
+global.window.setTimeout = fn => setImmediate(fn);
+global.window.clearTimeout = id => clearImmediate(id);
+
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+const I2C_REQUEST = 0x76;
+const I2C_REPLY = 0x77;
+
+/**
+ * @param {object} devices - the bytes of the I2C devices on the bus, by address.
+ * @return {object} - a ready peripheral, the messages it sent and its firmata.
+ */
+const readyPeripheral = (devices = {}) => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    const firmata = new Firmata(data => {
+        const message = Array.from(data);
+        sent.push(message);
+        // Answer the read requests of the devices present, like a board does.
+        if (message[1] === I2C_REQUEST && (message[3] & 0x18) && devices[message[2]]) {
+            const register = message[4] | (message[5] << 7);
+            const length = message[6] | (message[7] << 7);
+            const reply = [START_SYSEX, I2C_REPLY, message[2], 0, register & 0x7F, register >> 7];
+            devices[message[2]].slice(register, register + length).forEach(byte => {
+                reply.push(byte & 0x7F, byte >> 7);
+            });
+            reply.push(END_SYSEX);
+            firmata.onReciveData(reply);
+        }
+    });
+    firmata.versionReceived = true;
+    peripheral._firmata = firmata;
+    peripheral._isFirmataConnected = true;
+    return {peripheral, sent, firmata};
+};
+
+test('i2c write configures i2c once and sends the bytes', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.i2cWrite('0x3C', '0', '0xAE, 0xD5 128');
+    peripheral.i2cWrite('60', '1', '2');
+    t.same(sent, [
+        [START_SYSEX, 0x78, 0, 0, END_SYSEX],
+        [START_SYSEX, I2C_REQUEST, 0x3C, 0, 0, 0, 0x2E, 1, 0x55, 1, 0, 1, END_SYSEX],
+        [START_SYSEX, I2C_REQUEST, 0x3C, 0, 1, 0, 2, 0, END_SYSEX]
+    ]);
+    t.end();
+});
+
+test('i2c write does nothing before the board is ready', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral._isFirmataConnected = false;
+    peripheral.i2cWrite('0x3C', '0', '1');
+    t.same(sent, []);
+    t.end();
+});
+
+test('i2c read resolves the bytes of the register', t => {
+    const {peripheral, sent} = readyPeripheral({0x68: [0x10, 0x20, 0xFF, 0x40]});
+    return peripheral.i2cRead('0x68', '1', '2').then(bytes => {
+        t.same(bytes, [0x20, 0xFF]);
+        t.same(sent[1], [START_SYSEX, I2C_REQUEST, 0x68, 8, 1, 0, 2, 0, END_SYSEX]);
+    });
+});
+
+test('a timed out i2c read stops listening for its reply', t => {
+    const {peripheral, firmata} = readyPeripheral();
+    return peripheral.i2cRead('0x68', '0', '1').then(bytes => {
+        t.type(bytes, 'undefined');
+        t.equal(firmata.listenerCount('I2C-reply-104-0'), 0);
+    });
+});
+
+test('i2c scan lists the addresses answering', t => {
+    const {peripheral, firmata} = readyPeripheral({0x3C: [0], 0x68: [0]});
+    return peripheral.i2cScan().then(addresses => {
+        t.same(addresses, [0x3C, 0x68]);
+        t.equal(firmata.eventNames().filter(name => name.startsWith('I2C-reply')).length, 0);
+    });
+});
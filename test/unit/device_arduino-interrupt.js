@@ -0,0 +1,128 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const Target = require('../../src/engine/target');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+
+global.window = global;
+
+const readyPeripheral = (mode = 0x00) => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    const firmata = new Firmata(data => sent.push(Array.from(data)));
+    firmata.versionReceived = true;
+    for (let pin = 0; pin < 8; pin++) {
+        firmata.pins.push({mode, value: 0, report: 0, supportedModes: [0, 1, 11]});
+    }
+    firmata.on('digital-read', peripheral._onDigitalReport);
+    peripheral._firmata = firmata;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, sent};
+};
+
+const reportPort0 = (peripheral, value) => {
+    peripheral._firmata.onReciveData([0x90, value & 0x7F, value >> 7]);
+};
+
+test('interrupt hat starts pin reporting', t => {
+    const {peripheral, sent} = readyPeripheral();
+    t.notOk(peripheral.isPinInterrupted('2', 'RISING'));
+    t.notOk(peripheral.isPinInterrupted('2', 'FALLING'));
+    t.same(sent, [[0xD0, 1]]);
+    t.end();
+});
+
+test('edges between frames are counted', t => {
+    const {runtime, peripheral} = readyPeripheral();
+    runtime.currentMSecs = 1;
+    peripheral.isPinInterrupted('2', 'RISING');
+    peripheral.isPinInterrupted('2', 'FALLING');
+    peripheral.isPinInterrupted('2', 'CHANGE');
+
+    // The first report is the current level, not an edge.
+    reportPort0(peripheral, 0x00);
+    runtime.currentMSecs = 2;
+    t.notOk(peripheral.isPinInterrupted('2', 'CHANGE'));
+
+    // A short pulse within one frame and a change of another pin of the port.
+    reportPort0(peripheral, 0x04);
+    reportPort0(peripheral, 0x00);
+    reportPort0(peripheral, 0x08);
+    runtime.currentMSecs = 3;
+    t.ok(peripheral.isPinInterrupted('2', 'RISING'));
+    t.ok(peripheral.isPinInterrupted('2', 'FALLING'));
+    t.ok(peripheral.isPinInterrupted('2', 'CHANGE'));
+    t.ok(peripheral.isPinInterrupted('2', 'RISING'), 'the answer is kept within the frame');
+    t.notOk(peripheral.isPinInterrupted('3', 'CHANGE'), 'pins start watching without edges');
+
+    runtime.currentMSecs = 4;
+    t.notOk(peripheral.isPinInterrupted('2', 'RISING'));
+
+    reportPort0(peripheral, 0x0C);
+    runtime.currentMSecs = 5;
+    t.ok(peripheral.isPinInterrupted('2', 'RISING'));
+    t.notOk(peripheral.isPinInterrupted('2', 'FALLING'));
+    t.end();
+});
+
+test('interrupt hat sets the pin as input', t => {
+    const {runtime, peripheral, sent} = readyPeripheral(null);
+    runtime.currentMSecs = 1;
+    t.notOk(peripheral.isPinInterrupted('2', 'RISING'));
+    t.equal(peripheral._firmata.pins[2].mode, 0x00);
+    t.same(sent, [[0xF4, 2, 0x00], [0xD0, 1]]);
+
+    reportPort0(peripheral, 0x00);
+    reportPort0(peripheral, 0x04);
+    runtime.currentMSecs = 2;
+    t.ok(peripheral.isPinInterrupted('2', 'RISING'), 'the edges of the pin are reported');
+    t.end();
+});
+
+test('interrupt hat keeps the pullup mode of a pin', t => {
+    const {peripheral, sent} = readyPeripheral(0x0B);
+    peripheral.isPinInterrupted('2', 'FALLING');
+    t.equal(peripheral._firmata.pins[2].mode, 0x0B);
+    t.same(sent, [[0xD0, 1]]);
+    t.end();
+});
+
+test('interrupt hat is false outside realtime mode', t => {
+    const {runtime, peripheral, sent} = readyPeripheral();
+    runtime.setRealtimeMode(false);
+    t.notOk(peripheral.isPinInterrupted('2', 'RISING'));
+    t.same(sent, []);
+    t.end();
+});
+
+test('interrupt hat fires for edges in consecutive frames', t => {
+    const {runtime, peripheral} = readyPeripheral();
+    const target = new Target(runtime);
+    let fired = 0;
+    // Evaluate the hat each frame, the way the runtime does for edge activated hats.
+    const frame = () => {
+        runtime.currentMSecs++;
+        const value = peripheral.isPinInterrupted('2', 'CHANGE');
+        const hasOldValue = target.hasEdgeActivatedValue('hat');
+        const oldValue = target.updateEdgeActivatedValue('hat', value);
+        if (hasOldValue ? (!oldValue && value) : value) {
+            fired++;
+        }
+    };
+
+    frame();
+    reportPort0(peripheral, 0x00);
+    frame();
+    reportPort0(peripheral, 0x04);
+    frame();
+    t.equal(fired, 1);
+    reportPort0(peripheral, 0x00);
+    frame();
+    frame();
+    t.equal(fired, 2, 'the edge of the next frame starts the hat a frame later');
+    frame();
+    frame();
+    t.equal(fired, 2);
+    t.end();
+});
@@ -0,0 +1,121 @@
+const tap = require('tap');
+const {test} = tap;
+const Runtime = require('../../src/engine/runtime');
+const VirtualMachine = require('../../src/index');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+
+global.window = global;
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const DIVECE_OPT = {type: 'arduino', fqbn: 'arduino:avr:uno', firmware: 'arduinoUno.hex'};
+
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Connect a peripheral to a simulated board, and count the bytes written to the board.
+ * @return {Promise} - a promise that resolves {peripheral, board, written} when firmata is ready.
+ */
+const connectSimulator = () => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, DIVECE_OPT);
+    peripheral.scan(null, false, {type: 'simulator'});
+    peripheral.connect('simulator');
+    return new Promise(resolve => {
+        peripheral._firmata.once('ready', () => {
+            const port = peripheral._serialport;
+            const written = [];
+            const write = port.write.bind(port);
+            port.write = (message, encoding) => {
+                written.push(message);
+                return write(message, encoding);
+            };
+            resolve({peripheral, board: port.board, written});
+        });
+    });
+};
+
+const getBlock = (vm, opcode) => {
+    for (const categoryInfo of vm.runtime._deviceBlockInfo) {
+        const block = categoryInfo.blocks.find(b => b.info.opcode === opcode);
+        if (block) return block;
+    }
+};
+
+test('pin reporters can be monitored', t => {
+    const vm = new VirtualMachine();
+    vm.extensionManager.loadDeviceURL({deviceId: 'arduinoUno', type: 'arduino'}).then(() => {
+        t.equal(getBlock(vm, 'readDigitalPin').json.checkboxInFlyout, true);
+        t.equal(getBlock(vm, 'readAnalogPin').json.checkboxInFlyout, true);
+        t.equal(getBlock(vm, 'readInputPins').json.checkboxInFlyout, true);
+        t.notOk(getBlock(vm, 'serialAvailable').json.checkboxInFlyout);
+
+        // Only the reporters which opt in are monitored with their menu arguments.
+        t.notOk(getBlock(vm, 'whenDigitalPinIs').json.checkboxInFlyout);
+        t.notOk(getBlock(vm, 'readDhtHumidity').json.checkboxInFlyout);
+        t.notOk(getBlock(vm, 'readStepperPosition').json.checkboxInFlyout);
+
+        t.equal(vm.runtime.getMonitorModeForOpcode('arduino_pin_readInputPins'), 'pinPanel');
+        t.equal(vm.runtime.getMonitorModeForOpcode('arduino_pin_readAnalogPin'), 'default');
+        t.equal(vm.runtime.getMonitorModeForOpcode('data_listcontents'), 'list');
+        t.equal(vm.runtime.getLabelForOpcode('arduino_pin_readAnalogPin', {PIN: 'A0'}).label,
+            'Pins: read analog pin A0');
+        t.equal(vm.runtime.getLabelForOpcode('arduino_pin_readDigitalPin', {PIN: '13'}).label,
+            'Pins: read digital pin 13');
+        t.equal(vm.runtime.getLabelForOpcode('arduino_pin_readAnalogPin').label, 'Pins: read analog pin [PIN]',
+            'the label keeps the arguments without params');
+
+        const checkbox = (id, opcode, fields) => {
+            vm.runtime.monitorBlocks.createBlock({id, opcode, fields, inputs: {}, topLevel: true});
+            vm.runtime.monitorBlocks.changeBlock({id, element: 'checkbox', value: true});
+        };
+        checkbox('readAnalogPin', 'arduino_pin_readAnalogPin', {PIN: {name: 'PIN', value: 'A1'}});
+        checkbox('readInputPins', 'arduino_pin_readInputPins', {});
+
+        const monitors = vm.runtime.getMonitorState();
+        const analogMonitor = monitors.find(monitor => monitor.opcode === 'arduino_pin_readAnalogPin');
+        t.same(analogMonitor.params, {PIN: 'A1'});
+        t.equal(analogMonitor.mode, 'default');
+        t.equal(monitors.get('readInputPins').mode, 'pinPanel');
+        t.end();
+    });
+});
+
+test('monitors read the reported values', t => connectSimulator().then(({peripheral, board, written}) => {
+    peripheral.setPinMode('2', 'INPUT_PULLUP');
+    peripheral.setPinMode('4', 'INPUT');
+    peripheral.setPinMode('13', 'OUTPUT');
+    board.setAnalogSource(1, 300);
+
+    t.same(peripheral.getInputPinStates(), [
+        {pin: '2', mode: 'INPUT_PULLUP', value: null},
+        {pin: '4', mode: 'INPUT', value: null}
+    ]);
+    return Promise.resolve(peripheral.readAnalogPin('A1'))
+        .then(() => nextFrame())
+        .then(() => {
+            t.same(peripheral.getInputPinStates(), [
+                {pin: '2', mode: 'INPUT_PULLUP', value: 1},
+                {pin: '4', mode: 'INPUT', value: 0},
+                {pin: 'A1', mode: 'ANALOG', value: 300}
+            ]);
+
+            // Once reported, a monitor polling every frame does not write to the board.
+            written.length = 0;
+            for (let frame = 0; frame < 10; frame++) {
+                peripheral.getInputPinStates();
+                peripheral.readDigitalPin('2');
+                peripheral.readAnalogPin('A1');
+            }
+            t.same(written, []);
+
+            board.setDigitalInput(2, 0);
+            return nextFrame();
+        })
+        .then(() => {
+            t.equal(peripheral.readDigitalPin('2'), 0);
+            t.equal(peripheral.getInputPinStates()[0].value, 0);
+            peripheral.disconnect();
+            t.same(peripheral.getInputPinStates(), []);
+        });
+}));
@@ -0,0 +1,123 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoUnoDevice = require('../../src/devices/arduinoUno/arduinoUno');
+const Firmata = require('../../src/lib/firmata/firmata');
+
+global.window = global;
+
+const INPUT = 0x00;
+const OUTPUT = 0x01;
+const ANALOG = 0x02;
+const PWM = 0x03;
+const PULLUP = 0x0B;
+
+/**
+ * The pins of a small board: 0 and 1 are digital, 2 is pwm too, 3 is output only, A0 and A1 are
+ * analog pins that can be used as digital pins.
+ */
+const CAPABILITIES = [
+    [INPUT, OUTPUT, PULLUP],
+    [INPUT, OUTPUT, PULLUP],
+    [INPUT, OUTPUT, PWM, PULLUP],
+    [OUTPUT],
+    [INPUT, OUTPUT, ANALOG, PULLUP],
+    [INPUT, OUTPUT, ANALOG, PULLUP]
+];
+
+/**
+ * @param {boolean} reported - whether the firmware has reported the pin capabilities.
+ * @return {object} - the blocks of a ready Arduino Uno, its peripheral, runtime and the messages sent.
+ */
+const readyDevice = (reported = true) => {
+    const runtime = new Runtime();
+    const device = new ArduinoUnoDevice(runtime, 'arduinoUno');
+    const peripheral = device._peripheral;
+    const sent = [];
+    const firmata = new Firmata(data => sent.push(Array.from(data)));
+    firmata.versionReceived = true;
+    CAPABILITIES.forEach((supportedModes, pin) => {
+        firmata.pins.push({
+            mode: null,
+            value: 0,
+            report: 1,
+            supportedModes: reported ? supportedModes : [],
+            analogChannel: pin < 4 ? 127 : pin - 4
+        });
+    });
+    firmata.analogPins = [4, 5];
+    peripheral._firmata = firmata;
+    peripheral._isFirmataConnected = true;
+    const warnings = [];
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => warnings.push(data));
+    return {device, peripheral, sent, warnings};
+};
+
+const menuValues = menu => menu.map(item => item.value);
+
+test('pin menus are the defaults until the capabilities are reported', t => {
+    const {device, peripheral} = readyDevice(false);
+    t.notOk(peripheral.hasPinCapabilities());
+    t.same(device.getPinsMenu(), device.PINS_MENU);
+    t.same(device.getAnalogPinsMenu(), device.ANALOG_PINS_MENU);
+    t.same(device.getPwmPinsMenu(), device.PWM_PINS_MENU);
+    t.end();
+});
+
+test('pin menus are filtered by the reported capabilities', t => {
+    const {device, peripheral} = readyDevice();
+    t.ok(peripheral.hasPinCapabilities());
+    t.same(menuValues(device.getPinsMenu()), ['0', '1', '2', '3', 'A0', 'A1']);
+    t.same(menuValues(device.getAnalogPinsMenu()), ['A0', 'A1']);
+    t.same(menuValues(device.getPwmPinsMenu()), ['2']);
+    t.same(device.getPwmPinsMenu()[0], {text: '2', value: '2'});
+
+    // A board without any pin of the modes keeps the default menu.
+    t.same(peripheral.getPinsMenu(['SERVO'], [{text: '9', value: '9'}]), [{text: '9', value: '9'}]);
+    t.end();
+});
+
+test('every mode is supported until the capabilities are reported', t => {
+    const {peripheral, warnings} = readyDevice(false);
+    t.ok(peripheral.checkPinMode(3, PWM));
+    t.ok(peripheral.checkPinMode(40, ANALOG));
+    t.same(warnings, []);
+    t.end();
+});
+
+test('checkPinMode warns once for an unsupported mode', t => {
+    const {peripheral, warnings} = readyDevice();
+    t.ok(peripheral.checkPinMode(2, PWM));
+    t.ok(peripheral.checkPinMode(4, ANALOG));
+    t.same(warnings, []);
+
+    t.notOk(peripheral.checkPinMode(4, PWM));
+    t.notOk(peripheral.checkPinMode(4, PWM));
+    t.notOk(peripheral.checkPinMode(3, INPUT));
+    t.notOk(peripheral.checkPinMode(40, OUTPUT), 'a pin the board does not have');
+    t.same(warnings, [
+        {deviceId: 'arduinoUno', message: 'Pin A0 does not support PWM mode'},
+        {deviceId: 'arduinoUno', message: 'Pin 3 does not support INPUT mode'},
+        {deviceId: 'arduinoUno', message: 'Pin 40 does not support OUTPUT mode'}
+    ]);
+    t.end();
+});
+
+test('blocks refuse the modes a pin does not support', t => {
+    const {peripheral, sent, warnings} = readyDevice();
+
+    peripheral.setPwmOutput('A0', 128);
+    peripheral.setPinMode('3', 'INPUT');
+    t.equal(peripheral.readDigitalPin('3'), void 0);
+    t.equal(peripheral.readAnalogPin('1'), void 0);
+    t.same(sent, [], 'nothing is sent for the refused blocks');
+    t.same(warnings.map(warning => warning.message), [
+        'Pin A0 does not support PWM mode',
+        'Pin 3 does not support INPUT mode',
+        'Pin 1 does not support ANALOG mode'
+    ]);
+
+    peripheral.setPwmOutput('2', 128);
+    peripheral.setDigitalOutput('3', 'HIGH');
+    t.same(sent, [[0xF4, 2, PWM], [0xE2, 0, 1], [0x90, 0x08, 0]], 'the supported modes are used');
+    t.end();
+});
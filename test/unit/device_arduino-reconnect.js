@@ -0,0 +1,329 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+
+/**
+ * A WebSocket standing in for the browser one, it opens when the test says so.
+ */
+class FakeWebSocket {
+    constructor (url) {
+        this.url = url;
+        FakeWebSocket.all.push(this);
+    }
+
+    send () {}
+
+    close () {
+        this.closed = true;
+    }
+}
+FakeWebSocket.all = [];
+
+global.WebSocket = FakeWebSocket;
+global.window = global;
+
+const policy = {initialDelay: 5, maxDelay: 10, factor: 2, maxAttempts: 3, scanTimeout: 30};
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const connectedPeripheral = () => {
+    FakeWebSocket.all = [];
+    const runtime = new Runtime();
+    runtime.setRealtimeMode(false);
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    peripheral.scan(null, false, {type: 'websocket', url: 'ws://uno'});
+    peripheral.connect('ws://uno');
+    FakeWebSocket.all[0].onopen();
+    return {runtime, peripheral};
+};
+
+test('connection is not resumed without a policy', async t => {
+    const {runtime, peripheral} = connectedPeripheral();
+    let reconnecting = false;
+    runtime.on(Runtime.PERIPHERAL_RECONNECTING, () => {
+        reconnecting = true;
+    });
+    FakeWebSocket.all[0].onclose();
+    await wait(20);
+
+    t.notOk(reconnecting);
+    t.notOk(peripheral.isConnected());
+    t.equal(FakeWebSocket.all.length, 1);
+    t.end();
+});
+
+test('lost connection is resumed', async t => {
+    const {runtime, peripheral} = connectedPeripheral();
+    runtime.setPeripheralReconnectPolicy(policy, 'arduinoUno');
+    const events = [];
+    runtime.on(Runtime.PERIPHERAL_RECONNECTING, data => events.push(['reconnecting', data]));
+    runtime.on(Runtime.PERIPHERAL_RECONNECTED, data => events.push(['reconnected', data]));
+
+    FakeWebSocket.all[0].onclose();
+    t.notOk(peripheral.isConnected());
+    await wait(15);
+
+    t.equal(FakeWebSocket.all.length, 2);
+    t.equal(FakeWebSocket.all[1].url, 'ws://uno');
+    FakeWebSocket.all[1].onopen();
+
+    t.ok(peripheral.isConnected());
+    t.same(events, [
+        ['reconnecting', {deviceId: 'arduinoUno', attempt: 1, delay: 5}],
+        ['reconnected', {deviceId: 'arduinoUno'}]
+    ]);
+    peripheral.disconnect();
+    t.end();
+});
+
+test('reconnecting backs off and gives up', async t => {
+    const {runtime} = connectedPeripheral();
+    runtime.setPeripheralReconnectPolicy(policy);
+    const delays = [];
+    let failed = null;
+    runtime.on(Runtime.PERIPHERAL_RECONNECTING, data => delays.push(data.delay));
+    runtime.on(Runtime.PERIPHERAL_RECONNECT_FAILED, data => {
+        failed = data;
+    });
+
+    FakeWebSocket.all[0].onclose();
+    await wait(200);
+
+    t.same(delays, [5, 10, 10]);
+    t.same(failed, {deviceId: 'arduinoUno'});
+    t.equal(FakeWebSocket.all.length, 4);
+    t.ok(FakeWebSocket.all.slice(1).every(ws => ws.closed));
+    t.end();
+});
+
+test('disconnecting stops reconnecting', async t => {
+    const {runtime, peripheral} = connectedPeripheral();
+    runtime.setPeripheralReconnectPolicy(true);
+
+    FakeWebSocket.all[0].onclose();
+    peripheral.disconnect();
+    await wait(600);
+
+    t.equal(FakeWebSocket.all.length, 1);
+    t.end();
+});
+
+test('pin modes and servos are set again', t => {
+    const {peripheral} = connectedPeripheral();
+    const calls = [];
+    peripheral._resumeState = {pinModes: {13: 1}, servos: {9: {min: 600, max: 2400, value: 90}}};
+    peripheral._firmata = {
+        pinMode: (pin, mode) => calls.push(['pinMode', pin, mode]),
+        servoConfig: (pin, min, max) => calls.push(['servoConfig', pin, min, max]),
+        servoWrite: (pin, value) => calls.push(['servoWrite', pin, value])
+    };
+    peripheral._resumeSession();
+
+    t.same(calls, [['pinMode', 13, 1], ['servoConfig', 9, 600, 2400], ['servoWrite', 9, 90]]);
+    t.same(peripheral._pinModes, {13: 1});
+    t.equal(peripheral._resumeState, null);
+    t.end();
+});
+
+test('lost connection keeps the session to resume', t => {
+    const {runtime, peripheral} = connectedPeripheral();
+    runtime.setPeripheralReconnectPolicy(policy);
+    peripheral._pinModes = {13: 1};
+
+    FakeWebSocket.all[0].onclose();
+    t.same(peripheral._resumeState, {pinModes: {13: 1}, servos: {}});
+
+    peripheral.disconnect();
+    t.equal(peripheral._resumeState, null);
+    t.end();
+});
+
+/**
+ * A socket of the OpenBlock Link standing in for the websocket one, it opens when the test says so
+ * and answers the requests itself.
+ */
+class FakeLinkSocket {
+    constructor () {
+        this.opened = 0;
+        this.requests = [];
+        this._open = false;
+    }
+
+    open () {
+        this.opened++;
+    }
+
+    close () {
+        this._open = false;
+    }
+
+    isOpen () {
+        return this._open;
+    }
+
+    setOnOpen (fn) {
+        this.onOpen = () => {
+            this._open = true;
+            fn();
+        };
+    }
+
+    setOnClose (fn) {
+        this.onClose = fn;
+    }
+
+    setOnError (fn) {
+        this.onError = fn;
+    }
+
+    setHandleMessage (fn) {
+        this.handleMessage = fn;
+    }
+
+    sendMessage (message) {
+        this.requests.push(message);
+        if (message.method === 'connect' || message.method === 'read') {
+            Promise.resolve().then(() => this.handleMessage({jsonrpc: '2.0', id: message.id, result: null}));
+        }
+    }
+
+    discover (peripheralId) {
+        this.handleMessage({
+            jsonrpc: '2.0',
+            method: 'didDiscoverPeripheral',
+            params: {peripheralId, name: peripheralId, pnpid: 'USB\\VID_2341&PID_0043'}
+        });
+    }
+}
+
+const linkConnectedPeripheral = async () => {
+    const runtime = new Runtime();
+    runtime.setRealtimeMode(false);
+    const sockets = [];
+    runtime.configureScratchLinkSocketFactory(() => {
+        sockets.push(new FakeLinkSocket());
+        return sockets[sockets.length - 1];
+    });
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    peripheral.scan(null, false, 'serialport');
+    sockets[0].onOpen();
+    sockets[0].discover('COM3');
+    peripheral.connect('COM3');
+    await wait(0);
+    return {runtime, peripheral, sockets};
+};
+
+test('lost link connection is resumed with the same transport', async t => {
+    const {runtime, peripheral, sockets} = await linkConnectedPeripheral();
+    runtime.setPeripheralReconnectPolicy(policy);
+    const transport = peripheral._serialport;
+    let reconnected = false;
+    runtime.on(Runtime.PERIPHERAL_RECONNECTED, () => {
+        reconnected = true;
+    });
+    t.ok(peripheral.isConnected());
+
+    sockets[0].handleMessage({jsonrpc: '2.0', method: 'peripheralUnplug'});
+    t.notOk(peripheral.isConnected());
+    await wait(15);
+
+    t.equal(sockets.length, 1);
+    t.equal(sockets[0].opened, 2, 'the socket closed by the disconnection is opened again');
+    sockets[0].onOpen();
+    // The port may change after replugging, it is found by pnp id.
+    sockets[0].discover('COM4');
+    await wait(0);
+
+    t.ok(reconnected);
+    t.ok(peripheral.isConnected());
+    t.equal(peripheral._serialport, transport);
+    t.same(sockets[0].requests.filter(request => request.method === 'connect')
+        .map(request => request.params.peripheralId), ['COM3', 'COM4']);
+    peripheral.disconnect();
+    t.end();
+});
+
+test('link request errors are reported once reconnecting gives up', async t => {
+    const {runtime, sockets} = await linkConnectedPeripheral();
+    runtime.setPeripheralReconnectPolicy(policy);
+    const events = [];
+    runtime.on(Runtime.PERIPHERAL_REQUEST_ERROR, () => events.push('request error'));
+    runtime.on(Runtime.PERIPHERAL_SCAN_TIMEOUT, () => events.push('scan timeout'));
+    runtime.on(Runtime.PERIPHERAL_RECONNECT_FAILED, () => events.push('failed'));
+
+    sockets[0].handleMessage({jsonrpc: '2.0', method: 'peripheralUnplug'});
+    for (let attempt = 0; attempt < policy.maxAttempts; attempt++) {
+        await wait(10 + (policy.scanTimeout / 2));
+        // The link is not running.
+        sockets[0].onError();
+    }
+    await wait(100);
+
+    t.equal(sockets[0].opened, 4);
+    t.same(events, ['failed']);
+    t.end();
+});
+
+/**
+ * A port of the Web Serial API, it opens at once.
+ */
+class FakeSerialPort {
+    getInfo () {
+        return {usbVendorId: 0x2341, usbProductId: 0x43};
+    }
+
+    open () {
+        return Promise.resolve();
+    }
+
+    close () {
+        return Promise.resolve();
+    }
+}
+
+test('lost web serial connection is resumed without asking for the port', async t => {
+    const port = new FakeSerialPort();
+    const calls = [];
+    global.navigator = {
+        serial: {
+            requestPort: options => {
+                calls.push(['requestPort', options]);
+                return Promise.resolve(port);
+            },
+            getPorts: () => {
+                calls.push(['getPorts']);
+                return Promise.resolve([{getInfo: () => ({usbVendorId: 0x1A86, usbProductId: 0x7523})}, port]);
+            }
+        }
+    };
+    const runtime = new Runtime();
+    runtime.setRealtimeMode(false);
+    runtime.setPeripheralReconnectPolicy(policy);
+    let reconnected = false;
+    runtime.on(Runtime.PERIPHERAL_RECONNECTED, () => {
+        reconnected = true;
+    });
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno',
+        ['USB\\VID_2341&PID_0043'], {baudRate: 57600}, {});
+    peripheral.scan(null, false, 'webserial');
+    await wait(0);
+    t.same(peripheral._serialport.getAvailablePeripherals(), {
+        0: {peripheralId: 0, name: 'USB 2341:43', pnpid: 'USB\\VID_2341&PID_0043'}
+    });
+    peripheral.connect(0);
+    await wait(0);
+    t.ok(peripheral.isConnected());
+
+    peripheral._serialport.handleDisconnectError();
+    await wait(15);
+
+    t.ok(reconnected);
+    t.ok(peripheral.isConnected());
+    t.same(calls, [
+        ['requestPort', {filters: [{usbVendorId: 0x2341, usbProductId: 0x43}]}],
+        ['getPorts']
+    ]);
+    t.same(Object.keys(peripheral._serialport.getAvailablePeripherals()), ['0'], 'other ports are not listed');
+    peripheral.disconnect();
+    delete global.navigator;
+    t.end();
+});
@@ -0,0 +1,173 @@
+const tap = require('tap');
+const {test} = tap;
+const Runtime = require('../../src/engine/runtime');
+const Target = require('../../src/engine/target');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+
+global.window = global;
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const INPUT = 0x00;
+const OUTPUT = 0x01;
+const ANALOG = 0x02;
+const PULLUP = 0x0B;
+
+/**
+ * The pins of an Arduino Uno whose capabilities are reported and whose modes are not set yet.
+ * @return {object} - a ready peripheral, its runtime, its firmata and the messages it sent.
+ */
+const readyPeripheral = () => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    const firmata = new Firmata(data => sent.push(Array.from(data)));
+    firmata.versionReceived = true;
+    for (let pin = 0; pin < 20; pin++) {
+        const analog = pin >= 14;
+        firmata.pins.push({
+            mode: null,
+            value: 0,
+            report: 0,
+            supportedModes: analog ? [INPUT, OUTPUT, ANALOG, PULLUP] : [INPUT, OUTPUT, PULLUP],
+            analogChannel: analog ? pin - 14 : 127
+        });
+    }
+    firmata.analogPins = [14, 15, 16, 17, 18, 19];
+    firmata.on('digital-read', peripheral._onDigitalReport);
+    firmata.on('analog-read', peripheral._onAnalogReport);
+    peripheral._firmata = firmata;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, firmata, sent};
+};
+
+const reportPort0 = (firmata, value) => {
+    firmata.onReciveData([0x90, value & 0x7F, value >> 7]);
+};
+
+const reportAnalog = (firmata, channel, value) => {
+    firmata.onReciveData([0xE0 | channel, value & 0x7F, value >> 7]);
+};
+
+test('digital reads are answered from the reported values', t => {
+    const {peripheral, firmata, sent} = readyPeripheral();
+    peripheral.setPinMode('2', 'INPUT');
+    sent.length = 0;
+
+    const read = peripheral.readDigitalPin('2');
+    t.type(read, Promise, 'the first read waits for a report');
+    t.same(sent, [[0xD0, 1]]);
+    reportPort0(firmata, 0x04);
+    return read.then(value => {
+        t.equal(value, 1);
+        t.equal(peripheral.readDigitalPin('2'), 1, 'the following reads are synchronous');
+        reportPort0(firmata, 0x00);
+        t.equal(peripheral.readDigitalPin('2'), 0);
+        t.same(sent, [[0xD0, 1]], 'nothing is sent for the cached reads');
+
+        // Setting the pin as output forgets its value, setting it as input asks for it again.
+        peripheral.setPinMode('2', 'OUTPUT');
+        t.notOk(peripheral._digitalValues.hasOwnProperty(2));
+        sent.length = 0;
+        peripheral.setPinMode('2', 'INPUT_PULLUP');
+        t.same(sent, [[0xF4, 2, PULLUP], [0xD0, 1]]);
+    });
+});
+
+test('analog reads are answered from the reported values', t => {
+    const {peripheral, firmata, sent} = readyPeripheral();
+    const read = peripheral.readAnalogPin('A1');
+    t.type(read, Promise);
+    t.same(sent, [[0xC1, 1]]);
+    reportAnalog(firmata, 1, 512);
+    return read.then(value => {
+        t.equal(value, 512);
+        reportAnalog(firmata, 1, 1023);
+        t.equal(peripheral.readAnalogPin('A1'), 1023);
+        t.equal(firmata.pins[15].mode, ANALOG);
+        t.equal(firmata.pins[1].mode, null, 'the digital pin of the channel number is left alone');
+        t.same(sent, [[0xC1, 1]]);
+    });
+});
+
+test('sampling interval', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.setSamplingInterval('200.4');
+    peripheral.setSamplingInterval(1);
+    t.same(sent, [[0xF0, 0x7A, 0x48, 0x01, 0xF7], [0xF0, 0x7A, 10, 0, 0xF7]], 'the interval is at least 10 ms');
+    t.end();
+});
+
+test('level hat sets the pin as input when it starts watching', t => {
+    const {peripheral, firmata, sent} = readyPeripheral();
+    t.equal(peripheral.isDigitalPinLevel('2', 'HIGH'), false);
+    t.equal(firmata.pins[2].mode, INPUT);
+    t.same(sent, [[0xF4, 2, INPUT], [0xD0, 1]]);
+
+    t.equal(peripheral.isDigitalPinLevel('2', 'HIGH'), false);
+    t.same(sent.length, 2, 'the pin is watched once');
+
+    reportPort0(firmata, 0x04);
+    t.equal(peripheral.isDigitalPinLevel('2', 'HIGH'), true);
+    t.equal(peripheral.isDigitalPinLevel('2', 'LOW'), false);
+    t.end();
+});
+
+test('level hat keeps the input mode of a pin', t => {
+    const {peripheral, firmata, sent} = readyPeripheral();
+    peripheral.setPinMode('3', 'INPUT_PULLUP');
+    sent.length = 0;
+    peripheral.isDigitalPinLevel('3', 'LOW');
+    t.equal(firmata.pins[3].mode, PULLUP);
+    t.same(sent, [[0xD0, 1]]);
+
+    reportPort0(firmata, 0x00);
+    t.equal(peripheral.isDigitalPinLevel('3', 'LOW'), true);
+    t.end();
+});
+
+test('analog hat', t => {
+    const {peripheral, firmata, sent} = readyPeripheral();
+    t.equal(peripheral.isAnalogPinGreaterThan('A0', 500), false);
+    t.equal(firmata.pins[14].mode, ANALOG);
+    t.equal(firmata.pins[0].mode, null, 'the digital pin of the channel number is left alone');
+    t.same(sent, [[0xC0, 1]]);
+
+    reportAnalog(firmata, 0, 400);
+    t.equal(peripheral.isAnalogPinGreaterThan('A0', 500), false);
+    reportAnalog(firmata, 0, 600);
+    t.equal(peripheral.isAnalogPinGreaterThan('A0', 500), true);
+    t.same(sent.length, 1);
+    t.end();
+});
+
+test('level hat fires once each time the level is reached', t => {
+    const {runtime, peripheral, firmata} = readyPeripheral();
+    const target = new Target(runtime);
+    let fired = 0;
+    // Evaluate the hat each frame, the way the runtime does for edge activated hats.
+    const frame = () => {
+        const value = peripheral.isDigitalPinLevel('2', 'HIGH');
+        const hasOldValue = target.hasEdgeActivatedValue('hat');
+        const oldValue = target.updateEdgeActivatedValue('hat', value);
+        if (hasOldValue ? (!oldValue && value) : value) {
+            fired++;
+        }
+    };
+
+    frame();
+    reportPort0(firmata, 0x00);
+    frame();
+    reportPort0(firmata, 0x04);
+    frame();
+    frame();
+    t.equal(fired, 1);
+    reportPort0(firmata, 0x00);
+    frame();
+    reportPort0(firmata, 0x04);
+    frame();
+    frame();
+    t.equal(fired, 2);
+    t.end();
+});
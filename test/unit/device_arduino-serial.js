@@ -0,0 +1,111 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+
+global.window = global;
+
+const readyPeripheral = () => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    peripheral._firmata = new Firmata(data => sent.push(Array.from(data)));
+    peripheral._firmata.versionReceived = true;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, sent};
+};
+
+const serialReply = (port, text) => {
+    const reply = [0xF0, 0x60, 0x40 | port];
+    Buffer.from(text).forEach(byte => reply.push(byte & 0x7F, byte >> 7));
+    reply.push(0xF7);
+    return reply;
+};
+
+test('software serial begins on pins', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.serialBegin(8, '9600', '2', '3');
+    t.same(sent, [
+        [0xF0, 0x60, 0x18, 9600 & 0x7F, (9600 >> 7) & 0x7F, 0, 2, 3, 0xF7],
+        [0xF0, 0x60, 0x38, 0x00, 0xF7]
+    ]);
+
+    // Beginning again stops reading the port first.
+    peripheral.serialBegin(8, '115200', '2', '3');
+    t.same(sent[2], [0xF0, 0x60, 0x38, 0x01, 0xF7]);
+    t.equal(peripheral._firmata.listenerCount('serial-data-8'), 1);
+    t.end();
+});
+
+test('serial port of the firmware is refused', t => {
+    const {runtime, peripheral, sent} = readyPeripheral();
+    const warnings = [];
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => warnings.push(data));
+
+    peripheral.serialBegin(0, '9600');
+    peripheral.serialPrint(0, 'hi', true);
+    peripheral.serialPrint(1, 'hi', true);
+    t.same(sent, []);
+    t.equal(warnings.length, 2);
+    t.equal(warnings[0].deviceId, 'arduinoUno');
+    t.end();
+});
+
+test('serial print and read bytes', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.serialBegin(1, '9600');
+    peripheral.serialPrint(1, 'ok', true);
+    t.same(sent[2], [0xF0, 0x60, 0x21, 0x6F, 0, 0x6B, 0, 0x0D, 0, 0x0A, 0, 0xF7]);
+
+    peripheral._firmata.onReciveData(serialReply(1, 'AB'));
+    t.equal(peripheral.serialAvailable(1), 2);
+    t.equal(peripheral.serialReadAByte(1), 0x41);
+    t.equal(peripheral.serialReadAByte(1), 0x42);
+    t.equal(peripheral.serialReadAByte(1), -1);
+    t.equal(peripheral.serialAvailable(1), 0);
+    t.end();
+});
+
+test('received line hat holds for a frame', t => {
+    const {runtime, peripheral} = readyPeripheral();
+    peripheral.serialBegin(1, '9600');
+    runtime.currentMSecs = 1;
+    t.notOk(peripheral.isSerialLineReceived(1));
+
+    peripheral._firmata.onReciveData(serialReply(1, 'temp 2'));
+    peripheral._firmata.onReciveData(serialReply(1, '1\r\nrest'));
+    runtime.currentMSecs = 2;
+    t.ok(peripheral.isSerialLineReceived(1));
+    t.ok(peripheral.isSerialLineReceived(1));
+    t.equal(peripheral.serialReadLine(1), 'temp 21');
+
+    runtime.currentMSecs = 3;
+    t.notOk(peripheral.isSerialLineReceived(1));
+    t.end();
+});
+
+test('serial blocks warn once when the port has not begun', t => {
+    const {runtime, peripheral, sent} = readyPeripheral();
+    const warnings = [];
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => warnings.push(data.message));
+
+    t.notOk(peripheral.isSerialLineReceived(8), 'the hat waits for the scripts to begin the port');
+    t.same(warnings, []);
+
+    peripheral.serialPrint(8, 'hi', true);
+    t.equal(peripheral.serialAvailable(8), 0);
+    t.equal(peripheral.serialReadAByte(8), -1);
+    t.equal(peripheral.serialReadLine(8), '');
+    t.equal(peripheral.serialAvailable(1), 0);
+    t.same(sent, []);
+    t.same(warnings, [
+        'Serial on RX and TX pins has not begun, please use the serial begin on RX TX block first',
+        'Serial 1 has not begun, please use the serial begin block first'
+    ]);
+
+    peripheral.serialBegin(8, '9600', '2', '3');
+    peripheral.serialPrint(8, 'hi', false);
+    t.equal(peripheral.serialAvailable(8), 0);
+    t.equal(warnings.length, 2);
+    t.end();
+});
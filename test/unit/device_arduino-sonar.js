@@ -0,0 +1,66 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+const Encoder7Bit = require('../../src/lib/firmata/encoder7bit');
+
+global.window = global;
+
+const readyPeripheral = () => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    peripheral._firmata = new Firmata(data => sent.push(Array.from(data)));
+    peripheral._firmata.versionReceived = true;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, sent};
+};
+
+const sonarReply = (trigPin, echoPin, unit, distance) => {
+    const encoded = Buffer.alloc(4);
+    encoded.writeUInt32LE(distance * 100, 0);
+    return [0xF0, 0x50, trigPin, echoPin, unit, ...Encoder7Bit.to7BitArray(Array.from(encoded)), 0xF7];
+};
+
+test('sonar distance', t => {
+    const {peripheral, sent} = readyPeripheral();
+    const read = peripheral.readSonarDistance('2', '3', 'INCH');
+    t.same(sent, [[0xF0, 0x50, 2, 3, 1, 0xF7]]);
+
+    peripheral._firmata.onReciveData(sonarReply(2, 3, 1, 12.5));
+    return read.then(distance => {
+        t.equal(distance, 12.5);
+    });
+});
+
+test('sonar without answer warns once', t => {
+    const {runtime, peripheral} = readyPeripheral();
+    const warnings = [];
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => warnings.push(data));
+
+    return Promise.all([
+        peripheral.readSonarDistance('2', '3', 'CM'),
+        peripheral.readSonarDistance('2', '3', 'CM')
+    ]).then(distances => {
+        t.same(distances, [undefined, undefined]);
+        t.equal(warnings.length, 1);
+        t.equal(warnings[0].deviceId, 'arduinoUno');
+        t.equal(peripheral._firmata.listenerCount('sonar-data-2_3_0'), 0);
+    });
+});
+
+test('tone', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.playTone('8', 440);
+    peripheral.playTone('8', 10);
+    peripheral.playTone('8', 0);
+    peripheral.stopTone('8');
+
+    t.same(sent, [
+        [0xF0, 0x51, 0x01, 8, ...Encoder7Bit.to7BitArray([440 & 0xFF, 440 >> 8, 0, 0]), 0xF7],
+        [0xF0, 0x51, 0x01, 8, ...Encoder7Bit.to7BitArray([31, 0, 0, 0]), 0xF7],
+        [0xF0, 0x51, 0x02, 8, 0xF7],
+        [0xF0, 0x51, 0x02, 8, 0xF7]
+    ]);
+    t.end();
+});
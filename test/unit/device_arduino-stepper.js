@@ -0,0 +1,194 @@
+const tap = require('tap');
+const {test} = tap;
+const Runtime = require('../../src/engine/runtime');
+const Target = require('../../src/engine/target');
+const VirtualMachine = require('../../src/index');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+const Firmata = require('../../src/lib/firmata/firmata');
+
+global.window = global;
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+const ACCELSTEPPER = 0x62;
+
+const readyPeripheral = () => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, {});
+    const sent = [];
+    const firmata = new Firmata(data => sent.push(Array.from(data)));
+    firmata.versionReceived = true;
+    for (let pin = 0; pin < 20; pin++) {
+        firmata.pins.push({mode: firmata.MODES.OUTPUT, value: 0, report: 0, supportedModes: [0, 1, 8]});
+    }
+    peripheral._firmata = firmata;
+    peripheral._isFirmataConnected = true;
+    return {runtime, peripheral, firmata, sent};
+};
+
+/**
+ * Send the reply of a stepper that finished its move, like the board does.
+ * @param {Firmata} firmata - the firmata of the peripheral.
+ * @param {number} deviceNum - the stepper number in firmata.
+ * @param {number} position - a position between 0 and 127.
+ */
+const replyDone = (firmata, deviceNum, position) => {
+    firmata.onReciveData([START_SYSEX, ACCELSTEPPER, 0x0A, deviceNum, position, 0, 0, 0, 0, END_SYSEX]);
+};
+
+test('stepper config', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+    peripheral.setStepperConfig('2', 'FOUR_WIRE', ['8', '9', '10', '11']);
+    peripheral.setStepperConfig('3', 'UNKNOWN', ['4', '5']);
+    t.same(sent, [
+        [START_SYSEX, ACCELSTEPPER, 0x00, 0, 0x10, 2, 3, 0, END_SYSEX],
+        [START_SYSEX, ACCELSTEPPER, 0x00, 1, 0x40, 8, 9, 10, 11, 0, END_SYSEX],
+        [START_SYSEX, ACCELSTEPPER, 0x00, 2, 0x10, 4, 5, 0, END_SYSEX]
+    ], 'an unknown type is configured as a driver');
+    t.end();
+});
+
+test('stepper numbers are clamped', t => {
+    const {peripheral} = readyPeripheral();
+    t.equal(peripheral.parseStepper('1'), 0);
+    t.equal(peripheral.parseStepper('0'), 0);
+    t.equal(peripheral.parseStepper('11'), 9);
+    t.end();
+});
+
+test('stepper moves and stop', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.stepperStep('1', -300);
+    peripheral.stepperTo('1', 1000.4);
+    peripheral.stepperStop('1');
+    peripheral.stepperZero('1');
+    t.same(sent, [
+        [START_SYSEX, ACCELSTEPPER, 0x02, 0, 0x2C, 0x02, 0, 0, 0x08, END_SYSEX],
+        [START_SYSEX, ACCELSTEPPER, 0x03, 0, 0x68, 0x07, 0, 0, 0, END_SYSEX],
+        [START_SYSEX, ACCELSTEPPER, 0x05, 0, END_SYSEX],
+        [START_SYSEX, ACCELSTEPPER, 0x01, 0, END_SYSEX]
+    ]);
+    t.end();
+});
+
+test('stepper speed and acceleration', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral.setStepperSpeed('1', -200, 100);
+    t.equal(sent.length, 2);
+    t.same(sent[0].slice(0, 4), [START_SYSEX, ACCELSTEPPER, 0x09, 0]);
+    t.same(sent[1].slice(0, 4), [START_SYSEX, ACCELSTEPPER, 0x08, 0]);
+    t.same(sent[0].slice(4), [0x02, 0x00, 0x00, 0x34, END_SYSEX], 'the speed is positive');
+    t.end();
+});
+
+test('nothing is sent before the board is ready', t => {
+    const {peripheral, sent} = readyPeripheral();
+    peripheral._isFirmataConnected = false;
+    peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+    peripheral.stepperStep('1', 100);
+    peripheral.stepperStop('1');
+    t.same(sent, []);
+    t.equal(peripheral.isStepperDone('1'), false);
+    t.end();
+});
+
+test('stepper done', t => {
+    const {peripheral, firmata} = readyPeripheral();
+    t.equal(peripheral.isStepperDone('1'), false, 'an unconfigured stepper is not done');
+
+    peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+    t.equal(peripheral.isStepperDone('1'), false, 'a stepper that never moved is not done');
+
+    peripheral.stepperStep('1', 100);
+    t.equal(peripheral.isStepperDone('1'), false);
+    replyDone(firmata, 0, 100);
+    t.equal(peripheral.isStepperDone('1'), true);
+    t.equal(peripheral._steppers[0].position, 100);
+    t.equal(peripheral.isStepperDone('2'), false, 'the reply is for the stepper that moved');
+
+    peripheral.stepperTo('1', 20);
+    t.equal(peripheral.isStepperDone('1'), false);
+    replyDone(firmata, 0, 20);
+    t.equal(peripheral.isStepperDone('1'), true);
+
+    // Configuring the stepper again does not add a second listener.
+    peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+    t.equal(firmata.listenerCount('stepper-done-0'), 1);
+    t.equal(peripheral.isStepperDone('1'), false);
+    t.end();
+});
+
+test('stepper position', t => {
+    const {peripheral, firmata, sent} = readyPeripheral();
+    peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+    sent.length = 0;
+    const read = peripheral.readStepperPosition('1');
+    t.same(sent, [[START_SYSEX, ACCELSTEPPER, 0x06, 0, END_SYSEX]]);
+    firmata.onReciveData([START_SYSEX, ACCELSTEPPER, 0x06, 0, 0x2C, 0x01, 0, 0, 0, END_SYSEX]);
+    return read.then(position => {
+        t.equal(position, 172);
+        t.equal(peripheral._steppers[0].position, 172);
+    });
+});
+
+test('stepper position without an answer is the last known one', t => {
+    const {runtime, peripheral, firmata} = readyPeripheral();
+    const warnings = [];
+    runtime.on(Runtime.PERIPHERAL_REALTIME_WARNING, data => warnings.push(data.message));
+    peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+    peripheral.stepperStep('1', 100);
+    replyDone(firmata, 0, 100);
+    return Promise.all([peripheral.readStepperPosition('1'), peripheral.readStepperPosition('2')])
+        .then(positions => {
+            t.same(positions, [100, 0], 'a stepper never configured is at 0');
+            t.equal(firmata.listenerCount('stepper-position-0'), 0, 'the reply listener is removed');
+            t.same(warnings, [
+                'The firmware did not answer the stepper position request, please upload the latest firmware'
+            ]);
+
+            peripheral._isFirmataConnected = false;
+            t.equal(peripheral.readStepperPosition('1'), 100, 'the last position is read without the board');
+        });
+});
+
+test('done hat fires once per finished move', t => {
+    const vm = new VirtualMachine();
+    vm.extensionManager.loadDeviceURL({deviceId: 'arduinoUno', type: 'arduino'}).then(() => {
+        t.ok(vm.runtime.getIsEdgeActivatedHat('arduino_actuator_whenStepperDone'));
+
+        const {peripheral, firmata} = readyPeripheral();
+        const target = new Target(vm.runtime);
+        let fired = 0;
+        // Evaluate the hat each frame, the way the runtime does for edge activated hats.
+        const frame = () => {
+            const value = peripheral.isStepperDone('1');
+            const hasOldValue = target.hasEdgeActivatedValue('hat');
+            const oldValue = target.updateEdgeActivatedValue('hat', value);
+            if (hasOldValue ? (!oldValue && value) : value) {
+                fired++;
+            }
+        };
+
+        peripheral.setStepperConfig('1', 'DRIVER', ['2', '3']);
+        frame();
+        peripheral.stepperStep('1', 100);
+        frame();
+        replyDone(firmata, 0, 100);
+        frame();
+        frame();
+        frame();
+        t.equal(fired, 1);
+
+        peripheral.stepperStep('1', -100);
+        frame();
+        frame();
+        replyDone(firmata, 0, 0);
+        frame();
+        frame();
+        t.equal(fired, 2);
+        t.end();
+    });
+});
@@ -0,0 +1,232 @@
+const tap = require('tap');
+const {test} = tap;
+const Debugger = require('../../src/engine/debugger');
+const Runtime = require('../../src/engine/runtime');
+const Variable = require('../../src/engine/variable');
+const RenderedTarget = require('../../src/sprites/rendered-target');
+const Sprite = require('../../src/sprites/sprite');
+const VirtualMachine = require('../../src/index');
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const createBlock = (blocks, id, opcode, props) => blocks.createBlock(Object.assign({
+    id,
+    opcode,
+    next: null,
+    parent: null,
+    inputs: {},
+    fields: {},
+    shadow: false,
+    topLevel: false
+}, props));
+
+/**
+ * Add a block changing the variable x, by a number or by the value of a reporter block.
+ * @param {Blocks} blocks - the blocks of the target.
+ * @param {string} id - the id of the block.
+ * @param {object} props - the next and parent of the block.
+ * @param {?string} reporterId - the id of the reporter block giving the value, 1 if absent.
+ */
+const createChangeX = (blocks, id, props, reporterId) => {
+    createBlock(blocks, `${id}-value`, 'math_number', {
+        parent: id,
+        shadow: true,
+        fields: {NUM: {name: 'NUM', value: '1'}}
+    });
+    createBlock(blocks, id, 'data_changevariableby', Object.assign({
+        fields: {VARIABLE: {name: 'VARIABLE', id: 'x', value: 'x'}},
+        inputs: {VALUE: {name: 'VALUE', block: reporterId || `${id}-value`, shadow: `${id}-value`}}
+    }, props));
+};
+
+/**
+ * A runtime whose sprite has the flag script: change x, change x, call "add %s" with 5, wait
+ * 0.1 second, change x. The custom block changes x by its parameter n.
+ * @return {object} - the runtime, the vm and the sprite.
+ */
+const setupProject = () => {
+    const vm = new VirtualMachine();
+    const runtime = vm.runtime;
+    runtime.currentStepTime = 1000 / 30;
+
+    const stage = new RenderedTarget(new Sprite(null, runtime), runtime);
+    stage.isStage = true;
+    stage.variables.x = new Variable('x', 'x', Variable.SCALAR_TYPE, false);
+    const sprite = new RenderedTarget(new Sprite(null, runtime), runtime);
+    sprite.variables.local = new Variable('local', 'my list', Variable.LIST_TYPE, false);
+    sprite.variables.local.value = [1, 2];
+    runtime.addTarget(stage);
+    runtime.addTarget(sprite);
+
+    const blocks = sprite.blocks;
+    createBlock(blocks, 'flag', 'event_whenflagclicked', {next: 'a', topLevel: true});
+    createChangeX(blocks, 'a', {parent: 'flag', next: 'b'});
+    createChangeX(blocks, 'b', {parent: 'a', next: 'call'});
+    createBlock(blocks, 'call-arg', 'text', {parent: 'call', shadow: true, fields: {TEXT: {name: 'TEXT', value: '5'}}});
+    createBlock(blocks, 'call', 'procedures_call', {
+        parent: 'b',
+        next: 'wait',
+        inputs: {arg: {name: 'arg', block: 'call-arg', shadow: 'call-arg'}},
+        mutation: {proccode: 'add %s', argumentids: '["arg"]', warp: 'false', children: []}
+    });
+    createBlock(blocks, 'wait-duration', 'math_positive_number', {
+        parent: 'wait',
+        shadow: true,
+        fields: {NUM: {name: 'NUM', value: '0.1'}}
+    });
+    createBlock(blocks, 'wait', 'control_wait', {
+        parent: 'call',
+        next: 'c',
+        inputs: {DURATION: {name: 'DURATION', block: 'wait-duration', shadow: 'wait-duration'}}
+    });
+    createChangeX(blocks, 'c', {parent: 'wait'});
+
+    createBlock(blocks, 'define', 'procedures_definition', {
+        next: 'add',
+        topLevel: true,
+        inputs: {custom_block: {name: 'custom_block', block: 'prototype', shadow: 'prototype'}}
+    });
+    createBlock(blocks, 'prototype', 'procedures_prototype', {
+        parent: 'define',
+        shadow: true,
+        mutation: {
+            proccode: 'add %s',
+            argumentids: '["arg"]',
+            argumentnames: '["n"]',
+            argumentdefaults: '[""]',
+            warp: 'false',
+            children: []
+        }
+    });
+    createBlock(blocks, 'n', 'argument_reporter_string_number', {
+        parent: 'add',
+        fields: {VALUE: {name: 'VALUE', value: 'n'}}
+    });
+    createChangeX(blocks, 'add', {parent: 'define'}, 'n');
+
+    return {vm, runtime, stage, sprite};
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('breakpoints pause before the block', t => {
+    const {vm, runtime, stage} = setupProject();
+    const events = [];
+    vm.on(Runtime.DEBUGGER_PAUSED, data => events.push(['paused', data.blockId, data.reason]));
+    vm.on(Runtime.DEBUGGER_RESUMED, data => events.push(['resumed', data.topBlockId]));
+
+    vm.debugger.addBreakpoint('b');
+    vm.debugger.addBreakpoint('add');
+    t.same(vm.debugger.getBreakpoints(), ['b', 'add']);
+    runtime.greenFlag();
+    runtime._step();
+    t.equal(stage.variables.x.value, 1);
+
+    const [thread] = vm.debugger.getPausedThreads();
+    t.ok(thread.isPaused);
+    runtime._step();
+    runtime._step();
+    t.equal(stage.variables.x.value, 1, 'a paused thread does not run');
+    t.equal(runtime.threads.length, 1);
+
+    vm.debugger.resume(thread);
+    runtime._step();
+    t.equal(stage.variables.x.value, 2);
+    const state = vm.debugger.inspect(thread);
+    t.equal(state.blockId, 'add');
+    t.same(state.stackFrames.map(frame => frame.blockId), ['call', 'add']);
+    t.same(state.stackFrames[0].params, {n: '5'});
+    t.same(state.params, {n: '5'});
+    t.same(state.variables, [
+        {id: 'local', name: 'my list', type: 'list', value: [1, 2], isLocal: true},
+        {id: 'x', name: 'x', type: '', value: 2, isLocal: false}
+    ]);
+
+    vm.debugger.removeBreakpoint('add');
+    vm.debugger.resume();
+    runtime._step();
+    t.equal(stage.variables.x.value, 7);
+    t.same(events, [
+        ['paused', 'b', Debugger.PauseReason.BREAKPOINT],
+        ['resumed', 'flag'],
+        ['paused', 'add', Debugger.PauseReason.BREAKPOINT],
+        ['resumed', 'flag']
+    ]);
+    t.end();
+});
+
+test('single step runs one block, a wait to its end', t => {
+    const {vm, runtime, stage} = setupProject();
+    const paused = [];
+    vm.on(Runtime.DEBUGGER_PAUSED, data => paused.push(data.blockId));
+
+    vm.debugger.addBreakpoint('a');
+    runtime.greenFlag();
+    runtime._step();
+    const [thread] = vm.debugger.getPausedThreads();
+    vm.debugger.clearBreakpoints();
+
+    vm.debugger.step(thread);
+    runtime._step();
+    t.equal(stage.variables.x.value, 1);
+    vm.debugger.step(thread);
+    runtime._step();
+    vm.debugger.step(thread);
+    runtime._step();
+    t.same(paused, ['a', 'b', 'call', 'add']);
+    vm.debugger.step(thread);
+    runtime._step();
+    t.equal(stage.variables.x.value, 7);
+    t.same(paused, ['a', 'b', 'call', 'add', 'wait']);
+
+    vm.debugger.step(thread);
+    runtime._step();
+    t.notOk(thread.isPaused, 'the thread runs the wait');
+    return wait(150).then(() => {
+        runtime._step();
+        t.ok(thread.isPaused);
+        t.same(paused, ['a', 'b', 'call', 'add', 'wait', 'c']);
+        t.equal(stage.variables.x.value, 7);
+        vm.debugger.resume(thread);
+        runtime._step();
+        t.equal(stage.variables.x.value, 8);
+        t.equal(runtime.threads.length, 0);
+        t.notOk(vm.debugger.isActive);
+    });
+});
+
+test('pausing all threads', t => {
+    const {vm, runtime, stage} = setupProject();
+    const paused = [];
+    vm.on(Runtime.DEBUGGER_PAUSED, data => paused.push([data.blockId, data.reason]));
+
+    vm.debugger.pause();
+    runtime.greenFlag();
+    runtime._step();
+    t.same(paused, [['a', 'pause']], 'threads started while paused pause at their first block');
+    t.equal(stage.variables.x.value, 0);
+
+    const monitorUpdates = [];
+    runtime.on(Runtime.MONITORS_UPDATE, monitors => monitorUpdates.push(monitors.size));
+    runtime.monitorBlocks.createBlock({
+        id: 'timer', opcode: 'sensing_timer', inputs: {}, fields: {}, topLevel: true
+    });
+    runtime.monitorBlocks.changeBlock({id: 'timer', element: 'checkbox', value: true});
+    runtime._step();
+    t.ok(monitorUpdates.length > 0, 'monitors run while paused');
+
+    // Resuming one thread lets it run while the others stay paused.
+    const [thread] = vm.debugger.getPausedThreads();
+    vm.debugger.resume(thread);
+    runtime._step();
+    t.equal(stage.variables.x.value, 7);
+    vm.debugger.pause(thread);
+    t.same(paused[paused.length - 1], ['wait', 'pause']);
+
+    runtime.stopAll();
+    t.same(vm.debugger.getPausedThreads(), []);
+    t.ok(vm.debugger.isActive, 'pausing all lasts until resumed');
+    vm.debugger.resume();
+    t.notOk(vm.debugger.isActive);
+    t.end();
+});
@@ -0,0 +1,257 @@
+const test = require('tap').test;
+const JSZip = require('jszip');
+const VirtualMachine = require('../../src/index');
+const Runtime = require('../../src/engine/runtime');
+const Recorder = require('../../src/engine/recorder');
+const RandomUtil = require('../../src/util/random-util');
+
+const costume = {
+    assetId: 'cd21514d0531fdffb22204e0ec5ed84a',
+    name: 'costume1',
+    md5ext: 'cd21514d0531fdffb22204e0ec5ed84a.svg',
+    dataFormat: 'svg',
+    rotationCenterX: 240,
+    rotationCenterY: 180
+};
+
+const block = (opcode, parent, next, inputs = {}, fields = {}) => ({
+    opcode, next, parent, inputs, fields, shadow: false, topLevel: parent === null
+});
+
+const reporter = (opcode, parent, inputs = {}) => block(opcode, parent, null, inputs);
+
+const addToLog = (parent, next, item) => block('data_addtolist', parent, next,
+    {ITEM: [3, item, [10, '']]}, {LIST: ['log', 'log']});
+
+/**
+ * A project logging a random number, the mouse x and the timer each frame for 10 frames after the
+ * flag is clicked, waiting a ms in between, and the random number and the timer when space is pressed.
+ */
+const project = {
+    targets: [{
+        isStage: true,
+        name: 'Stage',
+        variables: {},
+        lists: {log: ['log', []]},
+        broadcasts: {},
+        blocks: {},
+        comments: {},
+        currentCostume: 0,
+        costumes: [costume],
+        sounds: [],
+        volume: 100,
+        layerOrder: 0
+    }, {
+        isStage: false,
+        name: 'Sprite1',
+        variables: {},
+        lists: {},
+        broadcasts: {},
+        blocks: {
+            flag: block('event_whenflagclicked', null, 'repeat'),
+            repeat: block('control_repeat', 'flag', null, {TIMES: [1, [6, '10']], SUBSTACK: [2, 'logRandom']}),
+            logRandom: addToLog('repeat', 'logMouse', 'random'),
+            random: reporter('operator_random', 'logRandom', {FROM: [1, [4, '1']], TO: [1, [4, '1000']]}),
+            logMouse: addToLog('logRandom', 'logTimer', 'mouse'),
+            mouse: reporter('sensing_mousex', 'logMouse'),
+            logTimer: addToLog('logMouse', 'wait', 'timer'),
+            timer: reporter('sensing_timer', 'logTimer'),
+            wait: block('control_wait', 'logTimer', null, {DURATION: [1, [5, '0.001']]}),
+            key: block('event_whenkeypressed', null, 'logKeyRandom', {}, {KEY_OPTION: ['space', null]}),
+            logKeyRandom: addToLog('key', 'logKeyTimer', 'keyRandom'),
+            keyRandom: reporter('operator_random', 'logKeyRandom', {FROM: [1, [4, '0.0']], TO: [1, [4, '1.0']]}),
+            logKeyTimer: addToLog('logKeyRandom', null, 'keyTimer'),
+            keyTimer: reporter('sensing_timer', 'logKeyTimer')
+        },
+        comments: {},
+        currentCostume: 0,
+        costumes: [costume],
+        sounds: [],
+        volume: 100,
+        layerOrder: 1,
+        visible: true,
+        x: 0,
+        y: 0,
+        size: 100,
+        direction: 90,
+        draggable: false,
+        rotationStyle: 'all around'
+    }],
+    monitors: [],
+    extensions: [],
+    meta: {semver: '3.0.0', vm: '0.2.0', agent: ''}
+};
+
+const getLog = vm => vm.runtime.getTargetForStage().lookupVariableByNameAndType('log', 'list').value.slice();
+
+/**
+ * Record the flag script and a press of space while the mouse moves, the frames are 5 ms apart.
+ * @param {VirtualMachine} vm - a VM with the project loaded.
+ * @return {object} - the recording.
+ */
+const record = vm => {
+    vm.runtime.currentStepTime = 1000 / 30;
+    vm.startRecording();
+    vm.greenFlag();
+    for (let i = 0; i < 15; i++) {
+        if (i < 10) {
+            vm.postIOData('mouse', {x: 10 * (i + 1), y: 0, canvasWidth: 480, canvasHeight: 360});
+        }
+        if (i === 4) {
+            vm.postIOData('keyboard', {key: ' ', isDown: true});
+        }
+        if (i === 5) {
+            vm.postIOData('keyboard', {key: ' ', isDown: false});
+        }
+        vm.runtime._step();
+        const end = Date.now() + 5;
+        while (Date.now() < end);
+    }
+    return vm.stopRecording();
+};
+
+test('a replay reproduces the recorded run', t => {
+    const vm = new VirtualMachine();
+    return vm.loadProject(project).then(() => {
+        const recording = record(vm);
+        const log = getLog(vm);
+
+        t.equal(log.length, 32);
+        t.equal(recording.version, Recorder.VERSION);
+        t.equal(recording.frames.length, 15);
+        t.same(recording.frames[0].e[0], ['greenFlag']);
+        t.same(recording.frames[4].e[1], ['io', 'keyboard', {key: ' ', isDown: true}]);
+        t.type(recording.frames[14].e, 'undefined', 'frames without input leave it out');
+        t.same(recording.frames.map(frame => frame.n), [1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 0, 0, 0, 0]);
+        t.ok(recording.frames[9].t >= 45, 'frames are timed');
+
+        // Move the mouse and pick numbers between the frames, none of it is part of the recording.
+        vm.postIOData('mouse', {x: 200, y: 0, canvasWidth: 480, canvasHeight: 360});
+
+        const replayVM = new VirtualMachine();
+        return replayVM.replayRecording(JSON.parse(JSON.stringify(recording))).then(() => {
+            t.same(getLog(replayVM), log);
+            t.equal(replayVM.runtime.recorder.isReplaying, false);
+            t.equal(replayVM.runtime.recorder.recording.frames.length, 15);
+        });
+    });
+});
+
+test('live input is dropped while replaying', t => {
+    const vm = new VirtualMachine();
+    return vm.loadProject(project).then(() => {
+        const recording = record(vm);
+        return vm.loadProject(recording.project).then(() => {
+            const replay = vm.runtime.recorder.replay(recording);
+            const mouseX = vm.runtime.ioDevices.mouse.getScratchX();
+            vm.postIOData('mouse', {x: 400, y: 0, canvasWidth: 480, canvasHeight: 360});
+            vm.greenFlag();
+            t.equal(vm.runtime.ioDevices.mouse.getScratchX(), mouseX);
+            return replay.then(() => {
+                t.equal(getLog(vm).length, 32, 'the flag clicked while replaying does not restart the script');
+            });
+        });
+    });
+});
+
+test('a recording is replayed headless', t => {
+    const vm = new VirtualMachine();
+    return vm.loadProject(project).then(() => {
+        const recording = record(vm);
+        vm.start();
+        return vm.replayRecording(recording)
+            .then(() => t.fail('replayed while started'), error => {
+                t.match(error.message, /must not be started/);
+            })
+            .then(() => {
+                clearInterval(vm.runtime._steppingInterval);
+                vm.runtime._steppingInterval = null;
+                return vm.replayRecording(Object.assign({}, recording, {version: 0}));
+            })
+            .then(() => t.fail('replayed an unknown version'), error => {
+                t.match(error.message, /Unsupported recording version/);
+            });
+    });
+});
+
+test('the recording is loaded with the project', t => {
+    const vm = new VirtualMachine();
+    return vm.loadProject(project).then(() => {
+        const recording = record(vm);
+        const zip = new JSZip();
+        zip.file('project.json', vm.toJSON());
+        zip.file('recording.json', JSON.stringify(recording));
+        return zip.generateAsync({type: 'nodebuffer'});
+    })
+        .then(sb3 => {
+            const loadVM = new VirtualMachine();
+            return loadVM.loadProject(sb3).then(() => {
+                t.equal(loadVM.runtime.recorder.recording.frames.length, 15);
+                return loadVM.loadProject(project);
+            })
+                .then(() => {
+                    t.equal(loadVM.runtime.recorder.recording, null, 'a loaded project drops the recording');
+                });
+        });
+});
+
+test('device messages are replayed through a replay port', t => {
+    const runtime = new Runtime();
+    const received = [];
+    let port = null;
+    let disconnected = false;
+    runtime.registerPeripheralExtension('arduinoUno', {
+        scan: () => {
+            port = runtime.createPeripheralTransport(null, 'arduinoUno', {}, () => {
+                port.read(message => received.push(message));
+            });
+        },
+        connect: id => port.connectPeripheral(id),
+        disconnect: () => {
+            disconnected = true;
+        }
+    });
+
+    runtime.recorder.startRecording({});
+    runtime.recorder.recordPeripheralMessage('arduinoUno', 'AQI=');
+    runtime._step();
+    runtime._step();
+    runtime.recorder.recordPeripheralMessage('arduinoUno', 'Aw==');
+    runtime._step();
+    const recording = runtime.recorder.stopRecording();
+    t.same(recording.frames.map(frame => frame.e), [
+        [['peripheral', 'arduinoUno', 'AQI=']],
+        void 0,
+        [['peripheral', 'arduinoUno', 'Aw==']]
+    ]);
+
+    t.equal(runtime.recorder.recordPeripheralMessage('arduinoUno', 'BA=='), true);
+    return runtime.recorder.replay(recording).then(() => {
+        t.same(received, ['AQI=', 'Aw==']);
+        t.equal(port.constructor.PERIPHERAL_ID, 'replay');
+        t.ok(disconnected, 'the replay disconnects the devices it connected');
+    });
+});
+
+test('random numbers follow the seed of the frame', t => {
+    const pick = random => [random(), random(), random()];
+    const numbers = pick(RandomUtil.seeded(42));
+    t.same(pick(RandomUtil.seeded(42)), numbers);
+    t.ok(numbers.every(number => number >= 0 && number < 1));
+    t.notSame(pick(RandomUtil.seeded(43)), numbers);
+
+    const runtime = new Runtime();
+    runtime.recorder.startRecording({});
+    runtime._step();
+    const recorded = pick(() => runtime.recorder.random());
+
+    // The seed is the one of the recording runtime, not of every runtime.
+    const mathRandom = Math.random;
+    Math.random = () => 0.5;
+    t.equal(new Runtime().recorder.random(), 0.5);
+    Math.random = mathRandom;
+
+    const recording = runtime.recorder.stopRecording();
+    t.same(pick(RandomUtil.seeded(recording.frames[0].s)), recorded);
+    t.end();
+});
@@ -271,3 +271,18 @@ test('Clock is reset on runtime dispose', t => {
     t.ok(c.projectTimer() === 0);
     t.end();
 });
+
+test('setDevice replaces the devices and null removes them', t => {
+    const rt = new Runtime();
+    rt.addDevice({deviceId: 'arduinoUno', type: 'arduino', pnpIdList: []});
+    rt.addDevice({deviceId: 'microbit', type: 'microbit', pnpIdList: []});
+
+    rt.setDevice({deviceId: 'arduinoNano', type: 'arduino', pnpIdList: []});
+    t.same(rt.getDevices().map(device => device.deviceId), ['arduinoNano']);
+    t.equal(rt.getDevice().prefix, 'arduino');
+
+    rt.setDevice(null);
+    t.same(rt.getDevices(), []);
+    t.same(rt.getDevice(), {deviceId: null, type: null, pnpIdList: []});
+    t.end();
+});
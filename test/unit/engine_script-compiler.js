@@ -0,0 +1,337 @@
+const tap = require('tap');
+const {test} = tap;
+const Runtime = require('../../src/engine/runtime');
+const Thread = require('../../src/engine/thread');
+const Variable = require('../../src/engine/variable');
+const RenderedTarget = require('../../src/sprites/rendered-target');
+const Sprite = require('../../src/sprites/sprite');
+
+/**
+ * Add blocks to a target from a compact description: a stack is an array of blocks, a block is
+ * [opcode, inputs, fields, mutation], an input is a literal, a reporter block or an array of
+ * blocks for a branch.
+ */
+class ScriptWriter {
+    constructor (blocks) {
+        this.blocks = blocks;
+        this.count = 0;
+    }
+
+    stack (blockSpecs, parent = null, topLevel = false) {
+        const ids = blockSpecs.map((spec, index) => this.block(spec, topLevel && index === 0));
+        ids.forEach((id, index) => {
+            const block = this.blocks.getBlock(id);
+            block.next = ids[index + 1] || null;
+            block.parent = index === 0 ? parent : ids[index - 1];
+        });
+        return ids[0];
+    }
+
+    block ([opcode, inputs = {}, fields = {}, mutation], topLevel = false) {
+        const id = `${opcode}-${this.count++}`;
+        const block = {id, opcode, next: null, parent: null, inputs: {}, fields: {}, shadow: false, topLevel};
+        if (mutation) {
+            block.mutation = mutation;
+        }
+        Object.keys(fields).forEach(name => {
+            const field = fields[name];
+            block.fields[name] = typeof field === 'object' ?
+                {name, id: field.id, value: field.name} :
+                {name, value: field};
+        });
+        this.blocks.createBlock(block);
+        Object.keys(inputs).forEach(name => {
+            const value = inputs[name];
+            if (Array.isArray(value) && Array.isArray(value[0])) {
+                block.inputs[name] = {name, block: this.stack(value, id), shadow: null};
+            } else if (Array.isArray(value)) {
+                const reporterId = this.block(value);
+                this.blocks.getBlock(reporterId).parent = id;
+                block.inputs[name] = {name, block: reporterId, shadow: null};
+            } else {
+                const shadowId = `${id}-${name}`;
+                this.blocks.createBlock({
+                    id: shadowId,
+                    opcode: 'text',
+                    parent: id,
+                    next: null,
+                    inputs: {},
+                    shadow: true,
+                    fields: {TEXT: {name: 'TEXT', value: String(value)}},
+                    topLevel: false
+                });
+                block.inputs[name] = {name, block: shadowId, shadow: shadowId};
+            }
+        });
+        return id;
+    }
+
+    define (proccode, argumentIds, argumentNames, warp, body, returnType) {
+        const definitionId = this.stack([['procedures_definition'], ...body], null, true);
+        const prototypeId = `${definitionId}-prototype`;
+        this.blocks.createBlock({
+            id: prototypeId,
+            opcode: 'procedures_prototype',
+            parent: definitionId,
+            next: null,
+            inputs: {},
+            fields: {},
+            shadow: true,
+            topLevel: false,
+            mutation: {
+                proccode,
+                argumentids: JSON.stringify(argumentIds),
+                argumentnames: JSON.stringify(argumentNames),
+                argumentdefaults: JSON.stringify(argumentIds.map(() => '')),
+                warp: JSON.stringify(warp),
+                returntype: returnType
+            }
+        });
+        this.blocks.getBlock(definitionId).inputs.custom_block =
+            {name: 'custom_block', block: prototypeId, shadow: prototypeId};
+    }
+}
+
+const variable = name => ({id: name, name});
+const getVariable = name => ['data_variable', {}, {VARIABLE: variable(name)}];
+const setVariable = (name, value) => ['data_setvariableto', {VALUE: value}, {VARIABLE: variable(name)}];
+const changeVariable = (name, value) => ['data_changevariableby', {VALUE: value}, {VARIABLE: variable(name)}];
+const call = (proccode, argumentIds, inputs, returnType) => ['procedures_call', inputs, {}, {
+    proccode,
+    argumentids: JSON.stringify(argumentIds),
+    warp: 'false',
+    returntype: returnType
+}];
+const param = name => ['argument_reporter_string_number', {}, {VALUE: name}];
+
+/**
+ * A runtime with a sprite and its flag script, which loops, calls custom blocks, recursive and
+ * in warp mode, and waits.
+ * @param {function} addScripts - add more scripts with the writer of the sprite.
+ * @return {object} - the runtime and the stage with the variables.
+ */
+const setupProject = addScripts => {
+    const runtime = new Runtime();
+    runtime.currentStepTime = 1000 / 30;
+    const stage = new RenderedTarget(new Sprite(null, runtime), runtime);
+    stage.isStage = true;
+    ['total', 'i', 'calls', 'result', 'text'].forEach(name => {
+        stage.variables[name] = new Variable(name, name, Variable.SCALAR_TYPE, false);
+    });
+    stage.variables.list = new Variable('list', 'list', Variable.LIST_TYPE, false);
+    const sprite = new RenderedTarget(new Sprite(null, runtime), runtime);
+    runtime.addTarget(stage);
+    runtime.addTarget(sprite);
+
+    const writer = new ScriptWriter(sprite.blocks);
+    writer.stack([
+        ['event_whenflagclicked'],
+        setVariable('total', 0),
+        setVariable('i', 1),
+        ['control_repeat', {TIMES: '6',
+            SUBSTACK: [
+                changeVariable('total', ['operator_mod', {
+                    NUM1: ['operator_multiply', {NUM1: getVariable('i'), NUM2: getVariable('i')}],
+                    NUM2: 7
+                }]),
+                ['control_if_else', {
+                    CONDITION: ['operator_gt', {OPERAND1: getVariable('i'), OPERAND2: 3}],
+                    SUBSTACK: [['data_addtolist', {ITEM: ['operator_join', {STRING1: 'n', STRING2: getVariable('i')}]},
+                        {LIST: variable('list')}]],
+                    SUBSTACK2: [changeVariable('text', '0.5')]
+                }],
+                changeVariable('i', 1)
+            ]}],
+        call('count %s', ['n'], {n: '3'}),
+        call('sum %s %s', ['a', 'b'], {a: getVariable('total'), b: 'x'}),
+        ['control_wait_until', {CONDITION: ['operator_and', {
+            OPERAND1: ['operator_gt', {OPERAND1: getVariable('i'), OPERAND2: 6}],
+            OPERAND2: ['operator_not', {OPERAND: ['operator_equals', {OPERAND1: getVariable('i'), OPERAND2: 'a'}]}]
+        }]}],
+        setVariable('result', ['operator_round', {NUM: ['operator_divide', {
+            NUM1: getVariable('total'), NUM2: 4
+        }]}])
+    ], null, true);
+    writer.define('count %s', ['n'], ['n'], false, [
+        ['control_if', {CONDITION: ['operator_gt', {OPERAND1: param('n'), OPERAND2: 0}],
+            SUBSTACK: [
+                changeVariable('calls', 1),
+                call('count %s', ['n'], {n: ['operator_subtract', {NUM1: param('n'), NUM2: 1}]})
+            ]}]
+    ]);
+    writer.define('sum %s %s', ['a', 'b'], ['a', 'b'], true, [
+        ['control_repeat', {TIMES: '3', SUBSTACK: [changeVariable('calls', param('a'))]}],
+        setVariable('text', ['operator_join', {STRING1: getVariable('text'), STRING2: param('b')}])
+    ]);
+    if (addScripts) {
+        addScripts(writer);
+    }
+    return {runtime, stage, sprite};
+};
+
+/**
+ * Start the flag script and step its thread until it is done.
+ * @param {boolean} compilerEnabled - whether the script is compiled.
+ * @return {object} - the thread, the values of the variables after each step and at the end.
+ */
+const runFlagScript = compilerEnabled => {
+    const {runtime, stage} = setupProject();
+    runtime.setCompilerEnabled(compilerEnabled);
+    const [thread] = runtime.startHats('event_whenflagclicked');
+    const values = () => Object.keys(stage.variables).map(id => stage.variables[id].value)
+        .join(',');
+    const steps = [];
+    while (thread.status !== Thread.STATUS_DONE && steps.length < 100) {
+        runtime.sequencer.stepThread(thread);
+        thread.warpTimer = null;
+        steps.push(values());
+    }
+    return {thread, steps, variables: stage.variables};
+};
+
+test('compiled scripts yield and report like the interpreter', t => {
+    const interpreted = runFlagScript(false);
+    const compiled = runFlagScript(true);
+    t.equal(interpreted.thread.compiledScript, null);
+    t.type(compiled.thread.compiledScript, 'function');
+
+    t.same(compiled.steps, interpreted.steps);
+    // Six iterations, three recursive calls and the end of the script.
+    t.equal(compiled.steps.length, 10);
+    const {variables} = compiled;
+    t.equal(variables.total.value, 14);
+    t.equal(variables.calls.value, 45);
+    t.equal(variables.text.value, '1.5x');
+    t.equal(variables.result.value, 4);
+    t.same(variables.list.value, ['n4', 'n5', 'n6']);
+    t.end();
+});
+
+test('primitives returning promises and yielding', t => {
+    const {runtime, stage} = setupProject(writer => {
+        writer.stack([
+            ['event_whenbroadcastreceived', {}, {BROADCAST_OPTION: {id: 'go', name: 'go'}}],
+            setVariable('result', ['test_double', {N: getVariable('i')}]),
+            ['control_wait', {DURATION: 0}],
+            changeVariable('result', 1)
+        ], null, true);
+    });
+    runtime._primitives.test_double = args => Promise.resolve(Number(args.N) * 2);
+    runtime.setCompilerEnabled(true);
+    stage.variables.i.value = 21;
+
+    const [thread] = runtime.startHats('event_whenbroadcastreceived', {BROADCAST_OPTION: 'go'});
+    t.type(thread.compiledScript, 'function');
+    runtime.sequencer.stepThread(thread);
+    t.equal(thread.status, Thread.STATUS_PROMISE_WAIT);
+    return Promise.resolve().then(() => {
+        t.equal(thread.status, Thread.STATUS_RUNNING);
+        runtime.sequencer.stepThread(thread);
+        t.equal(stage.variables.result.value, 42);
+        t.equal(thread.status, Thread.STATUS_RUNNING, 'the wait yields');
+        runtime.sequencer.stepThread(thread);
+        t.equal(stage.variables.result.value, 43);
+        t.equal(thread.status, Thread.STATUS_DONE);
+    });
+});
+
+test('scripts the compiler can not run are interpreted', t => {
+    const {runtime, stage, sprite} = setupProject(writer => {
+        writer.stack([
+            ['event_whenbroadcastreceived', {}, {BROADCAST_OPTION: {id: 'go', name: 'go'}}],
+            ['test_twice', {SUBSTACK: [changeVariable('calls', 1)]}]
+        ], null, true);
+    });
+    runtime._primitives.test_twice = (args, util) => {
+        const frame = util.stackFrame;
+        frame.count = (frame.count || 0) + 1;
+        if (frame.count <= 2) {
+            util.startBranch(1, true);
+        }
+    };
+    runtime.setCompilerEnabled(true);
+
+    const [thread] = runtime.startHats('event_whenbroadcastreceived', {BROADCAST_OPTION: 'go'});
+    t.equal(thread.compiledScript, null);
+    while (thread.status !== Thread.STATUS_DONE) {
+        runtime.sequencer.stepThread(thread);
+    }
+    t.equal(stage.variables.calls.value, 2);
+
+    // The compiled scripts are cached until the blocks change.
+    const [flagThread] = runtime.startHats('event_whenflagclicked');
+    t.equal(runtime.compiler.compileScript(sprite.blocks, flagThread.topBlock), flagThread.compiledScript);
+    sprite.blocks.resetCache();
+    t.notEqual(runtime.compiler.compileScript(sprite.blocks, flagThread.topBlock), flagThread.compiledScript);
+    t.end();
+});
+
+test('custom reporters return values', t => {
+    const run = compilerEnabled => {
+        const {runtime, stage} = setupProject(writer => {
+            writer.stack([
+                ['event_whenbroadcastreceived', {}, {BROADCAST_OPTION: {id: 'go', name: 'go'}}],
+                setVariable('result', call('fact %s', ['n'], {n: '5'}, 'reporter')),
+                setVariable('text', ['operator_join', {
+                    STRING1: call('nothing', [], {}, 'reporter'),
+                    STRING2: call('big %s', ['n'], {n: getVariable('result')}, 'boolean')
+                }]),
+                setVariable('i', call('deep %s', ['n'], {n: '1'}, 'reporter')),
+                ['control_repeat', {TIMES: call('fact %s', ['n'], {n: '3'}, 'reporter'),
+                    SUBSTACK: [
+                        changeVariable('total', call('fact %s', ['n'], {n: '2'}, 'reporter'))
+                    ]}]
+            ], null, true);
+            writer.define('fact %s', ['n'], ['n'], false, [
+                ['control_if', {CONDITION: ['operator_lt', {OPERAND1: param('n'), OPERAND2: 2}],
+                    SUBSTACK: [['procedures_return', {VALUE: '1'}]]}],
+                changeVariable('calls', 1),
+                ['procedures_return', {VALUE: ['operator_multiply', {
+                    NUM1: param('n'),
+                    NUM2: call('fact %s', ['n'], {n: ['operator_subtract', {NUM1: param('n'), NUM2: 1}]},
+                        'reporter')
+                }]}]
+            ], 'reporter');
+            writer.define('nothing', [], [], false, [
+                ['control_stop', {}, {STOP_OPTION: 'this script'}],
+                changeVariable('calls', 100)
+            ], 'reporter');
+            writer.define('big %s', ['n'], ['n'], false, [
+                ['procedures_return', {VALUE: ['operator_gt', {OPERAND1: param('n'), OPERAND2: 100}]}]
+            ], 'boolean');
+            writer.define('deep %s', ['n'], ['n'], true, [
+                ['procedures_return', {VALUE: call('deep %s', ['n'], {
+                    n: ['operator_add', {NUM1: param('n'), NUM2: 1}]
+                }, 'reporter')}]
+            ], 'reporter');
+        });
+        runtime.setCompilerEnabled(compilerEnabled);
+        const [thread] = runtime.startHats('event_whenbroadcastreceived', {BROADCAST_OPTION: 'go'});
+        const values = () => ['total', 'calls', 'result', 'text', 'i'].map(id => stage.variables[id].value)
+            .join(',');
+        const steps = [];
+        while (thread.status !== Thread.STATUS_DONE && steps.length < 100) {
+            runtime.sequencer.stepThread(thread);
+            thread.warpTimer = null;
+            steps.push(values());
+        }
+        return {thread, steps, variables: stage.variables};
+    };
+    const interpreted = run(false);
+    const compiled = run(true);
+    t.equal(interpreted.thread.compiledScript, null);
+    t.type(compiled.thread.compiledScript, 'function');
+
+    t.same(compiled.steps, interpreted.steps);
+    const {variables} = interpreted;
+    t.equal(variables.result.value, 120);
+    t.equal(variables.text.value, 'true', 'a stopped reporter reports an empty value');
+    t.equal(variables.i.value, '', 'a reporter past the recursion limit reports an empty value');
+    t.equal(variables.total.value, 12);
+    // Four for fact 5, two for each of the seven evaluations of the repeat count and one for
+    // each fact 2 of the six iterations.
+    t.equal(variables.calls.value, 24);
+    t.ok(interpreted.steps.length > 4, 'recursive calls yield');
+    t.equal(interpreted.thread.stack.length, 0);
+    t.end();
+});
@@ -0,0 +1,107 @@
+const tap = require('tap');
+const {test} = tap;
+const Runtime = require('../../src/engine/runtime');
+const VirtualMachine = require('../../src/index');
+const DeviceLoader = require('../../src/extension-support/device-loader');
+const OpenBlockArduinoUnoDevice = require('../../src/devices/arduinoUno/arduinoUno');
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const cloneDefinition = () => ({
+    deviceId: 'arduinoUnoClone',
+    extends: 'arduinoUno',
+    pnpidList: ['USB\\VID_1A86&PID_7523'],
+    serialConfig: {baudRate: 115200, dataBits: 8, stopBits: 1},
+    deviceOpt: {type: 'arduino', fqbn: 'arduino:avr:uno', firmware: 'arduinoUno.hex'},
+    pins: [
+        {name: '2', capabilities: ['digital', 'interrupt']},
+        {name: '3', capabilities: ['digital', 'pwm']},
+        {name: 'A0', capabilities: ['digital', 'analog']},
+        {name: 'LED', value: '13', capabilities: ['digital']}
+    ],
+    menus: {
+        BAUDTATE_MENU: [{text: '9600', value: '9600'}]
+    },
+    categories: ['pin', 'serial'],
+    excludeBlocks: ['setServoOutput']
+});
+
+test('definition makes a device class', t => {
+    const runtime = new Runtime();
+    const Device = DeviceLoader.createDeviceClass(cloneDefinition(), OpenBlockArduinoUnoDevice);
+    const device = new Device(runtime, 'arduinoUnoClone');
+
+    t.type(device, OpenBlockArduinoUnoDevice);
+    t.equal(device.DEVICE_ID, 'arduinoUnoClone');
+    t.same(device.PINS_MENU, [
+        {text: '2', value: '2'},
+        {text: '3', value: '3'},
+        {text: 'A0', value: 'A0'},
+        {text: 'LED', value: '13'}
+    ]);
+    t.same(device.ANALOG_PINS_MENU, [{text: 'A0', value: 'A0'}]);
+    t.same(device.PWM_PINS_MENU, [{text: '3', value: '3'}]);
+    t.same(device.INTERRUPT_PINS_MENU, [{text: '2', value: '2'}]);
+    t.same(device.BAUDTATE_MENU, [{text: '9600', value: '9600'}]);
+    // Menus not in the definition are the ones of the device it extends.
+    t.same(device.LEVEL_MENU, new OpenBlockArduinoUnoDevice(runtime, 'arduinoUno').LEVEL_MENU);
+
+    t.same(device._peripheral.pnpidList, ['USB\\VID_1A86&PID_7523']);
+    t.equal(device._peripheral.serialConfig.baudRate, 115200);
+    t.equal(device._peripheral.diveceOpt.fqbn, 'arduino:avr:uno');
+    t.equal(device._peripheral.numDigitalPins, 14);
+    t.equal(runtime.peripheralExtensions.arduinoUnoClone, device._peripheral);
+
+    const categories = device.getInfo();
+    t.same(categories.map(category => category.id), ['pin', 'serial']);
+    t.notOk(categories[0].blocks.some(block => block.opcode === 'setServoOutput'));
+    t.ok(categories[0].blocks.some(block => block.opcode === 'setPwmOutput'));
+    t.end();
+});
+
+test('invalid definitions are refused', t => {
+    const load = change => () => DeviceLoader.createDeviceClass(Object.assign(cloneDefinition(), change),
+        OpenBlockArduinoUnoDevice);
+    t.throws(load({deviceId: null}), /no deviceId/);
+    t.throws(load({extends: null}), /does not extend/);
+    t.throws(load({peripheral: 'pigeon'}), /unknown peripheral/);
+    t.throws(load({serialConfig: null}), /needs pnpidList/);
+    t.throws(load({pins: [{name: '1', capabilities: ['fly']}]}), /unknown pin capability/);
+    t.end();
+});
+
+test('builtin boards are loaded from their definitions', t => {
+    const vm = new VirtualMachine();
+    vm.extensionManager.loadDeviceURL({deviceId: 'arduinoNano', type: 'arduino'})
+        .then(() => vm.extensionManager.loadDeviceURL({deviceId: 'arduinoUnoSE', type: 'arduino'}))
+        .then(() => {
+            const nano = vm.runtime.peripheralExtensions.arduinoNano;
+            t.equal(nano.diveceOpt.fqbn, 'arduino:avr:nano:cpu=atmega328old');
+            t.equal(nano.numDigitalPins, 14);
+            t.type(vm.runtime.getOpcodeFunction('arduino_pin_setDigitalOutput'), 'function');
+            t.notOk(vm.runtime._deviceBlockInfo.find(categoryInfo => categoryInfo.deviceId === 'arduinoUnoSE'));
+            t.end();
+        });
+});
+
+test('third-party devices ship a definition', t => {
+    const vm = new VirtualMachine();
+    const definition = cloneDefinition();
+    definition.deviceId = 'myClone';
+    vm.extensionManager._deviceDefinitions.myClone = definition;
+
+    vm.extensionManager.loadDeviceURL({deviceId: 'myClone', type: 'arduino'})
+        .then(() => {
+            t.equal(vm.runtime.peripheralExtensions.myClone.serialConfig.baudRate, 115200);
+            t.type(vm.runtime.getOpcodeFunction('arduino_pin_setDigitalOutput'), 'function');
+            t.notOk(vm.runtime.getOpcodeFunction('arduino_data_dataMap'));
+
+            const broken = Object.assign(cloneDefinition(), {deviceId: 'broken', extends: 'arduinoTwo'});
+            return vm.extensionManager.loadDeviceURL({deviceId: 'broken', type: 'arduino', definition: broken});
+        })
+        .catch(err => {
+            t.match(err, /arduinoTwo/);
+            t.notOk(vm.runtime.getDeviceById('broken'));
+            t.end();
+        });
+});
@@ -0,0 +1,92 @@
+const test = require('tap').test;
+const SerialData = require('../../src/io/serialData');
+const Runtime = require('../../src/engine/runtime');
+const Sprite = require('../../src/sprites/sprite');
+const Variable = require('../../src/engine/variable');
+
+test('spec', t => {
+    const rt = new Runtime();
+    const s = new SerialData(rt);
+
+    t.type(SerialData, 'function');
+    t.type(s, 'object');
+    t.type(s.postData, 'function');
+    t.type(s.getLastLine, 'function');
+    t.type(s.getValue, 'function');
+    t.type(s.isLineReceived, 'function');
+    t.type(rt.ioDevices.serialData, 'object');
+    t.end();
+});
+
+test('parseLine', t => {
+    t.same(SerialData.parseLine('temp:21.5, hum:40', null).values, [['temp', 21.5], ['hum', 40]]);
+    t.same(SerialData.parseLine('21.5,40\tok', null).values, [['1', 21.5], ['2', 40], ['3', 'ok']]);
+    t.same(SerialData.parseLine('12', null).values, [['1', 12]]);
+    t.same(SerialData.parseLine('Starting...', null).values, []);
+    t.same(SerialData.parseLine('', null).values, []);
+
+    const {values, header} = SerialData.parseLine('temp,hum', null);
+    t.same(values, []);
+    t.same(header, ['temp', 'hum']);
+    t.same(SerialData.parseLine('21,40,3', header).values, [['temp', 21], ['hum', 40], ['3', 3]]);
+    t.end();
+});
+
+test('lines split across chunks', t => {
+    const rt = new Runtime();
+    const s = rt.ioDevices.serialData;
+
+    rt.emit(Runtime.PERIPHERAL_RECIVE_DATA, Buffer.from('temp:2'));
+    t.equal(s.getLastLine(), '');
+    rt.emit(Runtime.PERIPHERAL_RECIVE_DATA, Buffer.from('1\r\nlight:'));
+    t.equal(s.getLastLine(), 'temp:21');
+    t.equal(s.getValue('temp'), 21);
+    t.equal(s.getValue('light'), '');
+    t.end();
+});
+
+test('line hat', t => {
+    const rt = new Runtime();
+    const s = rt.ioDevices.serialData;
+    rt.currentMSecs = 1;
+    t.notOk(s.isLineReceived());
+
+    s.postData(Buffer.from('1\n'));
+    rt.currentMSecs = 2;
+    t.ok(s.isLineReceived());
+    t.ok(s.isLineReceived());
+
+    // A line in the next frame fires the edge activated hat one frame later.
+    s.postData(Buffer.from('2\n'));
+    rt.currentMSecs = 3;
+    t.notOk(s.isLineReceived());
+    rt.currentMSecs = 4;
+    t.ok(s.isLineReceived());
+    rt.currentMSecs = 5;
+    t.notOk(s.isLineReceived());
+    rt.currentMSecs = 6;
+    t.notOk(s.isLineReceived());
+    t.end();
+});
+
+test('logging to a list', t => {
+    const rt = new Runtime();
+    const s = rt.ioDevices.serialData;
+    const sprite = new Sprite(null, rt);
+    const target = sprite.createClone();
+    rt.addTarget(target);
+    target.createVariable('log-id', 'log', Variable.LIST_TYPE);
+    const list = target.lookupVariableById('log-id');
+
+    s.postData(Buffer.from('1,2\n'));
+    s.startLogging(target, list);
+    s.postData(Buffer.from('temp,hum\nhello\n3,4\n'));
+    t.equal(list.value.length, 1);
+    t.match(list.value[0], /^\d+(\.\d+)?,3,4$/);
+    t.equal(s.getValue('hum'), 4);
+
+    s.stopLogging();
+    s.postData(Buffer.from('5,6\n'));
+    t.equal(list.value.length, 1);
+    t.end();
+});
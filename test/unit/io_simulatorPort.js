@@ -0,0 +1,160 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const SimulatorPort = require('../../src/io/simulatorPort');
+const VirtualBoard = require('../../src/lib/firmata/virtualboard');
+const ArduinoPeripheral = require('../../src/devices/common/arduino-peripheral');
+
+global.window = global;
+
+const DIVECE_OPT = {
+    type: 'arduino',
+    fqbn: 'arduino:avr:uno',
+    firmware: 'arduinoUno.hex',
+    firmwareVersion: '2.6'
+};
+
+/**
+ * Connect a peripheral to a simulated board, and wait for firmata to be ready.
+ * @param {object} transport - the transport options.
+ * @return {Promise} - a promise that resolves {runtime, peripheral, board, mismatches}.
+ */
+const connectSimulator = (transport = {type: 'simulator'}) => {
+    const runtime = new Runtime();
+    const peripheral = new ArduinoPeripheral(runtime, 'arduinoUno', 'arduinoUno', [], {baudRate: 57600}, DIVECE_OPT);
+    const mismatches = [];
+    runtime.on(Runtime.PERIPHERAL_FIRMWARE_MISMATCH, data => mismatches.push(data));
+
+    peripheral.scan(null, false, transport);
+    peripheral.connect('simulator');
+    return new Promise(resolve => {
+        peripheral._firmata.once('ready', () => resolve({
+            runtime,
+            peripheral,
+            board: peripheral._serialport.board,
+            mismatches
+        }));
+    });
+};
+
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('runtime creates the simulator', t => {
+    const runtime = new Runtime();
+    const peripherals = [];
+    runtime.on(Runtime.PERIPHERAL_LIST_UPDATE, list => peripherals.push(Object.keys(list)));
+    const port = runtime.createPeripheralTransport('simulator', 'arduinoMega2560', {filters: {pnpid: ['*']}});
+    t.type(port, SimulatorPort);
+    t.same(peripherals, [['simulator']]);
+
+    port.connectPeripheral('simulator');
+    t.ok(port.isConnected());
+    t.equal(port.board.pins.length, 70);
+    port.disconnect();
+    t.notOk(port.isConnected());
+    t.equal(port.board, null);
+    t.end();
+});
+
+test('firmata connects to the simulator', t => connectSimulator().then(({peripheral, board, mismatches}) => {
+    t.ok(peripheral.isReady());
+    t.same(mismatches, []);
+    t.equal(peripheral._firmata.pins.length, 20);
+    t.same(peripheral._firmata.analogPins, [14, 15, 16, 17, 18, 19]);
+    t.ok(peripheral.hasPinCapabilities());
+    t.same(peripheral.getPinsMenu(['PWM'], []).map(item => item.value), ['3', '5', '6', '9', '10', '11']);
+    t.equal(board.pins.length, 20);
+    peripheral.disconnect();
+}));
+
+test('outputs set the pins of the board', t => connectSimulator().then(({peripheral, board}) => {
+    const changes = [];
+    board.on('pin-change', change => changes.push(change));
+
+    peripheral.setPinMode('13', 'OUTPUT');
+    peripheral.setDigitalOutput('13', 'HIGH');
+    t.same(board.pins[13], {mode: VirtualBoard.PinMode.OUTPUT, value: 1, servo: null});
+
+    peripheral.setPwmOutput('5', 128);
+    t.equal(board.pins[5].mode, VirtualBoard.PinMode.PWM);
+    t.equal(board.pins[5].value, 128);
+
+    peripheral.setServoOutput('9', 90);
+    t.same(board.pins[9], {mode: VirtualBoard.PinMode.SERVO, value: 90, servo: {min: 600, max: 2400}});
+
+    t.same(changes.slice(0, 2), [
+        {pin: 13, mode: VirtualBoard.PinMode.OUTPUT, value: 0},
+        {pin: 13, mode: VirtualBoard.PinMode.OUTPUT, value: 1}
+    ]);
+    peripheral.disconnect();
+}));
+
+test('inputs are reported to the peripheral', t => connectSimulator().then(({peripheral, board}) => {
+    peripheral.setPinMode('2', 'INPUT_PULLUP');
+    return Promise.resolve(peripheral.readDigitalPin('2'))
+        .then(level => {
+            t.equal(level, 1);
+            board.setDigitalInput(2, 0);
+            return nextFrame();
+        })
+        .then(() => {
+            t.equal(peripheral.readDigitalPin('2'), 0);
+
+            board.setAnalogSource(0, 700);
+            return peripheral.readAnalogPin('A0');
+        })
+        .then(value => {
+            t.equal(value, 700);
+
+            board.setAnalogSource(0, {type: 'noise', min: 300, max: 300});
+            board.sample();
+            return nextFrame();
+        })
+        .then(() => {
+            t.equal(peripheral.readAnalogPin('A0'), 300);
+            peripheral.disconnect();
+        });
+}));
+
+test('analog sources', t => {
+    const board = new VirtualBoard(() => {});
+    board.setAnalogSource(1, {type: VirtualBoard.AnalogSourceType.SINE, min: 0, max: 1000, period: 400});
+    t.equal(board.readAnalog(1, 0), 500);
+    t.equal(board.readAnalog(1, 100), 1000);
+    t.equal(board.readAnalog(1, 300), 0);
+
+    board.setAnalogSource(2, {type: VirtualBoard.AnalogSourceType.NOISE, min: 10, max: 20});
+    const value = board.readAnalog(2);
+    t.ok(value >= 10 && value <= 20);
+
+    board.setAnalogSource(3, 5000);
+    t.equal(board.readAnalog(3), 1023);
+    t.end();
+});
+
+test('sonar and I2C requests are answered', t => connectSimulator().then(({peripheral, board}) => {
+    board.sonarDistance = 42.5;
+    board.setI2cDevice(0x3C, [1, 2, 3, 4]);
+    peripheral.setPinMode('7', 'OUTPUT');
+    peripheral.setPinMode('8', 'INPUT');
+    return peripheral.readSonarDistance('7', '8', 'CM')
+        .then(distance => {
+            t.equal(distance, 42.5);
+            peripheral.i2cWrite(0x3C, 1, '9 8');
+            return peripheral.i2cRead(0x3C, 0, 4);
+        })
+        .then(bytes => {
+            t.same(bytes, [1, 9, 8, 4]);
+            return peripheral.i2cRead(0x50, 0, 1);
+        })
+        .then(bytes => {
+            t.same(bytes, []);
+            peripheral.disconnect();
+        });
+}));
+
+test('the reported firmware can be set', t => connectSimulator({type: 'simulator', firmwareVersion: '2.5'})
+    .then(({peripheral, mismatches}) => {
+        t.equal(mismatches.length, 1);
+        t.equal(mismatches[0].reason, 'outdated');
+        peripheral.disconnect();
+    }));
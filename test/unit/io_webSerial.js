@@ -0,0 +1,109 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const WebSerial = require('../../src/io/webSerial');
+const Base64Util = require('../../src/util/base64-util');
+
+/**
+ * A Web Serial port standing in for the browser one.
+ */
+class FakePort {
+    constructor () {
+        this.opened = [];
+        this.written = [];
+        this.chunks = [];
+        this.readable = {
+            getReader: () => ({
+                read: () => Promise.resolve(this.chunks.length ?
+                    {value: this.chunks.shift(), done: false} :
+                    {done: true}),
+                cancel: () => Promise.resolve(),
+                releaseLock: () => {}
+            })
+        };
+        this.writable = {
+            getWriter: () => ({
+                write: data => {
+                    this.written.push(Array.from(data));
+                    return Promise.resolve();
+                },
+                releaseLock: () => {}
+            })
+        };
+    }
+
+    getInfo () {
+        return {usbVendorId: 0x2341, usbProductId: 0x43};
+    }
+
+    open (options) {
+        this.opened.push(options);
+        return Promise.resolve();
+    }
+
+    close () {
+        this.closed = true;
+        return Promise.resolve();
+    }
+}
+
+const port = new FakePort();
+let requestedFilters = null;
+global.navigator = {
+    serial: {
+        requestPort: options => {
+            requestedFilters = options.filters;
+            return Promise.resolve(port);
+        }
+    }
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('connect, read, write and set baudrate', async t => {
+    const runtime = new Runtime();
+    let list = null;
+    runtime.on(Runtime.PERIPHERAL_LIST_UPDATE, peripherals => {
+        list = peripherals;
+    });
+    let connected = false;
+    const serial = new WebSerial(runtime, 'arduinoUno', {filters: {pnpid: ['USB\\VID_2341&PID_0043']}}, () => {
+        connected = true;
+    });
+    await flush();
+    t.same(requestedFilters, [{usbVendorId: 0x2341, usbProductId: 0x43}]);
+    t.same(list, {0: {peripheralId: 0, name: 'USB 2341:43', pnpid: 'USB\\VID_2341&PID_0043'}});
+
+    serial.connectPeripheral(0, {config: {baudRate: 57600, dataBits: 8, stopBits: 1}});
+    await flush();
+    t.ok(connected);
+    t.same(port.opened, [{baudRate: 57600, dataBits: 8, stopBits: 1}]);
+
+    const received = [];
+    port.chunks.push(new Uint8Array([0xF9, 2, 6]));
+    serial.read(base64 => received.push(Array.from(Base64Util.base64ToUint8Array(base64))));
+    await flush();
+    t.same(received, [[0xF9, 2, 6]]);
+
+    await serial.write(Base64Util.uint8ArrayToBase64([0xF0, 0x79, 0xF7]), 'base64');
+    t.same(port.written, [[0xF0, 0x79, 0xF7]]);
+
+    await serial.setBaudrate(115200);
+    t.equal(port.opened[1].baudRate, 115200);
+    t.end();
+});
+
+test('browser without web serial', t => {
+    const serial = global.navigator.serial;
+    delete global.navigator.serial;
+
+    const runtime = new Runtime();
+    let error = null;
+    runtime.on(Runtime.PERIPHERAL_REQUEST_ERROR, data => {
+        error = data;
+    });
+    new WebSerial(runtime, 'arduinoUno', {}); // eslint-disable-line no-new
+    t.equal(error.deviceId, 'arduinoUno');
+
+    global.navigator.serial = serial;
+    t.end();
+});
@@ -0,0 +1,118 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const WebsocketPort = require('../../src/io/websocketPort');
+const Base64Util = require('../../src/util/base64-util');
+
+/**
+ * A WebSocket standing in for the browser one, it opens when the test says so.
+ */
+class FakeWebSocket {
+    constructor (url) {
+        this.url = url;
+        this.sent = [];
+        FakeWebSocket.last = this;
+    }
+
+    send (data) {
+        this.sent.push(Array.from(data));
+    }
+
+    close () {
+        this.closed = true;
+    }
+}
+
+global.WebSocket = FakeWebSocket;
+
+test('requestPeripheral lists the url', t => {
+    const runtime = new Runtime();
+    let list = null;
+    runtime.on(Runtime.PERIPHERAL_LIST_UPDATE, peripherals => {
+        list = peripherals;
+    });
+    const port = new WebsocketPort(runtime, 'arduinoEsp32', {url: 'ws://192.168.4.1:81'});
+
+    t.type(port, WebsocketPort);
+    t.same(list, {'ws://192.168.4.1:81': {peripheralId: 'ws://192.168.4.1:81', name: 'ws://192.168.4.1:81'}});
+    t.end();
+});
+
+test('requestPeripheral without url times out', t => {
+    const runtime = new Runtime();
+    let timeout = false;
+    runtime.on(Runtime.PERIPHERAL_SCAN_TIMEOUT, () => {
+        timeout = true;
+    });
+    new WebsocketPort(runtime, 'arduinoEsp32', {}); // eslint-disable-line no-new
+    t.ok(timeout);
+    t.end();
+});
+
+test('connect, read and write', t => {
+    const runtime = new Runtime();
+    let connected = false;
+    const port = new WebsocketPort(runtime, 'arduinoEsp32', {url: 'ws://esp32'}, () => {
+        connected = true;
+    });
+    port.connectPeripheral('ws://esp32');
+    const ws = FakeWebSocket.last;
+    t.equal(ws.url, 'ws://esp32');
+    t.notOk(port.isConnected());
+
+    ws.onopen();
+    t.ok(connected);
+    t.ok(port.isConnected());
+
+    const received = [];
+    port.read(base64 => received.push(Array.from(Base64Util.base64ToUint8Array(base64))));
+    ws.onmessage({data: new Uint8Array([0xF9, 2, 6]).buffer});
+    t.same(received, [[0xF9, 2, 6]]);
+
+    port.write(Base64Util.uint8ArrayToBase64([0xF0, 0x79, 0xF7]), 'base64');
+    port.write('ok');
+    t.same(ws.sent, [[0xF0, 0x79, 0xF7], [0x6F, 0x6B]]);
+    t.end();
+});
+
+test('closed socket is a lost connection', t => {
+    const runtime = new Runtime();
+    let reset = false;
+    let lost = null;
+    runtime.on(Runtime.PERIPHERAL_CONNECTION_LOST_ERROR, data => {
+        lost = data;
+    });
+    const port = new WebsocketPort(runtime, 'arduinoEsp32', {url: 'ws://esp32'}, null, () => {
+        reset = true;
+    });
+    port.connectPeripheral('ws://esp32');
+    FakeWebSocket.last.onopen();
+    FakeWebSocket.last.onclose();
+
+    t.notOk(port.isConnected());
+    t.ok(reset);
+    t.equal(lost.deviceId, 'arduinoEsp32');
+    t.end();
+});
+
+test('upload is not supported', t => {
+    const runtime = new Runtime();
+    let error = null;
+    runtime.on(Runtime.PERIPHERAL_UPLOAD_ERROR, data => {
+        error = data;
+    });
+    const port = new WebsocketPort(runtime, 'arduinoEsp32', {url: 'ws://esp32'});
+    port.upload('code', {});
+    t.type(error.message, 'string');
+    t.end();
+});
+
+test('runtime creates the transport', t => {
+    const runtime = new Runtime();
+    const port = runtime.createPeripheralTransport({type: 'websocket', url: 'ws://esp32'}, 'arduinoEsp32', {
+        filters: {pnpid: ['*']}
+    });
+    t.type(port, WebsocketPort);
+    t.equal(port._peripheralOptions.url, 'ws://esp32');
+    t.throws(() => runtime.createPeripheralTransport('pigeon', 'arduinoEsp32', {}));
+    t.end();
+});
@@ -0,0 +1,138 @@
+const test = require('tap').test;
+const Buffer = require('buffer').Buffer;
+
+const MicrobitRealtime = require('../../src/lib/microbit/microbit-realtime');
+const firmware = require('../../src/lib/microbit/firmware');
+
+/**
+ * A simulated micro:bit running the realtime firmware, it answers the command lines written by
+ * the driver like the firmware does.
+ */
+class SimulatedMicrobit {
+    constructor () {
+        this.driver = new MicrobitRealtime(data => this.receive(data));
+        this.lines = [];
+        this.pins = {};
+        this.replies = {
+            v: `${MicrobitRealtime.FIRMWARE_NAME} ${MicrobitRealtime.FIRMWARE_VERSION}`,
+            tp: '21'
+        };
+        this.holdReplies = false;
+        this.held = [];
+    }
+
+    receive (data) {
+        const line = Buffer.from(data).toString()
+            .trim();
+        this.lines.push(line);
+        const [id, cmd, ...args] = line.split(' ');
+        let value = '';
+        if (cmd === 'dw') {
+            this.pins[args[0]] = args[1];
+        } else if (cmd === 'dr') {
+            value = this.pins[args[0]] || '0';
+        } else if (cmd === 'ar') {
+            this.write(`?${id} pin ${args[0]} is not analog`);
+            return;
+        } else if (cmd in this.replies) {
+            value = this.replies[cmd];
+        }
+        if (id === '0') return;
+        if (this.holdReplies) {
+            this.held.push(`=${id} ${value}`);
+        } else {
+            this.write(`=${id} ${value}`);
+        }
+    }
+
+    write (line) {
+        this.driver.onReciveData(new Uint8Array(Buffer.from(`${line}\n`)));
+    }
+}
+
+test('firmware identifies itself', t => {
+    const peer = new SimulatedMicrobit();
+    t.equal(peer.driver.isReady, false);
+    peer.driver.once('ready', () => {
+        t.equal(peer.driver.isReady, true);
+        t.same(peer.driver.firmware, {
+            name: MicrobitRealtime.FIRMWARE_NAME,
+            version: MicrobitRealtime.FIRMWARE_VERSION
+        });
+        t.end();
+    });
+    peer.driver.queryFirmware();
+});
+
+test('other firmware is not ready', t => {
+    const peer = new SimulatedMicrobit();
+    peer.write('!v micropython 1.0');
+    t.equal(peer.driver.isReady, false);
+    t.equal(peer.driver.firmware.name, 'micropython');
+    t.end();
+});
+
+test('frames split across chunks', t => {
+    const peer = new SimulatedMicrobit();
+    const bytes = Buffer.from('!s 1 0 -12 340 -1020 faceup\n!s 0 1');
+    peer.driver.onReciveData(new Uint8Array(bytes.slice(0, 7)));
+    peer.driver.onReciveData(new Uint8Array(bytes.slice(7)));
+    t.same(peer.driver.state, {
+        buttons: {a: true, b: false},
+        acceleration: {x: -12, y: 340, z: -1020},
+        gesture: 'faceup'
+    });
+    peer.driver.onReciveData(new Uint8Array(Buffer.from(' 0 0 0 \n')));
+    t.same(peer.driver.state.buttons, {a: false, b: true});
+    t.end();
+});
+
+test('commands and requests', async t => {
+    const peer = new SimulatedMicrobit();
+    peer.driver.digitalWrite(3, 1);
+    peer.driver.scroll('hello world');
+    t.same(peer.lines, ['0 dw 3 1', '0 tx hello world']);
+
+    t.equal(await peer.driver.digitalRead(3), 1);
+    t.equal(await peer.driver.temperature(), 21);
+    t.end();
+});
+
+test('failed request resolves undefined', async t => {
+    const peer = new SimulatedMicrobit();
+    let error = null;
+    peer.driver.on('firmware-error', message => {
+        error = message;
+    });
+    t.equal(await peer.driver.analogRead(5), undefined); // eslint-disable-line no-undefined
+    t.equal(error, 'pin 5 is not analog');
+    t.end();
+});
+
+test('blocking request makes the driver busy', async t => {
+    const peer = new SimulatedMicrobit();
+    peer.holdReplies = true;
+    const done = peer.driver.scrollUntilDone('a long text');
+    t.equal(peer.driver.isBusy(), true);
+    peer.write(peer.held.shift());
+    await done;
+    t.equal(peer.driver.isBusy(), false);
+    t.end();
+});
+
+test('dispose resolves pending requests', async t => {
+    const peer = new SimulatedMicrobit();
+    peer.holdReplies = true;
+    const heading = peer.driver.compassHeading();
+    peer.driver.dispose();
+    t.equal(await heading, undefined); // eslint-disable-line no-undefined
+    t.equal(peer.driver.isBusy(), false);
+    t.end();
+});
+
+test('firmware source', t => {
+    const source = firmware(115200);
+    t.match(source, /uart\.init\(baudrate=115200\)/);
+    t.match(source, `NAME = '${MicrobitRealtime.FIRMWARE_NAME}'`);
+    t.end();
+});
@@ -1,5 +1,7 @@
 const test = require('tap').test;
 const path = require('path');
+const JSZip = require('jszip');
+const validate = require('scratch-parser');
 const VirtualMachine = require('../../src/index');
 const Runtime = require('../../src/engine/runtime');
 const sb3 = require('../../src/serialization/sb3');
@@ -361,3 +363,101 @@ test('do not serialize origin value if it is not present', t => {
             t.end();
         });
 });
+
+/**
+ * Add the definition of a custom reporter and a call of it to a sprite.
+ * @param {!Target} sprite - the sprite.
+ */
+const addCustomReporter = sprite => {
+    const mutation = {
+        tagName: 'mutation',
+        children: [],
+        proccode: 'double %s',
+        argumentids: '["n"]',
+        warp: 'false',
+        returntype: 'reporter'
+    };
+    const block = (id, opcode, parent, properties) => sprite.blocks.createBlock(Object.assign({
+        id,
+        opcode,
+        parent,
+        next: null,
+        inputs: {},
+        fields: {},
+        shadow: false,
+        topLevel: parent === null
+    }, properties));
+    block('definition', 'procedures_definition', null, {
+        next: 'return',
+        inputs: {custom_block: {name: 'custom_block', block: 'prototype', shadow: 'prototype'}}
+    });
+    block('prototype', 'procedures_prototype', 'definition', {
+        shadow: true,
+        mutation: Object.assign({argumentnames: '["n"]', argumentdefaults: '[""]'}, mutation)
+    });
+    block('return', 'procedures_return', 'definition');
+    block('call', 'procedures_call', null, {mutation});
+};
+
+test('custom reporters are saved in sb3 as a required feature', t => {
+    const vm = new VirtualMachine();
+    vm.loadProject(readFileToBuffer(draggableSB3ProjectPath))
+        .then(() => {
+            const plain = sb3.serialize(vm.runtime);
+            t.equal(plain.meta.semver, '3.0.0');
+            t.equal(plain.meta.requiredFeatures, undefined);
+
+            addCustomReporter(vm.runtime.targets[1]);
+            const project = sb3.serialize(vm.runtime);
+            t.equal(project.meta.semver, '3.0.0+customReporters');
+            t.same(project.meta.requiredFeatures, ['customReporters']);
+            return vm.loadProject(JSON.stringify(project));
+        })
+        .then(() => {
+            const blocks = vm.runtime.targets[1].blocks;
+            t.equal(blocks.getBlock('call').mutation.returntype, 'reporter');
+            t.equal(blocks.getBlock('prototype').mutation.returntype, 'reporter');
+            t.equal(blocks.getBlock('return').opcode, 'procedures_return');
+
+            const zip = new JSZip();
+            zip.file('project.json', vm.toJSON());
+            return zip.generateAsync({type: 'nodebuffer'});
+        })
+        .then(sb3File => vm.loadProject(sb3File))
+        .then(() => {
+            t.equal(vm.runtime.targets[1].blocks.getBlock('call').mutation.returntype, 'reporter',
+                'the project is loaded from a sb3 file too');
+            t.end();
+        });
+});
+
+test('loaders older than custom reporters refuse the project', t => {
+    const vm = new VirtualMachine();
+    vm.loadProject(readFileToBuffer(draggableSB3ProjectPath))
+        .then(() => {
+            addCustomReporter(vm.runtime.targets[1]);
+            // The older loaders validate the project with scratch-parser before deserializing it.
+            validate(vm.toJSON(), false, error => {
+                t.ok(error, 'the project is refused');
+                t.equal(error.validationError, 'Could not parse as a valid SB2 or SB3 project.');
+                t.ok(error.sb3Errors.some(sb3Error => sb3Error.dataPath === '.meta.semver'),
+                    'the refused field is the semver');
+                t.end();
+            });
+        });
+});
+
+test('projects requiring an unknown feature are refused', t => {
+    const vm = new VirtualMachine();
+    vm.loadProject(readFileToBuffer(draggableSB3ProjectPath))
+        .then(() => {
+            const project = sb3.serialize(vm.runtime);
+            project.meta.requiredFeatures = ['customReporters', 'teleport'];
+            return sb3.deserialize(JSON.parse(JSON.stringify(project)), vm.runtime);
+        })
+        .then(() => t.fail('loaded a project requiring an unknown feature'), error => {
+            t.equal(error.message, 'The project uses features this version can not load: teleport. ' +
+                'Please update to open it.');
+        })
+        .then(() => t.end());
+});
@@ -0,0 +1,150 @@
+const tap = require('tap');
+const {test} = tap;
+const Blocks = require('../../src/engine/blocks');
+const Runtime = require('../../src/engine/runtime');
+const Thread = require('../../src/engine/thread');
+const VirtualMachine = require('../../src/index');
+const ProgramModeUtil = require('../../src/util/program-mode-util');
+
+tap.tearDown(() => process.nextTick(process.exit));
+
+const createBlock = (blocks, id, opcode, props) => blocks.createBlock(Object.assign({
+    id,
+    opcode,
+    next: null,
+    parent: null,
+    inputs: {},
+    fields: {},
+    topLevel: false
+}, props));
+
+/**
+ * A VM with the Arduino Uno and a sprite whose flag script begins the serial port, an upload only
+ * block, in a custom block it calls, and whose click script sets the sampling interval of the pins,
+ * a realtime only block.
+ * @return {Promise} - a promise that resolves {vm, target} when the device is loaded.
+ */
+const setupProject = () => {
+    const vm = new VirtualMachine();
+    const blocks = new Blocks(vm.runtime);
+    const target = {id: 'sprite', isOriginal: true, blocks};
+
+    createBlock(blocks, 'flag', 'event_whenflagclicked', {next: 'call', topLevel: true});
+    createBlock(blocks, 'call', 'procedures_call', {parent: 'flag', mutation: {proccode: 'setup'}});
+    createBlock(blocks, 'define', 'procedures_definition', {
+        next: 'begin',
+        topLevel: true,
+        inputs: {custom_block: {name: 'custom_block', block: 'prototype', shadow: 'prototype'}}
+    });
+    createBlock(blocks, 'prototype', 'procedures_prototype', {parent: 'define', mutation: {proccode: 'setup'}});
+    createBlock(blocks, 'begin', 'arduino_serial_serialBegin', {parent: 'define'});
+
+    createBlock(blocks, 'click', 'event_whenthisspriteclicked', {next: 'forever', topLevel: true});
+    createBlock(blocks, 'forever', 'control_forever', {
+        parent: 'click',
+        inputs: {SUBSTACK: {name: 'SUBSTACK', block: 'sampling', shadow: null}}
+    });
+    createBlock(blocks, 'sampling', 'arduino_pin_setSamplingInterval', {parent: 'forever'});
+
+    vm.runtime.targets = [target];
+    vm.runtime.executableTargets = [target];
+    return vm.extensionManager.loadDeviceURL({deviceId: 'arduinoUno', type: 'arduino'})
+        .then(() => ({vm, target}));
+};
+
+test('scripts are checked with the custom blocks they call', t => setupProject().then(({vm, target}) => {
+    const issues = ProgramModeUtil.checkScript(vm.runtime, target.blocks, 'flag', 'realtime');
+    t.equal(issues.length, 1);
+    t.equal(issues[0].blockId, 'begin');
+    t.equal(issues[0].topBlockId, 'flag');
+    t.same(issues[0].programMode, ['upload']);
+    t.equal(issues[0].reason, 'Serial: serial begin baudrate [VALUE] only runs in upload mode');
+
+    t.same(ProgramModeUtil.checkScript(vm.runtime, target.blocks, 'click', 'realtime'), []);
+    t.same(ProgramModeUtil.checkScript(vm.runtime, target.blocks, 'click', 'upload').map(issue => issue.blockId),
+        ['sampling']);
+    t.same(ProgramModeUtil.checkScript(vm.runtime, target.blocks, 'flag', 'upload'), []);
+}));
+
+test('the project is checked when the program mode changes', t => setupProject().then(({vm}) => {
+    t.same(vm.runtime.getIncompatibleBlocks().map(issue => issue.blockId), ['begin']);
+    t.same(vm.runtime.getIncompatibleBlocks('upload').map(issue => [issue.targetId, issue.blockId, issue.topBlockId]),
+        [['sprite', 'sampling', 'click']]);
+
+    const updates = [];
+    vm.on(Runtime.PROGRAM_MODE_INCOMPATIBLE_BLOCKS, data => updates.push(data));
+    vm.runtime.setRealtimeMode(false);
+    vm.runtime.setRealtimeMode(false);
+    vm.runtime.setRealtimeMode(true);
+    t.same(updates.map(update => [update.programMode, update.blocks.map(issue => issue.blockId)]), [
+        ['upload', ['sampling']],
+        ['realtime', ['begin']]
+    ]);
+}));
+
+test('incompatible scripts are not started', t => setupProject().then(({vm, target}) => {
+    const errors = [];
+    vm.on(Runtime.SCRIPT_PROGRAM_MODE_ERROR, data => errors.push(data));
+
+    const [flagThread] = vm.runtime.startHats('event_whenflagclicked');
+    t.equal(flagThread.status, Thread.STATUS_DONE);
+    t.notOk(vm.runtime.isActiveThread(flagThread));
+    t.equal(vm.runtime.threads.length, 0);
+    t.equal(errors.length, 1);
+    t.equal(errors[0].targetId, 'sprite');
+    t.equal(errors[0].topBlockId, 'flag');
+    t.equal(errors[0].message,
+        'Script not started in realtime mode: Serial: serial begin baudrate [VALUE] only runs in upload mode');
+    t.same(errors[0].blocks.map(issue => issue.blockId), ['begin']);
+
+    vm.runtime.toggleScript('click', {target});
+    t.equal(vm.runtime.threads.length, 1);
+
+    vm.runtime.setRealtimeMode(false);
+    vm.runtime.threads = [];
+    vm.runtime.toggleScript('click', {target});
+    t.equal(vm.runtime.threads.length, 0);
+    t.equal(errors.length, 2);
+    t.equal(errors[1].programMode, 'upload');
+}));
+
+test('the check of a script is cached until its blocks or the program mode change', t => setupProject()
+    .then(({vm, target}) => {
+        const checkScript = ProgramModeUtil.checkScript;
+        let checks = 0;
+        ProgramModeUtil.checkScript = (...args) => {
+            checks++;
+            return checkScript(...args);
+        };
+        t.tearDown(() => {
+            ProgramModeUtil.checkScript = checkScript;
+        });
+
+        vm.runtime.startHats('event_whenflagclicked');
+        vm.runtime.startHats('event_whenflagclicked');
+        t.equal(checks, 1);
+
+        createBlock(target.blocks, 'wait', 'control_wait', {topLevel: true});
+        vm.runtime.startHats('event_whenflagclicked');
+        t.equal(checks, 2, 'a block change checks the script again');
+
+        vm.runtime.setRealtimeMode(false);
+        const [flagThread] = vm.runtime.startHats('event_whenflagclicked');
+        t.equal(checks, 3, 'a program mode change checks the script again');
+        t.equal(flagThread.status, Thread.STATUS_RUNNING);
+        vm.runtime.startHats('event_whenflagclicked');
+        t.equal(checks, 3);
+    }));
+
+test('extension blocks are looked up by opcode', t => setupProject().then(({vm}) => {
+    const found = vm.runtime.getExtensionBlockForOpcode('arduino_pin_readAnalogPin');
+    t.equal(found.categoryInfo.id, 'arduino_pin');
+    t.equal(found.block.info.opcode, 'readAnalogPin');
+    t.equal(vm.runtime.getExtensionBlockForOpcode('arduino_pin_readAnalogPin'), found);
+    t.notOk(vm.runtime.getExtensionBlockForOpcode('arduino_pin_unknown'));
+    t.notOk(vm.runtime.getExtensionBlockForOpcode('motion_movesteps'));
+
+    vm.runtime.removeDevice('arduinoUno');
+    t.notOk(vm.runtime.getExtensionBlockForOpcode('arduino_pin_readAnalogPin'), 'removed devices are forgotten');
+    t.same(ProgramModeUtil.checkScript(vm.runtime, vm.runtime.targets[0].blocks, 'flag', 'realtime'), []);
+}));
@@ -0,0 +1,88 @@
+const test = require('tap').test;
+const ServerUrls = require('../../src/util/server-urls');
+const Runtime = require('../../src/engine/runtime');
+const VirtualMachine = require('../../src/virtual-machine');
+
+/**
+ * A WebSocket standing in for the browser one, it only records the url.
+ */
+class FakeWebSocket {
+    constructor (url) {
+        this.url = url;
+        FakeWebSocket.last = this;
+    }
+}
+
+global.WebSocket = FakeWebSocket;
+
+const openSocket = (runtime, type) => {
+    const socket = runtime.getScratchLinkSocket(type);
+    socket.setOnOpen(() => {});
+    socket.setOnClose(() => {});
+    socket.setOnError(() => {});
+    socket.setHandleMessage(() => {});
+    socket.open();
+    return FakeWebSocket.last.url;
+};
+
+test('normalizeUrl', t => {
+    t.equal(ServerUrls.normalizeUrl('ws://192.168.1.10:20111/'), 'ws://192.168.1.10:20111');
+    t.equal(ServerUrls.normalizeUrl('http://bridge:8080/resources//'), 'http://bridge:8080/resources');
+    t.throws(() => ServerUrls.normalizeUrl('bridge:20111'));
+    t.throws(() => ServerUrls.normalizeUrl(null));
+    t.end();
+});
+
+test('environment defaults', t => {
+    t.equal(ServerUrls.getDefaultLinkServerUrl(), 'ws://127.0.0.1:20111');
+    t.equal(ServerUrls.getDefaultResourceServerUrl(), 'http://127.0.0.1:20112');
+
+    process.env.OPENBLOCK_LINK_SERVER_URL = 'ws://bridge:30111/';
+    process.env.OPENBLOCK_RESOURCE_SERVER_URL = 'http://bridge:30112';
+    const runtime = new Runtime();
+    delete process.env.OPENBLOCK_LINK_SERVER_URL;
+    delete process.env.OPENBLOCK_RESOURCE_SERVER_URL;
+
+    t.equal(runtime.getLinkServerUrl(), 'ws://bridge:30111');
+    t.equal(runtime.getResourceServerUrl(), 'http://bridge:30112');
+    t.end();
+});
+
+test('every socket type uses the link server', t => {
+    const runtime = new Runtime();
+    t.equal(openSocket(runtime, 'SERIALPORT'), 'ws://127.0.0.1:20111/vcloudblock/serialport');
+
+    runtime.setLinkServerUrl('ws://bridge:30111');
+    t.equal(openSocket(runtime, 'BLE'), 'ws://bridge:30111/vcloudblock/ble');
+    t.equal(openSocket(runtime, 'BT'), 'ws://bridge:30111/vcloudblock/bt');
+    t.equal(openSocket(runtime, 'SERIALPORT'), 'ws://bridge:30111/vcloudblock/serialport');
+    t.end();
+});
+
+test('custom socket factory is given the link server', t => {
+    const runtime = new Runtime();
+    runtime.setLinkServerUrl('ws://bridge:30111');
+    let given = null;
+    runtime.configureScratchLinkSocketFactory((type, url) => {
+        given = {type, url};
+    });
+    runtime.getScratchLinkSocket('BLE');
+    t.same(given, {type: 'BLE', url: 'ws://bridge:30111'});
+    t.end();
+});
+
+test('vm configures both servers per instance', t => {
+    const vm = new VirtualMachine();
+    const other = new VirtualMachine();
+    vm.configureServers({resourceServerUrl: 'http://bridge:30112/'});
+
+    t.same(vm.getServers(), {
+        linkServerUrl: 'ws://127.0.0.1:20111',
+        resourceServerUrl: 'http://bridge:30112'
+    });
+    t.equal(other.getServers().resourceServerUrl, 'http://127.0.0.1:20112');
+    t.equal(vm.extensionManager._getResourceUrl('devices/en.json'), 'http://bridge:30112/devices/en.json');
+    t.equal(vm.extensionManager._getResourceUrl('/extensions/icon.png'), 'http://bridge:30112/extensions/icon.png');
+    t.throws(() => vm.configureServers({linkServerUrl: 'bridge'}));
+    t.end();
+});
@@ -0,0 +1,132 @@
+const test = require('tap').test;
+const UploadOutputParser = require('../../src/util/upload-output-parser');
+const Runtime = require('../../src/engine/runtime');
+const Serialport = require('../../src/io/serialport');
+
+const AVRDUDE_OUTPUT = [
+    'Sketch uses 924 bytes (2%) of program storage space. Maximum is 32256 bytes.\n',
+    '\navrdude: AVR device initialized and ready to accept instructions\n\n',
+    'Reading | ################################################## | 100% 0.00s\n\n',
+    'avrdude: writing flash (924 bytes):\n\nWriting | ',
+    '#########################',
+    '######################### | 100% 0.16s\n\n',
+    'avrdude: verifying flash memory against /tmp/sketch.hex:\n',
+    'avrdude: reading on-chip flash data:\n\nReading | #########################'
+];
+
+test('avrdude progress', t => {
+    const parser = new UploadOutputParser();
+    const progress = AVRDUDE_OUTPUT.map(chunk => parser.parse(chunk).progress);
+    t.same(progress, [
+        {phase: 'link', percent: 40},
+        null,
+        null,
+        {phase: 'upload', percent: 50},
+        {phase: 'upload', percent: 70},
+        {phase: 'upload', percent: 90},
+        {phase: 'verify', percent: 90},
+        {phase: 'verify', percent: 95}
+    ]);
+    t.end();
+});
+
+test('esptool progress', t => {
+    const parser = new UploadOutputParser();
+    t.same(parser.parse('Connecting....\nWriting at 0x00010000... (25 %)\r').progress, {phase: 'upload', percent: 60});
+    t.same(parser.parse('Writing at 0x00020000... (100 %)\n').progress, {phase: 'upload', percent: 90});
+    t.same(parser.parse('Hash of data verified.\n').progress, {phase: 'verify', percent: 100});
+    t.end();
+});
+
+test('compiler diagnostics map to blocks', t => {
+    const code = [
+        'void setup() {',
+        '    // @block \'a1\'',
+        '    pinMode(13, OUTPUT);',
+        '    // @block \'b2\'',
+        '    foo();',
+        '}'
+    ].join('\n');
+    const parser = new UploadOutputParser(code);
+    const {diagnostics} = parser.parse(
+        'C:\\Temp\\sketch\\sketch.ino:5:5: error: \'foo\' was not declared in this scope\n' +
+        '/libs/Servo/Servo.cpp:10: warning: unused variable\n' +
+        'sketch.ino:1:1: error: late\n');
+    t.same(diagnostics, [
+        {
+            phase: 'compile',
+            severity: 'error',
+            file: 'C:\\Temp\\sketch\\sketch.ino',
+            line: 5,
+            column: 5,
+            message: '\'foo\' was not declared in this scope',
+            blockId: 'b2'
+        },
+        {
+            phase: 'compile',
+            severity: 'warning',
+            file: '/libs/Servo/Servo.cpp',
+            line: 10,
+            column: null,
+            message: 'unused variable',
+            blockId: null
+        },
+        {
+            phase: 'compile',
+            severity: 'error',
+            file: 'sketch.ino',
+            line: 1,
+            column: 1,
+            message: 'late',
+            blockId: null
+        }
+    ]);
+
+    // A diagnostic printed again is not reported again.
+    t.same(parser.parse('sketch.ino:1:1: error: late\n').diagnostics, []);
+    t.equal(parser.diagnostics.length, 3);
+    t.end();
+});
+
+test('uploader errors', t => {
+    const parser = new UploadOutputParser();
+    const {diagnostics} = parser.parse(
+        'avrdude: stk500_recv(): programmer is not responding\n' +
+        'A fatal error occurred: Failed to connect to ESP32: Timed out\n');
+    t.same(diagnostics.map(diagnostic => [diagnostic.phase, diagnostic.message]), [
+        ['upload', 'avrdude: stk500_recv(): programmer is not responding'],
+        ['upload', 'A fatal error occurred: Failed to connect to ESP32: Timed out']
+    ]);
+    t.end();
+});
+
+test('serialport reports upload progress and errors', t => {
+    const runtime = new Runtime();
+    runtime.configureScratchLinkSocketFactory(() => ({
+        setOnOpen: () => {},
+        setOnClose: () => {},
+        setOnError: () => {},
+        setHandleMessage: () => {},
+        sendMessage: () => {},
+        open: () => {}
+    }));
+    const serialport = new Serialport(runtime, 'arduinoUno', {});
+    serialport.sendRemoteRequest = () => Promise.resolve();
+    const events = [];
+    runtime.on(Runtime.PERIPHERAL_UPLOAD_PROGRESS, data => events.push(['progress', data]));
+    runtime.on(Runtime.PERIPHERAL_UPLOAD_DIAGNOSTIC, data => events.push(['diagnostic', data.line, data.blockId]));
+    runtime.on(Runtime.PERIPHERAL_UPLOAD_ERROR, data => events.push(['error', data.diagnostics.length]));
+
+    const code = '// @block \'x\'\nfoo();\n';
+    serialport.upload(Buffer.from(code).toString('base64'), {}, 'base64');
+    serialport.didReceiveCall('uploadStdout', {message: 'sketch.ino:2:1: error: \'foo\' was not declared\n'});
+    serialport.didReceiveCall('uploadError', {message: 'sketch.ino:2:1: error: \'foo\' was not declared'});
+    serialport.didReceiveCall('uploadStdout', {message: 'Sketch uses 924 bytes (2%)\n'});
+
+    t.same(events, [
+        ['diagnostic', 2, 'x'],
+        ['error', 1],
+        ['progress', {deviceId: 'arduinoUno', phase: 'link', percent: 40}]
+    ]);
+    t.end();
+});